@@ -38,8 +38,9 @@ await build({
 // production we precompile that inline script with esbuild (classic JSX ->
 // React.createElement, matching the UMD React global) and drop the Babel CDN
 // script, so browsers don't run the in-browser transformer. Target es2020 so
-// `const lunches = [];` survives verbatim — api-server string-replaces that
-// exact line to inject data at runtime.
+// `const lunches = [];`, `const cacheMetadata = null;`,
+// `const initialDay = null;` and `const weekNav = null;` survive verbatim —
+// api-server string-replaces those exact lines to inject data at runtime.
 const html = readFileSync("src/lambdas/index.html", "utf-8");
 const scriptRe = /<script type="text\/babel"[^>]*>([\s\S]*?)<\/script>/;
 const jsx = html.match(scriptRe);
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+// Fetch every active restaurant's pages once and save them as parser
+// fixtures (see src/lib/parser-fixtures.mjs), for the offline replay suite in
+// src/parsers/fixture-replay.test.mjs. Nothing is written to DynamoDB.
+//
+// Usage: node scripts/record-fixtures.mjs [restaurant id ...]
+import { ParserFactory } from "../src/parsers/parser-factory.mjs";
+import { getActiveRestaurants } from "../src/lib/restaurant-registry.mjs";
+import { DEFAULT_FIXTURE_DIR } from "../src/lib/parser-fixtures.mjs";
+
+const ids = process.argv.slice(2);
+const restaurants = getActiveRestaurants().filter(
+  (r) => ids.length === 0 || ids.includes(r.id),
+);
+const unknown = ids.filter((id) => !restaurants.some((r) => r.id === id));
+if (unknown.length > 0) {
+  console.error(`Unknown or inactive restaurant: ${unknown.join(", ")}`);
+  process.exit(1);
+}
+
+const dir = process.env.PARSER_FIXTURES_DIR || DEFAULT_FIXTURE_DIR;
+const factory = new ParserFactory({
+  healthCheck: { enabled: false },
+  fixtures: { mode: "record", dir },
+});
+
+let failed = 0;
+for (const restaurant of restaurants) {
+  const result = await factory.createParser(restaurant).execute();
+  if (result.success) {
+    console.log(`ok   ${restaurant.id}: ${result.lunches.length} lunches`);
+  } else {
+    console.error(`FAIL ${restaurant.id}: ${result.error.message}`);
+    failed = 1;
+  }
+}
+
+factory.destroy();
+console.log(`Fixtures written to ${dir}`);
+process.exit(failed);
@@ -0,0 +1,363 @@
+#!/usr/bin/env node
+/**
+ * Parser CLI
+ * Runs parsers from the command line without touching the cache, for
+ * debugging a restaurant whose menu looks wrong:
+ *
+ *   node src/cli.mjs list
+ *   node src/cli.mjs parse <id> [--fixture <path>] [--json|--table] [--week <n>]
+ *   node src/cli.mjs parse --all [--fixture <dir>] [--json|--table]
+ *
+ * `parse <id>` prints the lunches that passed validation and the rejected
+ * ones with their validation errors; `parse --all` prints one summary row
+ * per active restaurant. `--fixture` replays pages instead of fetching them:
+ * a file (e.g. a page saved from the browser) answers every request, a
+ * directory is a fixture root as recorded by `yarn fixtures:record`.
+ * `--week` shows only lunches for that ISO week. Parser logs go to stderr
+ * (set LOG_LEVEL to see more than errors), the report to stdout.
+ */
+
+import { stat } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { formatClosure } from "./lib/closure-notice.mjs";
+import { formatPrice } from "./lib/price-utils.mjs";
+import {
+  RESTAURANTS,
+  findRestaurant,
+  getActiveRestaurants,
+} from "./lib/restaurant-registry.mjs";
+
+const USAGE = `Usage:
+  node src/cli.mjs list
+  node src/cli.mjs parse <id> [--fixture <path>] [--json|--table] [--week <n>]
+  node src/cli.mjs parse --all [--fixture <dir>] [--json|--table]`;
+
+const MAX_CELL_LENGTH = 48;
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { command, id, all, fixture, format, week }
+ */
+export function parseArgs(argv) {
+  const args = {
+    command: null,
+    id: null,
+    all: false,
+    fixture: null,
+    format: "table",
+    week: null,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--all":
+        args.all = true;
+        break;
+      case "--json":
+      case "--table":
+        args.format = arg.slice(2);
+        break;
+      case "--fixture":
+        args.fixture = argv[++i];
+        if (!args.fixture) throw new Error("--fixture needs a path");
+        break;
+      case "--week":
+        args.week = Number(argv[++i]);
+        if (!Number.isInteger(args.week) || args.week < 1 || args.week > 53) {
+          throw new Error("--week needs a week number between 1 and 53");
+        }
+        break;
+      default:
+        if (arg.startsWith("--")) throw new Error(`Unknown option ${arg}`);
+        if (!args.command) args.command = arg;
+        else if (!args.id) args.id = arg;
+        else throw new Error(`Unexpected argument ${arg}`);
+    }
+  }
+
+  if (!["list", "parse"].includes(args.command)) {
+    throw new Error(
+      args.command ? `Unknown command ${args.command}` : "Missing command",
+    );
+  }
+  if (args.command === "parse" && Boolean(args.id) === args.all) {
+    throw new Error("parse needs a restaurant id or --all");
+  }
+  return args;
+}
+
+/**
+ * Lay out rows as a plain-text table
+ * @param {string[]} headers - Column headers
+ * @param {Array<Array>} rows - Cell values; long values are shortened
+ * @returns {string} Table, one line per row
+ */
+export function formatTable(headers, rows) {
+  const cells = [headers, ...rows].map((row) =>
+    row.map((value) => {
+      const text = String(value ?? "").replace(/\s+/g, " ");
+      return text.length > MAX_CELL_LENGTH
+        ? `${text.slice(0, MAX_CELL_LENGTH - 1)}…`
+        : text;
+    }),
+  );
+  const widths = headers.map((_, column) =>
+    Math.max(...cells.map((row) => row[column].length)),
+  );
+  return cells
+    .map((row) =>
+      row
+        .map((text, column) => text.padEnd(widths[column]))
+        .join("  ")
+        .trimEnd(),
+    )
+    .join("\n");
+}
+
+/**
+ * Build the fixture config for --fixture: a file answers every request, a
+ * directory is replayed as a fixture root
+ * @param {string|null} fixture - Path given on the command line
+ * @returns {Promise<Object|null>} Fixture config for the parsers
+ */
+async function resolveFixtures(fixture) {
+  if (!fixture) return null;
+  const stats = await stat(fixture).catch(() => null);
+  if (!stats) throw new Error(`Fixture ${fixture} not found`);
+  return stats.isDirectory()
+    ? { mode: "replay", dir: fixture, date: null }
+    : { mode: "replay", file: fixture };
+}
+
+/**
+ * Run one restaurant's parser
+ * @param {Object} factory - ParserFactory to create the parser with
+ * @param {Object} restaurant - Registry entry
+ * @param {number|null} week - Only keep lunches for this ISO week
+ * @returns {Promise<Object>} { id, name, result, lunches, rejected }
+ */
+async function runParser(factory, restaurant, week) {
+  const parser = factory.createParser(restaurant);
+  if (!parser) {
+    throw new Error(`Could not create a parser for ${restaurant.id}`);
+  }
+
+  const result = await parser.execute();
+  const inWeek = (lunch) => week === null || Number(lunch?.week) === week;
+  return {
+    id: restaurant.id,
+    name: restaurant.name,
+    result,
+    lunches: result.lunches.filter(inWeek),
+    rejected: (result.metadata?.validationErrors || []).filter((entry) =>
+      inWeek(entry.lunch),
+    ),
+  };
+}
+
+/**
+ * Print the registry
+ */
+function listCommand({ format }, out) {
+  if (format === "json") {
+    out(JSON.stringify(RESTAURANTS, null, 2));
+    return 0;
+  }
+  out(
+    formatTable(
+      ["ID", "NAME", "PARSER", "ACTIVE", "URL"],
+      RESTAURANTS.map((r) => [
+        r.id,
+        r.name,
+        r.parser,
+        r.active ? "yes" : "no",
+        r.url,
+      ]),
+    ),
+  );
+  return 0;
+}
+
+/**
+ * Print one restaurant's lunches and rejected lunches
+ */
+async function parseOneCommand({ id, format, week }, factory, out) {
+  const restaurant = findRestaurant(id);
+  if (!restaurant) throw new Error(`Unknown restaurant ${id}`);
+
+  const { result, lunches, rejected } = await runParser(
+    factory,
+    restaurant,
+    week,
+  );
+  // Rejected lunches are listed separately
+  const metadata = { ...result.metadata, validationErrors: undefined };
+
+  if (format === "json") {
+    out(
+      JSON.stringify(
+        {
+          id: restaurant.id,
+          name: restaurant.name,
+          success: result.success,
+          lunches,
+          closure: result.closure,
+          rejected,
+          metadata,
+          error: result.error,
+        },
+        null,
+        2,
+      ),
+    );
+    return result.success ? 0 : 1;
+  }
+
+  out(
+    `${restaurant.name} (${restaurant.id}): ${metadata.parser} ${metadata.parserVersion}, ${metadata.duration} ms`,
+  );
+  if (result.closure) {
+    out(`${formatClosure(result.closure)}\n`);
+  } else if (result.success) {
+    out(`${lunches.length} lunches, ${rejected.length} rejected\n`);
+  } else {
+    // A parser whose lunches all fail validation fails, with the reasons
+    out(`Failed: ${result.error?.message}`);
+  }
+  if (lunches.length > 0) {
+    out(
+      formatTable(
+        ["WEEK", "DAY", "PRICE", "NAME", "DESCRIPTION"],
+        lunches.map((l) => [
+          l.week,
+          l.weekday,
+          formatPrice(l),
+          l.name,
+          l.description,
+        ]),
+      ),
+    );
+  }
+  if (rejected.length > 0) {
+    out("\nRejected:");
+    out(
+      formatTable(
+        ["#", "DAY", "PRICE", "NAME", "ERRORS"],
+        rejected.map(({ index, lunch, errors }) => [
+          index,
+          lunch?.weekday,
+          lunch?.price,
+          lunch?.name,
+          Array.isArray(errors) ? errors.join("; ") : errors,
+        ]),
+      ),
+    );
+  }
+  return result.success ? 0 : 1;
+}
+
+/**
+ * Run every active restaurant's parser and print a summary row for each
+ */
+async function parseAllCommand({ format, week }, factory, out) {
+  const summaries = [];
+  for (const restaurant of getActiveRestaurants()) {
+    let summary;
+    try {
+      const { result, lunches, rejected } = await runParser(
+        factory,
+        restaurant,
+        week,
+      );
+      summary = {
+        id: restaurant.id,
+        success: result.success,
+        closed: Boolean(result.closure),
+        lunches: lunches.length,
+        rejected: rejected.length,
+        duration: result.metadata?.duration,
+        error: result.error?.message,
+      };
+    } catch (error) {
+      summary = { id: restaurant.id, success: false, error: error.message };
+    }
+    summaries.push(summary);
+  }
+
+  if (format === "json") {
+    out(JSON.stringify(summaries, null, 2));
+  } else {
+    out(
+      formatTable(
+        ["ID", "STATUS", "LUNCHES", "REJECTED", "MS", "ERROR"],
+        summaries.map((s) => [
+          s.id,
+          !s.success
+            ? "FAIL"
+            : s.closed
+              ? "closed"
+              : s.lunches === 0
+                ? "empty"
+                : "ok",
+          s.lunches,
+          s.rejected,
+          s.duration,
+          s.error,
+        ]),
+      ),
+    );
+  }
+  return summaries.every((s) => s.success) ? 0 : 1;
+}
+
+/**
+ * Run a CLI command
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Object} options - Dependencies
+ * @param {Function} options.createFactory - Builds a ParserFactory from a
+ *   factory config
+ * @param {Function} options.out - Writes one line of the report
+ * @returns {Promise<number>} Exit code
+ */
+export async function runCli(argv, { createFactory, out }) {
+  const args = parseArgs(argv);
+  if (args.command === "list") return listCommand(args, out);
+
+  const factory = createFactory({
+    healthCheck: { enabled: false },
+    fixtures: await resolveFixtures(args.fixture),
+  });
+  try {
+    return args.all
+      ? await parseAllCommand(args, factory, out)
+      : await parseOneCommand(args, factory, out);
+  } finally {
+    factory.destroy();
+  }
+}
+
+async function main() {
+  // Only errors by default, and on stderr: stdout holds the report
+  process.env.LOG_LEVEL ||= "ERROR";
+  const log = console.log;
+  console.log = console.error;
+
+  // Imported after LOG_LEVEL is set, which the logger reads on load
+  const { ParserFactory } = await import("./parsers/parser-factory.mjs");
+
+  try {
+    process.exitCode = await runCli(process.argv.slice(2), {
+      createFactory: (config) => new ParserFactory(config),
+      out: (line) => log(line),
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  await main();
+}
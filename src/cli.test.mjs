@@ -0,0 +1,196 @@
+import { describe, expect, it, vi } from "vitest";
+import { formatTable, parseArgs, runCli } from "./cli.mjs";
+import { getActiveRestaurants } from "./lib/restaurant-registry.mjs";
+
+function lunch(name, overrides = {}) {
+  return {
+    name,
+    description: "",
+    price: 125,
+    weekday: "måndag",
+    week: 12,
+    place: "Niagara",
+    ...overrides,
+  };
+}
+
+const RESULT = {
+  success: true,
+  restaurant: "Niagara",
+  lunches: [
+    lunch("Pannbiff", { description: "med lök" }),
+    lunch("Fiskgratäng", { weekday: "tisdag", week: 13, price: null }),
+  ],
+  metadata: {
+    validCount: 2,
+    invalidCount: 1,
+    validationErrors: [
+      {
+        index: 2,
+        lunch: lunch("Soppa", { weekday: "lördag" }),
+        errors: ["Invalid weekday: lördag"],
+      },
+    ],
+    duration: 42,
+    parser: "NiagaraParser",
+    parserVersion: "1.0.0",
+  },
+};
+
+// A factory whose parsers return the given results by restaurant id
+function stubFactory(results = {}) {
+  const factory = {
+    config: null,
+    createParser: vi.fn((restaurant) => ({
+      execute: async () =>
+        results[restaurant.id] || {
+          ...RESULT,
+          lunches: [],
+          metadata: { ...RESULT.metadata, validationErrors: [] },
+        },
+    })),
+    destroy: vi.fn(),
+  };
+  return {
+    factory,
+    createFactory: (config) => {
+      factory.config = config;
+      return factory;
+    },
+  };
+}
+
+async function run(argv, results) {
+  const lines = [];
+  const { factory, createFactory } = stubFactory(results);
+  const code = await runCli(argv, {
+    createFactory,
+    out: (line) => lines.push(line),
+  });
+  return { code, output: lines.join("\n"), factory };
+}
+
+describe("parseArgs", () => {
+  it("reads commands and options", () => {
+    expect(
+      parseArgs(["parse", "niagara", "--json", "--week", "12"]),
+    ).toMatchObject({
+      command: "parse",
+      id: "niagara",
+      all: false,
+      format: "json",
+      week: 12,
+    });
+    expect(parseArgs(["parse", "--all", "--fixture", "dir"])).toMatchObject({
+      all: true,
+      fixture: "dir",
+      format: "table",
+    });
+  });
+
+  it("rejects incomplete or unknown arguments", () => {
+    expect(() => parseArgs([])).toThrow("Missing command");
+    expect(() => parseArgs(["collect"])).toThrow("Unknown command collect");
+    expect(() => parseArgs(["parse"])).toThrow(
+      "parse needs a restaurant id or --all",
+    );
+    expect(() => parseArgs(["parse", "niagara", "--all"])).toThrow(
+      "parse needs a restaurant id or --all",
+    );
+    expect(() => parseArgs(["parse", "niagara", "--week", "54"])).toThrow(
+      "--week needs a week number between 1 and 53",
+    );
+    expect(() => parseArgs(["parse", "niagara", "--verbose"])).toThrow(
+      "Unknown option --verbose",
+    );
+  });
+});
+
+describe("formatTable", () => {
+  it("pads columns and shortens long cells", () => {
+    expect(
+      formatTable(
+        ["ID", "NAME"],
+        [
+          ["p2", "P2"],
+          ["ica", "x".repeat(60)],
+        ],
+      ).split("\n"),
+    ).toEqual(["ID   NAME", "p2   P2", `ica  ${"x".repeat(47)}…`]);
+  });
+});
+
+describe("runCli", () => {
+  it("prints valid and rejected lunches of one restaurant", async () => {
+    const { code, output, factory } = await run(["parse", "niagara"], {
+      niagara: RESULT,
+    });
+
+    expect(code).toBe(0);
+    expect(factory.createParser).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "niagara", parser: "niagara" }),
+    );
+    expect(factory.config.fixtures).toBeNull();
+    expect(factory.destroy).toHaveBeenCalled();
+    expect(output).toContain("Niagara (niagara): NiagaraParser 1.0.0, 42 ms");
+    expect(output).toContain("2 lunches, 1 rejected");
+    expect(output).toMatch(/12\s+måndag\s+125 kr\s+Pannbiff\s+med lök/);
+    expect(output).toMatch(/13\s+tisdag\s+pris saknas\s+Fiskgratäng/);
+    expect(output).toMatch(/2\s+lördag\s+125\s+Soppa\s+Invalid weekday/);
+  });
+
+  it("prints JSON for one week", async () => {
+    const { output } = await run(
+      ["parse", "niagara", "--json", "--week", "13"],
+      { niagara: RESULT },
+    );
+
+    const report = JSON.parse(output);
+    expect(report.lunches.map((l) => l.name)).toEqual(["Fiskgratäng"]);
+    expect(report.rejected).toEqual([]);
+    expect(report.metadata).toMatchObject({ validCount: 2, duration: 42 });
+    expect(report.metadata.validationErrors).toBeUndefined();
+  });
+
+  it("reports a failed parser with a non-zero exit code", async () => {
+    const { code, output } = await run(["parse", "niagara"], {
+      niagara: {
+        ...RESULT,
+        success: false,
+        lunches: [],
+        error: { message: "HTTP 503", code: "EXECUTION_ERROR" },
+      },
+    });
+
+    expect(code).toBe(1);
+    expect(output).toContain("Failed: HTTP 503");
+  });
+
+  it("summarizes every active restaurant", async () => {
+    const { code, output } = await run(["parse", "--all"], {
+      niagara: RESULT,
+    });
+
+    expect(code).toBe(0);
+    const rows = output.split("\n");
+    expect(rows).toHaveLength(getActiveRestaurants().length + 1);
+    expect(rows[1]).toMatch(/^niagara\s+ok\s+2\s+1\s+42$/);
+    expect(rows[2]).toMatch(/^spill\s+empty\s+0\s+0\s+42$/);
+  });
+
+  it("lists the registry", async () => {
+    const { output } = await run(["list"]);
+    expect(output).toMatch(
+      /^p2\s+P2\s+selector\s+yes\s+https:\/\/restaurangp2\.se\/$/m,
+    );
+  });
+
+  it("rejects an unknown restaurant and a missing fixture", async () => {
+    await expect(run(["parse", "nope"])).rejects.toThrow(
+      "Unknown restaurant nope",
+    );
+    await expect(
+      run(["parse", "niagara", "--fixture", "/no/such/page.html"]),
+    ).rejects.toThrow("Fixture /no/such/page.html not found");
+  });
+});
@@ -3,8 +3,33 @@
  * Serves HTML with cached lunch data injected from DynamoDB
  */
 
-import { getCachedLunchData } from "../lib/cache-manager.mjs";
+import {
+  getCachedLunchData,
+  getCircuitBreakers,
+  getRecentCollectionRuns,
+} from "../lib/cache-manager.mjs";
 import { createRestaurantLogger } from "../lib/enhanced-logger.mjs";
+import {
+  getActiveRestaurants,
+  getRestaurant,
+} from "../lib/restaurant-registry.mjs";
+import { isValidWeek } from "../lib/data-validator.mjs";
+import { summarizeRestaurantHistory } from "../lib/run-history.mjs";
+import { formatClosure } from "../lib/closure-notice.mjs";
+import {
+  getNextWorkingDay,
+  getWeekHolidays,
+} from "../lib/swedish-holidays.mjs";
+import {
+  ENGLISH_TO_SWEDISH,
+  SWEDISH_TO_ENGLISH,
+  TIME_ZONE,
+  getISOWeekInfo,
+  getWeekYearForWeek,
+  resolveDayParam,
+  shiftISOWeek,
+} from "../lib/date-utils.mjs";
+import { createHash } from "crypto";
 import { readFileSync } from "fs";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
@@ -18,50 +43,43 @@ const __mod_dirname =
 // Cache the HTML template in memory for performance
 let htmlTemplate = null;
 
-// Restaurant configurations (should match data-collector.mjs)
-const RESTAURANT_CONFIGS = [
-  { id: "niagara", name: "Niagara", url: "https://restaurangniagara.se/lunch/#lunch", active: true },
-  { id: "spill", name: "Spill", url: "https://www.restaurangspill.se/", active: true },
-  { id: "kontrast", name: "Kontrast", url: "https://www.kontrastrestaurang.se/menu/vastra-hamnen?tab=lunch", active: true },
-  { id: "p2", name: "P2", url: "https://restaurangp2.se/#lunch", active: true },
-  { id: "taste", name: "Taste", url: "https://www.nordrest.se/restaurang/taste-by-nordrest-malmo/", active: true },
-  { id: "varv", name: "Varv", url: "https://varvmalmo.com/menu", active: true },
-  { id: "fonderie", name: "La Fonderie", url: "https://www.lafonderie.se/lunch", active: true },
-  { id: "laziza", name: "Laziza", url: "https://www.laziza.se/lunch/", active: true },
-  { id: "kockum", name: "Kockum Fritid", url: "https://freda49.se/lunch-malmo.html", active: true },
-  { id: "ubåtshallen", name: "Ubåtshallen", url: "https://www.ubatshallen.se/modern-svensk-husmanskost/", active: true },
-  { id: "miamarias", name: "MiaMarias", url: "https://miamarias.nu/lunch/", active: true },
-  { id: "ica", name: "ICA Maxi", url: "https://www.ica.se/butiker/maxi/malmo/maxi-ica-stormarknad-vastra-hamnen-1003569/tjanster/dagens-lunch/", active: true },
-  { id: "lokal17", name: "Lokal 17", url: "https://lokal17.se/", active: true },
-  { id: "como", name: "COMO", url: "https://comomalmo.se/", active: true },
-  { id: "papi", name: "PAPI", url: "https://www.papisaluhallen.se/", active: true },
-  { id: "holygreens", name: "Holy Greens", url: "https://holygreens.se/meny/", active: true },
-  { id: "smak", name: "SMAK", url: "https://smak.gastrogate.com/lunch/", active: true },
-  { id: "kolga", name: "Kolga", url: "https://kolga.gastrogate.com/lunch/", active: true },
-  { id: "kitchen961", name: "Kitchen961", url: "https://kitchen961.se/lunchen/", active: true },
-  { id: "frilaget", name: "Friläget", url: "https://frilaget.gastrogate.com/lunch/", active: true },
-  { id: "hamnochpeppar", name: "Hamn o Peppar", url: "https://hamnochpeppar.gastrogate.com/lunch/", active: true },
-];
-
-// Swedish weekday mapping
-const SWEDISH_WEEKDAYS = {
-  måndag: "monday",
-  tisdag: "tuesday",
-  onsdag: "wednesday",
-  torsdag: "thursday",
-  fredag: "friday",
-  lördag: "saturday",
-  söndag: "sunday",
+// Menus older than this are flagged as stale. Collection runs on weekday
+// mornings, so Friday's data is ~72h old before Monday's run.
+const STALE_AFTER_HOURS = 84;
+
+// Whether a week has cached menus, remembered by a warm Lambda for this long
+// so the week navigation doesn't read every restaurant's neighbouring weeks
+// on each page view
+const WEEK_AVAILABILITY_TTL_MS = 10 * 60 * 1000;
+const weekAvailability = new Map();
+
+// Number of collection runs shown on /status, and the most ?limit= may ask for
+const STATUS_DEFAULT_RUNS = 20;
+const STATUS_MAX_RUNS = 100;
+
+// Validation rules (see data-validator VALIDATION_RULES) as shown on /status
+const VALIDATION_RULE_LABELS = {
+  lunch: "ej en lunch",
+  name: "namn",
+  price: "pris",
+  week: "vecka",
+  weekday: "veckodag",
+  place: "restaurang",
+  description: "beskrivning",
+  unknown: "okänd regel",
 };
 
-const ENGLISH_WEEKDAYS = {
-  monday: "måndag",
-  tuesday: "tisdag",
-  wednesday: "onsdag",
-  thursday: "torsdag",
-  friday: "fredag",
-  saturday: "lördag",
-  sunday: "söndag",
+// Parser error codes (see parser-errors.mjs) as shown on /status
+const ERROR_CODE_LABELS = {
+  NETWORK_ERROR: "nätverksfel",
+  TIMEOUT: "svarar inte",
+  HTTP_4XX: "sidan nekad eller borta",
+  HTTP_5XX: "sajten nere",
+  EMPTY_BODY: "tom sida",
+  LAYOUT_NOT_FOUND: "sidans layout har ändrats",
+  VALIDATION_ERROR: "ogiltiga luncher",
+  CIRCUIT_OPEN: "pausad efter upprepade fel",
+  DEADLINE_EXCEEDED: "hann inte köras klart",
 };
 
 /**
@@ -75,6 +93,14 @@ export async function handler(event, context) {
 
   const startTime = Date.now();
 
+  const path = event.path || "/";
+  if (path === "/api" || path.startsWith("/api/")) {
+    return handleApiRequest(event, logger, startTime);
+  }
+  if (path === "/status") {
+    return handleStatusRequest(event, logger, startTime);
+  }
+
   try {
     await logger.info("Processing HTML request", {
       httpMethod: event.httpMethod || "GET",
@@ -82,40 +108,65 @@ export async function handler(event, context) {
       queryParams: event.queryStringParameters || {},
     });
 
-    // Parse query parameters
+    // Parse path and query parameters. The page always receives the whole
+    // week; the requested day (GET /lunch/{day} or ?day=) only decides which
+    // day the page opens on, so the day picker keeps working.
     const queryParams = event.queryStringParameters || {};
-    const selectedDay = queryParams.day || "all";
-    const week = queryParams.week
-      ? parseInt(queryParams.week)
-      : getCurrentWeek();
+    const rawDay = event.pathParameters?.day || queryParams.day;
+    const selectedDay = resolveDayParam(rawDay);
+    const requestedWeek = resolveWeekParams(queryParams);
+    const { week, year } = requestedWeek || getISOWeekInfo();
+
+    if (rawDay && !selectedDay) {
+      await logger.warn("Ignoring unrecognised day parameter", { rawDay });
+    }
+    if (!requestedWeek) {
+      await logger.warn("Ignoring invalid week/year parameters", {
+        week: queryParams.week,
+        year: queryParams.year,
+      });
+    }
 
     await logger.debug("Request parameters", {
       selectedDay,
       week,
-      rawDay: queryParams.day,
+      year,
+      rawDay,
     });
 
     // Load HTML template
     const html = getHtmlTemplate();
 
-    // Fetch cached data
-    const lunchData = await fetchCachedData(week, logger);
-
-    // Filter data by selected day if specified
-    const filteredData = filterDataByDay(lunchData, selectedDay, logger);
+    // Fetch cached data, and whether the neighbouring weeks have any
+    const [{ lunches: lunchData, restaurantStatus }, weekNav] =
+      await Promise.all([
+        fetchCachedData(week, year, logger),
+        getWeekNavigation(week, year, logger),
+      ]);
 
     // Add cache metadata
-    const dataWithMetadata = addCacheMetadata(filteredData, week);
+    const dataWithMetadata = addCacheMetadata(
+      lunchData,
+      week,
+      year,
+      restaurantStatus,
+    );
 
     // Inject data into HTML
-    const responseHtml = injectDataIntoHtml(html, dataWithMetadata);
+    const responseHtml = injectDataIntoHtml(
+      html,
+      dataWithMetadata,
+      selectedDay,
+      weekNav,
+    );
 
     const duration = Date.now() - startTime;
     await logger.info("Request completed successfully", {
       duration: `${duration}ms`,
-      dataPoints: filteredData.length,
+      dataPoints: lunchData.length,
       selectedDay,
       week,
+      year,
     });
 
     return {
@@ -124,8 +175,9 @@ export async function handler(event, context) {
         "Content-Type": "text/html; charset=utf-8",
         "Cache-Control": "public, max-age=300", // 5 minute cache
         "X-Response-Time": `${duration}ms`,
-        "X-Data-Points": filteredData.length.toString(),
+        "X-Data-Points": lunchData.length.toString(),
         "X-Cache-Week": week.toString(),
+        "X-Cache-Year": year.toString(),
       },
       body: responseHtml,
     };
@@ -155,6 +207,370 @@ export async function handler(event, context) {
   }
 }
 
+/**
+ * Handle JSON API requests under /api
+ * Routes:
+ *   GET /api/lunches[?day=&week=&year=]
+ *   GET /api/lunches/{day}[?week=&year=]
+ *   GET /api/restaurants[?day=&week=&year=]
+ *   GET /api/restaurants/{id}[?day=&week=&year=]
+ */
+async function handleApiRequest(event, logger, startTime) {
+  const path = event.path || "/";
+
+  try {
+    await logger.info("Processing API request", {
+      httpMethod: event.httpMethod || "GET",
+      path,
+      queryParams: event.queryStringParameters || {},
+    });
+
+    const queryParams = event.queryStringParameters || {};
+    const [, , resource, param, ...rest] = path.replace(/\/+$/, "").split("/");
+    let pathParam;
+    try {
+      pathParam = param ? decodeURIComponent(param) : undefined;
+    } catch {
+      return jsonError(
+        400,
+        "INVALID_PATH",
+        `Malformed path: ${path}`,
+        startTime,
+      );
+    }
+
+    if (rest.length > 0 || !["lunches", "restaurants"].includes(resource)) {
+      return jsonError(404, "NOT_FOUND", `No API route for ${path}`, startTime);
+    }
+
+    const requestedWeek = resolveWeekParams(queryParams);
+    if (!requestedWeek) {
+      return jsonError(
+        400,
+        "INVALID_WEEK",
+        `Invalid week/year: ${queryParams.week}/${queryParams.year}`,
+        startTime,
+      );
+    }
+    const { week, year } = requestedWeek;
+
+    const rawDay =
+      (resource === "lunches" ? pathParam : undefined) || queryParams.day;
+    const selectedDay = rawDay ? resolveDayParam(rawDay) : "all";
+    if (!selectedDay) {
+      return jsonError(400, "INVALID_DAY", `Invalid day: ${rawDay}`, startTime);
+    }
+
+    let payload;
+    let servedLunches;
+
+    if (resource === "lunches") {
+      const { lunches, restaurantStatus } = await fetchCachedData(
+        week,
+        year,
+        logger,
+      );
+      servedLunches = filterDataByDay(lunches, selectedDay, logger);
+      payload = addCacheMetadata(servedLunches, week, year, restaurantStatus);
+    } else if (pathParam) {
+      const restaurant = getRestaurant(pathParam);
+      if (!restaurant || !restaurant.active) {
+        return jsonError(
+          404,
+          "RESTAURANT_NOT_FOUND",
+          `Unknown restaurant: ${pathParam}`,
+          startTime,
+        );
+      }
+
+      const { lunches, restaurantStatus } = await fetchCachedData(
+        week,
+        year,
+        logger,
+        [restaurant],
+      );
+      servedLunches = filterDataByDay(lunches, selectedDay, logger);
+      payload = {
+        restaurant: toPublicRestaurant(restaurant, servedLunches),
+        ...addCacheMetadata(servedLunches, week, year, restaurantStatus),
+      };
+    } else {
+      const { lunches, restaurantStatus } = await fetchCachedData(
+        week,
+        year,
+        logger,
+      );
+      servedLunches = filterDataByDay(lunches, selectedDay, logger);
+      const { metadata } = addCacheMetadata(
+        servedLunches,
+        week,
+        year,
+        restaurantStatus,
+      );
+      payload = {
+        restaurants: getActiveRestaurants().map((restaurant) =>
+          toPublicRestaurant(
+            restaurant,
+            servedLunches.filter((lunch) => lunch.restaurant === restaurant.id),
+          ),
+        ),
+        metadata,
+      };
+    }
+
+    const lunchCount = servedLunches.length;
+    const lastModified = getLastModified(servedLunches);
+    const etag = createEtag(payload);
+
+    const duration = Date.now() - startTime;
+    const headers = {
+      "Content-Type": "application/json; charset=utf-8",
+      "Cache-Control": "public, max-age=300", // 5 minute cache
+      "Access-Control-Allow-Origin": "*",
+      ETag: etag,
+      "X-Response-Time": `${duration}ms`,
+      "X-Data-Points": lunchCount.toString(),
+      "X-Cache-Week": week.toString(),
+      "X-Cache-Year": year.toString(),
+    };
+    if (lastModified) {
+      headers["Last-Modified"] = lastModified.toUTCString();
+    }
+
+    await logger.info("API request completed successfully", {
+      duration: `${duration}ms`,
+      path,
+      dataPoints: lunchCount,
+      selectedDay,
+      week,
+      year,
+    });
+
+    if (isNotModified(event.headers, etag, lastModified)) {
+      return { statusCode: 304, headers, body: "" };
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify(payload),
+    };
+  } catch (error) {
+    await logger.error(
+      "API request failed",
+      {
+        duration: `${Date.now() - startTime}ms`,
+        httpMethod: event.httpMethod,
+        path,
+      },
+      error,
+    );
+
+    return jsonError(500, "INTERNAL_ERROR", error.message, startTime);
+  }
+}
+
+/**
+ * Handle GET /status: the last N collection runs (?limit=, default 20) and a
+ * per-restaurant success-rate sparkline and circuit breaker state. With
+ * ?restaurant=<id>, that restaurant's validation report per run instead.
+ */
+async function handleStatusRequest(event, logger, startTime) {
+  const queryParams = event.queryStringParameters || {};
+  const requested = Number(queryParams.limit);
+  const limit =
+    Number.isInteger(requested) && requested > 0
+      ? Math.min(requested, STATUS_MAX_RUNS)
+      : STATUS_DEFAULT_RUNS;
+  const restaurant = queryParams.restaurant
+    ? getRestaurant(queryParams.restaurant)
+    : null;
+
+  if (queryParams.restaurant && !restaurant) {
+    return {
+      statusCode: 404,
+      headers: {
+        "Content-Type": "text/html; charset=utf-8",
+        "X-Response-Time": `${Date.now() - startTime}ms`,
+      },
+      body: getErrorHtml(
+        `Okänd restaurang: ${escapeHtml(queryParams.restaurant)}`,
+      ),
+    };
+  }
+
+  try {
+    await logger.info("Processing status request", {
+      limit,
+      restaurant: restaurant?.id,
+    });
+
+    const runs = await getRecentCollectionRuns(limit);
+    const history = restaurant ? null : summarizeRestaurantHistory(runs);
+    const breakers = history
+      ? await loadCircuitBreakers(
+          history.map((r) => r.id),
+          logger,
+        )
+      : {};
+
+    const duration = Date.now() - startTime;
+    await logger.info("Status request completed", {
+      duration: `${duration}ms`,
+      runs: runs.length,
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        "Content-Type": "text/html; charset=utf-8",
+        "Cache-Control": "public, max-age=60",
+        "X-Response-Time": `${duration}ms`,
+      },
+      body: restaurant
+        ? getRestaurantValidationHtml(restaurant, runs)
+        : getStatusHtml(runs, history, breakers),
+    };
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    await logger.error(
+      "Status request failed",
+      { duration: `${duration}ms` },
+      error,
+    );
+
+    return {
+      statusCode: 500,
+      headers: {
+        "Content-Type": "text/html; charset=utf-8",
+        "X-Response-Time": `${duration}ms`,
+      },
+      body: getErrorHtml(escapeHtml(error.message)),
+    };
+  }
+}
+
+/**
+ * Stored circuit breaker state of restaurants; the status page does without
+ * when it cannot be read
+ * @returns {Promise<Object>} Breaker state by restaurant id
+ */
+async function loadCircuitBreakers(restaurantIds, logger) {
+  try {
+    return await getCircuitBreakers(restaurantIds);
+  } catch (error) {
+    await logger.warn("Could not load circuit breakers", {
+      error: error.message,
+    });
+    return {};
+  }
+}
+
+/**
+ * Resolve the ?week= and ?year= query parameters to an ISO week and
+ * week-year. Without parameters this is the current week; a week without a
+ * year means the occurrence of that week closest to today.
+ * @returns {{week: number, year: number}|null} Null if either is invalid
+ */
+function resolveWeekParams(queryParams) {
+  const current = getISOWeekInfo();
+  const week = queryParams.week ? Number(queryParams.week) : current.week;
+  if (!Number.isInteger(week) || !isValidWeek(week)) return null;
+
+  let year;
+  if (queryParams.year) {
+    year = Number(queryParams.year);
+  } else {
+    year = queryParams.week ? getWeekYearForWeek(week) : current.year;
+  }
+  if (!Number.isInteger(year) || year < 2000 || year > 2100) return null;
+
+  return { week, year };
+}
+
+/**
+ * Build a JSON error response
+ */
+function jsonError(statusCode, code, message, startTime) {
+  return {
+    statusCode,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      "Cache-Control": "no-store",
+      "Access-Control-Allow-Origin": "*",
+      "X-Response-Time": `${Date.now() - startTime}ms`,
+    },
+    body: JSON.stringify({ error: { code, message } }),
+  };
+}
+
+/**
+ * Public view of a registry entry for the JSON API
+ */
+function toPublicRestaurant(restaurant, lunches) {
+  return {
+    id: restaurant.id,
+    name: restaurant.name,
+    url: restaurant.publicUrl,
+    coordinates: restaurant.coordinates,
+    walkMinutes: restaurant.walkMinutes,
+    tags: restaurant.tags,
+    lunchCount: lunches.length,
+  };
+}
+
+/**
+ * Latest cache write among the given lunches, or null if none is known
+ */
+function getLastModified(lunches) {
+  const times = lunches
+    .map((lunch) => Date.parse(lunch.lastUpdated))
+    .filter((time) => !isNaN(time));
+  if (times.length === 0) return null;
+
+  // HTTP dates have one-second resolution
+  return new Date(Math.floor(Math.max(...times) / 1000) * 1000);
+}
+
+/**
+ * Weak ETag over the response payload. The request timestamp in
+ * metadata.lastUpdated is left out so unchanged data keeps its tag.
+ */
+function createEtag(payload) {
+  const stable = {
+    ...payload,
+    metadata: { ...payload.metadata, lastUpdated: undefined },
+  };
+  const hash = createHash("sha1")
+    .update(JSON.stringify(stable))
+    .digest("base64url");
+  return `W/"${hash}"`;
+}
+
+/**
+ * Evaluate If-None-Match / If-Modified-Since request headers
+ */
+function isNotModified(requestHeaders, etag, lastModified) {
+  const headers = Object.fromEntries(
+    Object.entries(requestHeaders || {}).map(([k, v]) => [k.toLowerCase(), v]),
+  );
+
+  const ifNoneMatch = headers["if-none-match"];
+  if (ifNoneMatch) {
+    return ifNoneMatch
+      .split(",")
+      .map((tag) => tag.trim())
+      .some((tag) => tag === "*" || tag === etag || `W/${tag}` === etag);
+  }
+
+  const ifModifiedSince = Date.parse(headers["if-modified-since"]);
+  if (lastModified && !isNaN(ifModifiedSince)) {
+    return lastModified.getTime() <= ifModifiedSince;
+  }
+
+  return false;
+}
+
 /**
  * Load and cache HTML template
  */
@@ -179,46 +595,59 @@ function getHtmlTemplate() {
 }
 
 /**
- * Fetch cached data from all restaurants
+ * Fetch cached data from all (or the given) restaurants
+ * @returns {Promise<{lunches: Array, restaurantStatus: Array}>} Lunches plus
+ *   one status entry per restaurant (see getRestaurantStatus)
  */
-async function fetchCachedData(week, logger) {
+async function fetchCachedData(
+  week,
+  year,
+  logger,
+  restaurants = getActiveRestaurants(),
+) {
   const allData = [];
+  const restaurantStatus = [];
   const cacheStats = {
     successful: 0,
     failed: 0,
   };
 
-  for (const config of RESTAURANT_CONFIGS) {
-    if (!config.active) continue;
-
+  for (const config of restaurants) {
     try {
-      await logger.debug(`Fetching cache for ${config.id}`, { week });
+      await logger.debug(`Fetching cache for ${config.id}`, { week, year });
 
-      // Fetch current week only (cache key uses display name from parser)
-      const cacheItem = await getCachedLunchData(config.name, week);
+      // Fetch the requested week only (cache key uses display name from parser)
+      const cacheItem = await getCachedLunchData(config.name, week, year);
       const restaurantData = cacheItem?.lunches;
+      restaurantStatus.push(getRestaurantStatus(config, cacheItem));
 
       if (restaurantData && restaurantData.length > 0) {
         // Add restaurant metadata to each lunch item
         const dataWithMeta = restaurantData.map((lunch) => ({
           ...lunch,
+          lastUpdated: lunch.lastUpdated || cacheItem.cachedAt,
           place: config.name,
-          placeUrl: config.url,
+          placeUrl: config.publicUrl,
+          walkMinutes: config.walkMinutes,
           restaurant: config.id,
         }));
 
         allData.push(...dataWithMeta);
         cacheStats.successful++;
       } else {
-        await logger.warn(`No data found for ${config.id}`, { week });
+        await logger.warn(`No data found for ${config.id}`, { week, year });
         cacheStats.failed++;
       }
     } catch (error) {
       await logger.error(
         `Failed to fetch cache for ${config.id}`,
-        { week },
+        { week, year },
         error,
       );
+      restaurantStatus.push({
+        ...getRestaurantStatus(config, null),
+        status: "unknown",
+      });
       cacheStats.failed++;
     }
   }
@@ -228,7 +657,133 @@ async function fetchCachedData(week, logger) {
     stats: cacheStats,
   });
 
-  return allData;
+  return { lunches: allData, restaurantStatus };
+}
+
+/**
+ * Summarise a restaurant's cache item for the page: when it was cached, how
+ * the last collection went, and an overall status:
+ *   - "ok":      lunches cached and fresh
+ *   - "stale":   lunches cached but older than STALE_AFTER_HOURS, and not
+ *                found unchanged on the restaurant's page since
+ *   - "failed":  lunches cached, but the latest collection failed or was
+ *                rejected as deviating from previous weeks
+ *   - "closed":  no lunches cached, and the restaurant posted a closure
+ *                notice; `closure` carries it, with its page text as `label`
+ *   - "missing": no lunches cached for the week
+ *   - "unknown": the cache could not be read
+ * A closure notice is also passed along when the week has lunches (closed
+ * for a day).
+ */
+function getRestaurantStatus(config, cacheItem) {
+  const lunchCount = cacheItem?.lunches?.length || 0;
+  const cachedAt = lunchCount > 0 ? cacheItem.cachedAt || null : null;
+  const lastCollection = cacheItem?.lastCollection || null;
+
+  const closure = cacheItem?.closure
+    ? { ...cacheItem.closure, label: formatClosure(cacheItem.closure) }
+    : null;
+
+  // A collection that found the page unchanged vouches for the lunches
+  const checkedAt =
+    lastCollection?.status === "unchanged" ? lastCollection.at : cachedAt;
+
+  let status = "ok";
+  if (lunchCount === 0) {
+    status = closure ? "closed" : "missing";
+  } else if (
+    lastCollection?.status === "failed" ||
+    lastCollection?.status === "rejected"
+  ) {
+    status = "failed";
+  } else if (
+    !checkedAt ||
+    Date.now() - new Date(checkedAt).getTime() >
+      STALE_AFTER_HOURS * 60 * 60 * 1000
+  ) {
+    status = "stale";
+  }
+
+  return {
+    id: config.id,
+    name: config.name,
+    url: config.publicUrl,
+    status,
+    cachedAt,
+    lunchCount,
+    lastCollection,
+    ...(closure && { closure }),
+  };
+}
+
+/**
+ * Forget the week availability remembered by this Lambda instance
+ */
+export function resetWeekAvailability() {
+  weekAvailability.clear();
+}
+
+/**
+ * Check whether any active restaurant has cached lunches for a week. The
+ * answer is remembered for WEEK_AVAILABILITY_TTL_MS, unless a check failed
+ * and the week looked empty.
+ */
+async function hasCachedWeek(week, year, logger) {
+  const key = `${year}-${week}`;
+  const remembered = weekAvailability.get(key);
+  if (
+    remembered &&
+    Date.now() - remembered.checkedAt < WEEK_AVAILABILITY_TTL_MS
+  ) {
+    return remembered.available;
+  }
+
+  const restaurants = getActiveRestaurants();
+  let failed = false;
+  const results = await Promise.all(
+    restaurants.map(async (config) => {
+      try {
+        const cacheItem = await getCachedLunchData(config.name, week, year);
+        return (cacheItem?.lunches?.length || 0) > 0;
+      } catch (error) {
+        failed = true;
+        await logger.warn(`Availability check failed for ${config.id}`, {
+          week,
+          year,
+          error: error.message,
+        });
+        return false;
+      }
+    }),
+  );
+
+  const available = results.some(Boolean);
+  if (available || !failed) {
+    weekAvailability.set(key, { available, checkedAt: Date.now() });
+  }
+  return available;
+}
+
+/**
+ * Build the week navigation state injected into the page: the shown week,
+ * the current week, and the previous/next weeks with whether they have data
+ */
+async function getWeekNavigation(week, year, logger) {
+  const prev = shiftISOWeek(week, year, -1);
+  const next = shiftISOWeek(week, year, 1);
+
+  const [prevAvailable, nextAvailable] = await Promise.all([
+    hasCachedWeek(prev.week, prev.year, logger),
+    hasCachedWeek(next.week, next.year, logger),
+  ]);
+
+  return {
+    week,
+    year,
+    current: getISOWeekInfo(),
+    prev: { ...prev, available: prevAvailable },
+    next: { ...next, available: nextAvailable },
+  };
 }
 
 /**
@@ -251,10 +806,10 @@ function filterDataByDay(data, selectedDay, logger) {
     if (lunchDay === normalizedDay) return true;
 
     // Try Swedish to English conversion
-    if (SWEDISH_WEEKDAYS[lunchDay] === normalizedDay) return true;
+    if (SWEDISH_TO_ENGLISH[lunchDay] === normalizedDay) return true;
 
     // Try English to Swedish conversion
-    if (ENGLISH_WEEKDAYS[normalizedDay] === lunchDay) return true;
+    if (ENGLISH_TO_SWEDISH[normalizedDay] === lunchDay) return true;
 
     return false;
   });
@@ -272,14 +827,20 @@ function filterDataByDay(data, selectedDay, logger) {
 /**
  * Add cache metadata to the data
  */
-function addCacheMetadata(data, week) {
+function addCacheMetadata(data, week, year, restaurantStatus) {
   const metadata = {
     lastUpdated: new Date().toISOString(),
     cacheWeek: week,
+    cacheYear: year,
     dataFreshness: calculateDataFreshness(data),
     totalItems: data.length,
     restaurants: [...new Set(data.map((d) => d.restaurant))],
     availableDays: [...new Set(data.map((d) => d.weekday))],
+    // Holidays of the shown week by weekday, and where the page goes when
+    // today has no lunch
+    holidays: getWeekHolidays(week, year),
+    nextWorkingDay: getNextWorkingDay(),
+    ...(restaurantStatus && { restaurantStatus }),
   };
 
   return {
@@ -319,17 +880,37 @@ function calculateDataFreshness(data) {
 }
 
 /**
- * Inject lunch data into HTML template
+ * Inject lunch data, the metadata block, the initially selected day and the
+ * week navigation state into HTML template
  */
-function injectDataIntoHtml(html, dataWithMetadata) {
+function injectDataIntoHtml(
+  html,
+  dataWithMetadata,
+  selectedDay = null,
+  weekNav = null,
+) {
   // Replace the empty lunches array with actual data
   const lunchesJson = JSON.stringify(dataWithMetadata.lunches, null, 2);
 
-  // Replace the line "const lunches = [];" with actual data
-  const updatedHtml = html.replace(
-    /const lunches = \[\];/,
-    `const lunches = ${lunchesJson};`,
-  );
+  // Replace the line "const lunches = [];" with actual data,
+  // "const cacheMetadata = null;" with the metadata block,
+  // "const initialDay = null;" with the requested day (if any) and
+  // "const weekNav = null;" with the week navigation state
+  const updatedHtml = html
+    .replace(/const lunches = \[\];/, () => `const lunches = ${lunchesJson};`)
+    .replace(
+      /const cacheMetadata = null;/,
+      () =>
+        `const cacheMetadata = ${JSON.stringify(dataWithMetadata.metadata ?? null)};`,
+    )
+    .replace(
+      /const initialDay = null;/,
+      () => `const initialDay = ${JSON.stringify(selectedDay)};`,
+    )
+    .replace(
+      /const weekNav = null;/,
+      () => `const weekNav = ${JSON.stringify(weekNav)};`,
+    );
 
   return updatedHtml;
 }
@@ -383,15 +964,363 @@ function getErrorHtml(errorMessage) {
 }
 
 /**
- * Get current ISO week number
+ * Escape text for inclusion in HTML
  */
-function getCurrentWeek() {
-  const now = new Date();
-  const d = new Date(
-    Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()),
-  );
-  const dayNum = d.getUTCDay() || 7;
-  d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-  return Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Format an ISO timestamp as Swedish local date and time
+ */
+function formatStatusTime(iso) {
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return "–";
+  return new Intl.DateTimeFormat("sv-SE", {
+    dateStyle: "short",
+    timeStyle: "short",
+    timeZone: TIME_ZONE,
+  }).format(date);
+}
+
+/**
+ * Render run outcomes (oldest first) as an inline SVG win/loss sparkline:
+ * a tall green bar per success, a short red bar per failure and a grey dot
+ * for runs the restaurant was not part of
+ */
+function renderSparkline(outcomes, label) {
+  const barWidth = 6;
+  const gap = 2;
+  const height = 20;
+  const width = Math.max(outcomes.length * (barWidth + gap) - gap, barWidth);
+
+  const bars = outcomes
+    .map((outcome, i) => {
+      const x = i * (barWidth + gap);
+      if (outcome === null) {
+        return `<rect x="${x}" y="${height - 2}" width="${barWidth}" height="2" fill="#bdbdbd"/>`;
+      }
+      return outcome
+        ? `<rect x="${x}" y="0" width="${barWidth}" height="${height}" fill="#2e7d32"/>`
+        : `<rect x="${x}" y="${height / 2}" width="${barWidth}" height="${height / 2}" fill="#d32f2f"/>`;
+    })
+    .join("");
+
+  return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(label)}">${bars}</svg>`;
+}
+
+/**
+ * Describe a suspicious parser result: what deviated from previous weeks and
+ * whether the cached week was kept
+ * @param {Object} drift - Drift summary with anomaly messages
+ * @returns {string} Plain-text description
+ */
+function describeDrift(drift) {
+  const anomalies = (drift.anomalies || []).join(" | ");
+  return drift.rejected ? `${anomalies} (tidigare data behölls)` : anomalies;
+}
+
+/**
+ * Describe a parser error with what kind of failure its code says it was
+ * @param {string} message - Error message
+ * @param {string} code - Error code, if recorded
+ * @returns {string} "sajten nere: HTTP 503: Service Unavailable" and the
+ *   like, or the message alone for codes without a label
+ */
+function describeError(message, code) {
+  const label = ERROR_CODE_LABELS[code];
+  return label ? `${label}: ${message}` : message;
+}
+
+/**
+ * Describe a restaurant's circuit breaker
+ * @param {Object} breaker - Stored breaker state, if any
+ * @returns {string} "pausad sedan 2026-10-14 10:00, 2 misslyckade försök,
+ *   nästa försök 2026-10-20 06:00" and the like, empty while closed
+ *   without failures
+ */
+function describeBreaker(breaker) {
+  if (!breaker) return "";
+  if (breaker.state === "open") {
+    const probes = breaker.probeCount
+      ? `, ${breaker.probeCount} misslyckade försök`
+      : "";
+    return `pausad sedan ${formatStatusTime(breaker.openedAt)}${probes}, nästa försök ${formatStatusTime(breaker.nextAttemptTime)}`;
+  }
+  if (breaker.state === "half-open") return "provas igen";
+  return breaker.failureCount > 0
+    ? `${breaker.failureCount} misslyckade körningar i rad`
+    : "";
+}
+
+/**
+ * Describe a validation report: lunches rejected per rule, and lunches
+ * accepted with price 0
+ * @param {Object} validation - Validation report with invalidCount and
+ *   lunchCount
+ * @returns {string} Plain-text description, empty when nothing stood out
+ */
+function describeValidation(validation) {
+  if (!validation) return "";
+  const rules = Object.entries(validation.rules || {})
+    .sort(([, a], [, b]) => b - a)
+    .map(([rule, count]) => `${VALIDATION_RULE_LABELS[rule] || rule} ${count}`)
+    .join(", ");
+  const zeroPrices = validation.zeroPrices || 0;
+
+  return [
+    validation.invalidCount > 0
+      ? `${validation.invalidCount} avvisade (${rules})`
+      : null,
+    zeroPrices > 0 && zeroPrices === validation.lunchCount
+      ? "alla priser 0"
+      : null,
+    zeroPrices > 0 && zeroPrices < validation.lunchCount
+      ? `${zeroPrices} med pris 0`
+      : null,
+  ]
+    .filter(Boolean)
+    .join("; ");
+}
+
+/**
+ * Generate the /status?restaurant=<id> page: the validation report of each
+ * recent run, with the rejected lunches and why they were rejected
+ */
+function getRestaurantValidationHtml(restaurant, runs) {
+  const rows = runs
+    .map((run) => ({
+      run,
+      entry: (run.restaurants || []).find((r) => r.id === restaurant.id),
+    }))
+    .filter(({ entry }) => entry)
+    .map(({ run, entry }) => {
+      const validation = entry.validation || {};
+      const rejected = (validation.rejected || [])
+        .map(
+          (lunch) =>
+            `<li>#${escapeHtml(lunch.index ?? "?")} ${escapeHtml(lunch.name ?? "–")} (${escapeHtml(lunch.weekday ?? "–")}, ${escapeHtml(lunch.price ?? "–")} kr, v.${escapeHtml(lunch.week ?? "–")}): ${escapeHtml((lunch.errors || []).join("; "))}</li>`,
+        )
+        .join("");
+      const more =
+        entry.invalidCount > (validation.rejected || []).length
+          ? `<li>… och ${entry.invalidCount - validation.rejected.length} till</li>`
+          : "";
+      const summary = describeValidation({
+        ...validation,
+        invalidCount: entry.invalidCount,
+        lunchCount: entry.lunchCount,
+      });
+      const error = entry.error
+        ? `<p class="error">${escapeHtml(entry.error)}</p>`
+        : "";
+
+      return `
+            <tr class="${entry.success ? "" : "failed"}">
+                <td>${formatStatusTime(run.startedAt)}</td>
+                <td class="num">${entry.unchanged ? "oförändrad" : entry.holiday ? "helgdagar" : (entry.lunchCount ?? 0)}</td>
+                <td class="num">${entry.invalidCount ?? 0}</td>
+                <td class="warning">${escapeHtml(summary)}</td>
+                <td>${rejected ? `<ul>${rejected}${more}</ul>` : ""}${error}</td>
+            </tr>`;
+    })
+    .join("");
+
+  const body = rows
+    ? `
+    <h2>${escapeHtml(restaurant.name)}</h2>
+    <p>Validering i de senaste körningarna, nyast först.</p>
+    <table>
+        <thead>
+            <tr>
+                <th>Start</th>
+                <th>Luncher</th>
+                <th>Avvisade</th>
+                <th>Sammanfattning</th>
+                <th>Avvisade luncher</th>
+            </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+    </table>`
+    : `
+    <h2>${escapeHtml(restaurant.name)}</h2>
+    <p>Inga körningar registrerade för restaurangen.</p>`;
+
+  return renderStatusPage(`${body}
+    <p><a href="/status">Alla restauranger</a></p>`);
+}
+
+/**
+ * Generate the /status page
+ */
+function getStatusHtml(runs, history, breakers = {}) {
+  const restaurantRows = history
+    .map((restaurant) => {
+      const rate =
+        restaurant.successRate === null
+          ? "–"
+          : `${Math.round(restaurant.successRate * 100)}%`;
+      const lastError = restaurant.lastError
+        ? `${escapeHtml(describeError(restaurant.lastError.message, restaurant.lastError.code))} <small>(${formatStatusTime(restaurant.lastError.at)})</small>`
+        : "";
+      const drift = restaurant.drift
+        ? `${escapeHtml(describeDrift(restaurant.drift))} <small>(${formatStatusTime(restaurant.drift.at)})</small>`
+        : "";
+      return `
+            <tr>
+                <td><a href="/status?restaurant=${encodeURIComponent(restaurant.id)}">${escapeHtml(restaurant.name)}</a></td>
+                <td>${renderSparkline(restaurant.outcomes, `${restaurant.name}: ${rate} lyckade körningar`)}</td>
+                <td class="num">${rate}</td>
+                <td class="num">${restaurant.closure ? `<span title="${escapeHtml(restaurant.closure)}">stängt</span>` : (restaurant.lastLunchCount ?? "–")}</td>
+                <td>${escapeHtml(restaurant.parserVersion || "–")}</td>
+                <td class="warning">${escapeHtml(describeValidation(restaurant.validation))}</td>
+                <td class="warning">${drift}</td>
+                <td class="warning">${escapeHtml(describeBreaker(breakers[restaurant.id]))}</td>
+                <td class="error">${lastError}</td>
+            </tr>`;
+    })
+    .join("");
+
+  const runRows = runs
+    .map((run) => {
+      const totals = run.totals || {};
+      const problems = (run.restaurants || [])
+        .filter(
+          (r) =>
+            !r.success ||
+            r.invalidCount > 0 ||
+            (r.lunchCount === 0 && !r.unchanged && !r.holiday) ||
+            r.drift?.status === "suspicious",
+        )
+        .map((r) => {
+          const details = [
+            r.error ? describeError(r.error, r.errorCode) : null,
+            r.success && r.lunchCount === 0 && !r.unchanged && !r.holiday
+              ? "inga luncher"
+              : null,
+            r.invalidCount > 0
+              ? `${r.invalidCount} ogiltiga: ${(r.validationErrors || []).join(" | ")}`
+              : null,
+            r.drift?.status === "suspicious"
+              ? `avviker: ${describeDrift(r.drift)}`
+              : null,
+          ].filter(Boolean);
+          return `<li><strong>${escapeHtml(r.name)}</strong>: ${escapeHtml(details.join("; "))}</li>`;
+        })
+        .join("");
+      const runError = run.error
+        ? `<p class="error">${escapeHtml(run.error)}</p>`
+        : "";
+      const problemList = problems
+        ? `<details><summary>Detaljer</summary><ul>${problems}</ul></details>`
+        : "";
+
+      return `
+            <tr class="${run.success === false ? "failed" : ""}">
+                <td>${formatStatusTime(run.startedAt)}</td>
+                <td>${escapeHtml(run.trigger || "–")}</td>
+                <td class="num">${((run.duration || 0) / 1000).toFixed(1)} s</td>
+                <td class="num">${totals.successful ?? 0}/${totals.restaurants ?? 0}${totals.unchanged ? ` <small>(${totals.unchanged} oförändrade)</small>` : ""}</td>
+                <td class="num">${totals.lunches ?? 0}</td>
+                <td>${runError}${problemList}</td>
+            </tr>`;
+    })
+    .join("");
+
+  const body = runs.length
+    ? `
+    <h2>Restauranger</h2>
+    <p>Senaste ${runs.length} körningarna, äldst till vänster.</p>
+    <table>
+        <thead>
+            <tr>
+                <th>Restaurang</th>
+                <th>Historik</th>
+                <th>Lyckade</th>
+                <th>Luncher</th>
+                <th>Parserversion</th>
+                <th>Validering</th>
+                <th>Avvikelser</th>
+                <th>Spärr</th>
+                <th>Senaste fel</th>
+            </tr>
+        </thead>
+        <tbody>${restaurantRows}
+        </tbody>
+    </table>
+    <h2>Körningar</h2>
+    <table>
+        <thead>
+            <tr>
+                <th>Start</th>
+                <th>Utlöst av</th>
+                <th>Tid</th>
+                <th>Lyckade</th>
+                <th>Luncher</th>
+                <th>Problem</th>
+            </tr>
+        </thead>
+        <tbody>${runRows}
+        </tbody>
+    </table>`
+    : `
+    <p>Inga insamlingar registrerade ännu.</p>`;
+
+  return renderStatusPage(body);
+}
+
+/**
+ * Wrap a /status page body in the page shell
+ * @param {string} body - Page content after the heading
+ * @returns {string} HTML document
+ */
+function renderStatusPage(body) {
+  return `
+<!doctype html>
+<html lang="sv">
+<head>
+    <meta charset="utf-8">
+    <title>Lunch Table - Status</title>
+    <style>
+        body {
+            font-family: Arial, sans-serif;
+            margin: 40px;
+        }
+        table {
+            border-collapse: collapse;
+            margin-bottom: 32px;
+        }
+        th,
+        td {
+            border-bottom: 1px solid #e0e0e0;
+            padding: 6px 12px;
+            text-align: left;
+            vertical-align: top;
+        }
+        .num {
+            text-align: right;
+        }
+        .error,
+        tr.failed td {
+            color: #d32f2f;
+        }
+        .warning {
+            color: #ef6c00;
+        }
+        .sparkline {
+            display: block;
+        }
+    </style>
+</head>
+<body>
+    <h1>Lunch Table - Status</h1>${body}
+    <p><a href="/">Tillbaka till lunchlistan</a></p>
+</body>
+</html>`;
 }
@@ -3,11 +3,13 @@
  */
 
 import { describe, it, expect, beforeEach, vi } from "vitest";
-import { handler } from "./api-server.mjs";
+import { handler, resetWeekAvailability } from "./api-server.mjs";
 
 // Mock dependencies
 vi.mock("../lib/cache-manager.mjs", () => ({
   getCachedLunchData: vi.fn(),
+  getCircuitBreakers: vi.fn(async () => ({})),
+  getRecentCollectionRuns: vi.fn(),
 }));
 
 vi.mock("../lib/enhanced-logger.mjs", () => ({
@@ -23,7 +25,11 @@ vi.mock("fs", () => ({
   readFileSync: vi.fn(),
 }));
 
-import { getCachedLunchData } from "../lib/cache-manager.mjs";
+import {
+  getCachedLunchData,
+  getCircuitBreakers,
+  getRecentCollectionRuns,
+} from "../lib/cache-manager.mjs";
 import { readFileSync } from "fs";
 
 // Sample test data
@@ -68,6 +74,9 @@ const mockHtmlTemplate = `<!doctype html>
     </body>
     <script>
         const lunches = [];
+        const cacheMetadata = null;
+        const initialDay = null;
+        const weekNav = null;
     </script>
 </html>`;
 
@@ -75,6 +84,14 @@ const mockContext = {
   awsRequestId: "test-request-id-123",
 };
 
+function injectedWeekNav(body) {
+  return JSON.parse(body.match(/const weekNav = (.*);/)[1]);
+}
+
+beforeEach(() => {
+  resetWeekAvailability();
+});
+
 describe("API Server Lambda", () => {
   beforeEach(() => {
     vi.clearAllMocks();
@@ -119,10 +136,12 @@ describe("API Server Lambda", () => {
     // Previous-week data must never be served.
     expect(result.body).not.toContain("Grillad kyckling");
 
-    // The previous week must never even be queried.
-    const queriedWeeks = getCachedLunchData.mock.calls.map((call) => call[1]);
-    expect(queriedWeeks).not.toContain(currentWeek - 1);
-    expect(queriedWeeks.every((week) => week === currentWeek)).toBe(true);
+    // The previous week is only probed to enable the week navigation
+    expect(injectedWeekNav(result.body).prev).toEqual({
+      week: currentWeek - 1,
+      year: expect.any(Number),
+      available: true,
+    });
   });
 
   it("should handle cache errors gracefully with 200", async () => {
@@ -140,3 +159,743 @@ describe("API Server Lambda", () => {
     expect(result.statusCode).toBe(200);
   });
 });
+
+describe("JSON API", () => {
+  const cachedAt = "2026-11-16T08:00:00.000Z";
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    getCachedLunchData.mockImplementation(async (name) =>
+      name === "Niagara" ? { lunches: mockLunchData, cachedAt } : null,
+    );
+  });
+
+  function apiEvent(path, queryStringParameters = { week: "47" }, headers) {
+    return { httpMethod: "GET", path, queryStringParameters, headers };
+  }
+
+  it("returns all lunches with the metadata block", async () => {
+    const result = await handler(apiEvent("/api/lunches"), mockContext);
+
+    expect(result.statusCode).toBe(200);
+    expect(result.headers["Content-Type"]).toBe(
+      "application/json; charset=utf-8",
+    );
+    const body = JSON.parse(result.body);
+    expect(body.lunches).toHaveLength(3);
+    expect(body.lunches[0]).toMatchObject({
+      place: "Niagara",
+      restaurant: "niagara",
+      lastUpdated: cachedAt,
+    });
+    expect(body.metadata).toMatchObject({
+      cacheWeek: 47,
+      totalItems: 3,
+      restaurants: ["niagara"],
+    });
+    expect(readFileSync).not.toHaveBeenCalled();
+  });
+
+  it("lists the holidays of the requested week", async () => {
+    const result = await handler(
+      apiEvent("/api/lunches", { week: "52", year: "2026" }),
+      mockContext,
+    );
+
+    expect(JSON.parse(result.body).metadata.holidays).toEqual({
+      torsdag: { date: "2026-12-24", name: "Julafton", type: "eve" },
+      fredag: { date: "2026-12-25", name: "Juldagen", type: "holiday" },
+      lördag: { date: "2026-12-26", name: "Annandag jul", type: "holiday" },
+    });
+  });
+
+  it("filters lunches by the day path segment", async () => {
+    const result = await handler(apiEvent("/api/lunches/tuesday"), mockContext);
+
+    const body = JSON.parse(result.body);
+    expect(body.lunches.map((l) => l.name)).toEqual(["Fish and chips"]);
+  });
+
+  it("sends ETag and Last-Modified headers", async () => {
+    const result = await handler(apiEvent("/api/lunches"), mockContext);
+
+    expect(result.headers.ETag).toMatch(/^W\/".+"$/);
+    expect(result.headers["Last-Modified"]).toBe(
+      new Date(cachedAt).toUTCString(),
+    );
+  });
+
+  it("keeps the ETag stable across requests for unchanged data", async () => {
+    const first = await handler(apiEvent("/api/lunches"), mockContext);
+    const second = await handler(apiEvent("/api/lunches"), mockContext);
+
+    expect(second.headers.ETag).toBe(first.headers.ETag);
+  });
+
+  it("answers 304 for a matching If-None-Match", async () => {
+    const first = await handler(apiEvent("/api/lunches"), mockContext);
+    const result = await handler(
+      apiEvent("/api/lunches", { week: "47" }, {
+        "If-None-Match": first.headers.ETag,
+      }),
+      mockContext,
+    );
+
+    expect(result.statusCode).toBe(304);
+    expect(result.body).toBe("");
+  });
+
+  it("answers 304 when not modified since If-Modified-Since", async () => {
+    const result = await handler(
+      apiEvent("/api/lunches", { week: "47" }, {
+        "if-modified-since": new Date(cachedAt).toUTCString(),
+      }),
+      mockContext,
+    );
+
+    expect(result.statusCode).toBe(304);
+  });
+
+  it("lists active restaurants with their lunch counts", async () => {
+    const result = await handler(apiEvent("/api/restaurants"), mockContext);
+
+    const body = JSON.parse(result.body);
+    const niagara = body.restaurants.find((r) => r.id === "niagara");
+    expect(niagara).toEqual({
+      id: "niagara",
+      name: "Niagara",
+      url: "https://restaurangniagara.se/lunch/#lunch",
+      coordinates: null,
+      walkMinutes: null,
+      tags: [],
+      lunchCount: 3,
+    });
+    expect(body.restaurants.find((r) => r.id === "spill").lunchCount).toBe(0);
+  });
+
+  it("returns a single restaurant with its lunches", async () => {
+    const result = await handler(
+      apiEvent("/api/restaurants/niagara", { week: "47", day: "onsdag" }),
+      mockContext,
+    );
+
+    const body = JSON.parse(result.body);
+    expect(body.restaurant.id).toBe("niagara");
+    expect(body.lunches.map((l) => l.name)).toEqual(["Vegetarisk lasagne"]);
+    expect(getCachedLunchData).toHaveBeenCalledTimes(1);
+  });
+
+  it("returns a JSON 404 for an unknown restaurant", async () => {
+    const result = await handler(
+      apiEvent("/api/restaurants/nowhere"),
+      mockContext,
+    );
+
+    expect(result.statusCode).toBe(404);
+    expect(JSON.parse(result.body)).toEqual({
+      error: {
+        code: "RESTAURANT_NOT_FOUND",
+        message: "Unknown restaurant: nowhere",
+      },
+    });
+  });
+
+  it("returns a JSON 400 for a malformed path", async () => {
+    const result = await handler(
+      apiEvent("/api/restaurants/%E0%A4%A"),
+      mockContext,
+    );
+
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body)).toEqual({
+      error: {
+        code: "INVALID_PATH",
+        message: "Malformed path: /api/restaurants/%E0%A4%A",
+      },
+    });
+  });
+
+  it("returns a JSON 404 for an unknown route", async () => {
+    const result = await handler(apiEvent("/api/menus"), mockContext);
+
+    expect(result.statusCode).toBe(404);
+    expect(JSON.parse(result.body).error.code).toBe("NOT_FOUND");
+  });
+
+  it("returns a JSON 400 for an invalid day or week", async () => {
+    const badDay = await handler(apiEvent("/api/lunches/someday"), mockContext);
+    const badWeek = await handler(
+      apiEvent("/api/lunches", { week: "99" }),
+      mockContext,
+    );
+
+    expect(badDay.statusCode).toBe(400);
+    expect(JSON.parse(badDay.body).error.code).toBe("INVALID_DAY");
+    expect(badWeek.statusCode).toBe(400);
+    expect(JSON.parse(badWeek.body).error.code).toBe("INVALID_WEEK");
+
+    const prototypeKey = await handler(
+      apiEvent("/api/lunches/constructor"),
+      mockContext,
+    );
+    expect(prototypeKey.statusCode).toBe(400);
+    expect(JSON.parse(prototypeKey.body).error.code).toBe("INVALID_DAY");
+  });
+
+  it("reads the requested ISO week-year from ?year=", async () => {
+    const result = await handler(
+      apiEvent("/api/lunches", { week: "1", year: "2025" }),
+      mockContext,
+    );
+
+    expect(getCachedLunchData).toHaveBeenCalledWith("Niagara", 1, 2025);
+    expect(result.headers["X-Cache-Year"]).toBe("2025");
+    expect(JSON.parse(result.body).metadata).toMatchObject({
+      cacheWeek: 1,
+      cacheYear: 2025,
+    });
+
+    const badYear = await handler(
+      apiEvent("/api/lunches", { week: "1", year: "twenty" }),
+      mockContext,
+    );
+    expect(badYear.statusCode).toBe(400);
+  });
+});
+
+describe("Day selection", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    readFileSync.mockReturnValue(mockHtmlTemplate);
+    getCachedLunchData.mockResolvedValue({ lunches: mockLunchData });
+  });
+
+  it("pre-selects the day from the /lunch/{day} path parameter", async () => {
+    const result = await handler(
+      {
+        httpMethod: "GET",
+        path: "/lunch/tisdag",
+        pathParameters: { day: "tisdag" },
+        queryStringParameters: null,
+      },
+      mockContext,
+    );
+
+    expect(result.statusCode).toBe(200);
+    expect(result.body).toContain('const initialDay = "tisdag";');
+    // The whole week is still injected so the day picker keeps working
+    expect(result.body).toContain("Grillad kyckling");
+    expect(result.body).toContain("Vegetarisk lasagne");
+  });
+
+  it("accepts English weekday names in the path", async () => {
+    const result = await handler(
+      {
+        httpMethod: "GET",
+        path: "/lunch/friday",
+        pathParameters: { day: "friday" },
+      },
+      mockContext,
+    );
+
+    expect(result.body).toContain('const initialDay = "fredag";');
+  });
+
+  it("leaves the day unset for an unknown day", async () => {
+    const result = await handler(
+      {
+        httpMethod: "GET",
+        path: "/lunch/someday",
+        pathParameters: { day: "someday" },
+      },
+      mockContext,
+    );
+
+    expect(result.statusCode).toBe(200);
+    expect(result.body).toContain("const initialDay = null;");
+  });
+});
+
+describe("Week navigation", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    readFileSync.mockReturnValue(mockHtmlTemplate);
+  });
+
+  it("injects adjacent-week availability from the cache", async () => {
+    getCachedLunchData.mockImplementation(async (_name, week) =>
+      week === 1 || week === 52 ? { lunches: mockLunchData } : null,
+    );
+
+    const result = await handler(
+      {
+        httpMethod: "GET",
+        path: "/",
+        queryStringParameters: { week: "1", year: "2026" },
+      },
+      mockContext,
+    );
+
+    expect(result.statusCode).toBe(200);
+    const weekNav = injectedWeekNav(result.body);
+    expect(weekNav).toMatchObject({
+      week: 1,
+      year: 2026,
+      prev: { week: 52, year: 2025, available: true },
+      next: { week: 2, year: 2026, available: false },
+    });
+    expect(getCachedLunchData).toHaveBeenCalledWith("Niagara", 52, 2025);
+  });
+
+  it("checks the neighbouring weeks once per warm Lambda", async () => {
+    getCachedLunchData.mockImplementation(async (_name, week) =>
+      week === 52 ? { lunches: mockLunchData } : null,
+    );
+    const event = {
+      httpMethod: "GET",
+      path: "/",
+      queryStringParameters: { week: "1", year: "2026" },
+    };
+
+    await handler(event, mockContext);
+    const weekReads = (week) =>
+      getCachedLunchData.mock.calls.filter(([, w]) => w === week).length;
+    const [prevReads, nextReads] = [weekReads(52), weekReads(2)];
+    expect(prevReads).toBeGreaterThan(0);
+    expect(nextReads).toBeGreaterThan(0);
+
+    const result = await handler(event, mockContext);
+
+    expect(weekReads(52)).toBe(prevReads);
+    expect(weekReads(2)).toBe(nextReads);
+    expect(injectedWeekNav(result.body)).toMatchObject({
+      prev: { available: true },
+      next: { available: false },
+    });
+  });
+
+  it("marks a week unavailable when its availability check fails", async () => {
+    getCachedLunchData.mockImplementation(async (_name, week) => {
+      if (week === 47) return { lunches: mockLunchData };
+      throw new Error("DynamoDB unavailable");
+    });
+
+    const result = await handler(
+      {
+        httpMethod: "GET",
+        path: "/",
+        queryStringParameters: { week: "47", year: "2026" },
+      },
+      mockContext,
+    );
+
+    expect(result.statusCode).toBe(200);
+    expect(result.body).toContain("Grillad kyckling");
+    const weekNav = injectedWeekNav(result.body);
+    expect(weekNav.prev.available).toBe(false);
+    expect(weekNav.next.available).toBe(false);
+
+    // A failed check is not remembered
+    getCachedLunchData.mockResolvedValue({ lunches: mockLunchData });
+    const retried = await handler(
+      {
+        httpMethod: "GET",
+        path: "/",
+        queryStringParameters: { week: "47", year: "2026" },
+      },
+      mockContext,
+    );
+    expect(injectedWeekNav(retried.body).prev.available).toBe(true);
+  });
+});
+
+describe("Restaurant status", () => {
+  const hoursAgo = (h) => new Date(Date.now() - h * 3600 * 1000).toISOString();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    readFileSync.mockReturnValue(mockHtmlTemplate);
+    getCachedLunchData.mockImplementation(async (name, week) => {
+      if (week !== 47) return null;
+      switch (name) {
+        case "Niagara":
+          return { lunches: mockLunchData, cachedAt: hoursAgo(2) };
+        case "Spill":
+          return { lunches: mockLunchData, cachedAt: hoursAgo(100) };
+        case "Varv":
+          return {
+            lunches: mockLunchData,
+            cachedAt: hoursAgo(100),
+            lastCollection: { status: "unchanged", at: hoursAgo(3) },
+          };
+        case "Kontrast":
+          return {
+            lunches: mockLunchData,
+            cachedAt: hoursAgo(26),
+            lastCollection: { status: "failed", error: "HTTP 503" },
+          };
+        case "P2":
+          return { lastCollection: { status: "failed", error: "Timeout" } };
+        case "COMO":
+          return {
+            lunches: mockLunchData,
+            cachedAt: hoursAgo(30),
+            lastCollection: {
+              status: "rejected",
+              error: "1 veckodagar, brukar vara 5",
+            },
+          };
+        case "Ubåtshallen":
+          return {
+            lastCollection: { status: "closed" },
+            closure: {
+              closed: true,
+              reason: "sommaruppehåll",
+              from: "2026-07-13",
+              to: "2026-08-09",
+              reopens: null,
+            },
+          };
+        case "Taste":
+          throw new Error("DynamoDB unavailable");
+        default:
+          return null;
+      }
+    });
+  });
+
+  function statusById(metadata) {
+    return Object.fromEntries(
+      metadata.restaurantStatus.map((s) => [s.id, s]),
+    );
+  }
+
+  it("injects the metadata block with per-restaurant status into the page", async () => {
+    const result = await handler(
+      {
+        httpMethod: "GET",
+        path: "/",
+        queryStringParameters: { week: "47", year: "2026" },
+      },
+      mockContext,
+    );
+
+    const metadata = JSON.parse(
+      result.body.match(/const cacheMetadata = (.*);/)[1],
+    );
+    expect(metadata).toMatchObject({ cacheWeek: 47, cacheYear: 2026 });
+    expect(metadata.nextWorkingDay).toEqual({
+      date: expect.any(String),
+      weekday: expect.any(String),
+      week: expect.any(Number),
+      year: expect.any(Number),
+    });
+
+    const status = statusById(metadata);
+    expect(status.niagara).toMatchObject({
+      status: "ok",
+      lunchCount: 3,
+      url: "https://restaurangniagara.se/lunch/#lunch",
+    });
+    expect(status.spill.status).toBe("stale");
+    expect(status.kontrast).toMatchObject({
+      status: "failed",
+      lastCollection: { status: "failed" },
+    });
+    expect(status.p2).toMatchObject({
+      status: "missing",
+      cachedAt: null,
+      lastCollection: { status: "failed", error: "Timeout" },
+    });
+    // Output rejected as deviating from previous weeks counts as failed
+    expect(status.como).toMatchObject({
+      status: "failed",
+      lastCollection: { status: "rejected" },
+    });
+    expect(status.taste.status).toBe("unknown");
+    // An unchanged page found this morning keeps old lunches fresh
+    expect(status.varv).toMatchObject({
+      status: "ok",
+      lastCollection: { status: "unchanged" },
+    });
+    expect(status["ubåtshallen"]).toMatchObject({
+      status: "closed",
+      closure: { label: "Stängt v.29–32: sommaruppehåll" },
+    });
+    expect(status.niagara.closure).toBeUndefined();
+  });
+
+  it("includes the status in JSON API metadata", async () => {
+    const result = await handler(
+      {
+        httpMethod: "GET",
+        path: "/api/lunches",
+        queryStringParameters: { week: "47", year: "2026" },
+      },
+      mockContext,
+    );
+
+    const status = statusById(JSON.parse(result.body).metadata);
+    expect(status.niagara.cachedAt).toEqual(expect.any(String));
+    expect(status.p2.status).toBe("missing");
+  });
+});
+
+describe("Status page", () => {
+  const runs = [
+    {
+      startedAt: "2026-03-03T08:00:00.000Z",
+      duration: 5100,
+      trigger: "scheduled",
+      success: true,
+      totals: { restaurants: 2, successful: 1, failed: 1, lunches: 5 },
+      restaurants: [
+        { id: "niagara", name: "Niagara", success: true, lunchCount: 5 },
+        {
+          id: "kontrast",
+          name: "Kontrast",
+          success: false,
+          lunchCount: 0,
+          error: "Unexpected <table> layout",
+        },
+      ],
+    },
+    {
+      startedAt: "2026-03-02T08:00:00.000Z",
+      duration: 4800,
+      trigger: "scheduled",
+      success: true,
+      totals: { restaurants: 2, successful: 2, failed: 0, lunches: 10 },
+      restaurants: [
+        { id: "niagara", name: "Niagara", success: true, lunchCount: 5 },
+        { id: "kontrast", name: "Kontrast", success: true, lunchCount: 5 },
+      ],
+    },
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("lists recent runs with a sparkline per restaurant", async () => {
+    getRecentCollectionRuns.mockResolvedValue(runs);
+
+    const result = await handler(
+      { httpMethod: "GET", path: "/status", queryStringParameters: null },
+      mockContext,
+    );
+
+    expect(result.statusCode).toBe(200);
+    expect(result.headers["Content-Type"]).toBe("text/html; charset=utf-8");
+    expect(getRecentCollectionRuns).toHaveBeenCalledWith(20);
+    expect(getCachedLunchData).not.toHaveBeenCalled();
+
+    expect(result.body).toContain('aria-label="Kontrast: 50% lyckade körningar"');
+    expect(result.body).toContain('aria-label="Niagara: 100% lyckade körningar"');
+    expect(result.body.match(/<svg class="sparkline"/g)).toHaveLength(2);
+    // Error messages from menu pages are escaped
+    expect(result.body).toContain("Unexpected &lt;table&gt; layout");
+    expect(result.body).not.toContain("<table> layout");
+  });
+
+  it("shows parser output that deviates from previous weeks", async () => {
+    const drift = {
+      status: "suspicious",
+      anomalies: ["medianpris 12 kr, brukar vara 125 kr"],
+      rejected: true,
+    };
+    getRecentCollectionRuns.mockResolvedValue([
+      {
+        ...runs[0],
+        restaurants: [
+          { ...runs[0].restaurants[0], drift },
+          runs[0].restaurants[1],
+        ],
+      },
+      runs[1],
+    ]);
+
+    const result = await handler(
+      { path: "/status", queryStringParameters: null },
+      mockContext,
+    );
+
+    expect(result.body).toContain("<th>Avvikelser</th>");
+    expect(result.body).toContain(
+      '<td class="warning">medianpris 12 kr, brukar vara 125 kr (tidigare data behölls)',
+    );
+    expect(result.body).toContain(
+      "<strong>Niagara</strong>: avviker: medianpris 12 kr, brukar vara 125 kr (tidigare data behölls)",
+    );
+  });
+
+  it("shows which restaurants are paused by their circuit breaker", async () => {
+    getRecentCollectionRuns.mockResolvedValue(runs);
+    getCircuitBreakers.mockResolvedValueOnce({
+      kontrast: {
+        restaurantId: "kontrast",
+        state: "open",
+        failureCount: 4,
+        openedAt: Date.parse("2026-03-03T08:01:00Z"),
+        nextAttemptTime: Date.parse("2026-03-05T04:01:00Z"),
+        openCount: 2,
+        probeCount: 1,
+      },
+      niagara: { restaurantId: "niagara", state: "closed", failureCount: 1 },
+    });
+
+    const result = await handler(
+      { path: "/status", queryStringParameters: null },
+      mockContext,
+    );
+
+    expect(getCircuitBreakers).toHaveBeenCalledWith(["kontrast", "niagara"]);
+    expect(result.body).toContain("<th>Spärr</th>");
+    expect(result.body).toContain(
+      '<td class="warning">pausad sedan 2026-03-03 09:01, 1 misslyckade försök, nästa försök 2026-03-05 05:01</td>',
+    );
+    expect(result.body).toContain(
+      '<td class="warning">1 misslyckade körningar i rad</td>',
+    );
+  });
+
+  it("shows the status page without breaker state it cannot read", async () => {
+    getRecentCollectionRuns.mockResolvedValue(runs);
+    getCircuitBreakers.mockRejectedValueOnce(new Error("Throttled"));
+
+    const result = await handler(
+      { path: "/status", queryStringParameters: null },
+      mockContext,
+    );
+
+    expect(result.statusCode).toBe(200);
+    expect(result.body).toContain("<th>Spärr</th>");
+  });
+
+  it("summarizes validation per restaurant and links to the report", async () => {
+    getRecentCollectionRuns.mockResolvedValue([
+      {
+        ...runs[0],
+        restaurants: [
+          {
+            ...runs[0].restaurants[0],
+            invalidCount: 6,
+            validation: {
+              rules: { weekday: 5, price: 1 },
+              rejected: [],
+              zeroPrices: 5,
+            },
+          },
+          runs[0].restaurants[1],
+        ],
+      },
+      runs[1],
+    ]);
+
+    const result = await handler(
+      { path: "/status", queryStringParameters: null },
+      mockContext,
+    );
+
+    expect(result.body).toContain("<th>Validering</th>");
+    expect(result.body).toContain(
+      '<a href="/status?restaurant=niagara">Niagara</a>',
+    );
+    expect(result.body).toContain(
+      '<td class="warning">6 avvisade (veckodag 5, pris 1); alla priser 0</td>',
+    );
+  });
+
+  it("shows a restaurant's rejected lunches with their reasons", async () => {
+    getRecentCollectionRuns.mockResolvedValue([
+      {
+        ...runs[0],
+        restaurants: [
+          runs[0].restaurants[0],
+          {
+            id: "varv",
+            name: "Varv",
+            success: true,
+            lunchCount: 10,
+            invalidCount: 12,
+            validation: {
+              rules: { weekday: 12 },
+              rejected: [
+                {
+                  index: 10,
+                  name: "Brunch <3",
+                  weekday: "lördag",
+                  price: 195,
+                  week: 12,
+                  errors: ["Weekday must be a valid Swedish weekday"],
+                },
+              ],
+              zeroPrices: 0,
+            },
+          },
+        ],
+      },
+      runs[1],
+    ]);
+
+    const result = await handler(
+      { path: "/status", queryStringParameters: { restaurant: "varv" } },
+      mockContext,
+    );
+
+    expect(result.statusCode).toBe(200);
+    expect(result.body).toContain("<h2>Varv</h2>");
+    expect(result.body).toContain(
+      "<li>#10 Brunch &lt;3 (lördag, 195 kr, v.12): Weekday must be a valid Swedish weekday</li><li>… och 11 till</li>",
+    );
+    expect(result.body).toContain("12 avvisade (veckodag 12)");
+    // The older run has no entry for Varv
+    expect(result.body.match(/<tr class="">/g)).toHaveLength(1);
+  });
+
+  it("answers 404 for an unknown restaurant", async () => {
+    const result = await handler(
+      { path: "/status", queryStringParameters: { restaurant: "<nope>" } },
+      mockContext,
+    );
+
+    expect(result.statusCode).toBe(404);
+    expect(result.body).toContain("Okänd restaurang: &lt;nope&gt;");
+    expect(getRecentCollectionRuns).not.toHaveBeenCalled();
+  });
+
+  it("honours ?limit= within bounds", async () => {
+    getRecentCollectionRuns.mockResolvedValue([]);
+
+    await handler(
+      { path: "/status", queryStringParameters: { limit: "5" } },
+      mockContext,
+    );
+    expect(getRecentCollectionRuns).toHaveBeenLastCalledWith(5);
+
+    await handler(
+      { path: "/status", queryStringParameters: { limit: "5000" } },
+      mockContext,
+    );
+    expect(getRecentCollectionRuns).toHaveBeenLastCalledWith(100);
+
+    const result = await handler(
+      { path: "/status", queryStringParameters: { limit: "abc" } },
+      mockContext,
+    );
+    expect(getRecentCollectionRuns).toHaveBeenLastCalledWith(20);
+    expect(result.body).toContain("Inga insamlingar registrerade ännu.");
+  });
+
+  it("returns an error page when the history cannot be read", async () => {
+    getRecentCollectionRuns.mockRejectedValue(new Error("Throttled"));
+
+    const result = await handler(
+      { path: "/status", queryStringParameters: null },
+      mockContext,
+    );
+
+    expect(result.statusCode).toBe(500);
+    expect(result.body).toContain("Throttled");
+  });
+});
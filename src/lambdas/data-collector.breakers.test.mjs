@@ -0,0 +1,96 @@
+/**
+ * Circuit breakers in the data collector: state saved by earlier runs is
+ * restored before parsing and saved again afterwards, and a manual
+ * invocation can reset a restaurant's breaker
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { getFactory } from "./data-collector.test-helpers.mjs";
+
+const savedBreaker = {
+  pk: "breaker#kontrast",
+  restaurantId: "kontrast",
+  state: "open",
+  failureCount: 3,
+  openedAt: 1760860800000,
+  nextAttemptTime: 1760932800000,
+  openCount: 1,
+  probeCount: 0,
+};
+
+vi.mock("../parsers/parser-factory.mjs", async () =>
+  (await import("./data-collector.test-helpers.mjs")).mockParserFactory({
+    getCircuitBreakerState: (id) =>
+      id === "kontrast" ? { state: "open", failureCount: 3 } : null,
+  }),
+);
+
+vi.mock("../lib/cache-manager.mjs", async () =>
+  (await import("./data-collector.test-helpers.mjs")).mockCacheManager({
+    getCircuitBreakers: vi.fn(async () => ({ kontrast: savedBreaker })),
+  }),
+);
+
+const { deleteCircuitBreaker, getCircuitBreakers, saveCircuitBreaker } =
+  await import("../lib/cache-manager.mjs");
+const { handler } = await import("./data-collector.mjs");
+
+const mockContext = { awsRequestId: "breakers-test" };
+
+describe("Circuit breakers in the data collector", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("restores saved breakers before parsing and saves them afterwards", async () => {
+    const response = await handler({}, mockContext);
+    const factory = getFactory();
+
+    expect(response.statusCode).toBe(200);
+    expect(getCircuitBreakers.mock.calls[0][0]).toContain("kontrast");
+    expect(factory.restoreCircuitBreaker).toHaveBeenCalledWith(
+      "kontrast",
+      savedBreaker,
+    );
+    const [restored] = factory.restoreCircuitBreaker.mock.invocationCallOrder;
+    const [executed] = factory.executeAllParsers.mock.invocationCallOrder;
+    expect(restored).toBeLessThan(executed);
+
+    expect(saveCircuitBreaker).toHaveBeenCalledTimes(1);
+    expect(saveCircuitBreaker).toHaveBeenCalledWith("kontrast", {
+      state: "open",
+      failureCount: 3,
+    });
+    expect(deleteCircuitBreaker).not.toHaveBeenCalled();
+  });
+
+  it("resets the breakers named in the event", async () => {
+    await handler(
+      { resetCircuitBreakers: ["kontrast", "no-such-restaurant"] },
+      mockContext,
+    );
+
+    expect(deleteCircuitBreaker).toHaveBeenCalledTimes(1);
+    expect(deleteCircuitBreaker).toHaveBeenCalledWith("kontrast");
+    expect(getCircuitBreakers.mock.calls[0][0]).not.toContain("kontrast");
+  });
+
+  it("collects with closed breakers when the saved state cannot be read", async () => {
+    getCircuitBreakers.mockRejectedValueOnce(new Error("Throttled"));
+
+    const response = await handler({}, mockContext);
+    const factory = getFactory();
+
+    expect(response.statusCode).toBe(200);
+    expect(factory.restoreCircuitBreaker).not.toHaveBeenCalled();
+    expect(factory.executeAllParsers).toHaveBeenCalledTimes(1);
+  });
+
+  it("finishes the run when a breaker cannot be saved", async () => {
+    saveCircuitBreaker.mockRejectedValueOnce(new Error("Throttled"));
+
+    const response = await handler({}, mockContext);
+
+    expect(response.statusCode).toBe(200);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Closures in the data collector: a parser's closure notice is stored with
+ * the week instead of counting as a failed collection
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { parserResults } from "./data-collector.test-helpers.mjs";
+import { getISOWeekInfo } from "../lib/date-utils.mjs";
+
+const { week, year } = getISOWeekInfo();
+
+const closure = {
+  closed: true,
+  reason: "sommarpaus",
+  from: "2026-07-13",
+  to: "2026-08-02",
+  reopens: null,
+};
+
+vi.mock("../parsers/parser-factory.mjs", async () =>
+  (await import("./data-collector.test-helpers.mjs")).mockParserFactory(),
+);
+
+vi.mock("../lib/cache-manager.mjs", async () =>
+  (await import("./data-collector.test-helpers.mjs")).mockCacheManager(),
+);
+
+const {
+  cacheLunchData,
+  getRestaurantCache,
+  recordCollectionOutcome,
+  saveCollectionRun,
+} = await import("../lib/cache-manager.mjs");
+const { handler } = await import("./data-collector.mjs");
+
+const mockContext = { awsRequestId: "closure-test" };
+
+describe("Closures in the data collector", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    parserResults.length = 0;
+    parserResults.push(
+      {
+        success: true,
+        restaurant: "Ubåtshallen",
+        lunches: [],
+        closure,
+        metadata: { validCount: 0, invalidCount: 0 },
+      },
+      {
+        success: true,
+        restaurant: "Niagara",
+        lunches: [],
+        metadata: { validCount: 0, invalidCount: 0 },
+      },
+    );
+  });
+
+  it("stores the notice and does not count it as a failure", async () => {
+    const response = await handler({}, mockContext);
+    const body = JSON.parse(response.body);
+
+    expect(recordCollectionOutcome).toHaveBeenCalledWith(
+      "Ubåtshallen",
+      week,
+      { status: "closed", closure },
+      year,
+    );
+    expect(recordCollectionOutcome).toHaveBeenCalledWith(
+      "Niagara",
+      week,
+      { status: "empty" },
+      year,
+    );
+    expect(cacheLunchData).not.toHaveBeenCalled();
+    expect(body.stats.caching).toMatchObject({ failed: 1, closed: 1 });
+    expect(body.stats.parsing.closed).toBe(1);
+    expect(body.results[0]).toMatchObject({ success: true, closed: true });
+  });
+
+  it("keeps closures out of drift checks and keeps the notice in the run record", async () => {
+    await handler({}, mockContext);
+
+    expect(getRestaurantCache).not.toHaveBeenCalled();
+    const run = saveCollectionRun.mock.calls[0][0];
+    expect(run.totals).toMatchObject({ successful: 2, failed: 0, closed: 1 });
+    expect(run.restaurants[0].closure).toBe("Stängt v.29–31: sommarpaus");
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Drift checks in the data collector: every result is compared with the
+ * restaurant's previous cached weeks before it is cached
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { getISOWeekInfo } from "../lib/date-utils.mjs";
+import { profileLunches } from "../lib/drift-detector.mjs";
+import { parserResults } from "./data-collector.test-helpers.mjs";
+
+const { week, year } = getISOWeekInfo();
+const WEEKDAYS = ["måndag", "tisdag", "onsdag", "torsdag", "fredag"];
+
+function lunches(price) {
+  return WEEKDAYS.flatMap((weekday) =>
+    ["Pannbiff", "Fiskgratäng", "Pasta"].map((name) => ({
+      name,
+      description: "",
+      price,
+      weekday,
+      week,
+      place: "Niagara",
+    })),
+  );
+}
+
+vi.mock("../parsers/parser-factory.mjs", async () =>
+  (await import("./data-collector.test-helpers.mjs")).mockParserFactory(),
+);
+
+// The lunches are for the current week, which may hold a holiday
+vi.mock("../lib/swedish-holidays.mjs", () => ({ getHoliday: () => null }));
+
+vi.mock("../lib/cache-manager.mjs", async () =>
+  (await import("./data-collector.test-helpers.mjs")).mockCacheManager(),
+);
+
+const {
+  cacheLunchData,
+  getCachedLunchData,
+  getRestaurantCache,
+  recordCollectionOutcome,
+  saveCollectionRun,
+  saveFetchValidators,
+} = await import("../lib/cache-manager.mjs");
+const { handler } = await import("./data-collector.mjs");
+
+const mockContext = { awsRequestId: "drift-test" };
+
+// Three previous weeks at the usual prices
+const previousWeeks = [1, 2, 3].map((offset) => ({
+  week: week - offset,
+  year,
+  lunches: lunches(125),
+  metadata: { profile: profileLunches(lunches(125)) },
+}));
+
+async function collect() {
+  const response = await handler({}, mockContext);
+  return {
+    body: JSON.parse(response.body),
+    run: saveCollectionRun.mock.calls[0][0],
+  };
+}
+
+describe("Parser drift checks", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    parserResults.length = 0;
+    parserResults.push({
+      success: true,
+      restaurant: "Niagara",
+      // A wrong number taken for the price
+      lunches: lunches(12),
+      metadata: { validCount: 15, invalidCount: 0 },
+    });
+    getRestaurantCache.mockResolvedValue(previousWeeks);
+    getCachedLunchData.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    delete process.env.DRIFT_MODE;
+  });
+
+  it("flags suspicious output and still caches it by default", async () => {
+    const { body, run } = await collect();
+
+    expect(getRestaurantCache).toHaveBeenCalledWith("Niagara", 7);
+    expect(cacheLunchData).toHaveBeenCalledTimes(1);
+    const metadata = cacheLunchData.mock.calls[0][3];
+    expect(metadata.profile).toMatchObject({ dishCount: 15, medianPrice: 12 });
+    expect(metadata.drift).toMatchObject({
+      status: "suspicious",
+      anomalies: [{ check: "medianPrice", value: 12, baseline: 125 }],
+      baselineWeeks: 3,
+    });
+
+    expect(body.stats.drift.suspicious).toBe(1);
+    expect(run.totals).toMatchObject({ suspicious: 1, rejected: 0 });
+    expect(run.restaurants[0].drift).toEqual({
+      status: "suspicious",
+      anomalies: ["medianpris 12 kr, brukar vara 125 kr"],
+      rejected: false,
+    });
+  });
+
+  it("keeps a cached week over suspicious output in protect mode", async () => {
+    process.env.DRIFT_MODE = "protect";
+    getCachedLunchData.mockResolvedValue({ lunches: lunches(125) });
+
+    const { body, run } = await collect();
+
+    expect(cacheLunchData).not.toHaveBeenCalled();
+    expect(recordCollectionOutcome).toHaveBeenCalledWith(
+      "Niagara",
+      week,
+      { status: "rejected", error: "medianpris 12 kr, brukar vara 125 kr" },
+      year,
+    );
+    expect(body.stats.caching).toMatchObject({ successful: 0, rejected: 1 });
+    expect(run.totals.rejected).toBe(1);
+    expect(run.restaurants[0].drift.rejected).toBe(true);
+  });
+
+  it("does not store validators of a page whose week was kept", async () => {
+    process.env.DRIFT_MODE = "protect";
+    const otherWeek = week === 1 ? 2 : week - 1;
+    parserResults[0].lunches = [
+      ...lunches(12),
+      ...lunches(12).map((lunch) => ({ ...lunch, week: otherWeek })),
+    ];
+    parserResults[0].validators = {
+      url: "https://www.niagara.se/lunch/",
+      etag: '"v2"',
+    };
+    getCachedLunchData.mockImplementation(async (restaurant, cachedWeek) =>
+      cachedWeek === week ? { lunches: lunches(125) } : null,
+    );
+
+    const { body } = await collect();
+
+    expect(cacheLunchData).toHaveBeenCalledTimes(1);
+    expect(cacheLunchData.mock.calls[0][1]).toBe(otherWeek);
+    expect(body.stats.caching).toMatchObject({ successful: 1, rejected: 0 });
+    expect(saveFetchValidators).not.toHaveBeenCalled();
+  });
+
+  it("caches suspicious output for a week with nothing to protect", async () => {
+    process.env.DRIFT_MODE = "protect";
+
+    await collect();
+
+    expect(getCachedLunchData).toHaveBeenCalledWith("Niagara", week, year);
+    expect(cacheLunchData).toHaveBeenCalledTimes(1);
+    expect(recordCollectionOutcome).not.toHaveBeenCalled();
+  });
+
+  it("caches output that matches previous weeks", async () => {
+    process.env.DRIFT_MODE = "protect";
+    parserResults[0].lunches = lunches(129);
+
+    const { run } = await collect();
+
+    expect(getCachedLunchData).not.toHaveBeenCalled();
+    expect(cacheLunchData.mock.calls[0][3].drift.status).toBe("ok");
+    expect(run.totals.suspicious).toBe(0);
+  });
+
+  it("caches unchecked output when the baseline can't be read", async () => {
+    getRestaurantCache.mockRejectedValue(new Error("Throttled"));
+
+    const { body } = await collect();
+
+    expect(body.success).toBe(true);
+    const metadata = cacheLunchData.mock.calls[0][3];
+    expect(metadata.profile.dishCount).toBe(15);
+    expect(metadata.drift).toBeUndefined();
+  });
+});
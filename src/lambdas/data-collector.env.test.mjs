@@ -1,5 +1,8 @@
 import { describe, expect, it, beforeEach, afterEach } from "vitest";
-import { resolveCacheConfig } from "./data-collector.mjs";
+import {
+  resolveCacheConfig,
+  resolveDriftConfig,
+} from "./data-collector.mjs";
 
 const ORIGINAL_ENV = { ...process.env };
 
@@ -42,3 +45,35 @@ describe("resolveCacheConfig", () => {
     expect(config.tableName).toBe("lunch-data");
   });
 });
+
+describe("resolveDriftConfig", () => {
+  afterEach(() => {
+    Object.keys(process.env).forEach((key) => delete process.env[key]);
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  it("only flags drift against four weeks by default", () => {
+    delete process.env.DRIFT_MODE;
+    delete process.env.DRIFT_BASELINE_WEEKS;
+
+    expect(resolveDriftConfig()).toEqual({ mode: "flag", baselineWeeks: 4 });
+  });
+
+  it("reads the mode and baseline from the environment", () => {
+    process.env.DRIFT_MODE = "protect";
+    process.env.DRIFT_BASELINE_WEEKS = "6";
+
+    expect(resolveDriftConfig()).toEqual({
+      mode: "protect",
+      baselineWeeks: 6,
+    });
+  });
+
+  it("rejects an unknown mode", () => {
+    process.env.DRIFT_MODE = "block";
+
+    expect(() => resolveDriftConfig()).toThrow(
+      'DRIFT_MODE must be one of flag, protect, got "block"',
+    );
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Holidays in the data collector: lunches on holidays and eves are dropped
+ * before caching, and lunches on klämdagar are marked
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { profileLunches } from "../lib/drift-detector.mjs";
+import { parserResults } from "./data-collector.test-helpers.mjs";
+
+const WEEKDAYS = ["måndag", "tisdag", "onsdag", "torsdag", "fredag"];
+
+function lunches(week, year = 2026) {
+  return WEEKDAYS.map((weekday) => ({
+    name: "Pannbiff",
+    description: "",
+    price: 125,
+    weekday,
+    week,
+    year,
+    place: "Niagara",
+  }));
+}
+
+const openOnHolidays = new Set();
+
+vi.mock("../parsers/parser-factory.mjs", async () =>
+  (await import("./data-collector.test-helpers.mjs")).mockParserFactory(),
+);
+
+vi.mock("../lib/restaurant-registry.mjs", async (importOriginal) => {
+  const registry = await importOriginal();
+  return {
+    ...registry,
+    findRestaurant: (key) => {
+      const restaurant = registry.findRestaurant(key);
+      return restaurant && openOnHolidays.has(restaurant.name)
+        ? { ...restaurant, openOnHolidays: true }
+        : restaurant;
+    },
+  };
+});
+
+vi.mock("../lib/cache-manager.mjs", async () =>
+  (await import("./data-collector.test-helpers.mjs")).mockCacheManager(),
+);
+
+const { cacheLunchData, getRestaurantCache, recordCollectionOutcome } =
+  await import(
+  "../lib/cache-manager.mjs"
+);
+const { handler } = await import("./data-collector.mjs");
+
+const mockContext = { awsRequestId: "holiday-test" };
+
+async function collect(week, year) {
+  parserResults.push({
+    success: true,
+    restaurant: "Niagara",
+    lunches: lunches(week, year),
+    metadata: { validCount: 5, invalidCount: 0 },
+  });
+  const response = await handler({}, mockContext);
+  return {
+    body: JSON.parse(response.body),
+    cached: cacheLunchData.mock.calls[0][2],
+  };
+}
+
+describe("Holidays in the data collector", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    parserResults.length = 0;
+    openOnHolidays.clear();
+  });
+
+  it("drops lunches on midsommarafton", async () => {
+    const { body, cached } = await collect(25);
+
+    expect(cached.map((l) => l.weekday)).toEqual(WEEKDAYS.slice(0, 4));
+    expect(body.stats.lunches.droppedOnHolidays).toBe(1);
+  });
+
+  it("keeps and marks lunches on a klämdag", async () => {
+    const { body, cached } = await collect(20);
+
+    // Kristi himmelfärdsdag on the Thursday, klämdag on the Friday
+    expect(cached.map((l) => l.weekday)).toEqual([
+      "måndag",
+      "tisdag",
+      "onsdag",
+      "fredag",
+    ]);
+    expect(cached[3].holiday).toBe("Klämdag");
+    expect(cached[0].holiday).toBeUndefined();
+    expect(body.stats.lunches.droppedOnHolidays).toBe(1);
+  });
+
+  it("keeps holiday lunches for restaurants open on holidays", async () => {
+    openOnHolidays.add("Niagara");
+
+    const { body, cached } = await collect(25);
+
+    expect(cached).toHaveLength(5);
+    expect(cached[4].holiday).toBe("Midsommarafton");
+    expect(body.stats.lunches.droppedOnHolidays).toBe(0);
+  });
+
+  it("does not count a week's holidays against its weekday coverage", async () => {
+    getRestaurantCache.mockResolvedValueOnce(
+      [49, 48, 47].map((week) => ({
+        week,
+        year: 2025,
+        lunches: lunches(week, 2025),
+        metadata: { profile: profileLunches(lunches(week, 2025)) },
+      })),
+    );
+
+    // Julafton, juldagen and annandag jul on Wednesday to Friday
+    const { body, cached } = await collect(52, 2025);
+
+    expect(cached.map((l) => l.weekday)).toEqual(["måndag", "tisdag"]);
+    expect(body.stats.drift.suspicious).toBe(0);
+    expect(cacheLunchData.mock.calls[0][3].drift).toMatchObject({
+      status: "ok",
+      baselineWeeks: 3,
+    });
+  });
+
+  it("skips a menu of holidays only rather than failing it", async () => {
+    parserResults.push({
+      success: true,
+      restaurant: "Niagara",
+      lunches: lunches(52, 2025).slice(2),
+      metadata: { validCount: 3, invalidCount: 0 },
+    });
+
+    const response = await handler({}, mockContext);
+    const { stats } = JSON.parse(response.body);
+
+    expect(cacheLunchData).not.toHaveBeenCalled();
+    expect(stats.caching).toMatchObject({ failed: 0, holidays: 1 });
+    expect(stats.lunches.droppedOnHolidays).toBe(3);
+    expect(recordCollectionOutcome).toHaveBeenCalledWith(
+      "Niagara",
+      expect.any(Number),
+      { status: "holiday" },
+      expect.any(Number),
+    );
+  });
+});
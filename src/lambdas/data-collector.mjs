@@ -4,162 +4,41 @@
  */
 
 import { ParserFactory } from "../parsers/parser-factory.mjs";
-import { cacheLunchData } from "../lib/cache-manager.mjs";
+import {
+  cacheLunchData,
+  deleteCircuitBreaker,
+  getCachedLunchData,
+  getCircuitBreakers,
+  getFetchValidators,
+  getRestaurantCache,
+  recordCollectionOutcome,
+  saveCircuitBreaker,
+  saveCollectionRun,
+  saveFetchValidators,
+} from "../lib/cache-manager.mjs";
 import { createRestaurantLogger } from "../lib/enhanced-logger.mjs";
-
-// Restaurant configurations
-const RESTAURANT_CONFIGS = [
-  {
-    id: "niagara",
-    name: "Niagara",
-    parser: "niagara",
-    url: "https://restaurangniagara.se/lunch/",
-    active: true,
-  },
-  {
-    id: "spill",
-    name: "Spill",
-    parser: "spill",
-    url: "https://www.restaurangspill.se/",
-    active: true,
-  },
-  {
-    id: "kontrast",
-    name: "Kontrast",
-    parser: "kontrast",
-    url: "https://www.kontrastrestaurang.se/vastra-hamnen/",
-    active: true,
-  },
-  {
-    id: "p2",
-    name: "P2",
-    parser: "p2",
-    url: "https://restaurangp2.se/",
-    active: true,
-  },
-  {
-    id: "taste",
-    name: "Taste",
-    parser: "taste",
-    url: "https://www.nordrest.se/restaurang/taste-by-nordrest-malmo/",
-    active: true,
-  },
-  {
-    id: "varv",
-    name: "Varv",
-    parser: "varv",
-    url: "https://varvmalmo.com/menu",
-    active: true,
-  },
-  {
-    id: "fonderie",
-    name: "La Fonderie",
-    parser: "fonderie",
-    url: "https://www.lafonderie.se/lunch",
-    active: true,
-  },
-  {
-    id: "laziza",
-    name: "Laziza",
-    parser: "laziza",
-    url: "https://www.laziza.se/lunch/",
-    active: true,
-  },
-  {
-    id: "kockum",
-    name: "Kockum Fritid",
-    parser: "kockum",
-    url: "https://www.freda49.se/lunch-malmo.html",
-    active: true,
-  },
-  {
-    id: "ubåtshallen",
-    name: "Ubåtshallen",
-    parser: "ubatshallen",
-    url: "https://www.ubatshallen.se/modern-svensk-husmanskost/",
-    active: true,
-  },
-  {
-    id: "miamarias",
-    name: "MiaMarias",
-    parser: "miamarias",
-    url: "https://miamarias.nu/lunch/",
-    active: true,
-  },
-  {
-    id: "ica",
-    name: "ICA Maxi",
-    parser: "ica",
-    url: "https://www.ica.se/butiker/maxi/malmo/maxi-ica-stormarknad-vastra-hamnen-1003569/tjanster/dagens-lunch/",
-    active: true,
-  },
-  {
-    id: "lokal17",
-    name: "Lokal 17",
-    parser: "lokal17",
-    url: "https://lokal17.se/",
-    active: true,
-  },
-  {
-    id: "como",
-    name: "COMO",
-    parser: "como",
-    url: "https://comomalmo.se/",
-    active: true,
-  },
-  {
-    id: "papi",
-    name: "PAPI",
-    parser: "papi",
-    url: "https://www.papisaluhallen.se/",
-    active: true,
-  },
-  {
-    id: "holygreens",
-    name: "Holy Greens",
-    parser: "holygreens",
-    url: "https://holygreens.se/meny/",
-    active: true,
-  },
-  {
-    id: "smak",
-    name: "SMAK",
-    parser: "smak",
-    url: "https://smak.gastrogate.com/lunch/",
-    active: true,
-  },
-  {
-    id: "kolga",
-    name: "Kolga",
-    parser: "kolga",
-    url: "https://kolga.gastrogate.com/lunch/",
-    active: true,
-  },
-  {
-    id: "kitchen961",
-    name: "Kitchen961",
-    parser: "kitchen961",
-    url: "https://kitchen961.se/lunchen/",
-    active: true,
-  },
-  {
-    id: "frilaget",
-    name: "Friläget",
-    parser: "frilaget",
-    url: "https://frilaget.gastrogate.com/lunch/",
-    active: true,
-  },
-  {
-    id: "hamnochpeppar",
-    name: "Hamn o Peppar",
-    parser: "hamnochpeppar",
-    url: "https://hamnochpeppar.gastrogate.com/lunch/",
-    active: true,
-  },
-];
+import { RESTAURANTS, findRestaurant } from "../lib/restaurant-registry.mjs";
+import { buildRunRecord, countErrorCodes } from "../lib/run-history.mjs";
+import {
+  getISOWeekDates,
+  getISOWeekInfo,
+  getWeekYearForWeek,
+} from "../lib/date-utils.mjs";
+import { getHoliday } from "../lib/swedish-holidays.mjs";
+import {
+  DRIFT_MODES,
+  detectDrift,
+  profileLunches,
+  selectBaselineProfiles,
+} from "../lib/drift-detector.mjs";
+
+const HOUR = 60 * 60 * 1000;
+const WORK_WEEKDAYS = ["måndag", "tisdag", "onsdag", "torsdag", "fredag"];
 
 /**
- * Main Lambda handler for data collection
+ * Main Lambda handler for data collection. A manual invocation with
+ * `{ "resetCircuitBreakers": ["niagara"] }` closes those restaurants'
+ * circuit breakers before collecting.
  */
 export async function handler(event, context) {
   const logger = createRestaurantLogger("DataCollector", {
@@ -168,21 +47,25 @@ export async function handler(event, context) {
   });
 
   const startTime = Date.now();
+  const trigger = detectEventSource(event);
   let results = [];
 
   try {
     await logger.info("Starting data collection", {
-      trigger: detectEventSource(event),
-      restaurantCount: RESTAURANT_CONFIGS.length,
-      activeRestaurants: RESTAURANT_CONFIGS.filter((r) => r.active).length,
+      trigger,
+      restaurantCount: RESTAURANTS.length,
+      activeRestaurants: RESTAURANTS.filter((r) => r.active).length,
     });
 
-    // Initialize parser factory
+    // Initialize parser factory. Breaker state is kept between runs: after
+    // three failed runs in a row a restaurant is probed on the next run,
+    // then every other run and so on, but at least weekly.
     const factory = new ParserFactory({
       circuitBreaker: {
         enabled: true,
         failureThreshold: 3,
-        timeout: 300000, // 5 minutes
+        timeout: 20 * HOUR,
+        maxTimeout: 7 * 24 * HOUR,
         monitoringPeriod: 900000, // 15 minutes
       },
       healthCheck: {
@@ -190,6 +73,9 @@ export async function handler(event, context) {
         interval: 300000,
         timeout: 10000,
       },
+      // Skip parsing pages that have not changed since their lunches were
+      // cached this week
+      loadValidators: (url) => loadFetchValidators(url, logger),
     });
 
     // Register and create parsers for active restaurants
@@ -199,11 +85,25 @@ export async function handler(event, context) {
       throw new Error("No active parsers available");
     }
 
-    // Execute all parsers
-    results = await executeAllParsers(factory, activeParsers, logger);
+    await restoreCircuitBreakers(
+      factory,
+      activeParsers,
+      event.resetCircuitBreakers,
+      logger,
+    );
+
+    // Execute all parsers, caching each result as soon as it is in
+    const driftConfig = resolveDriftConfig();
+    const cacheResults = createCacheResults();
+    results = await executeAllParsers(
+      factory,
+      activeParsers,
+      resolveExecutionConfig(context),
+      (result) => processResult(result, driftConfig, cacheResults, logger),
+      logger,
+    );
 
-    // Process and cache results
-    const cacheResults = await cacheData(results, logger);
+    await persistCircuitBreakers(factory, activeParsers, logger);
 
     // Calculate final statistics
     const stats = calculateStats(results, cacheResults);
@@ -217,6 +117,18 @@ export async function handler(event, context) {
     // Clean up
     factory.destroy();
 
+    await saveRunRecord(
+      {
+        startedAt: new Date(startTime).toISOString(),
+        duration,
+        trigger,
+        requestId: context.awsRequestId,
+        results,
+        stats,
+      },
+      logger,
+    );
+
     return {
       statusCode: 200,
       body: JSON.stringify({
@@ -227,7 +139,10 @@ export async function handler(event, context) {
           restaurant: r.restaurant,
           success: r.success,
           lunchCount: r.lunches.length,
+          closed: Boolean(r.closure),
+          unchanged: Boolean(r.unchanged),
           error: r.error?.message,
+          errorCode: r.error?.code,
         })),
         timestamp: new Date().toISOString(),
       }),
@@ -243,6 +158,18 @@ export async function handler(event, context) {
       error,
     );
 
+    await saveRunRecord(
+      {
+        startedAt: new Date(startTime).toISOString(),
+        duration,
+        trigger,
+        requestId: context.awsRequestId,
+        results,
+        error,
+      },
+      logger,
+    );
+
     return {
       statusCode: 500,
       body: JSON.stringify({
@@ -275,7 +202,7 @@ function detectEventSource(event) {
 async function setupParsers(factory, logger) {
   const activeParsers = [];
 
-  for (const config of RESTAURANT_CONFIGS) {
+  for (const config of RESTAURANTS) {
     if (!config.active) {
       await logger.debug(`Skipping inactive restaurant: ${config.id}`);
       continue;
@@ -311,12 +238,82 @@ async function setupParsers(factory, logger) {
 }
 
 /**
- * Execute all parsers with parallel processing
+ * Restore the circuit breaker state saved by earlier runs. Restaurants in
+ * `resets` have their saved state deleted and start closed; so does every
+ * restaurant when the saved state cannot be read.
  */
-async function executeAllParsers(factory, activeParsers, logger) {
+async function restoreCircuitBreakers(factory, restaurantIds, resets, logger) {
+  const resetIds = Array.isArray(resets)
+    ? resets.filter((id) => restaurantIds.includes(id))
+    : [];
+
+  for (const restaurantId of resetIds) {
+    try {
+      await deleteCircuitBreaker(restaurantId);
+      await logger.info(`Reset circuit breaker: ${restaurantId}`);
+    } catch (error) {
+      await logger.warn(`Could not reset circuit breaker: ${restaurantId}`, {
+        error: error.message,
+      });
+    }
+  }
+
+  try {
+    const saved = await getCircuitBreakers(
+      restaurantIds.filter((id) => !resetIds.includes(id)),
+    );
+    const open = [];
+    for (const [restaurantId, breaker] of Object.entries(saved)) {
+      if (
+        factory.restoreCircuitBreaker(restaurantId, breaker) &&
+        breaker.state !== "closed"
+      ) {
+        open.push(restaurantId);
+      }
+    }
+    await logger.info("Restored circuit breakers", {
+      restored: Object.keys(saved).length,
+      open,
+    });
+  } catch (error) {
+    await logger.warn("Could not load circuit breakers, starting closed", {
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Save each restaurant's circuit breaker state for the next run
+ */
+async function persistCircuitBreakers(factory, restaurantIds, logger) {
+  for (const restaurantId of restaurantIds) {
+    const breaker = factory.getCircuitBreakerState(restaurantId);
+    if (!breaker) continue;
+
+    try {
+      await saveCircuitBreaker(restaurantId, breaker);
+    } catch (error) {
+      await logger.warn(`Could not save circuit breaker: ${restaurantId}`, {
+        error: error.message,
+      });
+    }
+  }
+}
+
+/**
+ * Execute all parsers from the factory's work queue, handing each result
+ * to `onResult` as it comes in
+ */
+async function executeAllParsers(
+  factory,
+  activeParsers,
+  executionConfig,
+  onResult,
+  logger,
+) {
   const options = {
     parallel: true,
-    maxConcurrency: parseInt(process.env.MAX_CONCURRENCY || "3"),
+    ...executionConfig,
     continueOnError: true,
   };
 
@@ -326,7 +323,7 @@ async function executeAllParsers(factory, activeParsers, logger) {
   });
 
   try {
-    const results = await factory.executeAllParsers(options);
+    const results = await factory.executeAllParsers({ ...options, onResult });
 
     // Log execution summary
     const successful = results.filter((r) => r.success).length;
@@ -347,25 +344,156 @@ async function executeAllParsers(factory, activeParsers, logger) {
 }
 
 /**
- * Cache data in DynamoDB
+ * Process one parser result as soon as its parser finishes: drop holiday
+ * lunches, compare with previous weeks, then cache it, so a run cut short
+ * by the Lambda timeout keeps what it collected
  */
-async function cacheData(results, logger) {
-  const cacheResults = {
-    successful: 0,
-    failed: 0,
-    totalItems: 0,
-    errors: [],
-  };
+async function processResult(result, driftConfig, cacheResults, logger) {
+  // Nobody is served lunch on a public holiday, whatever the menu says
+  await applyHolidays([result], logger);
+
+  // Compare results with previous weeks before they overwrite the cache
+  await checkDrift([result], driftConfig, logger);
+
+  await cacheData([result], driftConfig, logger, cacheResults);
+}
+
+/**
+ * Drop lunches on public holidays and holiday eves, which menus that list
+ * every weekday (fixed menus, "hela veckan" dishes) would otherwise serve,
+ * and mark lunches on klämdagar with `holiday`. Restaurants with
+ * `openOnHolidays` keep their holiday lunches, marked the same way. The
+ * number dropped is kept as `result.holidayLunches`, and a result left with
+ * no lunches at all is marked `holidaySkip`.
+ */
+async function applyHolidays(results, logger) {
+  for (const result of results) {
+    if (!result.success || result.lunches.length === 0) continue;
+
+    const openOnHolidays =
+      findRestaurant(result.restaurant)?.openOnHolidays === true;
+    const lunches = [];
+    for (const lunch of result.lunches) {
+      const week = Number(lunch.week) || getISOWeekInfo().week;
+      const year = Number(lunch.year) || getWeekYearForWeek(week);
+      const holiday = getHoliday(getISOWeekDates(week, year)[lunch.weekday]);
+
+      if (!holiday) {
+        lunches.push(lunch);
+      } else if (holiday.type === "bridge" || openOnHolidays) {
+        lunches.push({ ...lunch, holiday: holiday.name });
+      }
+    }
+
+    result.holidayLunches = result.lunches.length - lunches.length;
+    if (result.holidayLunches > 0) {
+      await logger.info(`Dropped holiday lunches for ${result.restaurant}`, {
+        count: result.holidayLunches,
+      });
+    }
+    result.lunches = lunches;
+    result.holidaySkip = lunches.length === 0;
+  }
+}
+
+/**
+ * Compare each successful result with the restaurant's previous cached weeks
+ * and attach the verdict as `result.drift`. Best effort: a result whose
+ * baseline can't be read is cached unchecked.
+ */
+async function checkDrift(results, { baselineWeeks }, logger) {
+  for (const result of results) {
+    if (!result.success || result.lunches.length === 0) continue;
+
+    try {
+      const weekGroups = groupLunchesByWeek(result.lunches);
+      const currentWeeks = new Set(Object.keys(weekGroups));
+      // Fetch a few extra items: the weeks being written and weeks without
+      // lunches are skipped
+      const cacheItems = await getRestaurantCache(
+        result.restaurant,
+        baselineWeeks + currentWeeks.size + 2,
+      );
+      result.drift = detectDrift(
+        result.lunches,
+        selectBaselineProfiles(cacheItems, currentWeeks, baselineWeeks),
+        { holidayWeekdays: countHolidayWeekdays(result, weekGroups) },
+      );
+
+      if (result.drift.status === "suspicious") {
+        await logger.warn(
+          `Parser output for ${result.restaurant} deviates from previous weeks`,
+          { anomalies: result.drift.anomalies.map((a) => a.message) },
+        );
+      }
+    } catch (error) {
+      await logger.warn("Could not check parser drift", {
+        restaurant: result.restaurant,
+        error: error.message,
+      });
+    }
+  }
+}
 
+/**
+ * Count the weekdays a result has no lunches for because of holidays and
+ * eves, which applyHolidays dropped: those off in every week it covers,
+ * none for restaurants open on holidays
+ */
+function countHolidayWeekdays(result, weekGroups) {
+  if (findRestaurant(result.restaurant)?.openOnHolidays === true) return 0;
+
+  const weeks = Object.values(weekGroups);
+  return WORK_WEEKDAYS.filter((weekday) =>
+    weeks.every(({ week, year }) => {
+      const date = getISOWeekDates(week, year)[weekday];
+      const type = getHoliday(date)?.type;
+      return type === "holiday" || type === "eve";
+    }),
+  ).length;
+}
+
+/**
+ * Cache data in DynamoDB. In "protect" drift mode a suspicious result does
+ * not replace lunches already cached for its week; the week keeps its data
+ * and records a "rejected" collection instead. A result whose page has not
+ * changed keeps what is cached and records an "unchanged" collection, and
+ * one whose lunches all fell on holidays records a "holiday" collection.
+ * Counts are added to `cacheResults`.
+ */
+async function cacheData(
+  results,
+  driftConfig,
+  logger,
+  cacheResults = createCacheResults(),
+) {
   for (const result of results) {
+    if (result.unchanged) {
+      cacheResults.unchanged++;
+      await recordFailedCollection(result, logger);
+      continue;
+    }
+
+    if (result.holidaySkip) {
+      cacheResults.holidays++;
+      await recordFailedCollection(result, logger);
+      continue;
+    }
+
     if (!result.success || result.lunches.length === 0) {
-      cacheResults.failed++;
+      if (result.closure) {
+        cacheResults.closed++;
+      } else {
+        cacheResults.failed++;
+      }
       if (result.error) {
         cacheResults.errors.push({
           restaurant: result.restaurant,
           error: result.error.message,
         });
       }
+      await recordFailedCollection(result, logger);
+      if (result.closure) await saveValidators(result, logger);
       continue;
     }
 
@@ -374,20 +502,55 @@ async function cacheData(results, logger) {
         itemCount: result.lunches.length,
       });
 
-      // Group lunches by week for caching
+      // Group lunches by ISO week and week-year for caching
       const weekGroups = groupLunchesByWeek(result.lunches);
+      const metadata = {
+        ...result.metadata,
+        profile: result.drift?.profile || profileLunches(result.lunches),
+        drift: result.drift && {
+          status: result.drift.status,
+          anomalies: result.drift.anomalies,
+          baselineWeeks: result.drift.baselineWeeks,
+        },
+      };
+
+      let rejectedWeeks = 0;
+      for (const { week, year, lunches } of Object.values(weekGroups)) {
+        if (await shouldKeepCachedWeek(result, week, year, driftConfig)) {
+          await recordCollectionOutcome(
+            result.restaurant,
+            week,
+            {
+              status: "rejected",
+              error: result.drift.anomalies.map((a) => a.message).join("; "),
+            },
+            year,
+          );
+          rejectedWeeks++;
+          continue;
+        }
+
+        await cacheLunchData(result.restaurant, week, lunches, metadata, year);
+        cacheResults.totalItems += lunches.length;
+      }
 
-      for (const [week, lunches] of Object.entries(weekGroups)) {
-        await cacheLunchData(
-          result.restaurant,
-          parseInt(week),
-          lunches,
-          result.metadata,
+      if (rejectedWeeks > 0) {
+        result.drift.rejected = true;
+        await logger.warn(
+          `Kept cached lunches for ${result.restaurant} over suspicious output`,
+          { weeks: rejectedWeeks },
         );
-        cacheResults.totalItems += lunches.length;
+      }
+
+      if (rejectedWeeks === Object.keys(weekGroups).length) {
+        cacheResults.rejected++;
+        continue;
       }
 
       cacheResults.successful++;
+      // A kept week was not updated from this page, so the next run must
+      // parse it again rather than skip it as unchanged
+      if (rejectedWeeks === 0) await saveValidators(result, logger);
       await logger.info(`Successfully cached data for ${result.restaurant}`, {
         weeks: Object.keys(weekGroups).length,
         totalLunches: result.lunches.length,
@@ -410,17 +573,146 @@ async function cacheData(results, logger) {
 }
 
 /**
- * Group lunches by week number
+ * Empty caching counts, added to by cacheData as results come in
  */
-function groupLunchesByWeek(lunches) {
+function createCacheResults() {
+  return {
+    successful: 0,
+    failed: 0,
+    rejected: 0,
+    closed: 0,
+    unchanged: 0,
+    holidays: 0,
+    totalItems: 0,
+    errors: [],
+  };
+}
+
+/**
+ * Whether a suspicious result must leave a week's cache item alone: only in
+ * "protect" mode, and only when the week already has lunches to protect
+ */
+async function shouldKeepCachedWeek(result, week, year, { mode }) {
+  if (mode !== "protect" || result.drift?.status !== "suspicious") {
+    return false;
+  }
+  const cached = await getCachedLunchData(result.restaurant, week, year);
+  return cached?.lunches?.length > 0;
+}
+
+/**
+ * Mark the current week's cache item with a failed, empty, closed,
+ * unchanged or holiday collection, so the page can tell "closed", "no menu
+ * published" and "parser broken" apart, and knows an unchanged menu was
+ * checked and a menu of holidays only was not served. A
+ * closure notice is stored with the item. Best effort: a failure here is
+ * only logged.
+ */
+async function recordFailedCollection(result, logger) {
+  const { week, year } = getISOWeekInfo();
+  let outcome = { status: "failed", error: result.error?.message };
+  if (result.unchanged) {
+    outcome = { status: "unchanged" };
+  } else if (result.holidaySkip) {
+    outcome = { status: "holiday" };
+  } else if (result.success) {
+    outcome = result.closure
+      ? { status: "closed", closure: result.closure }
+      : { status: "empty" };
+  }
+
+  // Factory-level failures name the restaurant by id; cache keys use the name
+  const restaurant =
+    findRestaurant(result.restaurant)?.name || result.restaurant;
+
+  try {
+    await recordCollectionOutcome(restaurant, week, outcome, year);
+  } catch (error) {
+    await logger.warn("Could not record collection outcome", {
+      restaurant: result.restaurant,
+      status: outcome.status,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Read the validators the last run kept for a page, for conditional
+ * fetching. Validators from an earlier week are ignored: the page may be
+ * the same, but its lunches have not been cached for this week. Best
+ * effort: a failure here is only logged, and the page is fetched in full.
+ */
+async function loadFetchValidators(url, logger) {
+  try {
+    const validators = await getFetchValidators(url);
+    const { week, year } = getISOWeekInfo();
+    return validators?.week === week && validators?.year === year
+      ? validators
+      : null;
+  } catch (error) {
+    await logger.warn("Could not read fetch validators", {
+      url,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Keep the validators of a page whose lunches or closure notice were just
+ * stored, so the next run this week can skip it if it has not changed. Best
+ * effort: a failure here is only logged.
+ */
+async function saveValidators(result, logger) {
+  if (!result.validators) return;
+
+  const { week, year } = getISOWeekInfo();
+  try {
+    await saveFetchValidators(result.validators.url, {
+      ...result.validators,
+      week,
+      year,
+    });
+  } catch (error) {
+    await logger.warn("Could not save fetch validators", {
+      restaurant: result.restaurant,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Store the run history record shown on the /status page. Best effort: a
+ * failure here is only logged.
+ */
+async function saveRunRecord(run, logger) {
+  try {
+    await saveCollectionRun(buildRunRecord(run));
+  } catch (error) {
+    await logger.warn("Could not save collection run record", {
+      startedAt: run.startedAt,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Group lunches by ISO week and week-year. A lunch without a week belongs to
+ * the current week; one without a year to the occurrence of its week closest
+ * to today, so "vecka 1" collected in late December lands in next year.
+ */
+export function groupLunchesByWeek(lunches, now = new Date()) {
   const groups = {};
+  const current = getISOWeekInfo(now);
 
   for (const lunch of lunches) {
-    const week = lunch.week || getCurrentWeek();
-    if (!groups[week]) {
-      groups[week] = [];
+    const week = Number(lunch.week) || current.week;
+    const year = Number(lunch.year) || getWeekYearForWeek(week, now);
+    const key = `${year}-${week}`;
+    if (!groups[key]) {
+      groups[key] = { week, year, lunches: [] };
     }
-    groups[week].push(lunch);
+    groups[key].lunches.push(lunch);
   }
 
   return groups;
@@ -433,13 +725,28 @@ function calculateStats(results, cacheResults) {
   const totalRestaurants = results.length;
   const successfulParsing = results.filter((r) => r.success).length;
   const failedParsing = results.filter((r) => !r.success).length;
+  const closedRestaurants = results.filter(
+    (r) => r.success && r.closure,
+  ).length;
+  const unchangedRestaurants = results.filter((r) => r.unchanged).length;
+  const errorCodes = countErrorCodes(results);
   const totalLunches = results.reduce((sum, r) => sum + r.lunches.length, 0);
+  const suspiciousResults = results.filter(
+    (r) => r.drift?.status === "suspicious",
+  ).length;
+  const holidayLunches = results.reduce(
+    (sum, r) => sum + (r.holidayLunches || 0),
+    0,
+  );
 
   return {
     parsing: {
       total: totalRestaurants,
       successful: successfulParsing,
       failed: failedParsing,
+      closed: closedRestaurants,
+      unchanged: unchangedRestaurants,
+      errorCodes,
       successRate:
         totalRestaurants > 0
           ? `${((successfulParsing / totalRestaurants) * 100).toFixed(1)}%`
@@ -448,6 +755,7 @@ function calculateStats(results, cacheResults) {
     lunches: {
       total: totalLunches,
       cached: cacheResults.totalItems,
+      droppedOnHolidays: holidayLunches,
       averagePerRestaurant:
         successfulParsing > 0
           ? Math.round(totalLunches / successfulParsing)
@@ -456,25 +764,18 @@ function calculateStats(results, cacheResults) {
     caching: {
       successful: cacheResults.successful,
       failed: cacheResults.failed,
+      rejected: cacheResults.rejected,
+      closed: cacheResults.closed,
+      unchanged: cacheResults.unchanged,
+      holidays: cacheResults.holidays,
       errors: cacheResults.errors,
     },
+    drift: {
+      suspicious: suspiciousResults,
+    },
   };
 }
 
-/**
- * Get current ISO week number
- */
-function getCurrentWeek() {
-  const now = new Date();
-  const d = new Date(
-    Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()),
-  );
-  const dayNum = d.getUTCDay() || 7;
-  d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-  return Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
-}
-
 /**
  * Resolve cache configuration from environment variables
  * Ensures the Lambda uses the same table name as the deployed stack
@@ -488,3 +789,48 @@ export function resolveCacheConfig() {
     ttlHours: 168, // 1 week
   };
 }
+
+/**
+ * Resolve parser execution settings from environment variables and the
+ * Lambda context. MAX_CONCURRENCY parsers run at once (default 3), at most
+ * MAX_PER_HOST of them against the same host (default 1), each for at most
+ * PARSER_TIMEOUT_MS (default 90000). Parsers must be done by the deadline:
+ * the Lambda's remaining time less DEADLINE_RESERVE_MS (default 20000),
+ * kept for the last cache writes and the run record.
+ */
+export function resolveExecutionConfig(context = {}, now = Date.now()) {
+  const remaining =
+    typeof context.getRemainingTimeInMillis === "function"
+      ? context.getRemainingTimeInMillis()
+      : null;
+  return {
+    maxConcurrency: parseInt(process.env.MAX_CONCURRENCY || "3"),
+    maxPerHost: parseInt(process.env.MAX_PER_HOST || "1"),
+    parserTimeout: parseInt(process.env.PARSER_TIMEOUT_MS || "90000"),
+    deadline:
+      remaining === null
+        ? null
+        : now +
+          remaining -
+          parseInt(process.env.DEADLINE_RESERVE_MS || "20000"),
+  };
+}
+
+/**
+ * Resolve drift detection settings from environment variables.
+ * DRIFT_MODE "flag" (default) only reports suspicious results; "protect"
+ * also keeps a week's cached lunches instead of overwriting them.
+ * DRIFT_BASELINE_WEEKS is how many previous weeks to compare with.
+ */
+export function resolveDriftConfig() {
+  const mode = process.env.DRIFT_MODE || "flag";
+  if (!DRIFT_MODES.includes(mode)) {
+    throw new Error(
+      `DRIFT_MODE must be one of ${DRIFT_MODES.join(", ")}, got "${mode}"`,
+    );
+  }
+  return {
+    mode,
+    baselineWeeks: parseInt(process.env.DRIFT_BASELINE_WEEKS || "4"),
+  };
+}
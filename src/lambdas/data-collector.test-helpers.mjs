@@ -0,0 +1,79 @@
+/**
+ * Shared mocks for the data collector scenario tests. Each test file mocks
+ * the parser factory and the cache manager with these:
+ *
+ *   vi.mock("../parsers/parser-factory.mjs", async () =>
+ *     (await import("./data-collector.test-helpers.mjs")).mockParserFactory(),
+ *   );
+ *
+ * and fills `parserResults` with what the mocked parsers return.
+ */
+
+import { vi } from "vitest";
+
+// Results the mocked factory hands to the collector, in order
+export const parserResults = [];
+
+let lastFactory = null;
+
+/**
+ * The parser factory the collector created in its last run
+ * @returns {Object|null} Mocked factory, with the config it was created with
+ *   as `config`
+ */
+export function getFactory() {
+  return lastFactory;
+}
+
+/**
+ * Mock of the parser-factory module whose factory runs no parsers and
+ * reports `parserResults` instead
+ * @param {Object} options - Mock options
+ * @param {Function} options.getCircuitBreakerState - Breaker state by
+ *   restaurant id; default none
+ * @returns {Object} Module mock
+ */
+export function mockParserFactory({ getCircuitBreakerState = () => null } = {}) {
+  return {
+    ParserFactory: vi.fn(function (config) {
+      lastFactory = this;
+      this.config = config;
+      this.parsers = new Map();
+      this.registerParserClass = vi.fn(() => true);
+      this.validateParserConfig = vi.fn(() => ({ isValid: true, errors: [] }));
+      this.createParser = vi.fn((parserConfig) => {
+        this.parsers.set(parserConfig.id, { config: parserConfig });
+        return {};
+      });
+      this.executeAllParsers = vi.fn(async ({ onResult }) => {
+        for (const result of parserResults) await onResult(result);
+        return parserResults;
+      });
+      this.restoreCircuitBreaker = vi.fn(() => true);
+      this.getCircuitBreakerState = vi.fn(getCircuitBreakerState);
+      this.destroy = vi.fn();
+    }),
+  };
+}
+
+/**
+ * Mock of the cache-manager module where every write succeeds and nothing
+ * is cached yet
+ * @param {Object} overrides - Replacement mocks by function name
+ * @returns {Object} Module mock
+ */
+export function mockCacheManager(overrides = {}) {
+  return {
+    cacheLunchData: vi.fn(async () => true),
+    deleteCircuitBreaker: vi.fn(async () => true),
+    getCachedLunchData: vi.fn(async () => null),
+    getCircuitBreakers: vi.fn(async () => ({})),
+    getFetchValidators: vi.fn(async () => null),
+    getRestaurantCache: vi.fn(async () => []),
+    recordCollectionOutcome: vi.fn(async () => true),
+    saveCircuitBreaker: vi.fn(async () => true),
+    saveCollectionRun: vi.fn(async () => true),
+    saveFetchValidators: vi.fn(async () => true),
+    ...overrides,
+  };
+}
@@ -29,7 +29,10 @@ vi.mock("../parsers/parser-factory.mjs", () => {
         this.parsers.set(config.id, { config });
         return {};
       });
-      this.executeAllParsers = vi.fn(async () => mockResults);
+      this.executeAllParsers = vi.fn(async ({ onResult }) => {
+        for (const result of mockResults) await onResult(result);
+        return mockResults;
+      });
       this.executeParser = vi.fn(async () => mockResults[0]);
       this.getFactoryStats = vi.fn(() => ({
         totalParsers: 1,
@@ -38,12 +41,21 @@ vi.mock("../parsers/parser-factory.mjs", () => {
         successRate: "100.0%",
         registeredParserTypes: ["mock"],
       }));
+      this.getCircuitBreakerStats = vi.fn(() => ({
+        enabled: true,
+        totalBreakers: 0,
+        breakers: [],
+      }));
+      this.restoreCircuitBreaker = vi.fn(() => true);
+      this.getCircuitBreakerState = vi.fn(() => null);
       this.destroy = vi.fn();
     }),
   };
 });
 
-const { handler } = await import("./data-collector.mjs");
+const { handler, groupLunchesByWeek, resolveExecutionConfig } = await import(
+  "./data-collector.mjs"
+);
 
 const mockContext = {
   awsRequestId: "test-request-id-123",
@@ -137,3 +149,62 @@ describe("Performance", () => {
     expect(body.duration).toBeGreaterThanOrEqual(0);
   });
 });
+
+describe("Execution settings", () => {
+  it("ends parsing before the Lambda times out", () => {
+    const now = Date.parse("2026-10-19T09:00:00Z");
+    const config = resolveExecutionConfig(
+      { getRemainingTimeInMillis: () => 300000 },
+      now,
+    );
+    expect(config).toMatchObject({
+      maxPerHost: 1,
+      parserTimeout: 90000,
+      deadline: now + 280000,
+    });
+  });
+
+  it("reads limits from the environment", () => {
+    process.env.MAX_PER_HOST = "2";
+    process.env.PARSER_TIMEOUT_MS = "60000";
+    process.env.DEADLINE_RESERVE_MS = "5000";
+    try {
+      const config = resolveExecutionConfig(
+        { getRemainingTimeInMillis: () => 30000 },
+        1000,
+      );
+      expect(config).toMatchObject({
+        maxPerHost: 2,
+        parserTimeout: 60000,
+        deadline: 26000,
+      });
+    } finally {
+      delete process.env.MAX_PER_HOST;
+      delete process.env.PARSER_TIMEOUT_MS;
+      delete process.env.DEADLINE_RESERVE_MS;
+    }
+  });
+
+  it("has no deadline outside Lambda", () => {
+    expect(resolveExecutionConfig({}).deadline).toBeNull();
+  });
+});
+
+describe("Week grouping", () => {
+  it("assigns ISO week-years across New Year", () => {
+    // Tuesday 2026-12-29: week 53 of 2026, next week is week 1 of 2027
+    const now = new Date("2026-12-29T11:00:00Z");
+    const groups = groupLunchesByWeek(
+      [
+        { name: "A", weekday: "tisdag", week: 53 },
+        { name: "B", weekday: "måndag", week: 1 },
+        { name: "C", weekday: "onsdag" },
+      ],
+      now,
+    );
+
+    expect(Object.keys(groups).sort()).toEqual(["2026-53", "2027-1"]);
+    expect(groups["2026-53"].lunches.map((l) => l.name)).toEqual(["A", "C"]);
+    expect(groups["2027-1"]).toMatchObject({ week: 1, year: 2027 });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Unchanged pages in the data collector: a parser that found its page
+ * unchanged keeps the cached week, and the validators of parsed pages are
+ * stored for the next run of the week
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { getISOWeekInfo } from "../lib/date-utils.mjs";
+import { getFactory, parserResults } from "./data-collector.test-helpers.mjs";
+
+const { week, year } = getISOWeekInfo();
+
+const validators = {
+  url: "https://www.ubatshallen.se/modern-svensk-husmanskost/",
+  etag: '"v2"',
+  lastModified: null,
+  hash: "c0ffee",
+};
+
+vi.mock("../parsers/parser-factory.mjs", async () =>
+  (await import("./data-collector.test-helpers.mjs")).mockParserFactory(),
+);
+
+vi.mock("../lib/cache-manager.mjs", async () =>
+  (await import("./data-collector.test-helpers.mjs")).mockCacheManager(),
+);
+
+vi.mock("../lib/swedish-holidays.mjs", () => ({
+  getHoliday: () => null,
+}));
+
+const {
+  cacheLunchData,
+  getFetchValidators,
+  getRestaurantCache,
+  recordCollectionOutcome,
+  saveCollectionRun,
+  saveFetchValidators,
+} = await import("../lib/cache-manager.mjs");
+const { handler } = await import("./data-collector.mjs");
+
+const mockContext = { awsRequestId: "unchanged-test" };
+
+describe("Unchanged pages in the data collector", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    parserResults.length = 0;
+    parserResults.push(
+      {
+        success: true,
+        unchanged: true,
+        restaurant: "Niagara",
+        lunches: [],
+        metadata: { validCount: 0, invalidCount: 0 },
+      },
+      {
+        success: true,
+        restaurant: "Ubåtshallen",
+        lunches: [
+          {
+            name: "Pannbiff",
+            description: "med lök",
+            price: 135,
+            weekday: "måndag",
+            week,
+            year,
+            place: "Ubåtshallen",
+          },
+        ],
+        validators,
+        metadata: { validCount: 1, invalidCount: 0 },
+      },
+    );
+  });
+
+  it("leaves the cached week alone and counts the page as unchanged", async () => {
+    const response = await handler({}, mockContext);
+    const body = JSON.parse(response.body);
+
+    expect(cacheLunchData).toHaveBeenCalledTimes(1);
+    expect(cacheLunchData.mock.calls[0][0]).toBe("Ubåtshallen");
+    expect(recordCollectionOutcome).toHaveBeenCalledWith(
+      "Niagara",
+      week,
+      { status: "unchanged" },
+      year,
+    );
+    expect(getRestaurantCache).toHaveBeenCalledTimes(1);
+    expect(body.stats.parsing.unchanged).toBe(1);
+    expect(body.stats.caching).toMatchObject({
+      successful: 1,
+      failed: 0,
+      unchanged: 1,
+    });
+    expect(body.results[0]).toMatchObject({ success: true, unchanged: true });
+
+    const run = saveCollectionRun.mock.calls[0][0];
+    expect(run.totals).toMatchObject({ successful: 2, unchanged: 1 });
+    expect(run.restaurants[0].unchanged).toBe(true);
+  });
+
+  it("stores the validators of cached pages for the current week", async () => {
+    await handler({}, mockContext);
+
+    expect(saveFetchValidators).toHaveBeenCalledTimes(1);
+    expect(saveFetchValidators).toHaveBeenCalledWith(validators.url, {
+      ...validators,
+      week,
+      year,
+    });
+  });
+
+  it("does not store validators when the cache write fails", async () => {
+    cacheLunchData.mockRejectedValueOnce(new Error("Throttled"));
+
+    await handler({}, mockContext);
+
+    expect(saveFetchValidators).not.toHaveBeenCalled();
+  });
+
+  it("only hands parsers validators saved this week", async () => {
+    await handler({}, mockContext);
+    const { loadValidators } = getFactory().config;
+
+    getFetchValidators.mockResolvedValueOnce({ ...validators, week, year });
+    expect(await loadValidators(validators.url)).toMatchObject({
+      hash: "c0ffee",
+    });
+
+    getFetchValidators.mockResolvedValueOnce({
+      ...validators,
+      week: week === 1 ? 2 : week - 1,
+      year,
+    });
+    expect(await loadValidators(validators.url)).toBeNull();
+
+    getFetchValidators.mockRejectedValueOnce(new Error("Throttled"));
+    expect(await loadValidators(validators.url)).toBeNull();
+  });
+});
@@ -12,12 +12,33 @@ import {
   DeleteCommand,
   BatchWriteCommand,
   ScanCommand,
+  UpdateCommand,
 } from "@aws-sdk/lib-dynamodb";
+import { getWeekYearForWeek } from "./date-utils.mjs";
 
 // Configuration
 const DEFAULT_REGION = process.env.AWS_REGION || "eu-north-1";
 const TABLE_NAME = process.env.LUNCH_CACHE_TABLE || "lunch-cache";
 const TTL_DAYS = parseInt(process.env.CACHE_TTL_DAYS || "14");
+const RUN_HISTORY_TTL_DAYS = parseInt(
+  process.env.RUN_HISTORY_TTL_DAYS || "30",
+);
+
+// Collection run records share the table with the lunch cache. Their keys
+// start with a prefix no restaurant cache key can have, and they are listed
+// newest-first through the RunIndex GSI (recordType + startedAt).
+const RUN_KEY_PREFIX = "run#";
+const RUN_RECORD_TYPE = "collection-run";
+
+// Validators of fetched restaurant pages (ETag, Last-Modified, body hash),
+// one item per URL, so the collector can skip pages that have not changed.
+// They have no `restaurant` attribute and stay out of the RestaurantIndex.
+const FETCH_KEY_PREFIX = "fetch#";
+
+// Circuit breaker state per restaurant, kept between collection runs so a
+// restaurant that keeps failing is probed less often. Keyed by registry id;
+// like fetch validators they stay out of the RestaurantIndex.
+const BREAKER_KEY_PREFIX = "breaker#";
 
 // Retry configuration
 const MAX_RETRIES = 3;
@@ -56,11 +77,12 @@ export function initializeDynamoClient(config = {}) {
 
 /**
  * Get current TTL timestamp (current time + TTL_DAYS)
+ * @param {number} days - Days to keep the item (default: TTL_DAYS)
  * @returns {number} - Unix timestamp for TTL
  */
-function getTtlTimestamp() {
+function getTtlTimestamp(days = TTL_DAYS) {
   const now = new Date();
-  const ttlDate = new Date(now.getTime() + TTL_DAYS * 24 * 60 * 60 * 1000);
+  const ttlDate = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
   return Math.floor(ttlDate.getTime() / 1000);
 }
 
@@ -186,14 +208,15 @@ async function executeWithRetry(operation, operationName) {
 /**
  * Create cache key for restaurant and week
  * @param {string} restaurant - Restaurant name
- * @param {number} week - Week number
- * @param {number} year - Year (optional, defaults to current year)
+ * @param {number} week - ISO week number
+ * @param {number} year - ISO week-year (optional, defaults to the week-year of
+ *   the occurrence of `week` closest to today)
  * @returns {string} - Cache key
  */
 export function createCacheKey(
   restaurant,
   week,
-  year = new Date().getFullYear(),
+  year = getWeekYearForWeek(week),
 ) {
   if (!restaurant || !week) {
     throw new Error(
@@ -241,12 +264,20 @@ function mergeLunchesByWeekday(existingLunches, newLunches) {
 /**
  * Store lunch data in cache
  * @param {string} restaurant - Restaurant name
- * @param {number} week - Week number
+ * @param {number} week - ISO week number
  * @param {Array} lunches - Array of lunch objects
  * @param {Object} metadata - Optional metadata
+ * @param {number} year - ISO week-year (optional, defaults to the week-year of
+ *   the occurrence of `week` closest to today)
  * @returns {Promise<boolean>} - Success status
  */
-export async function cacheLunchData(restaurant, week, lunches, metadata = {}) {
+export async function cacheLunchData(
+  restaurant,
+  week,
+  lunches,
+  metadata = {},
+  year = getWeekYearForWeek(week),
+) {
   if (!docClient) {
     initializeDynamoClient();
   }
@@ -258,7 +289,7 @@ export async function cacheLunchData(restaurant, week, lunches, metadata = {}) {
       );
     }
 
-    const cacheKey = createCacheKey(restaurant, week);
+    const cacheKey = createCacheKey(restaurant, week, year);
     const timestamp = new Date().toISOString();
     const ttl = getTtlTimestamp();
 
@@ -288,11 +319,16 @@ export async function cacheLunchData(restaurant, week, lunches, metadata = {}) {
       pk: cacheKey,
       restaurant: restaurant.toLowerCase(),
       week: Number(week),
-      year: new Date().getFullYear(),
+      year: Number(year),
       lunches: mergedLunches,
       lunchCount: mergedLunches.length,
       cachedAt: timestamp,
       ttl: ttl,
+      lastCollection: {
+        status: "success",
+        at: timestamp,
+        lunchCount: lunches.length,
+      },
       metadata: {
         version: "1.0",
         source: "niagara-parser",
@@ -311,7 +347,7 @@ export async function cacheLunchData(restaurant, week, lunches, metadata = {}) {
     );
 
     console.log(
-      `Successfully cached ${lunches.length} lunches for ${restaurant} week ${week}`,
+      `Successfully cached ${lunches.length} lunches for ${restaurant} week ${week}/${year}`,
     );
     return true;
   } catch (error) {
@@ -322,17 +358,91 @@ export async function cacheLunchData(restaurant, week, lunches, metadata = {}) {
   }
 }
 
+/**
+ * Record the outcome of a collection run that cached nothing (the parser
+ * failed, found no lunches, found a closure notice, its output was rejected
+ * as deviating from previous weeks, its page had not changed since the
+ * lunches were cached, or all its lunches fell on holidays) on a week's
+ * cache item, so the
+ * API can tell a closed restaurant or one without a menu from a broken
+ * parser. A closure notice is stored as the item's `closure` until lunches
+ * are cached again. Cached lunches are left untouched; the item is created
+ * if the week has none yet.
+ * @param {string} restaurant - Restaurant name
+ * @param {number} week - ISO week number
+ * @param {Object} outcome - { status: "failed"|"empty"|"rejected"|"closed"|
+ *   "unchanged"|"holiday", error?: string, closure?: Object }
+ * @param {number} year - ISO week-year (optional, defaults to the week-year of
+ *   the occurrence of `week` closest to today)
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function recordCollectionOutcome(
+  restaurant,
+  week,
+  outcome,
+  year = getWeekYearForWeek(week),
+) {
+  if (!docClient) {
+    initializeDynamoClient();
+  }
+
+  try {
+    if (!restaurant || !week || !outcome?.status) {
+      throw new Error(
+        "Invalid parameters: restaurant, week, and outcome status are required",
+      );
+    }
+
+    const cacheKey = createCacheKey(restaurant, week, year);
+    const command = new UpdateCommand({
+      TableName: TABLE_NAME,
+      Key: { pk: cacheKey },
+      UpdateExpression:
+        "SET lastCollection = :outcome, restaurant = :restaurant, " +
+        "week = :week, #year = :year, #ttl = if_not_exists(#ttl, :ttl)" +
+        (outcome.closure ? ", closure = :closure" : ""),
+      ExpressionAttributeNames: { "#year": "year", "#ttl": "ttl" },
+      ExpressionAttributeValues: {
+        ":outcome": {
+          status: outcome.status,
+          at: new Date().toISOString(),
+          // An unchanged page leaves the cached lunches, uncounted, in place
+          ...(outcome.status !== "unchanged" && { lunchCount: 0 }),
+          ...(outcome.error && { error: String(outcome.error) }),
+        },
+        ":restaurant": restaurant.toLowerCase(),
+        ":week": Number(week),
+        ":year": Number(year),
+        ":ttl": getTtlTimestamp(),
+        ...(outcome.closure && { ":closure": outcome.closure }),
+      },
+    });
+
+    await executeWithRetry(
+      () => docClient.send(command),
+      `recordCollectionOutcome(${restaurant}, week ${week})`,
+    );
+    return true;
+  } catch (error) {
+    console.error("Error recording collection outcome:", error);
+    throw new Error(`Failed to record collection outcome: ${error.message}`, {
+      cause: error,
+    });
+  }
+}
+
 /**
  * Retrieve lunch data from cache
  * @param {string} restaurant - Restaurant name
- * @param {number} week - Week number
- * @param {number} year - Year (optional, defaults to current year)
+ * @param {number} week - ISO week number
+ * @param {number} year - ISO week-year (optional, defaults to the week-year of
+ *   the occurrence of `week` closest to today)
  * @returns {Promise<Object|null>} - Cached data or null if not found
  */
 export async function getCachedLunchData(
   restaurant,
   week,
-  year = new Date().getFullYear(),
+  year = getWeekYearForWeek(week),
 ) {
   if (!docClient) {
     initializeDynamoClient();
@@ -447,17 +557,325 @@ async function scanForRestaurant(restaurant, limit) {
   }
 }
 
+/**
+ * Store the record of one collection run
+ * @param {Object} run - Run record (see buildRunRecord in run-history.mjs);
+ *   `startedAt` is required and becomes part of the key
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function saveCollectionRun(run) {
+  if (!docClient) {
+    initializeDynamoClient();
+  }
+
+  try {
+    if (!run?.startedAt) {
+      throw new Error("Run record with startedAt is required");
+    }
+
+    const command = new PutCommand({
+      TableName: TABLE_NAME,
+      Item: {
+        ...run,
+        pk: `${RUN_KEY_PREFIX}${run.startedAt}`,
+        recordType: RUN_RECORD_TYPE,
+        ttl: getTtlTimestamp(RUN_HISTORY_TTL_DAYS),
+      },
+    });
+
+    await executeWithRetry(
+      () => docClient.send(command),
+      `saveCollectionRun(${run.startedAt})`,
+    );
+    console.log(`Saved collection run record for ${run.startedAt}`);
+    return true;
+  } catch (error) {
+    console.error("Error saving collection run:", error);
+    throw new Error(`Failed to save collection run: ${error.message}`, {
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Store the validators of a fetched page
+ * @param {string} url - Page URL
+ * @param {Object} validators - { etag, lastModified, hash, week, year }:
+ *   the response's ETag and Last-Modified headers (null when not sent), a
+ *   hash of the body, and the ISO week whose lunches were cached from it
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function saveFetchValidators(url, validators) {
+  if (!docClient) {
+    initializeDynamoClient();
+  }
+
+  try {
+    if (!url || !validators?.hash) {
+      throw new Error("URL and body hash are required");
+    }
+
+    const command = new PutCommand({
+      TableName: TABLE_NAME,
+      Item: {
+        pk: `${FETCH_KEY_PREFIX}${url}`,
+        url,
+        etag: validators.etag || null,
+        lastModified: validators.lastModified || null,
+        hash: validators.hash,
+        week: Number(validators.week),
+        year: Number(validators.year),
+        savedAt: new Date().toISOString(),
+        ttl: getTtlTimestamp(),
+      },
+    });
+
+    await executeWithRetry(
+      () => docClient.send(command),
+      `saveFetchValidators(${url})`,
+    );
+    return true;
+  } catch (error) {
+    console.error("Error saving fetch validators:", error);
+    throw new Error(`Failed to save fetch validators: ${error.message}`, {
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Get the validators stored for a page
+ * @param {string} url - Page URL
+ * @returns {Promise<Object|null>} - { url, etag, lastModified, hash, week,
+ *   year, savedAt }, or null if none are stored
+ */
+export async function getFetchValidators(url) {
+  if (!docClient) {
+    initializeDynamoClient();
+  }
+
+  try {
+    if (!url) {
+      throw new Error("URL is required");
+    }
+
+    const command = new GetCommand({
+      TableName: TABLE_NAME,
+      Key: { pk: `${FETCH_KEY_PREFIX}${url}` },
+    });
+
+    const response = await executeWithRetry(
+      () => docClient.send(command),
+      `getFetchValidators(${url})`,
+    );
+    return response.Item || null;
+  } catch (error) {
+    console.error("Error retrieving fetch validators:", error);
+    throw new Error(`Failed to retrieve fetch validators: ${error.message}`, {
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Store the circuit breaker state of a restaurant
+ * @param {string} restaurantId - Restaurant registry id
+ * @param {Object} breaker - { state, failureCount, lastFailureTime,
+ *   openedAt, nextAttemptTime, openCount, probeCount } (see
+ *   ParserFactory.getCircuitBreakerState)
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function saveCircuitBreaker(restaurantId, breaker) {
+  if (!docClient) {
+    initializeDynamoClient();
+  }
+
+  try {
+    if (!restaurantId || !breaker?.state) {
+      throw new Error("Restaurant id and breaker state are required");
+    }
+
+    const command = new PutCommand({
+      TableName: TABLE_NAME,
+      Item: {
+        ...breaker,
+        pk: `${BREAKER_KEY_PREFIX}${restaurantId}`,
+        restaurantId,
+        updatedAt: new Date().toISOString(),
+        ttl: getTtlTimestamp(),
+      },
+    });
+
+    await executeWithRetry(
+      () => docClient.send(command),
+      `saveCircuitBreaker(${restaurantId})`,
+    );
+    return true;
+  } catch (error) {
+    console.error("Error saving circuit breaker:", error);
+    throw new Error(`Failed to save circuit breaker: ${error.message}`, {
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Get the stored circuit breaker state of restaurants
+ * @param {Array<string>} restaurantIds - Restaurant registry ids
+ * @returns {Promise<Object>} - Stored state by restaurant id; restaurants
+ *   without stored state are left out
+ */
+export async function getCircuitBreakers(restaurantIds) {
+  if (!docClient) {
+    initializeDynamoClient();
+  }
+
+  try {
+    const items = await Promise.all(
+      restaurantIds.map(async (restaurantId) => {
+        const command = new GetCommand({
+          TableName: TABLE_NAME,
+          Key: { pk: `${BREAKER_KEY_PREFIX}${restaurantId}` },
+        });
+        const response = await executeWithRetry(
+          () => docClient.send(command),
+          `getCircuitBreakers(${restaurantId})`,
+        );
+        return response.Item || null;
+      }),
+    );
+
+    return Object.fromEntries(
+      items.filter(Boolean).map((item) => [item.restaurantId, item]),
+    );
+  } catch (error) {
+    console.error("Error retrieving circuit breakers:", error);
+    throw new Error(`Failed to retrieve circuit breakers: ${error.message}`, {
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Delete the stored circuit breaker state of a restaurant, so its next
+ * collection starts with a closed breaker
+ * @param {string} restaurantId - Restaurant registry id
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function deleteCircuitBreaker(restaurantId) {
+  if (!docClient) {
+    initializeDynamoClient();
+  }
+
+  try {
+    if (!restaurantId) {
+      throw new Error("Restaurant id is required");
+    }
+
+    const command = new DeleteCommand({
+      TableName: TABLE_NAME,
+      Key: { pk: `${BREAKER_KEY_PREFIX}${restaurantId}` },
+    });
+
+    await executeWithRetry(
+      () => docClient.send(command),
+      `deleteCircuitBreaker(${restaurantId})`,
+    );
+    console.log(`Reset circuit breaker for ${restaurantId}`);
+    return true;
+  } catch (error) {
+    console.error("Error deleting circuit breaker:", error);
+    throw new Error(`Failed to delete circuit breaker: ${error.message}`, {
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Get the most recent collection runs, newest first
+ * @param {number} limit - Maximum number of runs to return (default: 20)
+ * @returns {Promise<Array>} - Array of run records
+ */
+export async function getRecentCollectionRuns(limit = 20) {
+  if (!docClient) {
+    initializeDynamoClient();
+  }
+
+  try {
+    const command = new QueryCommand({
+      TableName: TABLE_NAME,
+      IndexName: "RunIndex", // GSI on recordType + startedAt
+      KeyConditionExpression: "recordType = :recordType",
+      ExpressionAttributeValues: {
+        ":recordType": RUN_RECORD_TYPE,
+      },
+      ScanIndexForward: false, // Most recent first
+      Limit: limit,
+    });
+
+    const response = await executeWithRetry(
+      () => docClient.send(command),
+      "getRecentCollectionRuns",
+    );
+    return response.Items || [];
+  } catch (error) {
+    console.error("Error retrieving collection runs:", error);
+    // If GSI doesn't exist, fall back to scan (less efficient)
+    return await scanForCollectionRuns(limit);
+  }
+}
+
+/**
+ * Fallback method to scan for run records when the RunIndex GSI is not
+ * available. Scans the whole table, since a filtered Scan's Limit counts
+ * items read rather than items returned.
+ * @param {number} limit - Maximum number of runs to return
+ * @returns {Promise<Array>} - Array of run records, newest first
+ */
+async function scanForCollectionRuns(limit) {
+  try {
+    const runs = [];
+    let lastEvaluatedKey;
+
+    do {
+      const command = new ScanCommand({
+        TableName: TABLE_NAME,
+        FilterExpression: "begins_with(pk, :prefix)",
+        ExpressionAttributeValues: {
+          ":prefix": RUN_KEY_PREFIX,
+        },
+        ExclusiveStartKey: lastEvaluatedKey,
+      });
+
+      const scanResponse = await executeWithRetry(
+        () => docClient.send(command),
+        "scanForCollectionRuns",
+      );
+      runs.push(...(scanResponse.Items || []));
+      lastEvaluatedKey = scanResponse.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return runs
+      .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)))
+      .slice(0, limit);
+  } catch (error) {
+    console.error("Error scanning for collection runs:", error);
+    return [];
+  }
+}
+
 /**
  * Delete cached data for a specific restaurant and week
  * @param {string} restaurant - Restaurant name
- * @param {number} week - Week number
- * @param {number} year - Year (optional, defaults to current year)
+ * @param {number} week - ISO week number
+ * @param {number} year - ISO week-year (optional, defaults to the week-year of
+ *   the occurrence of `week` closest to today)
  * @returns {Promise<boolean>} - Success status
  */
 export async function deleteCachedData(
   restaurant,
   week,
-  year = new Date().getFullYear(),
+  year = getWeekYearForWeek(week),
 ) {
   if (!docClient) {
     initializeDynamoClient();
@@ -496,7 +914,8 @@ export async function deleteCachedData(
 
 /**
  * Batch write multiple lunch data entries
- * @param {Array} entries - Array of {restaurant, week, lunches, metadata} objects
+ * @param {Array} entries - Array of {restaurant, week, year, lunches, metadata}
+ *   objects (year optional, as for cacheLunchData)
  * @returns {Promise<Object>} - Result with success/failure counts
  */
 export async function batchCacheLunchData(entries) {
@@ -514,19 +933,25 @@ export async function batchCacheLunchData(entries) {
     const writeRequests = [];
 
     for (const entry of entries) {
-      const { restaurant, week, lunches, metadata = {} } = entry;
+      const {
+        restaurant,
+        week,
+        year = getWeekYearForWeek(week),
+        lunches,
+        metadata = {},
+      } = entry;
 
       if (!restaurant || !week || !Array.isArray(lunches)) {
         console.warn(`Skipping invalid entry: ${JSON.stringify(entry)}`);
         continue;
       }
 
-      const cacheKey = createCacheKey(restaurant, week);
+      const cacheKey = createCacheKey(restaurant, week, year);
       const item = {
         pk: cacheKey,
         restaurant: restaurant.toLowerCase(),
         week: Number(week),
-        year: new Date().getFullYear(),
+        year: Number(year),
         lunches: lunches,
         lunchCount: lunches.length,
         cachedAt: timestamp,
@@ -605,27 +1030,55 @@ export async function batchCacheLunchData(entries) {
 }
 
 /**
- * Get cache statistics
- * @returns {Promise<Object>} - Cache statistics
+ * Get cache statistics. `totalEntries` counts lunch cache items only; the
+ * run records, fetch validators and circuit breakers sharing the table are
+ * counted separately.
+ * @returns {Promise<Object>} - Cache statistics: { totalEntries,
+ *   collectionRuns, fetchValidators, circuitBreakers, scannedAt }
  */
 export async function getCacheStats() {
   if (!docClient) {
     initializeDynamoClient();
   }
 
+  const counts = {
+    totalEntries: 0,
+    collectionRuns: 0,
+    fetchValidators: 0,
+    circuitBreakers: 0,
+  };
+
   try {
-    const command = new ScanCommand({
-      TableName: TABLE_NAME,
-      Select: "COUNT",
-    });
+    let lastEvaluatedKey;
 
-    const response = await executeWithRetry(
-      () => docClient.send(command),
-      "getCacheStats",
-    );
+    do {
+      const command = new ScanCommand({
+        TableName: TABLE_NAME,
+        ProjectionExpression: "pk",
+        ExclusiveStartKey: lastEvaluatedKey,
+      });
+
+      const scanResponse = await executeWithRetry(
+        () => docClient.send(command),
+        "getCacheStats",
+      );
+      for (const { pk } of scanResponse.Items || []) {
+        const key = String(pk);
+        if (key.startsWith(RUN_KEY_PREFIX)) {
+          counts.collectionRuns++;
+        } else if (key.startsWith(FETCH_KEY_PREFIX)) {
+          counts.fetchValidators++;
+        } else if (key.startsWith(BREAKER_KEY_PREFIX)) {
+          counts.circuitBreakers++;
+        } else {
+          counts.totalEntries++;
+        }
+      }
+      lastEvaluatedKey = scanResponse.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
 
     return {
-      totalEntries: response.Count || 0,
+      ...counts,
       scannedAt: new Date().toISOString(),
     };
   } catch (error) {
@@ -782,6 +1235,7 @@ export const config = {
   tableName: TABLE_NAME,
   region: DEFAULT_REGION,
   ttlDays: TTL_DAYS,
+  runHistoryTtlDays: RUN_HISTORY_TTL_DAYS,
 };
 
 // Initialize client on module load if running in AWS environment
@@ -793,6 +1247,14 @@ export default {
   initializeDynamoClient,
   createCacheKey,
   cacheLunchData,
+  recordCollectionOutcome,
+  saveCollectionRun,
+  getRecentCollectionRuns,
+  saveFetchValidators,
+  getFetchValidators,
+  saveCircuitBreaker,
+  getCircuitBreakers,
+  deleteCircuitBreaker,
   getCachedLunchData,
   getRestaurantCache,
   deleteCachedData,
@@ -1,4 +1,4 @@
-import { describe, expect, it, beforeEach, vi } from "vitest";
+import { describe, expect, it, afterEach, beforeEach, vi } from "vitest";
 
 // Capture the command objects DynamoDB would receive so we can both drive
 // responses (for the read) and assert on writes (Put).
@@ -45,6 +45,12 @@ vi.mock("@aws-sdk/lib-dynamodb", () => {
       this.__type = "Scan";
     }
   }
+  class UpdateCommand {
+    constructor(input) {
+      this.input = input;
+      this.__type = "Update";
+    }
+  }
   return {
     DynamoDBDocumentClient: { from: () => ({ send: sendMock }) },
     GetCommand,
@@ -53,12 +59,24 @@ vi.mock("@aws-sdk/lib-dynamodb", () => {
     DeleteCommand,
     BatchWriteCommand,
     ScanCommand,
+    UpdateCommand,
   };
 });
 
-const { cacheLunchData, initializeDynamoClient } = await import(
-  "./cache-manager.mjs"
-);
+const {
+  cacheLunchData,
+  createCacheKey,
+  deleteCircuitBreaker,
+  getCacheStats,
+  getCircuitBreakers,
+  getFetchValidators,
+  getRecentCollectionRuns,
+  initializeDynamoClient,
+  recordCollectionOutcome,
+  saveCircuitBreaker,
+  saveCollectionRun,
+  saveFetchValidators,
+} = await import("./cache-manager.mjs");
 
 function lunch(weekday, name) {
   return { weekday, name, week: 25, place: "Kontrast", price: 125 };
@@ -179,3 +197,330 @@ describe("cacheLunchData merge/accumulate semantics", () => {
     ]);
   });
 });
+
+describe("cache keys use the ISO week-year", () => {
+  beforeEach(() => {
+    sendMock.mockReset();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("includes an explicit year in the key", () => {
+    expect(createCacheKey("Kontrast", 1, 2025)).toBe("kontrast-2025-01");
+  });
+
+  it("infers the week-year around New Year instead of the calendar year", () => {
+    vi.useFakeTimers();
+    // Monday 2024-12-30 is in week 1 of 2025
+    vi.setSystemTime(new Date("2024-12-30T11:00:00Z"));
+    expect(createCacheKey("Kontrast", 1)).toBe("kontrast-2025-01");
+
+    // Friday 2027-01-01 is in week 53 of 2026
+    vi.setSystemTime(new Date("2027-01-01T11:00:00Z"));
+    expect(createCacheKey("Kontrast", 53)).toBe("kontrast-2026-53");
+  });
+
+  it("stores the year on the written item", async () => {
+    const { writtenItem } = setupClient(undefined);
+    await cacheLunchData("Kontrast", 1, [lunch("måndag", "Mon dish")], {}, 2025);
+
+    const item = writtenItem();
+    expect(item.pk).toBe("kontrast-2025-01");
+    expect(item.year).toBe(2025);
+  });
+});
+
+describe("collection outcome", () => {
+  beforeEach(() => {
+    sendMock.mockReset();
+  });
+
+  it("marks a successful write as the last collection", async () => {
+    const { writtenItem } = setupClient(undefined);
+    await cacheLunchData("Kontrast", 25, [lunch("måndag", "Mon dish")]);
+
+    expect(writtenItem().lastCollection).toMatchObject({
+      status: "success",
+      lunchCount: 1,
+    });
+  });
+
+  it("records a failed collection without touching cached lunches", async () => {
+    const updates = [];
+    sendMock.mockImplementation(async (command) => {
+      if (command.__type === "Update") updates.push(command.input);
+      return {};
+    });
+    initializeDynamoClient();
+
+    await recordCollectionOutcome(
+      "Kontrast",
+      25,
+      { status: "failed", error: "HTTP 503" },
+      2026,
+    );
+
+    expect(updates).toHaveLength(1);
+    expect(updates[0].Key).toEqual({ pk: "kontrast-2026-25" });
+    expect(updates[0].UpdateExpression).not.toContain("lunches");
+    expect(updates[0].ExpressionAttributeValues[":outcome"]).toMatchObject({
+      status: "failed",
+      error: "HTTP 503",
+      lunchCount: 0,
+    });
+  });
+
+  it("stores a closure notice with a closed collection", async () => {
+    const updates = [];
+    sendMock.mockImplementation(async (command) => {
+      if (command.__type === "Update") updates.push(command.input);
+      return {};
+    });
+    initializeDynamoClient();
+    const closure = { closed: true, reason: "sommarpaus", from: null };
+
+    await recordCollectionOutcome(
+      "Ubåtshallen",
+      29,
+      { status: "closed", closure },
+      2026,
+    );
+
+    expect(updates[0].UpdateExpression).toContain("closure = :closure");
+    expect(updates[0].ExpressionAttributeValues[":closure"]).toEqual(closure);
+    expect(updates[0].ExpressionAttributeValues[":outcome"].status).toBe(
+      "closed",
+    );
+  });
+
+  it("records an unchanged page without a lunch count", async () => {
+    const updates = [];
+    sendMock.mockImplementation(async (command) => {
+      if (command.__type === "Update") updates.push(command.input);
+      return {};
+    });
+    initializeDynamoClient();
+
+    await recordCollectionOutcome("Niagara", 25, { status: "unchanged" }, 2026);
+
+    const outcome = updates[0].ExpressionAttributeValues[":outcome"];
+    expect(outcome.status).toBe("unchanged");
+    expect(outcome).not.toHaveProperty("lunchCount");
+  });
+});
+
+describe("fetch validators", () => {
+  beforeEach(() => {
+    sendMock.mockReset();
+  });
+
+  it("stores validators per URL outside the restaurant index", async () => {
+    const items = new Map();
+    sendMock.mockImplementation(async (command) => {
+      if (command.__type === "Put") {
+        items.set(command.input.Item.pk, command.input.Item);
+        return {};
+      }
+      return { Item: items.get(command.input.Key.pk) };
+    });
+    initializeDynamoClient();
+    const url = "https://restaurangniagara.se/lunch/";
+
+    await saveFetchValidators(url, {
+      etag: '"v1"',
+      hash: "c0ffee",
+      week: 25,
+      year: 2026,
+    });
+    const stored = await getFetchValidators(url);
+
+    expect(stored).toMatchObject({
+      pk: `fetch#${url}`,
+      url,
+      etag: '"v1"',
+      lastModified: null,
+      hash: "c0ffee",
+      week: 25,
+      year: 2026,
+    });
+    expect(stored).not.toHaveProperty("restaurant");
+    expect(stored.ttl).toBeGreaterThan(Date.now() / 1000);
+    expect(await getFetchValidators("https://varvmalmo.com/menu")).toBeNull();
+  });
+
+  it("requires a body hash", async () => {
+    initializeDynamoClient();
+    await expect(
+      saveFetchValidators("https://varvmalmo.com/menu", { etag: '"v1"' }),
+    ).rejects.toThrow("URL and body hash are required");
+  });
+});
+
+describe("circuit breakers", () => {
+  beforeEach(() => {
+    sendMock.mockReset();
+  });
+
+  it("stores breaker state per restaurant and reads it back by id", async () => {
+    const items = new Map();
+    sendMock.mockImplementation(async (command) => {
+      if (command.__type === "Put") {
+        items.set(command.input.Item.pk, command.input.Item);
+        return {};
+      }
+      if (command.__type === "Delete") {
+        items.delete(command.input.Key.pk);
+        return {};
+      }
+      return { Item: items.get(command.input.Key.pk) };
+    });
+    initializeDynamoClient();
+
+    await saveCircuitBreaker("kontrast", {
+      state: "open",
+      failureCount: 3,
+      openedAt: 1760860800000,
+      nextAttemptTime: 1760932800000,
+      openCount: 1,
+      probeCount: 0,
+    });
+    const stored = await getCircuitBreakers(["kontrast", "niagara"]);
+
+    expect(Object.keys(stored)).toEqual(["kontrast"]);
+    expect(stored.kontrast).toMatchObject({
+      pk: "breaker#kontrast",
+      restaurantId: "kontrast",
+      state: "open",
+      nextAttemptTime: 1760932800000,
+    });
+    expect(stored.kontrast).not.toHaveProperty("restaurant");
+    expect(stored.kontrast.ttl).toBeGreaterThan(Date.now() / 1000);
+
+    await deleteCircuitBreaker("kontrast");
+    expect(await getCircuitBreakers(["kontrast"])).toEqual({});
+  });
+
+  it("requires a breaker state", async () => {
+    initializeDynamoClient();
+    await expect(saveCircuitBreaker("kontrast", {})).rejects.toThrow(
+      "Restaurant id and breaker state are required",
+    );
+  });
+});
+
+describe("collection run history", () => {
+  beforeEach(() => {
+    sendMock.mockReset();
+  });
+
+  it("stores runs under their own key prefix with a TTL", async () => {
+    const puts = [];
+    sendMock.mockImplementation(async (command) => {
+      if (command.__type === "Put") puts.push(command.input.Item);
+      return {};
+    });
+    initializeDynamoClient();
+
+    await saveCollectionRun({
+      startedAt: "2026-03-02T08:00:00.000Z",
+      restaurants: [],
+    });
+
+    expect(puts).toHaveLength(1);
+    expect(puts[0]).toMatchObject({
+      pk: "run#2026-03-02T08:00:00.000Z",
+      recordType: "collection-run",
+      startedAt: "2026-03-02T08:00:00.000Z",
+    });
+    expect(puts[0].ttl).toBeGreaterThan(Date.now() / 1000);
+    expect(puts[0].pk).not.toBe(createCacheKey("run", 10, 2026));
+  });
+
+  it("reads recent runs newest first from the RunIndex", async () => {
+    const queries = [];
+    sendMock.mockImplementation(async (command) => {
+      queries.push(command);
+      return { Items: [{ startedAt: "b" }, { startedAt: "a" }] };
+    });
+    initializeDynamoClient();
+
+    const runs = await getRecentCollectionRuns(2);
+
+    expect(runs).toHaveLength(2);
+    expect(queries[0].__type).toBe("Query");
+    expect(queries[0].input).toMatchObject({
+      IndexName: "RunIndex",
+      ScanIndexForward: false,
+      Limit: 2,
+    });
+  });
+
+  it("falls back to a scan when the index is missing", async () => {
+    sendMock.mockImplementation(async (command) => {
+      if (command.__type === "Query") {
+        const error = new Error("The table does not have the specified index");
+        error.name = "ValidationException";
+        throw error;
+      }
+      return {
+        Items: [
+          { pk: "run#2026-03-01", startedAt: "2026-03-01" },
+          { pk: "run#2026-03-03", startedAt: "2026-03-03" },
+          { pk: "run#2026-03-02", startedAt: "2026-03-02" },
+        ],
+      };
+    });
+    initializeDynamoClient();
+
+    const runs = await getRecentCollectionRuns(2);
+
+    expect(runs.map((run) => run.startedAt)).toEqual([
+      "2026-03-03",
+      "2026-03-02",
+    ]);
+  });
+});
+
+describe("cache statistics", () => {
+  beforeEach(() => {
+    sendMock.mockReset();
+  });
+
+  it("counts lunch cache items apart from the other records", async () => {
+    const scans = [];
+    sendMock.mockImplementation(async (command) => {
+      scans.push(command.input);
+      return scans.length === 1
+        ? {
+            Items: [
+              { pk: createCacheKey("Kontrast", 25, 2026) },
+              { pk: "run#2026-03-02T08:00:00.000Z" },
+              { pk: "fetch#https://kontrast.se/lunch" },
+            ],
+            LastEvaluatedKey: { pk: "fetch#https://kontrast.se/lunch" },
+          }
+        : {
+            Items: [
+              { pk: createCacheKey("Niagara", 25, 2026) },
+              { pk: "breaker#niagara" },
+            ],
+          };
+    });
+    initializeDynamoClient();
+
+    const stats = await getCacheStats();
+
+    expect(stats).toMatchObject({
+      totalEntries: 2,
+      collectionRuns: 1,
+      fetchValidators: 1,
+      circuitBreakers: 1,
+    });
+    expect(scans).toHaveLength(2);
+    expect(scans[1].ExclusiveStartKey).toEqual({
+      pk: "fetch#https://kontrast.se/lunch",
+    });
+  });
+});
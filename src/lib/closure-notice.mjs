@@ -0,0 +1,276 @@
+/**
+ * Closure Notices
+ * What a parser returns from parseMenu instead of lunches when the
+ * restaurant says it has none to serve ("Sommarpaus", "Stängt v.29–32",
+ * no menu today): the closed dates, the reason as published and the
+ * reopening date, each null when the page doesn't say. The collector caches
+ * the notice on the week's cache item instead of counting the empty result
+ * as a failure, and the lunch page shows it as "Stängt v.29–32:
+ * sommaruppehåll".
+ *
+ * Dates are "YYYY-MM-DD" calendar dates in Swedish local time.
+ */
+
+import {
+  getCalendarDateISOWeekInfo,
+  getISOWeekDates,
+  getSwedishDate,
+  getWeekYearForWeek,
+} from "./date-utils.mjs";
+
+// Words that say the restaurant is closed, most specific first; the first
+// one found becomes the reason. A bare "stängt" says nothing more and only
+// counts next to the dates or weeks of the closure, since opening hours
+// ("lör–sön stängt") use it too
+const CLOSURE_WORDS = [
+  "sommaruppehåll",
+  "sommarpaus",
+  "sommarstängt",
+  "semesterstängt",
+  "juluppehåll",
+  "uppehåll",
+  "semester",
+];
+const BARE_CLOSURE_PATTERN = /stäng(?:t|d|er)\b/i;
+
+// A day of a month: "13 juli", "2 aug", "13/7"
+const DAY =
+  "(\\d{1,2})(?:\\s*\\/\\s*(\\d{1,2})|\\s+(jan(?:uari)?|feb(?:ruari)?|mars?|apr(?:il)?|maj|juni?|juli?|aug(?:usti)?|sep(?:tember)?|okt(?:ober)?|nov(?:ember)?|dec(?:ember)?))";
+const UNTIL = "(?:[-–]|till och med|t\\.?\\s?o\\.?\\s?m\\.?|till)";
+
+// "13 juli till 2 augusti", "13/7–2/8"
+const DATE_RANGE_PATTERN = new RegExp(
+  `\\b${DAY}\\s*${UNTIL}\\s*(?:den\\s+)?${DAY}\\b`,
+  "i",
+);
+
+// "v.29–32", "vecka 29-32", "v 29 till v 32", "veckorna 29 t.o.m. 32"
+const WEEK_RANGE_PATTERN = new RegExp(
+  `\\b(?:v\\.?|vecka|veckorna)\\s*(\\d{1,2})(?:\\s*${UNTIL}\\s*(?:v\\.?|vecka)?\\s*(\\d{1,2}))?\\b`,
+  "i",
+);
+
+// "öppnar igen 10 augusti", "åter den 10/8", "välkomna tillbaka måndag 10 aug"
+const REOPENING_PATTERN = new RegExp(
+  `(?:öppnar(?: igen)?|åter(?:öppnar)?|tillbaka)\\s+(?:den\\s+|på\\s+)?(?:[a-zåäö]+dag(?:en)?\\s+(?:den\\s+)?)?${DAY}`,
+  "i",
+);
+const REOPENING_WEEK_PATTERN =
+  /(?:öppnar(?: igen)?|åter(?:öppnar)?|tillbaka)\s+(?:igen\s+)?(?:v\.?|vecka)\s*(\d{1,2})\b/i;
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "maj",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "okt",
+  "nov",
+  "dec",
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Create a closure notice
+ * @param {Object} data - { reason, from, to, reopens }, all optional
+ * @returns {Object} { closed: true, reason, from, to, reopens }, missing
+ *   fields as null
+ */
+export function createClosureNotice({
+  reason = null,
+  from = null,
+  to = null,
+  reopens = null,
+} = {}) {
+  return {
+    closed: true,
+    reason: typeof reason === "string" && reason.trim() ? reason.trim() : null,
+    from: from || null,
+    to: to || null,
+    reopens: reopens || null,
+  };
+}
+
+/**
+ * Whether a parseMenu return value is a closure notice rather than lunches
+ * @param {*} value - parseMenu return value
+ * @returns {boolean} True for a closure notice
+ */
+export function isClosureNotice(value) {
+  return Boolean(value) && !Array.isArray(value) && value.closed === true;
+}
+
+/**
+ * Shift a "YYYY-MM-DD" date by a number of days
+ */
+function addDays(date, days) {
+  const moved = new Date(`${date}T00:00:00Z`);
+  moved.setUTCDate(moved.getUTCDate() + days);
+  return moved.toISOString().slice(0, 10);
+}
+
+/**
+ * Date of a day and month, in the year that puts it closest to today
+ */
+function nearestDate(day, month, today) {
+  const year = Number(today.slice(0, 4));
+  const candidates = [year - 1, year, year + 1].map(
+    (y) =>
+      `${y}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`,
+  );
+  const distance = (date) =>
+    Math.abs(new Date(date) - new Date(`${today}T00:00:00Z`));
+  return candidates.reduce((a, b) => (distance(b) < distance(a) ? b : a));
+}
+
+/**
+ * Date from a DAY match: day, numeric month or month name
+ */
+function matchedDate(day, month, monthName, today) {
+  const number = month
+    ? Number(month)
+    : MONTHS.indexOf(monthName.slice(0, 3).toLowerCase()) + 1;
+  if (number < 1 || number > 12 || Number(day) < 1) return null;
+  return nearestDate(Number(day), number, today);
+}
+
+/**
+ * Monday of the occurrence of an ISO week closest to a date
+ */
+function weekMonday(week, now) {
+  return getISOWeekDates(week, getWeekYearForWeek(week, now)).måndag;
+}
+
+/**
+ * Read a closure notice from a page's text
+ * @param {string} text - Page or section text
+ * @param {Date} now - Reference time for weeks and dates without a year
+ * @returns {Object|null} Closure notice, or null when the text does not say
+ *   the restaurant is closed, or only says "stängt" without saying when
+ */
+export function detectClosure(text, now = new Date()) {
+  const normalized = typeof text === "string" ? text.replace(/\s+/g, " ") : "";
+  const lower = normalized.toLowerCase();
+  const reason = CLOSURE_WORDS.find((word) => lower.includes(word)) || null;
+  if (!reason && !BARE_CLOSURE_PATTERN.test(normalized)) return null;
+
+  const today = getSwedishDate(now);
+  let from = null;
+  let to = null;
+  let reopens = null;
+
+  const dates = normalized.match(DATE_RANGE_PATTERN);
+  const weeks = normalized.match(WEEK_RANGE_PATTERN);
+  if (dates) {
+    from = matchedDate(dates[1], dates[2], dates[3], today);
+    to = matchedDate(dates[4], dates[5], dates[6], today);
+  } else if (weeks) {
+    const first = Number(weeks[1]);
+    const last = Number(weeks[2] || weeks[1]);
+    from = weekMonday(first, now);
+    to = addDays(weekMonday(last, now), 6);
+  }
+
+  const reopening = normalized.match(REOPENING_PATTERN);
+  const reopeningWeek = normalized.match(REOPENING_WEEK_PATTERN);
+  if (reopening) {
+    reopens = matchedDate(reopening[1], reopening[2], reopening[3], today);
+  } else if (reopeningWeek) {
+    reopens = weekMonday(Number(reopeningWeek[1]), now);
+  }
+  if (reopens && !to) to = addDays(reopens, -1);
+  // Dates read wrong are worse than none
+  if (from && to && from > to) from = to = null;
+  if (reopens && to && reopens <= to) reopens = null;
+  if (!reason && !from && !to && !reopens) return null;
+
+  return createClosureNotice({ reason, from, to, reopens });
+}
+
+/**
+ * ISO week number of a "YYYY-MM-DD" date
+ */
+function weekOf(date) {
+  const [year, month, day] = date.split("-").map(Number);
+  return getCalendarDateISOWeekInfo(new Date(year, month - 1, day)).week;
+}
+
+/**
+ * "10 augusti" from a "YYYY-MM-DD" date
+ */
+function formatDay(date) {
+  return new Date(`${date}T12:00:00Z`).toLocaleDateString("sv-SE", {
+    day: "numeric",
+    month: "long",
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * Describe a closure notice the way the lunch page shows it
+ * @param {Object} notice - Closure notice
+ * @returns {string} "Stängt v.29–32: sommaruppehåll", "Stängt 20 oktober",
+ *   "Stängt: sommarpaus (öppnar 10 augusti)" and the like
+ */
+export function formatClosure(notice) {
+  const { from, to, reason, reopens } = notice || {};
+  let when = "";
+  if (from && from === to) {
+    when = ` ${formatDay(from)}`;
+  } else if (from && to) {
+    const [first, last] = [weekOf(from), weekOf(to)];
+    when = first === last ? ` v.${first}` : ` v.${first}–${last}`;
+  } else if (from) {
+    when = ` från v.${weekOf(from)}`;
+  } else if (to) {
+    when = ` t.o.m. v.${weekOf(to)}`;
+  }
+
+  const opening = reopens && !to ? ` (öppnar ${formatDay(reopens)})` : "";
+  return `Stängt${when}${reason ? `: ${reason}` : ""}${opening}`;
+}
+
+/**
+ * Check the fields of a closure notice
+ * @param {Object} notice - Closure notice
+ * @returns {Object} { isValid, errors }
+ */
+export function validateClosureNotice(notice) {
+  const errors = [];
+  if (!isClosureNotice(notice)) {
+    return { isValid: false, errors: ["Closure notice must have closed: true"] };
+  }
+  if (notice.reason !== null && typeof notice.reason !== "string") {
+    errors.push("Reason must be a string or null");
+  }
+  for (const field of ["from", "to", "reopens"]) {
+    const value = notice[field];
+    if (
+      value !== null &&
+      (!DATE_PATTERN.test(String(value)) ||
+        Number.isNaN(new Date(`${value}T00:00:00Z`).getTime()))
+    ) {
+      errors.push(`${field} must be a YYYY-MM-DD date or null`);
+    }
+  }
+  if (notice.from && notice.to && notice.from > notice.to) {
+    errors.push("from must not be after to");
+  }
+  if (notice.to && notice.reopens && notice.reopens <= notice.to) {
+    errors.push("reopens must be after to");
+  }
+  return { isValid: errors.length === 0, errors };
+}
+
+export default {
+  createClosureNotice,
+  isClosureNotice,
+  detectClosure,
+  formatClosure,
+  validateClosureNotice,
+};
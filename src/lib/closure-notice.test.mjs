@@ -0,0 +1,104 @@
+import { describe, expect, it } from "vitest";
+import {
+  createClosureNotice,
+  detectClosure,
+  formatClosure,
+  isClosureNotice,
+  validateClosureNotice,
+} from "./closure-notice.mjs";
+
+const now = new Date("2026-07-01T10:00:00Z");
+
+describe("detectClosure", () => {
+  it("reads the dates of a summer pause page", () => {
+    expect(
+      detectClosure(
+        "Sommarpaus Kära Gäster, Vi tar en liten paus. Från 13 juli till 2 " +
+          "augusti stänger vi dörrarna här, men vi ser fram emot att välkomna " +
+          "er tillbaka när vi öppnar igen!",
+        now,
+      ),
+    ).toEqual({
+      closed: true,
+      reason: "sommarpaus",
+      from: "2026-07-13",
+      to: "2026-08-02",
+      reopens: null,
+    });
+  });
+
+  it("reads closed weeks and reopening dates", () => {
+    expect(detectClosure("Semesterstängt V.29-32", now)).toMatchObject({
+      reason: "semesterstängt",
+      from: "2026-07-13",
+      to: "2026-08-09",
+    });
+    expect(
+      detectClosure("Stängt för sommaruppehåll, öppnar igen 10/8", now),
+    ).toEqual({
+      closed: true,
+      reason: "sommaruppehåll",
+      from: null,
+      to: "2026-08-09",
+      reopens: "2026-08-10",
+    });
+  });
+
+  it("leaves the reason empty for a bare stängt", () => {
+    expect(detectClosure("STÄNGT vecka 30", now)).toMatchObject({
+      reason: null,
+      from: "2026-07-20",
+      to: "2026-07-26",
+    });
+  });
+
+  it("ignores a bare stängt that does not say when", () => {
+    expect(
+      detectClosure("Öppettider: mån–fre 11–14, lör–sön stängt", now),
+    ).toBeNull();
+    expect(detectClosure("Stängt", now)).toBeNull();
+  });
+
+  it("returns null when the text does not say closed", () => {
+    expect(detectClosure("Dagens lunch 125 kr", now)).toBeNull();
+    expect(detectClosure(undefined, now)).toBeNull();
+  });
+});
+
+describe("formatClosure", () => {
+  it("describes weeks, single days and open-ended closures", () => {
+    expect(
+      formatClosure({
+        from: "2026-07-13",
+        to: "2026-08-09",
+        reason: "sommaruppehåll",
+      }),
+    ).toBe("Stängt v.29–32: sommaruppehåll");
+    expect(formatClosure({ from: "2026-10-20", to: "2026-10-20" })).toBe(
+      "Stängt 20 oktober",
+    );
+    expect(
+      formatClosure(createClosureNotice({ reopens: "2026-08-10" })),
+    ).toBe("Stängt (öppnar 10 augusti)");
+    expect(formatClosure(createClosureNotice())).toBe("Stängt");
+  });
+});
+
+describe("validateClosureNotice", () => {
+  it("accepts notices and rejects malformed dates", () => {
+    expect(isClosureNotice([])).toBe(false);
+    expect(
+      validateClosureNotice(createClosureNotice({ reason: "semester" })),
+    ).toEqual({ isValid: true, errors: [] });
+    expect(
+      validateClosureNotice(
+        createClosureNotice({ from: "13 juli", to: "2026-07-01" }),
+      ).errors,
+    ).toEqual(["from must be a YYYY-MM-DD date or null"]);
+    expect(
+      validateClosureNotice(
+        createClosureNotice({ from: "2026-08-01", to: "2026-07-01" }),
+      ).errors,
+    ).toEqual(["from must not be after to"]);
+  });
+});
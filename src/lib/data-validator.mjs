@@ -11,26 +11,45 @@ const VALID_SWEDISH_WEEKDAYS = [
   "fredag"
 ];
 
+// Weekend days, valid only for restaurants that serve weekend lunch
+const VALID_SWEDISH_WEEKEND_DAYS = ['lördag', 'söndag'];
+
+// Rule ids reported with each validation error, so rejected lunches can be
+// counted per rule
+export const VALIDATION_RULES = [
+  'lunch',
+  'name',
+  'price',
+  'week',
+  'weekday',
+  'place',
+  'description'
+];
+
 /**
  * Validates if a string is a valid Swedish weekday
  * @param {string} weekday - The weekday to validate
+ * @param {boolean} allowWeekend - Also accept lördag and söndag
  * @returns {boolean} - True if valid Swedish weekday
  */
-export function isValidSwedishWeekday(weekday) {
+export function isValidSwedishWeekday(weekday, allowWeekend = false) {
   if (!weekday || typeof weekday !== 'string') {
     return false;
   }
 
-  return VALID_SWEDISH_WEEKDAYS.includes(weekday.toLowerCase().trim());
+  const normalized = weekday.toLowerCase().trim();
+  return VALID_SWEDISH_WEEKDAYS.includes(normalized) ||
+    (allowWeekend && VALID_SWEDISH_WEEKEND_DAYS.includes(normalized));
 }
 
 /**
  * Normalizes a Swedish weekday to lowercase
  * @param {string} weekday - The weekday to normalize
+ * @param {boolean} allowWeekend - Also accept lördag and söndag
  * @returns {string} - Normalized weekday or empty string if invalid
  */
-export function normalizeSwedishWeekday(weekday) {
-  if (!isValidSwedishWeekday(weekday)) {
+export function normalizeSwedishWeekday(weekday, allowWeekend = false) {
+  if (!isValidSwedishWeekday(weekday, allowWeekend)) {
     return '';
   }
 
@@ -51,6 +70,42 @@ export function isValidPrice(price) {
   return !isNaN(numPrice) && isFinite(numPrice) && numPrice >= 0;
 }
 
+/**
+ * Validates the price fields of a lunch: price is a valid price, or null
+ * when the restaurant publishes none; priceMax, priceVariants and priceText
+ * are optional (see price-utils.mjs)
+ * @param {object} lunch - The lunch object whose price to validate
+ * @returns {string|null} - Error message, or null if the price is valid
+ */
+export function validateLunchPrice(lunch) {
+  const { price, priceMax, priceVariants, priceText } = lunch;
+
+  if (price !== null && !isValidPrice(price)) {
+    return 'Price must be a valid number >= 0, or null when unknown';
+  }
+
+  if (priceMax !== undefined && priceMax !== null) {
+    if (price === null || !isValidPrice(priceMax) || Number(priceMax) < Number(price)) {
+      return 'Price max must be a valid number >= price';
+    }
+  }
+
+  if (priceVariants !== undefined && priceVariants !== null) {
+    const validVariants = Array.isArray(priceVariants) && priceVariants.every((variant) =>
+      variant && typeof variant.label === 'string' && isValidPrice(variant.price)
+    );
+    if (!validVariants) {
+      return 'Price variants must be a list of { label, price }';
+    }
+  }
+
+  if (priceText !== undefined && priceText !== null && typeof priceText !== 'string') {
+    return 'Price text must be a string if provided';
+  }
+
+  return null;
+}
+
 /**
  * Validates if a value is a valid week number (1-53)
  * @param {any} week - The week to validate
@@ -86,60 +141,75 @@ export function isValidPlace(place) {
 /**
  * Validates a complete lunch object
  * @param {object} lunch - The lunch object to validate
- * @returns {object} - Validation result with isValid boolean and errors array
+ * @param {object} options - Validation options
+ * @param {boolean} options.allowWeekend - Accept weekend lunches, for
+ *   restaurants that serve them
+ * @returns {object} - Validation result with isValid boolean, errors array
+ *   and the id of the broken rule (see VALIDATION_RULES) for each error
  */
-export function validateLunch(lunch) {
+export function validateLunch(lunch, { allowWeekend = false } = {}) {
   const errors = [];
+  const rules = [];
+  const fail = (rule, message) => {
+    rules.push(rule);
+    errors.push(message);
+  };
 
   if (!lunch || typeof lunch !== 'object') {
     return {
       isValid: false,
-      errors: ['Lunch object is null, undefined, or not an object']
+      errors: ['Lunch object is null, undefined, or not an object'],
+      rules: ['lunch']
     };
   }
 
   // Validate name (required string)
   if (!isValidString(lunch.name)) {
-    errors.push('Name must be a non-empty string');
+    fail('name', 'Name must be a non-empty string');
   }
 
-  // Validate price (required number >= 0)
-  if (!isValidPrice(lunch.price)) {
-    errors.push('Price must be a valid number >= 0');
+  // Validate price (required number >= 0, or null when unknown)
+  const priceError = validateLunchPrice(lunch);
+  if (priceError) {
+    fail('price', priceError);
   }
 
   // Validate week (required number 1-53)
   if (!isValidWeek(lunch.week)) {
-    errors.push('Week must be a valid number between 1 and 53');
+    fail('week', 'Week must be a valid number between 1 and 53');
   }
 
   // Validate weekday (required valid Swedish weekday)
-  if (!isValidSwedishWeekday(lunch.weekday)) {
-    errors.push('Weekday must be a valid Swedish weekday (måndag, tisdag, onsdag, torsdag, fredag)');
+  if (!isValidSwedishWeekday(lunch.weekday, allowWeekend)) {
+    fail('weekday', allowWeekend
+      ? 'Weekday must be a valid Swedish weekday (måndag to söndag)'
+      : 'Weekday must be a valid Swedish weekday (måndag, tisdag, onsdag, torsdag, fredag)');
   }
 
   // Validate place (required string)
   if (!isValidPlace(lunch.place)) {
-    errors.push('Place must be a non-empty string');
+    fail('place', 'Place must be a non-empty string');
   }
 
   // Validate description (optional string, but if present must be string)
   if (lunch.description !== undefined && lunch.description !== null && typeof lunch.description !== 'string') {
-    errors.push('Description must be a string if provided');
+    fail('description', 'Description must be a string if provided');
   }
 
   return {
     isValid: errors.length === 0,
-    errors: errors
+    errors: errors,
+    rules: rules
   };
 }
 
 /**
  * Validates an array of lunch objects
  * @param {array} lunches - Array of lunch objects to validate
+ * @param {object} options - Validation options, see validateLunch
  * @returns {object} - Validation result with valid lunches and validation errors
  */
-export function validateLunches(lunches) {
+export function validateLunches(lunches, options = {}) {
   if (!Array.isArray(lunches)) {
     return {
       validLunches: [],
@@ -155,7 +225,7 @@ export function validateLunches(lunches) {
 
   for (let i = 0; i < lunches.length; i++) {
     const lunch = lunches[i];
-    const validation = validateLunch(lunch);
+    const validation = validateLunch(lunch, options);
 
     if (validation.isValid) {
       // Normalize the lunch object before adding
@@ -164,15 +234,16 @@ export function validateLunches(lunches) {
         name: lunch.name.trim(),
         description: (lunch.description || '').trim(),
         place: lunch.place.trim(),
-        weekday: normalizeSwedishWeekday(lunch.weekday),
-        price: Number(lunch.price),
+        weekday: normalizeSwedishWeekday(lunch.weekday, options.allowWeekend),
+        price: lunch.price === null ? null : Number(lunch.price),
         week: Number(lunch.week)
       });
     } else {
       validationErrors.push({
         index: i,
         lunch: lunch,
-        errors: validation.errors
+        errors: validation.errors,
+        rules: validation.rules
       });
     }
   }
@@ -187,9 +258,11 @@ export function validateLunches(lunches) {
 }
 
 export default {
+  VALIDATION_RULES,
   isValidSwedishWeekday,
   normalizeSwedishWeekday,
   isValidPrice,
+  validateLunchPrice,
   isValidWeek,
   isValidString,
   isValidPlace,
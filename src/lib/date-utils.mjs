@@ -0,0 +1,253 @@
+/**
+ * Date Utilities
+ * ISO week/week-year math and weekday name handling shared by the parsers,
+ * the cache manager, the collector and the API server. All "today"-relative
+ * calculations use Swedish local time, since the Lambdas run in UTC while the
+ * restaurants (and their guests) are in Malmö.
+ */
+
+export const TIME_ZONE = "Europe/Stockholm";
+
+// Swedish weekday -> English weekday
+export const SWEDISH_TO_ENGLISH = {
+  måndag: "monday",
+  tisdag: "tuesday",
+  onsdag: "wednesday",
+  torsdag: "thursday",
+  fredag: "friday",
+  lördag: "saturday",
+  söndag: "sunday",
+};
+
+// English weekday -> Swedish weekday
+export const ENGLISH_TO_SWEDISH = {
+  monday: "måndag",
+  tuesday: "tisdag",
+  wednesday: "onsdag",
+  thursday: "torsdag",
+  friday: "fredag",
+  saturday: "lördag",
+  sunday: "söndag",
+};
+
+const RELATIVE_DAYS = {
+  today: 0,
+  idag: 0,
+  tomorrow: 1,
+  imorgon: 1,
+};
+
+/**
+ * Get the calendar date in Swedish local time as a UTC-midnight Date, so the
+ * result can be fed to UTC-based date math without timezone drift
+ * @param {Date} date - Date to convert (defaults to now)
+ * @returns {Date} Swedish calendar date at 00:00 UTC
+ */
+function toSwedishCalendarDate(date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      timeZone: TIME_ZONE,
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value]),
+  );
+  return new Date(
+    Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day)),
+  );
+}
+
+/**
+ * Get the calendar date in Swedish local time as "YYYY-MM-DD"
+ * @param {Date} date - Date to format (defaults to now)
+ * @returns {string} Swedish calendar date, e.g. "2026-11-17"
+ */
+export function getSwedishDate(date = new Date()) {
+  return toSwedishCalendarDate(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the ISO 8601 week and week-year of a date in Swedish local time.
+ * The week-year differs from the calendar year around New Year: 2024-12-30
+ * is in week 1 of 2025, and 2027-01-01 is in week 53 of 2026.
+ * @param {Date} date - Date to inspect (defaults to now)
+ * @returns {{week: number, year: number}} ISO week (1-53) and week-year
+ */
+export function getISOWeekInfo(date = new Date()) {
+  return isoWeekInfoOfUtcDate(toSwedishCalendarDate(date));
+}
+
+/**
+ * Get the ISO week and week-year of a date's own calendar fields, without any
+ * timezone conversion. Meant for dates built from menu text, e.g.
+ * `new Date(2026, 0, 5)` for "5/1 2026", which are local midnights.
+ * @param {Date} date - Date whose year/month/day to use
+ * @returns {{week: number, year: number}} ISO week (1-53) and week-year
+ */
+export function getCalendarDateISOWeekInfo(date) {
+  return isoWeekInfoOfUtcDate(
+    new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())),
+  );
+}
+
+/**
+ * ISO week math on a UTC-midnight date
+ * @param {Date} utcDate - Date at 00:00 UTC (mutated)
+ * @returns {{week: number, year: number}} ISO week (1-53) and week-year
+ */
+function isoWeekInfoOfUtcDate(utcDate) {
+  const d = utcDate;
+  // Move to the Thursday of this week; its year is the ISO week-year
+  const dayNum = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - dayNum);
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  return {
+    week: Math.ceil(((d - yearStart) / 86400000 + 1) / 7),
+    year: d.getUTCFullYear(),
+  };
+}
+
+/**
+ * Get the ISO week number of a date in Swedish local time
+ * @param {Date} date - Date to inspect (defaults to now)
+ * @returns {number} ISO week number (1-53)
+ */
+export function getISOWeek(date = new Date()) {
+  return getISOWeekInfo(date).week;
+}
+
+/**
+ * Get the ISO week-year of a date in Swedish local time
+ * @param {Date} date - Date to inspect (defaults to now)
+ * @returns {number} ISO week-year
+ */
+export function getISOWeekYear(date = new Date()) {
+  return getISOWeekInfo(date).year;
+}
+
+/**
+ * Infer the ISO week-year a bare week number refers to, by picking the
+ * occurrence of that week closest to `now`. Menus only ever show the current
+ * week or a neighbour, so "Vecka 1" read on 29 December belongs to next year
+ * and "Vecka 52" read on 2 January to last year.
+ * @param {number} week - ISO week number (1-53)
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {number} ISO week-year
+ */
+export function getWeekYearForWeek(week, now = new Date()) {
+  const current = getISOWeekInfo(now);
+  const diff = Number(week) - current.week;
+  if (diff > 26) return current.year - 1;
+  if (diff < -26) return current.year + 1;
+  return current.year;
+}
+
+/**
+ * Move an ISO week by a number of weeks, crossing week-year boundaries
+ * (week 52 of 2025 + 1 is week 1 of 2026; week 53 of 2026 + 1 is week 1 of
+ * 2027)
+ * @param {number} week - ISO week number (1-53)
+ * @param {number} year - ISO week-year
+ * @param {number} offset - Weeks to move; negative moves backwards
+ * @returns {{week: number, year: number}} Resulting ISO week and week-year
+ */
+export function shiftISOWeek(week, year, offset) {
+  return isoWeekInfoOfUtcDate(isoWeekMonday(week + offset, year));
+}
+
+/**
+ * Get the calendar dates of an ISO week's days, e.g. to check a weekday
+ * against a date range
+ * @param {number} week - ISO week number (1-53)
+ * @param {number} year - ISO week-year
+ * @returns {Object<string, string>} Swedish weekday -> "YYYY-MM-DD"
+ */
+export function getISOWeekDates(week, year) {
+  const monday = isoWeekMonday(week, year);
+  return Object.fromEntries(
+    Object.keys(SWEDISH_TO_ENGLISH).map((weekday, i) => {
+      const date = new Date(monday);
+      date.setUTCDate(monday.getUTCDate() + i);
+      return [weekday, date.toISOString().slice(0, 10)];
+    }),
+  );
+}
+
+/**
+ * Monday of an ISO week at 00:00 UTC; weeks outside 1-53 roll over into
+ * the neighbouring week-years
+ * @param {number} week - ISO week number
+ * @param {number} year - ISO week-year
+ * @returns {Date} Monday at 00:00 UTC
+ */
+function isoWeekMonday(week, year) {
+  // 4 January is always in week 1; step back to that week's Monday
+  const jan4 = new Date(Date.UTC(year, 0, 4));
+  const monday = new Date(jan4);
+  monday.setUTCDate(
+    jan4.getUTCDate() - ((jan4.getUTCDay() || 7) - 1) + (week - 1) * 7,
+  );
+  return monday;
+}
+
+/**
+ * Get the Swedish weekday name for a date in Swedish local time
+ * @param {Date} date - Date to inspect (defaults to now)
+ * @returns {string} Lowercase Swedish weekday, e.g. "tisdag"
+ */
+export function getSwedishWeekday(date = new Date()) {
+  const englishDay = new Intl.DateTimeFormat("en-US", {
+    weekday: "long",
+    timeZone: TIME_ZONE,
+  })
+    .format(date)
+    .toLowerCase();
+  return ENGLISH_TO_SWEDISH[englishDay];
+}
+
+/**
+ * Resolve a day parameter from a URL to a Swedish weekday.
+ * Accepts Swedish and English weekday names, "today"/"idag",
+ * "tomorrow"/"imorgon" and "all"/"alla" (case-insensitive).
+ * @param {string} day - Raw day parameter
+ * @param {Date} now - Reference time for relative days (defaults to now)
+ * @returns {string|null} Lowercase Swedish weekday, "all", or null if the
+ *   parameter is missing or not recognised
+ */
+export function resolveDayParam(day, now = new Date()) {
+  if (!day) return null;
+
+  const normalized = String(day).toLowerCase().trim();
+
+  if (normalized === "all" || normalized === "alla") return "all";
+
+  // Own keys only: "constructor" or "__proto__" is not a day
+  if (Object.hasOwn(RELATIVE_DAYS, normalized)) {
+    const offsetMs = RELATIVE_DAYS[normalized] * 24 * 60 * 60 * 1000;
+    return getSwedishWeekday(new Date(now.getTime() + offsetMs));
+  }
+
+  if (Object.hasOwn(SWEDISH_TO_ENGLISH, normalized)) return normalized;
+
+  return Object.hasOwn(ENGLISH_TO_SWEDISH, normalized)
+    ? ENGLISH_TO_SWEDISH[normalized]
+    : null;
+}
+
+export default {
+  TIME_ZONE,
+  getSwedishDate,
+  getISOWeekInfo,
+  getCalendarDateISOWeekInfo,
+  getISOWeek,
+  getISOWeekYear,
+  getWeekYearForWeek,
+  shiftISOWeek,
+  getISOWeekDates,
+  SWEDISH_TO_ENGLISH,
+  ENGLISH_TO_SWEDISH,
+  getSwedishWeekday,
+  resolveDayParam,
+};
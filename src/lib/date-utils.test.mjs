@@ -0,0 +1,145 @@
+import { describe, expect, it } from "vitest";
+import {
+  getCalendarDateISOWeekInfo,
+  getISOWeekDates,
+  getISOWeekInfo,
+  getSwedishDate,
+  getSwedishWeekday,
+  getWeekYearForWeek,
+  resolveDayParam,
+  shiftISOWeek,
+} from "./date-utils.mjs";
+
+// Tuesday 2026-11-17, 12:00 in Malmö
+const TUESDAY_NOON = new Date("2026-11-17T11:00:00Z");
+
+describe("getSwedishDate", () => {
+  it("uses the Swedish calendar day", () => {
+    expect(getSwedishDate(TUESDAY_NOON)).toBe("2026-11-17");
+    // 23:30 UTC on 16 November is already the 17th in Malmö
+    expect(getSwedishDate(new Date("2026-11-16T23:30:00Z"))).toBe(
+      "2026-11-17",
+    );
+  });
+});
+
+describe("getISOWeekInfo", () => {
+  it("uses the ISO week-year across New Year", () => {
+    expect(getISOWeekInfo(new Date("2024-12-30T11:00:00Z"))).toEqual({
+      week: 1,
+      year: 2025,
+    });
+    expect(getISOWeekInfo(new Date("2026-12-31T11:00:00Z"))).toEqual({
+      week: 53,
+      year: 2026,
+    });
+    expect(getISOWeekInfo(new Date("2027-01-01T11:00:00Z"))).toEqual({
+      week: 53,
+      year: 2026,
+    });
+    expect(getISOWeekInfo(new Date("2027-01-04T11:00:00Z"))).toEqual({
+      week: 1,
+      year: 2027,
+    });
+  });
+
+  it("uses Swedish local time rather than UTC", () => {
+    // 23:30 UTC on Sunday 2027-01-03 is already Monday of week 1 in Malmö
+    expect(getISOWeekInfo(new Date("2027-01-03T23:30:00Z"))).toEqual({
+      week: 1,
+      year: 2027,
+    });
+  });
+});
+
+describe("getCalendarDateISOWeekInfo", () => {
+  it("uses the date's own calendar fields", () => {
+    expect(getCalendarDateISOWeekInfo(new Date(2024, 11, 30))).toEqual({
+      week: 1,
+      year: 2025,
+    });
+  });
+});
+
+describe("getWeekYearForWeek", () => {
+  it("picks the occurrence of the week closest to now", () => {
+    const lateDecember = new Date("2024-12-27T11:00:00Z");
+    const earlyJanuary = new Date("2027-01-05T11:00:00Z");
+
+    expect(getWeekYearForWeek(52, lateDecember)).toBe(2024);
+    expect(getWeekYearForWeek(1, lateDecember)).toBe(2025);
+    expect(getWeekYearForWeek(52, earlyJanuary)).toBe(2026);
+    expect(getWeekYearForWeek(2, earlyJanuary)).toBe(2027);
+    expect(getWeekYearForWeek(47, TUESDAY_NOON)).toBe(2026);
+  });
+});
+
+describe("shiftISOWeek", () => {
+  it("moves within a week-year", () => {
+    expect(shiftISOWeek(47, 2026, 1)).toEqual({ week: 48, year: 2026 });
+    expect(shiftISOWeek(47, 2026, -1)).toEqual({ week: 46, year: 2026 });
+  });
+
+  it("crosses into the neighbouring week-year", () => {
+    expect(shiftISOWeek(52, 2025, 1)).toEqual({ week: 1, year: 2026 });
+    expect(shiftISOWeek(53, 2026, 1)).toEqual({ week: 1, year: 2027 });
+    expect(shiftISOWeek(1, 2027, -1)).toEqual({ week: 53, year: 2026 });
+    expect(shiftISOWeek(1, 2025, -1)).toEqual({ week: 52, year: 2024 });
+  });
+});
+
+describe("getISOWeekDates", () => {
+  it("lists the dates from Monday to Sunday", () => {
+    expect(getISOWeekDates(47, 2026)).toEqual({
+      måndag: "2026-11-16",
+      tisdag: "2026-11-17",
+      onsdag: "2026-11-18",
+      torsdag: "2026-11-19",
+      fredag: "2026-11-20",
+      lördag: "2026-11-21",
+      söndag: "2026-11-22",
+    });
+  });
+
+  it("crosses calendar years in week 1 and 53", () => {
+    expect(getISOWeekDates(1, 2025).måndag).toBe("2024-12-30");
+    expect(getISOWeekDates(53, 2026).fredag).toBe("2027-01-01");
+  });
+});
+
+describe("getSwedishWeekday", () => {
+  it("uses Swedish local time rather than UTC", () => {
+    // 23:30 UTC on Monday is already Tuesday in Malmö
+    expect(getSwedishWeekday(new Date("2026-11-16T23:30:00Z"))).toBe("tisdag");
+  });
+});
+
+describe("resolveDayParam", () => {
+  it("accepts Swedish and English weekday names in any case", () => {
+    expect(resolveDayParam("Tisdag")).toBe("tisdag");
+    expect(resolveDayParam("THURSDAY")).toBe("torsdag");
+  });
+
+  it("resolves today/idag and tomorrow/imorgon", () => {
+    expect(resolveDayParam("today", TUESDAY_NOON)).toBe("tisdag");
+    expect(resolveDayParam("idag", TUESDAY_NOON)).toBe("tisdag");
+    expect(resolveDayParam("tomorrow", TUESDAY_NOON)).toBe("onsdag");
+    expect(resolveDayParam("imorgon", TUESDAY_NOON)).toBe("onsdag");
+  });
+
+  it("maps all/alla to 'all'", () => {
+    expect(resolveDayParam("all")).toBe("all");
+    expect(resolveDayParam("Alla")).toBe("all");
+  });
+
+  it("returns null for missing or unknown days", () => {
+    expect(resolveDayParam(undefined)).toBeNull();
+    expect(resolveDayParam("someday")).toBeNull();
+  });
+
+  it("does not mistake object prototype keys for days", () => {
+    expect(resolveDayParam("constructor")).toBeNull();
+    expect(resolveDayParam("__proto__")).toBeNull();
+    expect(resolveDayParam("toString")).toBeNull();
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Parser Drift Detection
+ * When a restaurant redesigns its site, a parser often keeps "succeeding"
+ * with garbage: the wrong number taken for the price, the description glued
+ * into the name, a single day found. The collector profiles every parser
+ * result and compares it with the restaurant's previous weeks in the cache;
+ * results that deviate are flagged in the run record and on the /status page,
+ * and in "protect" mode are not allowed to overwrite a good cache entry.
+ *
+ * Each cache item stores the profile of the batch that last wrote it
+ * (`metadata.profile`), so the baseline describes what a single run returns.
+ * That matters for restaurants that publish one day at a time, whose cached
+ * weeks fill up over several runs.
+ *
+ * This module is pure; the collector does the cache reads and writes.
+ */
+
+export const DRIFT_MODES = ["flag", "protect"];
+
+// A verdict needs this many previous weeks to compare with
+export const MIN_BASELINE_WEEKS = 2;
+
+/**
+ * Median of the finite numbers in a list
+ * @param {Array<number|null>} values - Values to summarize
+ * @returns {number|null} Median, or null if there are no numbers
+ */
+function median(values) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Round to one decimal, for readable profiles and messages
+ * @param {number|null} value - Value to round
+ * @returns {number|null} Rounded value
+ */
+function round(value) {
+  return Number.isFinite(value) ? Math.round(value * 10) / 10 : null;
+}
+
+/**
+ * Describe a batch of lunches by the figures that change when a parser
+ * starts reading the wrong thing
+ * @param {Array<Object>} lunches - Lunches from one parser run
+ * @returns {Object} { dishCount, weekdays, dishesPerDay, medianPrice,
+ *   pricedShare, medianNameLength }
+ */
+export function profileLunches(lunches = []) {
+  const weekdays = new Set(
+    lunches.map((lunch) => lunch.weekday).filter(Boolean),
+  ).size;
+  const prices = lunches
+    .map((lunch) => Number(lunch.price))
+    .filter((price) => price > 0);
+
+  return {
+    dishCount: lunches.length,
+    weekdays,
+    dishesPerDay: round(lunches.length / Math.max(weekdays, 1)),
+    medianPrice: median(prices),
+    pricedShare: lunches.length
+      ? Math.round((prices.length / lunches.length) * 100) / 100
+      : null,
+    medianNameLength: median(
+      lunches.map((lunch) => String(lunch.name || "").trim().length),
+    ),
+  };
+}
+
+/**
+ * Checks against the baseline median of each profile figure, in reporting
+ * order. `test` gets the current and usual value and is true when the
+ * current one is out of line; the margins keep small menus from tripping
+ * them (one dish more on a two-dish menu doubles it).
+ */
+const CHECKS = [
+  {
+    check: "weekdays",
+    test: (current, usual) => usual >= 3 && current <= usual / 2,
+    message: (current, usual) => `${current} veckodagar, brukar vara ${usual}`,
+  },
+  {
+    check: "dishesPerDay",
+    test: (current, usual) =>
+      Math.abs(current - usual) >= 2 &&
+      (current < usual / 2 || current > usual * 2),
+    message: (current, usual) =>
+      `${current} rätter per dag, brukar vara ${usual}`,
+  },
+  {
+    check: "medianPrice",
+    test: (current, usual) => current < usual / 1.5 || current > usual * 1.5,
+    message: (current, usual) =>
+      `medianpris ${current} kr, brukar vara ${usual} kr`,
+  },
+  {
+    check: "pricedShare",
+    test: (current, usual) => usual >= 0.8 && current < 0.5,
+    message: (current, usual) =>
+      `${Math.round(current * 100)}% av rätterna har pris, brukar vara ${Math.round(usual * 100)}%`,
+  },
+  {
+    check: "medianNameLength",
+    test: (current, usual) =>
+      (current > usual * 2 && current - usual >= 15) ||
+      (current < usual / 2 && usual - current >= 10),
+    message: (current, usual) =>
+      `rättnamn ${current} tecken långa, brukar vara ${usual}`,
+  },
+];
+
+/**
+ * Compare a parser result with the restaurant's previous weeks
+ * @param {Array<Object>} lunches - Lunches from the current run
+ * @param {Array<Object>} previousProfiles - Profiles of previous weeks,
+ *   newest first, each from profileLunches
+ * @param {Object} options - Drift options
+ * @param {number} options.holidayWeekdays - Weekdays the current week has
+ *   off for holidays, taken off the usual weekday coverage
+ * @returns {Object} { status: "ok"|"suspicious"|"no-baseline", anomalies:
+ *   [{ check, message, value, baseline }], profile, baselineWeeks }
+ */
+export function detectDrift(
+  lunches,
+  previousProfiles = [],
+  { holidayWeekdays = 0 } = {},
+) {
+  const profile = profileLunches(lunches);
+  const baselineWeeks = previousProfiles.length;
+
+  if (baselineWeeks < MIN_BASELINE_WEEKS || profile.dishCount === 0) {
+    return { status: "no-baseline", anomalies: [], profile, baselineWeeks };
+  }
+
+  const anomalies = [];
+  for (const { check, test, message } of CHECKS) {
+    const value = profile[check];
+    let baseline = round(median(previousProfiles.map((p) => p?.[check])));
+    if (!Number.isFinite(value) || baseline === null) continue;
+    if (check === "weekdays") {
+      baseline = Math.max(baseline - holidayWeekdays, 0);
+    }
+    if (test(value, baseline)) {
+      anomalies.push({
+        check,
+        message: message(value, baseline),
+        value,
+        baseline,
+      });
+    }
+  }
+
+  return {
+    status: anomalies.length > 0 ? "suspicious" : "ok",
+    anomalies,
+    profile,
+    baselineWeeks,
+  };
+}
+
+/**
+ * Pick the baseline profiles from a restaurant's cache items: previous weeks
+ * only, newest first, skipping weeks without lunches or whose last write was
+ * itself flagged. Items cached before profiles were stored are profiled from
+ * their lunches, without weekday coverage, since those lunches may have been
+ * merged from several runs.
+ * @param {Array<Object>} cacheItems - Cache items, newest first
+ * @param {Set<string>} currentWeeks - "year-week" keys the run writes
+ * @param {number} limit - Maximum number of weeks to use
+ * @returns {Array<Object>} Baseline profiles
+ */
+export function selectBaselineProfiles(cacheItems, currentWeeks, limit) {
+  return cacheItems
+    .filter(
+      (item) =>
+        item?.lunches?.length > 0 &&
+        !currentWeeks.has(`${item.year}-${item.week}`) &&
+        item.metadata?.drift?.status !== "suspicious",
+    )
+    .slice(0, limit)
+    .map(
+      (item) =>
+        item.metadata?.profile || {
+          ...profileLunches(item.lunches),
+          weekdays: null,
+        },
+    );
+}
+
+export default {
+  DRIFT_MODES,
+  MIN_BASELINE_WEEKS,
+  profileLunches,
+  detectDrift,
+  selectBaselineProfiles,
+};
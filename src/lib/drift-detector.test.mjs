@@ -0,0 +1,173 @@
+import { describe, expect, it } from "vitest";
+import {
+  detectDrift,
+  profileLunches,
+  selectBaselineProfiles,
+} from "./drift-detector.mjs";
+
+const WEEKDAYS = ["måndag", "tisdag", "onsdag", "torsdag", "fredag"];
+
+// A typical week: three dishes a day at around 125 kr
+function week({
+  days = WEEKDAYS,
+  perDay = 3,
+  price = 125,
+  name = "Pannbiff med lök",
+} = {}) {
+  return days.flatMap((weekday) =>
+    Array.from({ length: perDay }, (_, i) => ({
+      name: `${name} ${i + 1}`,
+      description: "",
+      price: price === null ? 0 : price + i * 5,
+      weekday,
+      week: 12,
+    })),
+  );
+}
+
+const BASELINE = [
+  profileLunches(week()),
+  profileLunches(week({ perDay: 4 })),
+  profileLunches(week()),
+];
+
+describe("profileLunches", () => {
+  it("summarizes a week of lunches", () => {
+    expect(profileLunches(week())).toEqual({
+      dishCount: 15,
+      weekdays: 5,
+      dishesPerDay: 3,
+      medianPrice: 130,
+      pricedShare: 1,
+      medianNameLength: 18,
+    });
+  });
+
+  it("ignores missing prices in the median", () => {
+    const lunches = [
+      { name: "Soppa", price: 0, weekday: "måndag" },
+      { name: "Gryta", price: 119, weekday: "måndag" },
+      { name: "Fisk", price: 139, weekday: "tisdag" },
+    ];
+    expect(profileLunches(lunches)).toMatchObject({
+      weekdays: 2,
+      dishesPerDay: 1.5,
+      medianPrice: 129,
+      pricedShare: 0.67,
+    });
+    expect(profileLunches([])).toMatchObject({
+      dishCount: 0,
+      medianPrice: null,
+      pricedShare: null,
+    });
+  });
+});
+
+describe("detectDrift", () => {
+  it("accepts a week like the previous ones", () => {
+    const drift = detectDrift(week({ price: 135 }), BASELINE);
+    expect(drift).toMatchObject({
+      status: "ok",
+      anomalies: [],
+      baselineWeeks: 3,
+    });
+    expect(drift.profile.dishCount).toBe(15);
+  });
+
+  it("needs a baseline of at least two weeks", () => {
+    expect(
+      detectDrift(week({ price: 12 }), BASELINE.slice(0, 1)),
+    ).toMatchObject({ status: "no-baseline", anomalies: [] });
+  });
+
+  it("flags a wrong number taken for the price", () => {
+    const drift = detectDrift(week({ price: 12 }), BASELINE);
+    expect(drift.status).toBe("suspicious");
+    expect(drift.anomalies).toEqual([
+      {
+        check: "medianPrice",
+        message: "medianpris 17 kr, brukar vara 130 kr",
+        value: 17,
+        baseline: 130,
+      },
+    ]);
+  });
+
+  it("flags a single day found and dishes without prices", () => {
+    const drift = detectDrift(
+      week({ days: ["måndag"], price: null }),
+      BASELINE,
+    );
+    expect(drift.anomalies.map((a) => a.message)).toEqual([
+      "1 veckodagar, brukar vara 5",
+      "0% av rätterna har pris, brukar vara 100%",
+    ]);
+  });
+
+  it("flags descriptions glued into dish names and exploded menus", () => {
+    const glued = detectDrift(
+      week({ name: "Pannbiff med lök, gräddsås, pressgurka och potatismos" }),
+      BASELINE,
+    );
+    expect(glued.anomalies.map((a) => a.check)).toEqual(["medianNameLength"]);
+
+    const exploded = detectDrift(week({ perDay: 12 }), BASELINE);
+    expect(exploded.anomalies.map((a) => a.message)).toEqual([
+      "12 rätter per dag, brukar vara 3",
+    ]);
+  });
+
+  it("does not expect lunches on the week's holidays", () => {
+    // Julafton, juldagen and annandag jul
+    const christmas = week({ days: ["måndag", "tisdag"] });
+    expect(detectDrift(christmas, BASELINE).anomalies[0].check).toBe(
+      "weekdays",
+    );
+    expect(
+      detectDrift(christmas, BASELINE, { holidayWeekdays: 3 }),
+    ).toMatchObject({ status: "ok", anomalies: [] });
+  });
+
+  it("tolerates small changes on small menus", () => {
+    const small = [
+      profileLunches(week({ perDay: 1 })),
+      profileLunches(week({ perDay: 1 })),
+    ];
+    expect(detectDrift(week({ perDay: 2 }), small).status).toBe("ok");
+  });
+});
+
+describe("selectBaselineProfiles", () => {
+  const item = (weekNumber, overrides = {}) => ({
+    week: weekNumber,
+    year: 2026,
+    lunches: week(),
+    metadata: { profile: { dishCount: weekNumber } },
+    ...overrides,
+  });
+
+  it("uses previous weeks with lunches that were not flagged", () => {
+    const profiles = selectBaselineProfiles(
+      [
+        item(12),
+        item(11, { lunches: [] }),
+        item(10, { metadata: { drift: { status: "suspicious" } } }),
+        item(9),
+        item(8),
+        item(7),
+      ],
+      new Set(["2026-12"]),
+      2,
+    );
+    expect(profiles).toEqual([{ dishCount: 9 }, { dishCount: 8 }]);
+  });
+
+  it("profiles older items without weekday coverage", () => {
+    const [profile] = selectBaselineProfiles(
+      [item(9, { metadata: {} })],
+      new Set(),
+      4,
+    );
+    expect(profile).toMatchObject({ dishCount: 15, weekdays: null });
+  });
+});
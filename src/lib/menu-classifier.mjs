@@ -0,0 +1,206 @@
+/**
+ * Menu Classifier
+ * Derives dietary tags and allergens from Swedish menu text. Runs on every
+ * lunch after parsing (see BaseParser.execute), so the tags end up in the
+ * cache and drive the filter chips in the lunch page.
+ *
+ * Dietary tags: vegetarian, vegan, gluten-free, lactose-free, fish, meat,
+ * chicken. Allergens: gluten, lactose, egg, nuts, peanuts, fish, shellfish,
+ * soy, sesame, mustard, celery.
+ *
+ * Tags are only added on positive evidence (a word or a marker such as
+ * "(V)", "VG", "L", "G"); a dish without meat words is not assumed to be
+ * vegetarian.
+ */
+
+export const DIETARY_TAGS = [
+  "vegetarian",
+  "vegan",
+  "gluten-free",
+  "lactose-free",
+  "fish",
+  "meat",
+  "chicken",
+];
+
+export const ALLERGEN_TAGS = [
+  "gluten",
+  "lactose",
+  "egg",
+  "nuts",
+  "peanuts",
+  "fish",
+  "shellfish",
+  "soy",
+  "sesame",
+  "mustard",
+  "celery",
+];
+
+// Letters that count as part of a word, for word-start matching. JavaScript's
+// \b treats å/ä/ö as word boundaries, which breaks Swedish words.
+const LETTER = "a-zåäöéèüæø";
+const wordStart = (pattern) =>
+  new RegExp(`(?<![${LETTER}])(?:${pattern})`, "i");
+
+// Dietary words. Swedish compounds put the key word anywhere ("kycklinglår",
+// "rökt laxfilé"), so longer stems match anywhere and short ones at a word
+// start only.
+const DIETARY_PATTERNS = {
+  vegan: [/vegan|växtbaserad|plant[ -]?based/i],
+  vegetarian: [/vegetari|veggie/i, wordStart("vego|veg\\.?(?![a-zåäö])")],
+  "gluten-free": [/glutenfri|gluten[ -]free/i],
+  "lactose-free": [/laktosfri|mjölkfri|lactose[ -]free|dairy[ -]free/i],
+  chicken: [/kyckling|chicken|majskyckling/i],
+  fish: [
+    /fisk|torsk|kolja|rödspätta|strömming|hälleflundra|makrill|tonfisk|salmon|fish/i,
+    wordStart("lax|sej|sill|gös|abborre|cod|pollock"),
+  ],
+  meat: [
+    /kött|fläsk|bacon|skinka|karré|kassler|entrecote|entrecôte|oxfilé|högrev|chorizo|salsiccia|pancetta|prosciutto|renskav|beef|pork/i,
+    wordStart("korv|biff|lamm|kalv|älg|hjort|vilt|lamb|ham(?![a-zåäö])"),
+  ],
+};
+
+// Allergen words. "Free from" forms are stripped before this scan so that
+// "glutenfri" does not count as containing gluten.
+const ALLERGEN_PATTERNS = {
+  gluten: [/gluten|wheat/i, wordStart("vete")],
+  lactose: [/laktos|mjölk|grädd|lactose|dairy/i],
+  egg: [wordStart("ägg|egg(?!plant)")],
+  peanuts: [/jordnöt|peanut/i],
+  nuts: [
+    /(?<!jord)nötter|valnöt|hasselnöt|cashew|pistage|pekannöt|mandel(?!potatis)|almond|walnut|hazelnut/i,
+    wordStart("nuts"),
+  ],
+  shellfish: [
+    /räk|kräft|hummer|krabba|skaldjur|shrimp|prawn|lobster/i,
+    wordStart("musslor|mussels"),
+  ],
+  soy: [/soja|soy/i],
+  sesame: [/sesam/i],
+  mustard: [/senap|mustard/i],
+  celery: [/selleri|celery/i],
+};
+
+// Menu markers, e.g. "Pasta arrabbiata (V)" or "Kycklinggryta L, G"
+const MARKERS = {
+  V: ["vegetarian"],
+  VEG: ["vegetarian"],
+  VG: ["vegan", "vegetarian"],
+  VE: ["vegan", "vegetarian"],
+  L: ["lactose-free"],
+  LF: ["lactose-free"],
+  G: ["gluten-free"],
+  GF: ["gluten-free"],
+};
+
+const FREE_FROM_RE =
+  /(?:gluten|laktos|mjölk|lactose|dairy|ägg|egg|nöt|nut)[ -]?(?:fri|free)[a-zåäö]*|utan (?:gluten|laktos|mjölk)/gi;
+
+// "Vegetariskt alternativ finns" on a meat dish says nothing about the dish
+const ALTERNATIVE_RE = /\S*\s+alternativ\S*|alternative?\s+\S+/gi;
+
+const MARKER_GROUP_RE = /\(([A-Za-z]{1,3}(?:\s*[,/]\s*[A-Za-z]{1,3})*)\)/g;
+const TRAILING_MARKERS_RE =
+  /(?:^|\s)([A-Z]{1,3}(?:\s*[,/]\s*[A-Z]{1,3}|\s+[A-Z]{1,3})*)\s*$/;
+
+/**
+ * Collect dietary tags from "(V)"-style and trailing "L, G"-style markers
+ * @param {string} text - Dish text
+ * @returns {Set<string>} Dietary tags
+ */
+function markerTags(text) {
+  const tags = new Set();
+  const groups = [...text.matchAll(MARKER_GROUP_RE)].map((m) => m[1]);
+  const trailing = text.match(TRAILING_MARKERS_RE);
+  if (trailing) groups.push(trailing[1]);
+
+  for (const group of groups) {
+    const tokens = group.toUpperCase().split(/[\s,/]+/).filter(Boolean);
+    // A group only counts if every token is a marker; "(XL)" or "(SMS)" is not
+    if (!tokens.every((token) => token in MARKERS)) continue;
+    tokens.forEach((token) => MARKERS[token].forEach((tag) => tags.add(tag)));
+  }
+  return tags;
+}
+
+/**
+ * Test text against a table of tag -> patterns
+ * @param {string} text - Text to scan
+ * @param {Object} table - Map of tag to RegExp list
+ * @returns {Set<string>} Matching tags
+ */
+function matchTags(text, table) {
+  const tags = new Set();
+  for (const [tag, patterns] of Object.entries(table)) {
+    if (patterns.some((re) => re.test(text))) tags.add(tag);
+  }
+  return tags;
+}
+
+/**
+ * Classify a single dish. Dietary tags already set by the parser are kept.
+ * @param {Object} lunch - Lunch object with name and description
+ * @returns {{dietary: string[], allergens: string[]}} Tags found in the text
+ */
+export function classifyDish(lunch) {
+  const text = `${lunch?.name || ""} ${lunch?.description || ""}`.trim();
+
+  const dietary = new Set([
+    ...(lunch?.dietary || []),
+    ...markerTags(lunch?.name || ""),
+    ...markerTags(lunch?.description || ""),
+    ...matchTags(text.replace(ALTERNATIVE_RE, " "), DIETARY_PATTERNS),
+  ]);
+  if (dietary.has("vegan")) dietary.add("vegetarian");
+
+  // A dish explicitly marked vegetarian keeps no meat/fish tags, so that
+  // e.g. "vegetarisk köttfärssås" stays vegetarian only
+  if (dietary.has("vegetarian")) {
+    ["meat", "fish", "chicken"].forEach((tag) => dietary.delete(tag));
+  }
+
+  const allergens = matchTags(
+    text.replace(FREE_FROM_RE, " "),
+    ALLERGEN_PATTERNS,
+  );
+  if (dietary.has("fish")) allergens.add("fish");
+  if (dietary.has("gluten-free")) allergens.delete("gluten");
+  if (dietary.has("lactose-free")) allergens.delete("lactose");
+  if (dietary.has("vegan")) {
+    ["lactose", "egg", "fish", "shellfish"].forEach((tag) =>
+      allergens.delete(tag),
+    );
+  }
+
+  return {
+    dietary: [...DIETARY_TAGS, ...dietary].filter(
+      (tag, i, all) => dietary.has(tag) && all.indexOf(tag) === i,
+    ),
+    allergens: ALLERGEN_TAGS.filter((tag) => allergens.has(tag)),
+  };
+}
+
+/**
+ * Add classifier tags to lunch objects, keeping any tags the parser set
+ * @param {Array} lunches - Lunch objects
+ * @returns {Array} New lunch objects with dietary and allergens filled in
+ */
+export function classifyLunches(lunches) {
+  return (lunches || []).map((lunch) => {
+    const { dietary, allergens } = classifyDish(lunch);
+    return {
+      ...lunch,
+      dietary,
+      allergens: [...new Set([...(lunch?.allergens || []), ...allergens])],
+    };
+  });
+}
+
+export default {
+  DIETARY_TAGS,
+  ALLERGEN_TAGS,
+  classifyDish,
+  classifyLunches,
+};
@@ -0,0 +1,116 @@
+import { describe, expect, it } from "vitest";
+import { classifyDish, classifyLunches } from "./menu-classifier.mjs";
+
+const dish = (name, description = "") => classifyDish({ name, description });
+
+describe("classifyDish dietary tags", () => {
+  it("recognises Swedish vegetarian and vegan wording", () => {
+    expect(dish("Vegetarisk lasagne").dietary).toEqual(["vegetarian"]);
+    expect(dish("Vegansk curry med kikärtor").dietary).toEqual([
+      "vegetarian",
+      "vegan",
+    ]);
+    expect(dish("Dagens vego", "Halloumi med bulgur").dietary).toEqual([
+      "vegetarian",
+    ]);
+  });
+
+  it("recognises protein words inside compound words", () => {
+    expect(dish("Kycklinglår med ris").dietary).toEqual(["chicken"]);
+    expect(dish("Rökt laxfilé med dillsås").dietary).toEqual(["fish"]);
+    expect(dish("Torskrygg", "Med räksås").dietary).toEqual(["fish"]);
+    expect(dish("Fläskfilé med gräddsås").dietary).toEqual(["meat"]);
+    expect(dish("Köttbullar med potatismos").dietary).toEqual(["meat"]);
+  });
+
+  it("does not match short words inside unrelated words", () => {
+    expect(dish("Hamnens soppa").dietary).toEqual([]);
+    expect(dish("Relaxed pasta").dietary).toEqual([]);
+  });
+
+  it("reads (V), VG, L and G markers", () => {
+    expect(dish("Pasta arrabbiata (V)").dietary).toEqual(["vegetarian"]);
+    expect(dish("Linsgryta VG").dietary).toEqual(["vegetarian", "vegan"]);
+    expect(dish("Kycklinggryta L, G").dietary).toEqual([
+      "gluten-free",
+      "lactose-free",
+      "chicken",
+    ]);
+    expect(dish("Sallad (l/g)").dietary).toEqual([
+      "gluten-free",
+      "lactose-free",
+    ]);
+  });
+
+  it("ignores uppercase words and parentheses that are not markers", () => {
+    expect(dish("Pulled pork BBQ").dietary).toEqual(["meat"]);
+    expect(dish("Pizza (XL)").dietary).toEqual([]);
+  });
+
+  it("keeps a vegetarian dish vegetarian despite meat-like words", () => {
+    expect(dish("Vegetarisk köttfärssås", "Med sojafärs").dietary).toEqual([
+      "vegetarian",
+    ]);
+  });
+
+  it("ignores mentions of a vegetarian alternative on a meat dish", () => {
+    expect(
+      dish("Biff med bearnaise", "Vegetariskt alternativ finns").dietary,
+    ).toEqual(["meat"]);
+  });
+
+  it("keeps tags set by the parser", () => {
+    expect(
+      classifyDish({ name: "Halloumi", dietary: ["vegetarian"] }).dietary,
+    ).toEqual(["vegetarian"]);
+  });
+});
+
+describe("classifyDish allergens", () => {
+  it("finds common allergen words", () => {
+    expect(
+      dish("Räkmacka", "Med ägg, majonnäs och senap").allergens,
+    ).toEqual(["egg", "shellfish", "mustard"]);
+    expect(dish("Sesamkyckling", "Med jordnötter och soja").allergens).toEqual([
+      "peanuts",
+      "soy",
+      "sesame",
+    ]);
+    expect(dish("Torsk", "Med skirat smör").allergens).toEqual(["fish"]);
+  });
+
+  it("does not count free-from wording as the allergen", () => {
+    expect(dish("Glutenfri pasta", "Laktosfri gräddsås").allergens).toEqual(
+      [],
+    );
+    expect(dish("Kycklinggryta G", "Med vetebröd").allergens).toEqual([]);
+  });
+
+  it("does not treat mandelpotatis as nuts", () => {
+    expect(dish("Stekt strömming", "Med mandelpotatis").allergens).toEqual([
+      "fish",
+    ]);
+  });
+});
+
+describe("classifyLunches", () => {
+  it("adds tags to every lunch without dropping other fields", () => {
+    const [lunch] = classifyLunches([
+      {
+        name: "Vegansk falafel",
+        description: "Med sesamsås",
+        price: 125,
+        weekday: "måndag",
+        allergens: ["celery"],
+      },
+    ]);
+
+    expect(lunch).toMatchObject({
+      name: "Vegansk falafel",
+      price: 125,
+      weekday: "måndag",
+      dietary: ["vegetarian", "vegan"],
+      allergens: ["celery", "sesame"],
+    });
+  });
+});
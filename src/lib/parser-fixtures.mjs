@@ -0,0 +1,289 @@
+/**
+ * Parser Fixtures
+ * Records the pages parsers fetch and serves them back offline, so parsers
+ * can be tested against real historical pages instead of hand-made snippets.
+ *
+ * `BaseParser.makeRequest` consults the parser's `fixtures` config:
+ *   - mode "record": every successful response body is also written to disk
+ *   - mode "replay": responses are served from disk and nothing is fetched;
+ *     with a `file` instead of a `dir`, that one file answers every request
+ *     (e.g. a page saved from the browser, see `node src/cli.mjs parse`)
+ *
+ * Layout, one directory per restaurant and recording day (Swedish date):
+ *
+ *   <dir>/<restaurant id>/<YYYY-MM-DD>/manifest.json
+ *   <dir>/<restaurant id>/<YYYY-MM-DD>/<url slug>.<html|json|pdf|...>
+ *
+ * The manifest lists every recorded URL with its body file, status and
+ * content type, plus when the recording was made so a replay can run at the
+ * same moment (parsers fall back to the current week). A `golden.json` next
+ * to it holds the lunches the parser is expected to produce from the
+ * recording; the replay suite fails when the output drifts from it. A
+ * `source` in the manifest marks pages that were built by hand rather than
+ * recorded, and says where they come from; recording the day again drops it.
+ *
+ * Outside tests the config comes from the environment: PARSER_FIXTURES
+ * ("record" or "replay"), PARSER_FIXTURES_DIR (default src/parsers/fixtures)
+ * and PARSER_FIXTURES_DATE (the day to replay; default the latest recorded).
+ */
+
+import { mkdir, readdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { createHash } from "node:crypto";
+import { getSwedishDate } from "./date-utils.mjs";
+
+export const FIXTURE_MODES = ["record", "replay"];
+export const DEFAULT_FIXTURE_DIR = path.join("src", "parsers", "fixtures");
+const MANIFEST = "manifest.json";
+export const GOLDEN_FILE = "golden.json";
+const GOLDEN_FIELDS = ["name", "description", "price", "weekday", "week"];
+const DATE_DIR_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const EXTENSIONS = [
+  [/html/, "html"],
+  [/json/, "json"],
+  [/pdf/, "pdf"],
+  [/xml/, "xml"],
+  [/^text\//, "txt"],
+];
+
+// Content types for files replayed without a manifest, by extension
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".htm": "text/html; charset=utf-8",
+  ".json": "application/json",
+  ".pdf": "application/pdf",
+  ".xml": "application/xml",
+  ".txt": "text/plain; charset=utf-8",
+};
+
+// Manifest updates for one directory run one at a time, so parsers that
+// fetch in parallel don't overwrite each other's entries
+const writeQueues = new Map();
+
+/**
+ * Read the fixture config from the environment
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object|null} { mode, dir, date }, or null when fixtures are off
+ */
+export function getFixtureConfigFromEnv(env = process.env) {
+  const mode = env.PARSER_FIXTURES;
+  if (!mode) return null;
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(
+      `PARSER_FIXTURES must be one of ${FIXTURE_MODES.join(", ")}, got "${mode}"`,
+    );
+  }
+  return {
+    mode,
+    dir: env.PARSER_FIXTURES_DIR || DEFAULT_FIXTURE_DIR,
+    date: env.PARSER_FIXTURES_DATE || null,
+  };
+}
+
+/**
+ * Serialize parsed lunches as golden output: only the fields a menu change
+ * shows up in, in the parser's order, as pretty-printed JSON so that a diff
+ * points at the changed dish
+ * @param {Array<Object>} lunches - Parsed lunches
+ * @returns {string} golden.json contents
+ */
+export function formatGoldenLunches(lunches) {
+  const golden = lunches.map((lunch) =>
+    Object.fromEntries(GOLDEN_FIELDS.map((field) => [field, lunch[field]])),
+  );
+  return `${JSON.stringify(golden, null, 2)}\n`;
+}
+
+/**
+ * Build a stable, readable file name for a URL
+ * @param {string} url - Fetched URL
+ * @param {string} contentType - Response content type
+ * @returns {string} File name, e.g. "smak-gastrogate-com-lunch-3f2a9c1e.html"
+ */
+export function fixtureFileName(url, contentType = "") {
+  const { hostname, pathname, search } = new URL(url);
+  const slug = `${hostname.replace(/^www\./, "")}${pathname}${search}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, 80);
+  const hash = createHash("sha1").update(url).digest("hex").slice(0, 8);
+  const extension =
+    EXTENSIONS.find(([pattern]) => pattern.test(contentType))?.[1] || "bin";
+  return `${slug}-${hash}.${extension}`;
+}
+
+/**
+ * Save a response body as a fixture. The body is read, so pass a copy if the
+ * caller still needs it.
+ * @param {Object} options - Recording options
+ * @param {string} options.dir - Fixture root directory
+ * @param {string} options.restaurant - Restaurant id
+ * @param {string} options.url - Fetched URL
+ * @param {Response} options.response - Successful response
+ * @param {Date} options.now - Recording time (defaults to now)
+ * @returns {Promise<string>} Path of the written body file
+ */
+export async function recordFixture({
+  dir,
+  restaurant,
+  url,
+  response,
+  now = new Date(),
+}) {
+  const dayDir = path.join(dir, restaurant, getSwedishDate(now));
+  const contentType = response.headers.get("content-type") || "";
+  const file = fixtureFileName(url, contentType);
+  const body = Buffer.from(await response.arrayBuffer());
+
+  const previous = writeQueues.get(dayDir) || Promise.resolve();
+  const write = previous
+    .catch(() => {})
+    .then(async () => {
+      await mkdir(dayDir, { recursive: true });
+      await writeFile(path.join(dayDir, file), body);
+
+      const manifest = (await readManifest(dayDir)) || {
+        restaurant,
+        responses: [],
+      };
+      delete manifest.source;
+      manifest.recordedAt = now.toISOString();
+      manifest.responses = [
+        ...manifest.responses.filter((entry) => entry.url !== url),
+        { url, file, status: response.status, contentType },
+      ];
+      await writeFile(
+        path.join(dayDir, MANIFEST),
+        `${JSON.stringify(manifest, null, 2)}\n`,
+      );
+    });
+  writeQueues.set(dayDir, write);
+
+  try {
+    await write;
+  } finally {
+    if (writeQueues.get(dayDir) === write) writeQueues.delete(dayDir);
+  }
+  return path.join(dayDir, file);
+}
+
+/**
+ * Serve a recorded response
+ * @param {Object} options - Replay options
+ * @param {string} options.dir - Fixture root directory
+ * @param {string} options.restaurant - Restaurant id
+ * @param {string} options.url - Requested URL
+ * @param {string|null} options.date - Recording day; default the latest
+ * @returns {Promise<Response>} Response rebuilt from the fixture
+ */
+export async function replayFixture({ dir, restaurant, url, date = null }) {
+  const day = date || (await listFixtureDates(dir, restaurant)).at(-1);
+  if (!day) {
+    throw new Error(`No fixtures recorded for ${restaurant} in ${dir}`);
+  }
+
+  const dayDir = path.join(dir, restaurant, day);
+  const entry = (await readManifest(dayDir))?.responses.find(
+    (response) => response.url === url,
+  );
+  if (!entry) {
+    throw new Error(`No fixture for ${url} in ${dayDir}`);
+  }
+
+  const body = await readFile(path.join(dayDir, entry.file));
+  return new Response(body, {
+    status: entry.status,
+    headers: entry.contentType ? { "content-type": entry.contentType } : {},
+  });
+}
+
+/**
+ * Serve a single file as the response, with a content type guessed from its
+ * extension
+ * @param {string} file - Path of the file
+ * @returns {Promise<Response>} Response with the file as body
+ */
+export async function replayFile(file) {
+  const body = await readFile(file);
+  const contentType = CONTENT_TYPES[path.extname(file).toLowerCase()];
+  return new Response(body, {
+    status: 200,
+    headers: contentType ? { "content-type": contentType } : {},
+  });
+}
+
+/**
+ * List the days recorded for a restaurant, oldest first
+ * @param {string} dir - Fixture root directory
+ * @param {string} restaurant - Restaurant id
+ * @returns {Promise<string[]>} "YYYY-MM-DD" directory names
+ */
+export async function listFixtureDates(dir, restaurant) {
+  const entries = await readdir(path.join(dir, restaurant), {
+    withFileTypes: true,
+  }).catch(() => []);
+  return entries
+    .filter((entry) => entry.isDirectory() && DATE_DIR_PATTERN.test(entry.name))
+    .map((entry) => entry.name)
+    .sort();
+}
+
+/**
+ * List every recording under a fixture root, for replaying them all
+ * @param {string} dir - Fixture root directory
+ * @returns {Promise<Array<Object>>} { restaurant, date, recordedAt,
+ * responses, source, golden } per recording day, by restaurant then date
+ */
+export async function listFixtures(dir) {
+  const restaurants = await readdir(dir, { withFileTypes: true }).catch(
+    () => [],
+  );
+
+  const fixtures = [];
+  for (const entry of restaurants.filter((e) => e.isDirectory())) {
+    for (const date of await listFixtureDates(dir, entry.name)) {
+      const manifest = await readManifest(path.join(dir, entry.name, date));
+      if (!manifest) continue;
+      fixtures.push({
+        restaurant: entry.name,
+        date,
+        recordedAt: manifest.recordedAt,
+        responses: manifest.responses,
+        source: manifest.source || null,
+        golden: path.join(dir, entry.name, date, GOLDEN_FILE),
+      });
+    }
+  }
+  return fixtures.sort(
+    (a, b) =>
+      a.restaurant.localeCompare(b.restaurant) || a.date.localeCompare(b.date),
+  );
+}
+
+/**
+ * @returns {Promise<Object|null>} Parsed manifest, or null if there is none
+ */
+async function readManifest(dayDir) {
+  try {
+    return JSON.parse(await readFile(path.join(dayDir, MANIFEST), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+export default {
+  FIXTURE_MODES,
+  DEFAULT_FIXTURE_DIR,
+  GOLDEN_FILE,
+  getFixtureConfigFromEnv,
+  formatGoldenLunches,
+  fixtureFileName,
+  recordFixture,
+  replayFixture,
+  replayFile,
+  listFixtureDates,
+  listFixtures,
+};
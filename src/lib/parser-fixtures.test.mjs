@@ -0,0 +1,280 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  mkdtemp,
+  readFile,
+  readdir,
+  rm,
+  writeFile,
+} from "node:fs/promises";
+import path from "node:path";
+import { tmpdir } from "node:os";
+import {
+  fixtureFileName,
+  formatGoldenLunches,
+  getFixtureConfigFromEnv,
+  listFixtures,
+  recordFixture,
+  replayFixture,
+} from "./parser-fixtures.mjs";
+import { BaseParser } from "../parsers/base-parser.mjs";
+
+class TestParser extends BaseParser {
+  getName() {
+    return "Kitchen961";
+  }
+
+  getUrl() {
+    return "https://kitchen961.se/lunchen/";
+  }
+
+  async parseMenu() {
+    return [];
+  }
+}
+
+function createParser(fixtures) {
+  const parser = new TestParser({ fixtures, retries: 1 });
+  parser.logger = {
+    info: () => Promise.resolve(),
+    warn: () => Promise.resolve(),
+    error: () => Promise.resolve(),
+    debug: () => Promise.resolve(),
+    startTimer: () => {},
+    endTimer: () => {},
+  };
+  return parser;
+}
+
+const PAGE = "<html><body><p>Dagens lunch 149 kr</p></body></html>";
+const PDF_BYTES = new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x00, 0xff, 0x10]);
+
+function htmlResponse(body = PAGE) {
+  return new Response(body, {
+    headers: { "content-type": "text/html; charset=UTF-8" },
+  });
+}
+
+describe("parser fixtures", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "parser-fixtures-"));
+  });
+
+  afterEach(async () => {
+    vi.unstubAllGlobals();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("records fetched pages under the restaurant id and Swedish date", async () => {
+    vi.stubGlobal("fetch", vi.fn(async () => htmlResponse()));
+    const parser = createParser({ mode: "record", dir });
+
+    const response = await parser.makeRequest(parser.getUrl());
+
+    // The caller still gets an unread body
+    expect(await response.text()).toBe(PAGE);
+
+    const [day] = await readdir(path.join(dir, "kitchen961"));
+    expect(day).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    const manifest = JSON.parse(
+      await readFile(path.join(dir, "kitchen961", day, "manifest.json")),
+    );
+    expect(manifest).toMatchObject({
+      restaurant: "kitchen961",
+      recordedAt: expect.any(String),
+      responses: [
+        {
+          url: "https://kitchen961.se/lunchen/",
+          file: fixtureFileName(parser.getUrl(), "text/html"),
+          status: 200,
+          contentType: "text/html; charset=UTF-8",
+        },
+      ],
+    });
+  });
+
+  it("replays recorded pages without touching the network", async () => {
+    const now = new Date("2026-11-17T09:00:00Z");
+    await recordFixture({
+      dir,
+      restaurant: "kitchen961",
+      url: "https://kitchen961.se/lunchen/",
+      response: htmlResponse(),
+      now,
+    });
+    await recordFixture({
+      dir,
+      restaurant: "kitchen961",
+      url: "https://kitchen961.se/meny.pdf",
+      response: new Response(PDF_BYTES, {
+        headers: { "content-type": "application/pdf" },
+      }),
+      now,
+    });
+
+    const fetch = vi.fn();
+    vi.stubGlobal("fetch", fetch);
+    const parser = createParser({ mode: "replay", dir, date: "2026-11-17" });
+
+    const document = await parser.fetchDocument();
+    const pdf = await parser.makeRequest("https://kitchen961.se/meny.pdf");
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(document.body.textContent).toBe("Dagens lunch 149 kr");
+    expect(pdf.headers.get("content-type")).toBe("application/pdf");
+    expect(new Uint8Array(await pdf.arrayBuffer())).toEqual(PDF_BYTES);
+  });
+
+  it("replays the latest day unless one is given", async () => {
+    for (const [day, price] of [
+      ["2026-11-16T09:00:00Z", 139],
+      ["2026-11-18T09:00:00Z", 149],
+    ]) {
+      await recordFixture({
+        dir,
+        restaurant: "kitchen961",
+        url: "https://kitchen961.se/lunchen/",
+        response: htmlResponse(`<p>${price} kr</p>`),
+        now: new Date(day),
+      });
+    }
+
+    const replay = (date) =>
+      replayFixture({
+        dir,
+        restaurant: "kitchen961",
+        url: "https://kitchen961.se/lunchen/",
+        date,
+      }).then((response) => response.text());
+
+    expect(await replay(null)).toBe("<p>149 kr</p>");
+    expect(await replay("2026-11-16")).toBe("<p>139 kr</p>");
+    expect(
+      (await listFixtures(dir)).map((f) => `${f.restaurant} ${f.date}`),
+    ).toEqual(["kitchen961 2026-11-16", "kitchen961 2026-11-18"]);
+  });
+
+  it("drops the hand-built mark when a day is recorded", async () => {
+    const now = new Date("2026-11-17T09:00:00Z");
+    const dayDir = path.join(dir, "kitchen961", "2026-11-17");
+    await recordFixture({
+      dir,
+      restaurant: "kitchen961",
+      url: "https://kitchen961.se/lunchen/",
+      response: htmlResponse(),
+      now,
+    });
+    const manifestFile = path.join(dayDir, "manifest.json");
+    const manifest = JSON.parse(await readFile(manifestFile));
+    await writeFile(
+      manifestFile,
+      JSON.stringify({ ...manifest, source: "Hand-written page" }),
+    );
+    expect((await listFixtures(dir))[0].source).toBe("Hand-written page");
+
+    await recordFixture({
+      dir,
+      restaurant: "kitchen961",
+      url: "https://kitchen961.se/lunchen/",
+      response: htmlResponse(),
+      now,
+    });
+
+    expect(JSON.parse(await readFile(manifestFile)).source).toBeUndefined();
+    expect((await listFixtures(dir))[0].source).toBeNull();
+  });
+
+  it("fails a replayed request that was never recorded", async () => {
+    const parser = createParser({ mode: "replay", dir });
+
+    await expect(parser.makeRequest(parser.getUrl())).rejects.toThrow(
+      `No fixtures recorded for kitchen961 in ${dir}`,
+    );
+
+    await recordFixture({
+      dir,
+      restaurant: "kitchen961",
+      url: parser.getUrl(),
+      response: htmlResponse(),
+    });
+    await expect(
+      parser.makeRequest("https://kitchen961.se/other/"),
+    ).rejects.toThrow("No fixture for https://kitchen961.se/other/");
+  });
+
+  it("answers every request with a single file", async () => {
+    const file = path.join(dir, "saved-page.html");
+    await writeFile(file, PAGE);
+    const fetch = vi.fn();
+    vi.stubGlobal("fetch", fetch);
+    const parser = createParser({ mode: "replay", file });
+
+    const document = await parser.fetchDocument();
+    const other = await parser.makeRequest("https://kitchen961.se/other/");
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(document.body.textContent).toBe("Dagens lunch 149 kr");
+    expect(other.headers.get("content-type")).toBe("text/html; charset=utf-8");
+  });
+
+  it("names files after the URL and content type", () => {
+    expect(
+      fixtureFileName(
+        "https://www.kontrast.se/api/menu?week=47",
+        "application/json",
+      ),
+    ).toMatch(/^kontrast-se-api-menu-week-47-[0-9a-f]{8}\.json$/);
+    expect(
+      fixtureFileName("https://lokal17.se/a.pdf", "application/pdf"),
+    ).toMatch(/\.pdf$/);
+    expect(fixtureFileName("https://lokal17.se/a", "")).toMatch(/\.bin$/);
+  });
+
+  it("keeps only the compared fields in golden output", () => {
+    const golden = formatGoldenLunches([
+      {
+        name: "Pannbiff",
+        description: "med lök",
+        price: 129,
+        weekday: "måndag",
+        week: 47,
+        place: "Niagara",
+        dietary: [],
+      },
+    ]);
+
+    expect(golden).toBe(
+      `${JSON.stringify(
+        [
+          {
+            name: "Pannbiff",
+            description: "med lök",
+            price: 129,
+            weekday: "måndag",
+            week: 47,
+          },
+        ],
+        null,
+        2,
+      )}\n`,
+    );
+  });
+
+  it("reads the mode from the environment", () => {
+    expect(getFixtureConfigFromEnv({})).toBeNull();
+    expect(
+      getFixtureConfigFromEnv({
+        PARSER_FIXTURES: "replay",
+        PARSER_FIXTURES_DATE: "2026-11-17",
+      }),
+    ).toEqual({
+      mode: "replay",
+      dir: path.join("src", "parsers", "fixtures"),
+      date: "2026-11-17",
+    });
+    expect(() => getFixtureConfigFromEnv({ PARSER_FIXTURES: "live" })).toThrow(
+      'PARSER_FIXTURES must be one of record, replay, got "live"',
+    );
+  });
+});
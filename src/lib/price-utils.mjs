@@ -0,0 +1,112 @@
+/**
+ * Lunch Price Model
+ * A lunch's `price` is its regular price (the first one listed when the
+ * menu lists several), or null when the restaurant publishes none; 0 means
+ * free. Optional fields describe the rest of what the menu says:
+ *   - priceMax:      highest price listed, when above `price` ("129–149 kr",
+ *                    "liten 99 kr / stor 129 kr")
+ *   - priceVariants: [{ label, price }] for tiers such as small/large,
+ *                    "take away 119 kr", "student 110 kr" or a price that
+ *                    comes with something ("149 kr inkl. sallad och kaffe")
+ *   - priceText:     the price text as published
+ * parsePrice turns a menu's price text into these fields; formatPrice shows
+ * them in the CLI (the lunch page has its own copy, as it doesn't load
+ * modules).
+ */
+
+// A number or range followed by a currency: "129 kr", "129:-", "129–149 kr",
+// "129,50 kr". Requiring the currency keeps times ("11.00–14.00") and dates
+// out of the price.
+const PRICE_PATTERN =
+  /(\d{1,4})(?:[.,]\d{1,2})?(?:\s*[-–]\s*(\d{1,4})(?:[.,]\d{1,2})?)?\s*(?:kr\b|kronor\b|sek\b|:-)/gi;
+
+// Text that is only a number or range, as read from a price element
+const BARE_PRICE_PATTERN = /^(\d{1,4})(?:\s*[-–]\s*(\d{1,4}))?$/;
+
+// Separators left around a variant label ("Liten 99 kr / Stor 129 kr")
+const LABEL_TRIM_PATTERN = /^[\s/|,;:()–-]+|[\s/|,;:()–-]+$/g;
+
+/**
+ * Clean up the text around a price into a variant label
+ * @param {string} text - Text before or after a price
+ * @returns {string} Label, or "" when nothing is left
+ */
+function toLabel(text) {
+  return text.replace(/\s+/g, " ").replace(LABEL_TRIM_PATTERN, "");
+}
+
+/**
+ * Read the price fields from a menu's price text
+ * @param {string} text - Price text, e.g. "129 kr", "129–149 kr",
+ *   "Liten 99 kr / Stor 129 kr" or "149 kr inkl. sallad och kaffe"
+ * @returns {Object} { price, priceMax?, priceVariants?, priceText? }; price
+ *   is null when the text holds no price
+ */
+export function parsePrice(text) {
+  const priceText =
+    typeof text === "string" ? text.replace(/\s+/g, " ").trim() : "";
+  if (!priceText) return { price: null };
+
+  const bare = priceText.match(BARE_PRICE_PATTERN);
+  const matches = bare ? [bare] : [...priceText.matchAll(PRICE_PATTERN)];
+  if (matches.length === 0) return { price: null, priceText };
+
+  const variants = matches.map((match, i) => {
+    const start = i === 0 ? 0 : matches[i - 1].index + matches[i - 1][0].length;
+    let label = toLabel(priceText.slice(start, match.index));
+    // A note after the last price belongs to it when nothing came before
+    if (!label && i === matches.length - 1) {
+      label = toLabel(priceText.slice(match.index + match[0].length));
+    }
+    const low = parseInt(match[1], 10);
+    const high = match[2] ? parseInt(match[2], 10) : low;
+    return { label, low: Math.min(low, high), high: Math.max(low, high) };
+  });
+
+  const price = variants[0].low;
+  const priceMax = Math.max(...variants.map((v) => v.high));
+  const result = { price };
+  if (priceMax !== price) result.priceMax = priceMax;
+  if (variants.length > 1 || variants[0].label) {
+    result.priceVariants = variants.map(({ label, low }) => ({
+      label,
+      price: low,
+    }));
+  }
+  result.priceText = priceText;
+  return result;
+}
+
+/**
+ * Whether a lunch has a known price
+ * @param {Object} lunch - Lunch object
+ * @returns {boolean} False when the price is null, missing or not a number
+ */
+export function hasPrice(lunch) {
+  return (
+    lunch?.price !== null &&
+    lunch?.price !== undefined &&
+    lunch.price !== "" &&
+    Number.isFinite(Number(lunch.price))
+  );
+}
+
+/**
+ * Show a lunch's price the way the lunch page does
+ * @param {Object} lunch - Lunch object
+ * @returns {string} "129 kr", "129–149 kr" or "pris saknas"
+ */
+export function formatPrice(lunch) {
+  if (!hasPrice(lunch)) return "pris saknas";
+  const price = Number(lunch.price);
+  const priceMax = Number(lunch.priceMax);
+  return Number.isFinite(priceMax) && priceMax > price
+    ? `${price}–${priceMax} kr`
+    : `${price} kr`;
+}
+
+export default {
+  parsePrice,
+  hasPrice,
+  formatPrice,
+};
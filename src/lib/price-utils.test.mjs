@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import { formatPrice, hasPrice, parsePrice } from "./price-utils.mjs";
+
+describe("parsePrice", () => {
+  it("reads single prices and ranges", () => {
+    expect(parsePrice("129 kr")).toEqual({ price: 129, priceText: "129 kr" });
+    expect(parsePrice("125:-")).toEqual({ price: 125, priceText: "125:-" });
+    expect(parsePrice(" 145 ")).toEqual({ price: 145, priceText: "145" });
+    expect(parsePrice("129–149 kr")).toEqual({
+      price: 129,
+      priceMax: 149,
+      priceText: "129–149 kr",
+    });
+  });
+
+  it("reads price variants with their labels", () => {
+    expect(parsePrice("Liten 99 kr / Stor 129 kr")).toEqual({
+      price: 99,
+      priceMax: 129,
+      priceVariants: [
+        { label: "Liten", price: 99 },
+        { label: "Stor", price: 129 },
+      ],
+      priceText: "Liten 99 kr / Stor 129 kr",
+    });
+    expect(parsePrice("135 kr, take away 119 kr").priceVariants).toEqual([
+      { label: "", price: 135 },
+      { label: "take away", price: 119 },
+    ]);
+    expect(parsePrice("149 kr inkl. sallad och kaffe")).toMatchObject({
+      price: 149,
+      priceVariants: [{ label: "inkl. sallad och kaffe", price: 149 }],
+    });
+  });
+
+  it("leaves the price unknown when the text has none", () => {
+    expect(parsePrice("")).toEqual({ price: null });
+    expect(parsePrice(undefined)).toEqual({ price: null });
+    expect(parsePrice("Serveras 11.00–14.00")).toEqual({
+      price: null,
+      priceText: "Serveras 11.00–14.00",
+    });
+  });
+});
+
+describe("formatPrice", () => {
+  it("shows unknown prices, ranges and free lunches", () => {
+    expect(formatPrice({ price: null })).toBe("pris saknas");
+    expect(formatPrice({})).toBe("pris saknas");
+    expect(formatPrice({ price: 0 })).toBe("0 kr");
+    expect(formatPrice({ price: 129, priceMax: 149 })).toBe("129–149 kr");
+    expect(formatPrice({ price: "125" })).toBe("125 kr");
+  });
+
+  it("tells a free lunch from an unknown price", () => {
+    expect(hasPrice({ price: 0 })).toBe(true);
+    expect(hasPrice({ price: "" })).toBe(false);
+    expect(hasPrice({ price: null })).toBe(false);
+  });
+});
@@ -0,0 +1,522 @@
+/**
+ * Restaurant Registry
+ * Single source of truth for every restaurant the collector scrapes and the
+ * API serves. The data collector, API server, local dev server and
+ * ParserFactory all read from here, so a restaurant is added, renamed or
+ * deactivated in exactly one place.
+ *
+ * Entry fields:
+ *   - id:          stable identifier (used in URLs and API responses)
+ *   - name:        display name; must equal the parser's getName(), because
+ *                  the cache key is derived from it
+ *   - parser:      parser type registered in ParserFactory
+ *   - subdomain:   Gastrogate subdomain (only for parser "gastrogate", which
+ *                  serves every restaurant hosted on that platform)
+ *   - selectors:   declarative page description (only for parser
+ *                  "selector"; fields are documented in selector-parser.mjs)
+ *   - fixedMenu:   standing menu, opening days and closures (only for parser
+ *                  "fixed-menu"; fields are documented in
+ *                  fixed-menu-parser.mjs)
+ *   - url:         page the parser scrapes
+ *   - publicUrl:   page we link users to (may differ from the scrape URL)
+ *   - coordinates: { lat, lng } or null when not yet surveyed
+ *   - walkMinutes: walking time from the office in minutes, or null when
+ *                  not yet surveyed
+ *   - tags:        free-form labels (platform, cuisine, serving style)
+ *   - weekendLunch: optional; true for restaurants that serve lunch or
+ *                  brunch on weekends, whose lördag/söndag lunches are
+ *                  otherwise rejected by validation
+ *   - openOnHolidays: optional; true for restaurants that are open on
+ *                  public holidays and eves, whose lunches on those days
+ *                  the collector otherwise drops (see swedish-holidays.mjs)
+ *   - active:      inactive entries are neither collected nor served
+ *
+ * This module must stay free of parser imports: the API server bundle pulls
+ * it in and is deliberately kept small.
+ */
+
+export const RESTAURANTS = Object.freeze([
+  {
+    id: "niagara",
+    name: "Niagara",
+    parser: "niagara",
+    url: "https://restaurangniagara.se/lunch/",
+    publicUrl: "https://restaurangniagara.se/lunch/#lunch",
+    coordinates: null,
+    walkMinutes: null,
+    tags: [],
+    active: true,
+  },
+  {
+    id: "spill",
+    name: "Spill",
+    parser: "spill",
+    url: "https://www.restaurangspill.se/",
+    publicUrl: "https://www.restaurangspill.se/",
+    coordinates: null,
+    walkMinutes: null,
+    tags: [],
+    active: true,
+  },
+  {
+    id: "kontrast",
+    name: "Kontrast",
+    parser: "kontrast",
+    url: "https://www.kontrastrestaurang.se/vastra-hamnen/",
+    publicUrl:
+      "https://www.kontrastrestaurang.se/menu/vastra-hamnen?tab=lunch",
+    coordinates: null,
+    walkMinutes: null,
+    tags: ["daily-api"],
+    active: true,
+  },
+  {
+    id: "p2",
+    name: "P2",
+    parser: "selector",
+    // Same markup as Niagara: one element per weekday class
+    selectors: {
+      item: ".lunchmeny_container",
+      name: ".lunch_title",
+      description: ".lunch_desc",
+      price: ".lunch_price",
+      defaultPrice: 128,
+      daySections: {
+        måndag: ".monday",
+        tisdag: ".tuesday",
+        onsdag: ".wednesday",
+        torsdag: ".thursday",
+        fredag: ".friday",
+      },
+      skipPattern: "stängt",
+    },
+    url: "https://restaurangp2.se/",
+    publicUrl: "https://restaurangp2.se/#lunch",
+    coordinates: null,
+    walkMinutes: null,
+    tags: [],
+    active: true,
+  },
+  {
+    id: "taste",
+    name: "Taste",
+    parser: "taste",
+    url: "https://www.nordrest.se/restaurang/taste-by-nordrest-malmo/",
+    publicUrl: "https://www.nordrest.se/restaurang/taste-by-nordrest-malmo/",
+    coordinates: null,
+    walkMinutes: null,
+    tags: [],
+    active: true,
+  },
+  {
+    id: "varv",
+    name: "Varv",
+    parser: "varv",
+    url: "https://varvmalmo.com/menu",
+    publicUrl: "https://varvmalmo.com/menu",
+    coordinates: null,
+    walkMinutes: null,
+    tags: [],
+    active: true,
+  },
+  {
+    id: "fonderie",
+    name: "La Fonderie",
+    parser: "fonderie",
+    url: "https://www.lafonderie.se/lunch",
+    publicUrl: "https://www.lafonderie.se/lunch",
+    coordinates: null,
+    walkMinutes: null,
+    tags: [],
+    active: true,
+  },
+  {
+    id: "laziza",
+    name: "Laziza",
+    parser: "fixed-menu",
+    url: "https://www.laziza.se/lunch/",
+    publicUrl: "https://www.laziza.se/lunch/",
+    fixedMenu: {
+      items: [
+        {
+          name: "Libanesisk lunchbuffé",
+          description: "Måndag till fredag 11:00-15:00",
+          price: 139,
+        },
+      ],
+      scrape: {
+        price: "(\\d{2,3})\\s*kr",
+        description:
+          "(måndag[^.]*\\d{1,2}:\\d{2}\\s*[—\\-–]\\s*\\d{1,2}:\\d{2})",
+      },
+    },
+    coordinates: null,
+    walkMinutes: null,
+    tags: ["buffé", "fixed-menu"],
+    active: true,
+  },
+  {
+    id: "kockum",
+    name: "Kockum Fritid",
+    parser: "kockum",
+    url: "https://www.freda49.se/lunch-malmo.html",
+    publicUrl: "https://freda49.se/lunch-malmo.html",
+    coordinates: null,
+    walkMinutes: null,
+    tags: [],
+    active: true,
+  },
+  {
+    id: "ubåtshallen",
+    name: "Ubåtshallen",
+    parser: "ubatshallen",
+    url: "https://www.ubatshallen.se/modern-svensk-husmanskost/",
+    publicUrl: "https://www.ubatshallen.se/modern-svensk-husmanskost/",
+    coordinates: null,
+    walkMinutes: null,
+    tags: ["husman"],
+    active: true,
+  },
+  {
+    id: "miamarias",
+    name: "MiaMarias",
+    parser: "miamarias",
+    url: "https://miamarias.nu/lunch/",
+    publicUrl: "https://miamarias.nu/lunch/",
+    coordinates: null,
+    walkMinutes: null,
+    tags: [],
+    active: true,
+  },
+  {
+    id: "ica",
+    name: "ICA Maxi",
+    parser: "ica",
+    url: "https://www.ica.se/butiker/maxi/malmo/maxi-ica-stormarknad-vastra-hamnen-1003569/tjanster/dagens-lunch/",
+    publicUrl:
+      "https://www.ica.se/butiker/maxi/malmo/maxi-ica-stormarknad-vastra-hamnen-1003569/tjanster/dagens-lunch/",
+    coordinates: null,
+    walkMinutes: null,
+    tags: ["butik"],
+    active: true,
+  },
+  {
+    id: "lokal17",
+    name: "Lokal 17",
+    parser: "lokal17",
+    url: "https://lokal17.se/",
+    publicUrl: "https://lokal17.se/",
+    coordinates: null,
+    walkMinutes: null,
+    tags: ["pdf"],
+    active: true,
+  },
+  {
+    id: "como",
+    name: "COMO",
+    parser: "como",
+    url: "https://comomalmo.se/",
+    publicUrl: "https://comomalmo.se/",
+    coordinates: null,
+    walkMinutes: null,
+    tags: [],
+    active: true,
+  },
+  {
+    id: "papi",
+    name: "PAPI",
+    parser: "papi",
+    url: "https://www.papisaluhallen.se/",
+    publicUrl: "https://www.papisaluhallen.se/",
+    coordinates: null,
+    walkMinutes: null,
+    tags: ["saluhall"],
+    active: true,
+  },
+  {
+    id: "holygreens",
+    name: "Holy Greens",
+    parser: "fixed-menu",
+    url: "https://holygreens.se/meny/",
+    publicUrl: "https://holygreens.se/meny/",
+    fixedMenu: {
+      // Prices vary per dish and are not published on the menu page
+      items: [
+        {
+          name: "Sallader & Hot Bowls",
+          description: "Sallader och varma bowls från den fasta menyn",
+          price: null,
+        },
+      ],
+      scrape: { descriptionItems: ".item h3" },
+    },
+    coordinates: null,
+    walkMinutes: null,
+    tags: ["sallad", "fixed-menu"],
+    active: true,
+  },
+  {
+    id: "smak",
+    name: "SMAK",
+    parser: "gastrogate",
+    subdomain: "smak",
+    url: "https://smak.gastrogate.com/lunch/",
+    publicUrl: "https://smak.gastrogate.com/lunch/",
+    coordinates: null,
+    walkMinutes: null,
+    tags: ["gastrogate"],
+    active: true,
+  },
+  {
+    id: "kolga",
+    name: "Kolga",
+    parser: "gastrogate",
+    subdomain: "kolga",
+    url: "https://kolga.gastrogate.com/lunch/",
+    publicUrl: "https://kolga.gastrogate.com/lunch/",
+    coordinates: null,
+    walkMinutes: null,
+    tags: ["gastrogate"],
+    active: true,
+  },
+  {
+    id: "kitchen961",
+    name: "Kitchen961",
+    parser: "fixed-menu",
+    url: "https://kitchen961.se/lunchen/",
+    publicUrl: "https://kitchen961.se/lunchen/",
+    fixedMenu: {
+      items: [
+        {
+          name: "Libanesisk lunchbuffé",
+          description: "Måndag-Fredag 11.00 – 14.30",
+          price: 149,
+          prices: { fredag: 169 },
+          priceVariants: [
+            { label: "barn upp till 10 år", price: 90 },
+            { label: "takeaway", price: 120 },
+          ],
+        },
+      ],
+      // The page reads "Dagens lunch 149 kr/ Fredagar 169 kr. Barn 90 kr
+      // ( upptill 10 år ) Takeaway 120 kr"
+      scrape: {
+        price: "Dagens lunch\\s+(\\d{2,3})\\s*kr",
+        prices: { fredag: "Fredag(?:ar)?\\s+(\\d{2,3})\\s*kr" },
+        description: "Meza[\\s\\S]*?fruktfat\\.?",
+      },
+    },
+    coordinates: null,
+    walkMinutes: null,
+    tags: ["buffé", "fixed-menu"],
+    active: true,
+  },
+  {
+    id: "frilaget",
+    name: "Friläget",
+    parser: "gastrogate",
+    subdomain: "frilaget",
+    url: "https://frilaget.gastrogate.com/lunch/",
+    publicUrl: "https://frilaget.gastrogate.com/lunch/",
+    coordinates: null,
+    walkMinutes: null,
+    tags: ["gastrogate"],
+    active: true,
+  },
+  {
+    id: "hamnochpeppar",
+    name: "Hamn o Peppar",
+    parser: "gastrogate",
+    subdomain: "hamnochpeppar",
+    url: "https://hamnochpeppar.gastrogate.com/lunch/",
+    publicUrl: "https://hamnochpeppar.gastrogate.com/lunch/",
+    coordinates: null,
+    walkMinutes: null,
+    tags: ["gastrogate"],
+    active: true,
+  },
+]);
+
+/**
+ * Get all active restaurants
+ * @returns {Array} Active registry entries
+ */
+export function getActiveRestaurants() {
+  return RESTAURANTS.filter((restaurant) => restaurant.active);
+}
+
+/**
+ * Get a restaurant by id
+ * @param {string} id - Restaurant identifier
+ * @returns {Object|null} Registry entry or null if unknown
+ */
+export function getRestaurant(id) {
+  return RESTAURANTS.find((restaurant) => restaurant.id === id) || null;
+}
+
+/**
+ * Find a restaurant by id, display name or parser type (case-insensitive).
+ * Parser results identify themselves by display name, so callers that only
+ * hold a parser result use this to get back to the registry entry. A parser
+ * type shared by several entries (e.g. "gastrogate") matches none of them.
+ * @param {string} key - Id, display name or parser type
+ * @returns {Object|null} Registry entry or null if unknown
+ */
+export function findRestaurant(key) {
+  const k = String(key || "").toLowerCase();
+  if (!k) return null;
+
+  const byIdOrName = RESTAURANTS.find(
+    (restaurant) =>
+      restaurant.id.toLowerCase() === k || restaurant.name.toLowerCase() === k,
+  );
+  if (byIdOrName) return byIdOrName;
+
+  const byParser = RESTAURANTS.filter(
+    (restaurant) => restaurant.parser.toLowerCase() === k,
+  );
+  return byParser.length === 1 ? byParser[0] : null;
+}
+
+/**
+ * Validate the shape of registry entries
+ * @param {Array} entries - Registry entries (defaults to RESTAURANTS)
+ * @returns {Object} Validation result with isValid boolean and errors array
+ */
+export function validateRegistry(entries = RESTAURANTS) {
+  const errors = [];
+  const seenIds = new Set();
+  const seenNames = new Set();
+
+  entries.forEach((entry, index) => {
+    const label = entry?.id || `#${index}`;
+
+    for (const field of ["id", "name", "parser", "url", "publicUrl"]) {
+      if (!entry?.[field] || typeof entry[field] !== "string") {
+        errors.push(`${label}: ${field} is required and must be a string`);
+      }
+    }
+
+    for (const field of ["url", "publicUrl"]) {
+      if (typeof entry?.[field] !== "string") continue;
+      try {
+        new URL(entry[field]);
+      } catch {
+        errors.push(`${label}: ${field} must be a valid URL`);
+      }
+    }
+
+    if (entry?.coordinates !== null) {
+      const { lat, lng } = entry?.coordinates || {};
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+        errors.push(`${label}: coordinates must be null or { lat, lng }`);
+      }
+    }
+
+    if (
+      entry?.walkMinutes !== null &&
+      !(Number.isFinite(entry?.walkMinutes) && entry.walkMinutes > 0)
+    ) {
+      errors.push(`${label}: walkMinutes must be null or a positive number`);
+    }
+
+    if (
+      entry?.parser === "gastrogate" &&
+      (!entry.subdomain || typeof entry.subdomain !== "string")
+    ) {
+      errors.push(`${label}: subdomain is required for gastrogate entries`);
+    }
+
+    if (
+      entry?.parser === "selector" &&
+      (!entry.selectors || typeof entry.selectors !== "object")
+    ) {
+      errors.push(`${label}: selectors are required for selector entries`);
+    }
+
+    if (
+      entry?.parser === "fixed-menu" &&
+      (!entry.fixedMenu || typeof entry.fixedMenu !== "object")
+    ) {
+      errors.push(`${label}: fixedMenu is required for fixed-menu entries`);
+    }
+
+    if (!Array.isArray(entry?.tags)) {
+      errors.push(`${label}: tags must be an array`);
+    }
+
+    for (const field of ["weekendLunch", "openOnHolidays"]) {
+      if (entry?.[field] !== undefined && typeof entry[field] !== "boolean") {
+        errors.push(`${label}: ${field} must be a boolean`);
+      }
+    }
+
+    if (typeof entry?.active !== "boolean") {
+      errors.push(`${label}: active must be a boolean`);
+    }
+
+    if (entry?.id) {
+      if (seenIds.has(entry.id)) errors.push(`${label}: duplicate id`);
+      seenIds.add(entry.id);
+    }
+
+    // Display names double as cache keys, so they must be unique too
+    if (entry?.name) {
+      const name = entry.name.toLowerCase();
+      if (seenNames.has(name)) errors.push(`${label}: duplicate name`);
+      seenNames.add(name);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Ensure every registered parser type has a registry entry and every registry
+ * entry points at a registered parser type. Throws on any mismatch so a
+ * half-wired restaurant fails at startup rather than silently going missing.
+ * @param {Iterable<string>} parserTypes - Parser types known to the factory
+ * @param {Array} entries - Registry entries (defaults to RESTAURANTS)
+ */
+export function assertParserCoverage(parserTypes, entries = RESTAURANTS) {
+  const registered = new Set(
+    Array.from(parserTypes, (type) => type.toLowerCase()),
+  );
+  const referenced = new Set(
+    entries.map((entry) => entry.parser.toLowerCase()),
+  );
+
+  const missingParsers = [...referenced].filter((t) => !registered.has(t));
+  const missingEntries = [...registered].filter((t) => !referenced.has(t));
+
+  if (missingParsers.length > 0 || missingEntries.length > 0) {
+    const problems = [];
+    if (missingParsers.length > 0) {
+      problems.push(`no parser class for: ${missingParsers.join(", ")}`);
+    }
+    if (missingEntries.length > 0) {
+      problems.push(`no registry entry for: ${missingEntries.join(", ")}`);
+    }
+    throw new Error(`Restaurant registry mismatch (${problems.join("; ")})`);
+  }
+}
+
+// Fail fast on a malformed registry: every entry point imports this module
+const registryValidation = validateRegistry();
+if (!registryValidation.isValid) {
+  throw new Error(
+    `Invalid restaurant registry: ${registryValidation.errors.join("; ")}`,
+  );
+}
+
+export default {
+  RESTAURANTS,
+  getActiveRestaurants,
+  getRestaurant,
+  findRestaurant,
+  validateRegistry,
+  assertParserCoverage,
+};
@@ -0,0 +1,145 @@
+import { describe, expect, it } from "vitest";
+import {
+  RESTAURANTS,
+  assertParserCoverage,
+  findRestaurant,
+  getActiveRestaurants,
+  getRestaurant,
+  validateRegistry,
+} from "./restaurant-registry.mjs";
+import { ParserFactory } from "../parsers/parser-factory.mjs";
+
+function entry(overrides = {}) {
+  return {
+    id: "test",
+    name: "Test",
+    parser: "test",
+    url: "https://test.se/lunch/",
+    publicUrl: "https://test.se/",
+    coordinates: null,
+    walkMinutes: null,
+    tags: [],
+    active: true,
+    ...overrides,
+  };
+}
+
+describe("restaurant registry", () => {
+  it("ships a valid registry", () => {
+    expect(validateRegistry()).toEqual({ isValid: true, errors: [] });
+  });
+
+  it("covers every built-in parser", () => {
+    const factory = new ParserFactory({ healthCheck: { enabled: false } });
+    const types = Array.from(factory.parserClasses.keys()).sort();
+    factory.destroy();
+
+    const referenced = [...new Set(RESTAURANTS.map((r) => r.parser))].sort();
+    expect(referenced).toEqual(types);
+  });
+
+  it("looks restaurants up by id, display name or parser type", () => {
+    expect(getRestaurant("niagara").name).toBe("Niagara");
+    expect(getRestaurant("nope")).toBeNull();
+    expect(findRestaurant("la fonderie").id).toBe("fonderie");
+    expect(findRestaurant("ubatshallen").id).toBe("ubåtshallen");
+    // Shared parser types do not identify a single restaurant
+    expect(findRestaurant("smak").id).toBe("smak");
+    expect(findRestaurant("gastrogate")).toBeNull();
+    expect(findRestaurant("")).toBeNull();
+  });
+
+  it("only returns active restaurants", () => {
+    expect(getActiveRestaurants().every((r) => r.active)).toBe(true);
+  });
+});
+
+describe("validateRegistry", () => {
+  it("rejects missing fields, bad URLs and malformed coordinates", () => {
+    const result = validateRegistry([
+      entry({ parser: "", url: "not a url", coordinates: { lat: 55.6 } }),
+    ]);
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      "test: parser is required and must be a string",
+      "test: url must be a valid URL",
+      "test: coordinates must be null or { lat, lng }",
+    ]);
+  });
+
+  it("rejects a walking time that is not a positive number", () => {
+    expect(validateRegistry([entry({ walkMinutes: 5 })]).isValid).toBe(true);
+    expect(validateRegistry([entry({ walkMinutes: 0 })]).errors).toEqual([
+      "test: walkMinutes must be null or a positive number",
+    ]);
+  });
+
+  it("only accepts booleans for the weekend and holiday flags", () => {
+    expect(
+      validateRegistry([entry({ weekendLunch: true, openOnHolidays: false })])
+        .isValid,
+    ).toBe(true);
+    expect(
+      validateRegistry([entry({ weekendLunch: "yes", openOnHolidays: 1 })])
+        .errors,
+    ).toEqual([
+      "test: weekendLunch must be a boolean",
+      "test: openOnHolidays must be a boolean",
+    ]);
+  });
+
+  it("requires a subdomain on gastrogate entries", () => {
+    expect(
+      validateRegistry([entry({ parser: "gastrogate", subdomain: "smak" })])
+        .isValid,
+    ).toBe(true);
+    expect(validateRegistry([entry({ parser: "gastrogate" })]).errors).toEqual(
+      ["test: subdomain is required for gastrogate entries"],
+    );
+  });
+
+  it("requires selectors on selector entries", () => {
+    expect(validateRegistry([entry({ parser: "selector" })]).errors).toEqual([
+      "test: selectors are required for selector entries",
+    ]);
+  });
+
+  it("requires a fixedMenu on fixed-menu entries", () => {
+    expect(
+      validateRegistry([entry({ parser: "fixed-menu" })]).errors,
+    ).toEqual(["test: fixedMenu is required for fixed-menu entries"]);
+  });
+
+  it("rejects duplicate ids and display names", () => {
+    const result = validateRegistry([
+      entry(),
+      entry({ parser: "other" }),
+      entry({ id: "other", name: "TEST" }),
+    ]);
+
+    expect(result.errors).toEqual([
+      "test: duplicate id",
+      "test: duplicate name",
+      "other: duplicate name",
+    ]);
+  });
+});
+
+describe("assertParserCoverage", () => {
+  it("passes when parser types and entries match", () => {
+    expect(() => assertParserCoverage(["Test"], [entry()])).not.toThrow();
+  });
+
+  it("throws when an entry has no parser class", () => {
+    expect(() => assertParserCoverage([], [entry()])).toThrow(
+      "no parser class for: test",
+    );
+  });
+
+  it("throws when a parser class has no entry", () => {
+    expect(() => assertParserCoverage(["test", "orphan"], [entry()])).toThrow(
+      "no registry entry for: orphan",
+    );
+  });
+});
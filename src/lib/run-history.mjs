@@ -0,0 +1,306 @@
+/**
+ * Collection Run History
+ * Builds the record the data collector stores after every run, and turns a
+ * list of stored runs into the per-restaurant summaries shown on the /status
+ * page. Storage lives in cache-manager (saveCollectionRun,
+ * getRecentCollectionRuns); this module is pure so both Lambdas can share it.
+ */
+
+import { formatClosure } from "./closure-notice.mjs";
+import { hasPrice } from "./price-utils.mjs";
+import { findRestaurant } from "./restaurant-registry.mjs";
+
+// Validation errors carry the offending lunch object; keep the record small
+const MAX_VALIDATION_ERRORS = 5;
+const MAX_REJECTED_LUNCHES = 10;
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * Shorten a message so a single misbehaving parser cannot bloat the record
+ * @param {string} message - Message to shorten
+ * @returns {string|undefined} Message, cut at MAX_ERROR_LENGTH characters
+ */
+function truncate(message) {
+  if (message === undefined || message === null) return undefined;
+  const text = String(message);
+  return text.length > MAX_ERROR_LENGTH
+    ? `${text.slice(0, MAX_ERROR_LENGTH - 1)}…`
+    : text;
+}
+
+/**
+ * Reduce validator output ({index, lunch, errors}) to readable messages
+ * @param {Array} validationErrors - Validation errors from parser metadata
+ * @returns {Array<string>} At most MAX_VALIDATION_ERRORS messages
+ */
+function summarizeValidationErrors(validationErrors = []) {
+  return validationErrors.slice(0, MAX_VALIDATION_ERRORS).map((entry) => {
+    const name = entry?.lunch?.name ? ` "${entry.lunch.name}"` : "";
+    const errors = Array.isArray(entry?.errors)
+      ? entry.errors.join("; ")
+      : String(entry?.errors ?? entry);
+    return truncate(`#${entry?.index ?? "?"}${name}: ${errors}`);
+  });
+}
+
+/**
+ * Make a field of a rejected lunch storable: numbers as they are, anything
+ * else as short text (a parser may emit NaN, objects or very long strings)
+ * @param {*} value - Field value
+ * @returns {number|string|undefined} Storable value
+ */
+function storableValue(value) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === "number" && Number.isFinite(value)) return value;
+  return truncate(
+    typeof value === "object" ? JSON.stringify(value) : String(value),
+  );
+}
+
+/**
+ * Build the validation report of one parser result: how many lunches each
+ * validation rule rejected, the first rejected lunches with their reasons,
+ * and how many accepted lunches have price 0 (valid, but usually a price the
+ * parser missed; an unknown price is null and not counted)
+ * @param {Object} result - Parser result
+ * @returns {Object} { rules: { rule: count }, rejected: [{ index, name,
+ *   weekday, price, week, errors }], zeroPrices }
+ */
+export function buildValidationReport(result) {
+  const validationErrors = result?.metadata?.validationErrors || [];
+
+  const rules = {};
+  for (const entry of validationErrors) {
+    // Records from before rule ids were added only have messages
+    for (const rule of entry?.rules || ["unknown"]) {
+      rules[rule] = (rules[rule] || 0) + 1;
+    }
+  }
+
+  return {
+    rules,
+    rejected: validationErrors
+      .slice(0, MAX_REJECTED_LUNCHES)
+      .map((entry) => ({
+        index: entry?.index,
+        name: storableValue(entry?.lunch?.name),
+        weekday: storableValue(entry?.lunch?.weekday),
+        price: storableValue(entry?.lunch?.price),
+        week: storableValue(entry?.lunch?.week),
+        errors: (Array.isArray(entry?.errors) ? entry.errors : [entry]).map(
+          (error) => truncate(String(error)),
+        ),
+      })),
+    zeroPrices: (result?.lunches || []).filter(
+      (lunch) => hasPrice(lunch) && Number(lunch.price) === 0,
+    ).length,
+  };
+}
+
+/**
+ * Reduce a drift verdict to its status and anomaly messages
+ * @param {Object} drift - Verdict from detectDrift, with `rejected` set when
+ *   the collector kept the cached week instead
+ * @returns {Object|undefined} { status, anomalies, rejected }
+ */
+function summarizeDrift(drift) {
+  if (!drift) return undefined;
+  return {
+    status: drift.status,
+    anomalies: (drift.anomalies || [])
+      .slice(0, MAX_VALIDATION_ERRORS)
+      .map((anomaly) => truncate(anomaly.message)),
+    rejected: Boolean(drift.rejected),
+  };
+}
+
+/**
+ * Build the per-restaurant part of a run record from one parser result
+ * @param {Object} result - Parser result from ParserFactory.executeAllParsers
+ * @returns {Object} Restaurant outcome
+ */
+export function summarizeParserResult(result) {
+  const entry = findRestaurant(result?.restaurant);
+  const metadata = result?.metadata || {};
+  const lunchCount = result?.lunches?.length || 0;
+
+  return {
+    id: entry?.id || String(result?.restaurant || "unknown").toLowerCase(),
+    name: entry?.name || result?.restaurant || "unknown",
+    // An empty menu counts as a success: the parser worked, nothing was
+    // published. So does a closure notice, kept as its page text, a page
+    // that had not changed since its lunches were cached, and a menu whose
+    // lunches all fell on holidays.
+    success: Boolean(result?.success),
+    closure: result?.closure ? formatClosure(result.closure) : undefined,
+    unchanged: result?.unchanged ? true : undefined,
+    holiday: result?.holidaySkip ? true : undefined,
+    lunchCount,
+    validCount: metadata.validCount ?? lunchCount,
+    invalidCount: metadata.invalidCount ?? 0,
+    validationErrors: summarizeValidationErrors(metadata.validationErrors),
+    validation: buildValidationReport(result),
+    error: truncate(result?.error?.message),
+    errorCode: result?.error?.code,
+    parser: metadata.parser,
+    parserVersion: metadata.parserVersion,
+    duration: metadata.duration,
+    drift: summarizeDrift(result?.drift),
+  };
+}
+
+/**
+ * Count failed parser results by error code (see parser-errors.mjs), to
+ * tell a site that is down from a parser whose selectors are stale
+ * @param {Array} results - Parser results
+ * @returns {Object<string, number>} Error code -> number of restaurants
+ */
+export function countErrorCodes(results = []) {
+  const counts = {};
+  for (const result of results) {
+    if (result?.success) continue;
+    const code = result?.error?.code || "UNKNOWN";
+    counts[code] = (counts[code] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Build the record stored for one collection run
+ * @param {Object} run - Run details
+ * @param {string} run.startedAt - ISO timestamp the run started
+ * @param {number} run.duration - Run duration in milliseconds
+ * @param {string} run.trigger - What started the run (scheduled, manual, ...)
+ * @param {string} run.requestId - Lambda request id
+ * @param {Array} run.results - Parser results
+ * @param {Object} run.stats - Stats from the collector's calculateStats
+ * @param {Error} run.error - Error that aborted the whole run, if any
+ * @returns {Object} Run record
+ */
+export function buildRunRecord({
+  startedAt,
+  duration,
+  trigger,
+  requestId,
+  results = [],
+  stats,
+  error,
+}) {
+  const restaurants = results.map(summarizeParserResult);
+  const suspicious = restaurants.filter(
+    (r) => r.drift?.status === "suspicious",
+  );
+
+  return {
+    startedAt,
+    duration,
+    trigger,
+    requestId,
+    success: !error,
+    error: truncate(error?.message),
+    totals: {
+      restaurants: restaurants.length,
+      successful: restaurants.filter((r) => r.success).length,
+      failed: restaurants.filter((r) => !r.success).length,
+      closed: restaurants.filter((r) => r.closure).length,
+      unchanged: restaurants.filter((r) => r.unchanged).length,
+      holidays: restaurants.filter((r) => r.holiday).length,
+      errorCodes: countErrorCodes(results),
+      lunches: restaurants.reduce((sum, r) => sum + r.lunchCount, 0),
+      invalid: restaurants.reduce((sum, r) => sum + r.invalidCount, 0),
+      cached: stats?.lunches?.cached ?? 0,
+      cacheErrors: stats?.caching?.errors?.length ?? 0,
+      suspicious: suspicious.length,
+      rejected: stats?.caching?.rejected ?? 0,
+    },
+    restaurants,
+  };
+}
+
+/**
+ * Summarize stored runs per restaurant, for the /status page
+ * @param {Array} runs - Run records, newest first
+ * @returns {Array<Object>} One entry per restaurant, sorted by name, with
+ *   `outcomes` oldest-first (true = success, false = failure, null = not
+ *   part of that run), `successRate` (0-1, null if never run), `lastError`,
+ *   the last seen `parserVersion`, `drift`, the anomalies of the latest
+ *   successful run if it was suspicious, `closure`, the latest run's closure
+ *   notice text, and `validation`, the latest run's
+ *   validation report with its `invalidCount`, `lunchCount` and time. A run
+ *   that found the page unchanged counts as a success and leaves the lunch
+ *   count, closure and validation of the run that parsed it.
+ */
+export function summarizeRestaurantHistory(runs = []) {
+  const chronological = [...runs].reverse();
+  const byId = new Map();
+
+  chronological.forEach((run, runIndex) => {
+    for (const restaurant of run.restaurants || []) {
+      if (!byId.has(restaurant.id)) {
+        byId.set(restaurant.id, {
+          id: restaurant.id,
+          name: restaurant.name,
+          outcomes: new Array(chronological.length).fill(null),
+          lastError: null,
+          parserVersion: null,
+          lastLunchCount: null,
+          closure: null,
+          drift: null,
+          validation: null,
+        });
+      }
+      const summary = byId.get(restaurant.id);
+      summary.outcomes[runIndex] = Boolean(restaurant.success);
+      summary.name = restaurant.name || summary.name;
+      summary.parserVersion = restaurant.parserVersion || summary.parserVersion;
+      if (restaurant.unchanged) continue;
+      summary.lastLunchCount = restaurant.lunchCount;
+      summary.closure = restaurant.closure || null;
+      summary.validation = restaurant.validation
+        ? {
+            ...restaurant.validation,
+            invalidCount: restaurant.invalidCount ?? 0,
+            lunchCount: restaurant.lunchCount,
+            at: run.startedAt,
+          }
+        : null;
+      if (restaurant.success && restaurant.drift) {
+        summary.drift =
+          restaurant.drift.status === "suspicious"
+            ? {
+                anomalies: restaurant.drift.anomalies,
+                rejected: restaurant.drift.rejected,
+                at: run.startedAt,
+              }
+            : null;
+      }
+      if (!restaurant.success) {
+        summary.lastError = {
+          message: restaurant.error || "Okänt fel",
+          code: restaurant.errorCode || null,
+          at: run.startedAt,
+        };
+      }
+    }
+  });
+
+  return [...byId.values()]
+    .map((summary) => {
+      const ran = summary.outcomes.filter((outcome) => outcome !== null);
+      return {
+        ...summary,
+        successRate: ran.length
+          ? ran.filter(Boolean).length / ran.length
+          : null,
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name, "sv"));
+}
+
+export default {
+  buildRunRecord,
+  buildValidationReport,
+  countErrorCodes,
+  summarizeParserResult,
+  summarizeRestaurantHistory,
+};
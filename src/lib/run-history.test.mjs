@@ -0,0 +1,327 @@
+import { describe, expect, it } from "vitest";
+import {
+  buildRunRecord,
+  summarizeRestaurantHistory,
+} from "./run-history.mjs";
+
+function result(restaurant, overrides = {}) {
+  return {
+    success: true,
+    restaurant,
+    lunches: [{ name: "Dagens" }, { name: "Veckans" }],
+    metadata: {
+      validCount: 2,
+      invalidCount: 0,
+      validationErrors: [],
+      duration: 120,
+      parser: "NiagaraParser",
+      parserVersion: "1.0.0",
+    },
+    ...overrides,
+  };
+}
+
+function run(startedAt, outcomes) {
+  return {
+    startedAt,
+    restaurants: Object.entries(outcomes).map(([id, success]) => ({
+      id,
+      name: id,
+      success,
+      lunchCount: success ? 5 : 0,
+      error: success ? undefined : `${id} broke`,
+      parserVersion: "1.0.0",
+    })),
+  };
+}
+
+describe("buildRunRecord", () => {
+  it("records per-restaurant outcomes and totals", () => {
+    const record = buildRunRecord({
+      startedAt: "2026-03-02T08:00:00.000Z",
+      duration: 4200,
+      trigger: "scheduled",
+      requestId: "req-1",
+      results: [
+        result("Niagara"),
+        result("kontrast", {
+          success: false,
+          lunches: [],
+          error: { message: "HTTP 503", code: "HTTP_5XX" },
+          metadata: { parser: "unknown", parserVersion: "1.0.0" },
+        }),
+        result("Spill", {
+          success: false,
+          lunches: [],
+          error: { message: "Could not find #dagens section" },
+        }),
+      ],
+      stats: { lunches: { cached: 2 }, caching: { errors: [] } },
+    });
+
+    expect(record).toMatchObject({
+      startedAt: "2026-03-02T08:00:00.000Z",
+      duration: 4200,
+      trigger: "scheduled",
+      success: true,
+      totals: {
+        restaurants: 3,
+        successful: 1,
+        failed: 2,
+        lunches: 2,
+        cached: 2,
+        cacheErrors: 0,
+        errorCodes: { HTTP_5XX: 1, UNKNOWN: 1 },
+      },
+    });
+    expect(record.restaurants[0]).toMatchObject({
+      id: "niagara",
+      name: "Niagara",
+      success: true,
+      lunchCount: 2,
+      parserVersion: "1.0.0",
+    });
+    // Factory errors name the restaurant by id; the record uses the registry
+    expect(record.restaurants[1]).toMatchObject({
+      id: "kontrast",
+      name: "Kontrast",
+      success: false,
+      error: "HTTP 503",
+      errorCode: "HTTP_5XX",
+    });
+  });
+
+  it("keeps only a few short validation error messages", () => {
+    const validationErrors = Array.from({ length: 8 }, (_, index) => ({
+      index,
+      lunch: { name: `Rätt ${index}`, description: "x".repeat(5000) },
+      errors: ["Invalid price"],
+    }));
+
+    const [restaurant] = buildRunRecord({
+      startedAt: "2026-03-02T08:00:00.000Z",
+      results: [
+        result("Niagara", {
+          metadata: { validCount: 0, invalidCount: 8, validationErrors },
+        }),
+      ],
+    }).restaurants;
+
+    expect(restaurant.invalidCount).toBe(8);
+    expect(restaurant.validationErrors).toEqual([
+      '#0 "Rätt 0": Invalid price',
+      '#1 "Rätt 1": Invalid price',
+      '#2 "Rätt 2": Invalid price',
+      '#3 "Rätt 3": Invalid price',
+      '#4 "Rätt 4": Invalid price',
+    ]);
+  });
+
+  it("stores a validation report with rejected lunches per rule", () => {
+    const validationErrors = [
+      ...Array.from({ length: 11 }, (_, index) => ({
+        index,
+        lunch: { name: `Brunch ${index}`, weekday: "lördag", week: 12 },
+        errors: ["Weekday must be a valid Swedish weekday"],
+        rules: ["weekday"],
+      })),
+      {
+        index: 11,
+        lunch: { name: "", price: NaN, weekday: "söndag", week: 12 },
+        errors: ["Name must be a non-empty string", "Price must be valid"],
+        rules: ["name", "price", "weekday"],
+      },
+    ];
+
+    const record = buildRunRecord({
+      startedAt: "2026-03-02T08:00:00.000Z",
+      results: [
+        result("Varv", {
+          lunches: [
+            { name: "Dagens", price: 0 },
+            { name: "Veckans", price: null },
+          ],
+          metadata: { validCount: 2, invalidCount: 12, validationErrors },
+        }),
+      ],
+    });
+
+    const [varv] = record.restaurants;
+    expect(record.totals.invalid).toBe(12);
+    expect(varv.validation.rules).toEqual({ weekday: 12, name: 1, price: 1 });
+    expect(varv.validation.zeroPrices).toBe(1);
+    // Only the first rejected lunches are kept
+    expect(varv.validation.rejected).toHaveLength(10);
+    expect(varv.validation.rejected[0]).toEqual({
+      index: 0,
+      name: "Brunch 0",
+      weekday: "lördag",
+      price: undefined,
+      week: 12,
+      errors: ["Weekday must be a valid Swedish weekday"],
+    });
+  });
+
+  it("counts legacy validation errors without rule ids as unknown", () => {
+    const [restaurant] = buildRunRecord({
+      startedAt: "2026-03-02T08:00:00.000Z",
+      results: [
+        result("Niagara", {
+          metadata: {
+            invalidCount: 1,
+            validationErrors: [
+              { index: 0, lunch: { price: NaN }, errors: ["Invalid price"] },
+            ],
+          },
+        }),
+      ],
+    }).restaurants;
+
+    expect(restaurant.validation.rules).toEqual({ unknown: 1 });
+    expect(restaurant.validation.rejected[0].price).toBe("NaN");
+  });
+
+  it("records drift verdicts and counts suspicious results", () => {
+    const record = buildRunRecord({
+      startedAt: "2026-03-02T08:00:00.000Z",
+      results: [
+        result("Niagara", {
+          drift: {
+            status: "suspicious",
+            anomalies: [
+              {
+                check: "medianPrice",
+                message: "medianpris 12 kr, brukar vara 125 kr",
+                value: 12,
+                baseline: 125,
+              },
+            ],
+            profile: { dishCount: 2 },
+            rejected: true,
+          },
+        }),
+        result("Spill", { drift: { status: "ok", anomalies: [] } }),
+        result("Varv"),
+      ],
+      stats: { caching: { rejected: 1, errors: [] } },
+    });
+
+    expect(record.totals).toMatchObject({ suspicious: 1, rejected: 1 });
+    expect(record.restaurants.map((r) => r.drift)).toEqual([
+      {
+        status: "suspicious",
+        anomalies: ["medianpris 12 kr, brukar vara 125 kr"],
+        rejected: true,
+      },
+      { status: "ok", anomalies: [], rejected: false },
+      undefined,
+    ]);
+  });
+
+  it("marks a run that aborted as failed", () => {
+    const record = buildRunRecord({
+      startedAt: "2026-03-02T08:00:00.000Z",
+      error: new Error("No active parsers available"),
+    });
+
+    expect(record.success).toBe(false);
+    expect(record.error).toBe("No active parsers available");
+    expect(record.totals.restaurants).toBe(0);
+  });
+});
+
+describe("summarizeRestaurantHistory", () => {
+  it("builds oldest-first outcome series and success rates", () => {
+    const history = summarizeRestaurantHistory([
+      run("2026-03-04T08:00:00.000Z", { niagara: false, kontrast: true }),
+      run("2026-03-03T08:00:00.000Z", { niagara: true }),
+      run("2026-03-02T08:00:00.000Z", { niagara: true, kontrast: true }),
+    ]);
+
+    expect(history.map((r) => r.id)).toEqual(["kontrast", "niagara"]);
+    expect(history[0]).toMatchObject({
+      outcomes: [true, null, true],
+      successRate: 1,
+      lastError: null,
+    });
+    expect(history[1]).toMatchObject({
+      outcomes: [true, true, false],
+      lastLunchCount: 0,
+      lastError: {
+        message: "niagara broke",
+        at: "2026-03-04T08:00:00.000Z",
+      },
+    });
+    expect(history[1].successRate).toBeCloseTo(2 / 3);
+  });
+
+  it("keeps the anomalies of the latest checked run", () => {
+    const drift = {
+      status: "suspicious",
+      anomalies: ["1 veckodagar, brukar vara 5"],
+      rejected: false,
+    };
+    const withDrift = (startedAt, niagaraDrift) => {
+      const entry = run(startedAt, { niagara: true });
+      entry.restaurants[0].drift = niagaraDrift;
+      return entry;
+    };
+
+    const [flagged] = summarizeRestaurantHistory([
+      run("2026-03-04T08:00:00.000Z", { niagara: false }),
+      withDrift("2026-03-03T08:00:00.000Z", drift),
+    ]);
+    // A failed run has no verdict and leaves the last one in place
+    expect(flagged.drift).toEqual({
+      anomalies: ["1 veckodagar, brukar vara 5"],
+      rejected: false,
+      at: "2026-03-03T08:00:00.000Z",
+    });
+
+    const [cleared] = summarizeRestaurantHistory([
+      withDrift("2026-03-04T08:00:00.000Z", { status: "ok", anomalies: [] }),
+      withDrift("2026-03-03T08:00:00.000Z", drift),
+    ]);
+    expect(cleared.drift).toBeNull();
+  });
+
+  it("keeps the latest run's validation report", () => {
+    const older = run("2026-03-03T08:00:00.000Z", { ica: true });
+    older.restaurants[0].validation = { rules: {}, rejected: [], zeroPrices: 0 };
+    const latest = run("2026-03-04T08:00:00.000Z", { ica: true });
+    latest.restaurants[0].invalidCount = 0;
+    latest.restaurants[0].validation = {
+      rules: {},
+      rejected: [],
+      zeroPrices: 5,
+    };
+
+    const [ica] = summarizeRestaurantHistory([latest, older]);
+    expect(ica.validation).toEqual({
+      rules: {},
+      rejected: [],
+      zeroPrices: 5,
+      invalidCount: 0,
+      lunchCount: 5,
+      at: "2026-03-04T08:00:00.000Z",
+    });
+  });
+
+  it("keeps the counts of the last parsed run over unchanged pages", () => {
+    const unchanged = run("2026-03-04T08:00:00.000Z", { ica: true });
+    Object.assign(unchanged.restaurants[0], { unchanged: true, lunchCount: 0 });
+    const parsed = run("2026-03-03T08:00:00.000Z", { ica: true });
+    parsed.restaurants[0].validation = { rules: {}, rejected: [] };
+
+    const [ica] = summarizeRestaurantHistory([unchanged, parsed]);
+    expect(ica).toMatchObject({
+      outcomes: [true, true],
+      lastLunchCount: 5,
+      validation: { lunchCount: 5, at: "2026-03-03T08:00:00.000Z" },
+    });
+  });
+
+  it("returns nothing for no runs", () => {
+    expect(summarizeRestaurantHistory([])).toEqual([]);
+  });
+});
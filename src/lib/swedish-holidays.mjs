@@ -0,0 +1,216 @@
+/**
+ * Swedish Holiday Calendar
+ * Public holidays (röda dagar), the eves most workplaces and lunch
+ * restaurants treat as holidays (midsommarafton, julafton, nyårsafton) and
+ * klämdagar, the working days squeezed between a holiday and a weekend. The
+ * collector drops lunches on holidays and eves, and the lunch page marks
+ * them and moves on to the next working day.
+ *
+ * Dates are "YYYY-MM-DD" calendar dates in Swedish local time, as returned
+ * by getSwedishDate and getISOWeekDates.
+ */
+
+import {
+  getCalendarDateISOWeekInfo,
+  getISOWeekDates,
+  getSwedishDate,
+} from "./date-utils.mjs";
+
+// "holiday": röd dag; "eve": treated as a holiday; "bridge": klämdag, a
+// working day many take off
+export const HOLIDAY_TYPES = ["holiday", "eve", "bridge"];
+
+const SWEDISH_DAYS = [
+  "söndag",
+  "måndag",
+  "tisdag",
+  "onsdag",
+  "torsdag",
+  "fredag",
+  "lördag",
+];
+
+const calendars = new Map();
+
+/**
+ * UTC-midnight date from calendar fields
+ */
+function utcDate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Format a UTC-midnight date as "YYYY-MM-DD"
+ */
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Move a date by a number of days
+ */
+function addDays(date, days) {
+  const moved = new Date(date);
+  moved.setUTCDate(moved.getUTCDate() + days);
+  return moved;
+}
+
+/**
+ * First date from `from` (a UTC-midnight date) that falls on a weekday
+ * (0 = Sunday)
+ */
+function nextWeekday(from, weekday) {
+  return addDays(from, (weekday - from.getUTCDay() + 7) % 7);
+}
+
+/**
+ * Easter Sunday of a year (anonymous Gregorian algorithm)
+ * @param {number} year - Calendar year
+ * @returns {Date} Easter Sunday at 00:00 UTC
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utcDate(year, month, day);
+}
+
+/**
+ * Get the holidays, eves and klämdagar of a year
+ * @param {number} year - Calendar year
+ * @returns {Array<Object>} [{ date, name, type }] sorted by date
+ */
+export function getSwedishHolidays(year) {
+  if (calendars.has(year)) return calendars.get(year);
+
+  const easter = easterSunday(year);
+  const days = [
+    [utcDate(year, 1, 1), "Nyårsdagen", "holiday"],
+    [utcDate(year, 1, 6), "Trettondedag jul", "holiday"],
+    [addDays(easter, -2), "Långfredagen", "holiday"],
+    [addDays(easter, -1), "Påskafton", "eve"],
+    [easter, "Påskdagen", "holiday"],
+    [addDays(easter, 1), "Annandag påsk", "holiday"],
+    [utcDate(year, 5, 1), "Första maj", "holiday"],
+    [addDays(easter, 39), "Kristi himmelfärdsdag", "holiday"],
+    [addDays(easter, 49), "Pingstdagen", "holiday"],
+    [utcDate(year, 6, 6), "Sveriges nationaldag", "holiday"],
+    [nextWeekday(utcDate(year, 6, 19), 5), "Midsommarafton", "eve"],
+    [nextWeekday(utcDate(year, 6, 20), 6), "Midsommardagen", "holiday"],
+    [nextWeekday(utcDate(year, 10, 31), 6), "Alla helgons dag", "holiday"],
+    [utcDate(year, 12, 24), "Julafton", "eve"],
+    [utcDate(year, 12, 25), "Juldagen", "holiday"],
+    [utcDate(year, 12, 26), "Annandag jul", "holiday"],
+    [utcDate(year, 12, 31), "Nyårsafton", "eve"],
+  ];
+
+  const closed = new Set(days.map(([date]) => toDateString(date)));
+  const isOff = (date) =>
+    closed.has(toDateString(date)) ||
+    date.getUTCDay() === 0 ||
+    date.getUTCDay() === 6;
+
+  // A klämdag sits between a holiday and a weekend: a Friday after a
+  // Thursday holiday or a Monday before a Tuesday holiday
+  const bridges = days
+    .flatMap(([date]) => [addDays(date, -1), addDays(date, 1)])
+    .filter(
+      (date) =>
+        !isOff(date) &&
+        date.getUTCFullYear() === year &&
+        isOff(addDays(date, -1)) &&
+        isOff(addDays(date, 1)),
+    )
+    .map((date) => [date, "Klämdag", "bridge"]);
+
+  const holidays = [...days, ...bridges]
+    .map(([date, name, type]) => ({ date: toDateString(date), name, type }))
+    .filter(
+      (holiday, i, all) => all.findIndex((h) => h.date === holiday.date) === i,
+    )
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  calendars.set(year, holidays);
+  return holidays;
+}
+
+/**
+ * Get the holiday, eve or klämdag falling on a date
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {Object|null} { date, name, type }, or null on an ordinary day
+ */
+export function getHoliday(date) {
+  const year = Number(String(date).slice(0, 4));
+  if (!Number.isInteger(year)) return null;
+  return getSwedishHolidays(year).find((h) => h.date === date) || null;
+}
+
+/**
+ * Whether lunch restaurants are normally open on a date: Monday to Friday,
+ * except holidays and eves (klämdagar are working days)
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {boolean} True on a working day
+ */
+export function isWorkingDay(date) {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  if (day === 0 || day === 6) return false;
+  const type = getHoliday(date)?.type;
+  return type !== "holiday" && type !== "eve";
+}
+
+/**
+ * Find the first working day on or after a date
+ * @param {string} from - "YYYY-MM-DD" (defaults to today in Sweden)
+ * @returns {Object} { date, weekday, week, year }, weekday in Swedish
+ */
+export function getNextWorkingDay(from = getSwedishDate()) {
+  let date = new Date(`${from}T00:00:00Z`);
+  // At most a long Easter or Christmas away
+  for (let i = 0; i < 14 && !isWorkingDay(toDateString(date)); i++) {
+    date = addDays(date, 1);
+  }
+  const { week, year } = getCalendarDateISOWeekInfo(
+    new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+  );
+  return {
+    date: toDateString(date),
+    weekday: SWEDISH_DAYS[date.getUTCDay()],
+    week,
+    year,
+  };
+}
+
+/**
+ * Get the holidays, eves and klämdagar of an ISO week by weekday
+ * @param {number} week - ISO week number (1-53)
+ * @param {number} year - ISO week-year
+ * @returns {Object<string, Object>} Swedish weekday -> { date, name, type },
+ *   for the days that have one
+ */
+export function getWeekHolidays(week, year) {
+  return Object.fromEntries(
+    Object.entries(getISOWeekDates(week, year))
+      .map(([weekday, date]) => [weekday, getHoliday(date)])
+      .filter(([, holiday]) => holiday),
+  );
+}
+
+export default {
+  HOLIDAY_TYPES,
+  getSwedishHolidays,
+  getHoliday,
+  isWorkingDay,
+  getNextWorkingDay,
+  getWeekHolidays,
+};
@@ -0,0 +1,91 @@
+import { describe, expect, it } from "vitest";
+import {
+  getHoliday,
+  getNextWorkingDay,
+  getSwedishHolidays,
+  getWeekHolidays,
+  isWorkingDay,
+} from "./swedish-holidays.mjs";
+
+describe("getSwedishHolidays", () => {
+  it("places the moving holidays of a year", () => {
+    const byName = Object.fromEntries(
+      getSwedishHolidays(2026).map((h) => [h.name, h.date]),
+    );
+
+    expect(byName).toMatchObject({
+      Långfredagen: "2026-04-03",
+      Påskdagen: "2026-04-05",
+      "Annandag påsk": "2026-04-06",
+      "Kristi himmelfärdsdag": "2026-05-14",
+      Pingstdagen: "2026-05-24",
+      Midsommarafton: "2026-06-19",
+      Midsommardagen: "2026-06-20",
+      "Alla helgons dag": "2026-10-31",
+    });
+    expect(getHoliday("2025-04-20").name).toBe("Påskdagen");
+    expect(getHoliday("2025-06-20").name).toBe("Midsommarafton");
+  });
+
+  it("finds klämdagar between a holiday and a weekend", () => {
+    const bridges = getSwedishHolidays(2026)
+      .filter((h) => h.type === "bridge")
+      .map((h) => h.date);
+
+    // Monday before Trettondedag jul on a Tuesday, Friday after Kristi
+    // himmelfärd; Friday 2 January sits between Nyårsdagen and the weekend
+    expect(bridges).toEqual(["2026-01-02", "2026-01-05", "2026-05-15"]);
+  });
+
+  it("returns the year sorted by date", () => {
+    const dates = getSwedishHolidays(2027).map((h) => h.date);
+
+    expect(dates).toEqual([...dates].sort());
+    expect(new Set(dates).size).toBe(dates.length);
+  });
+});
+
+describe("isWorkingDay", () => {
+  it("treats weekends, holidays and eves as days off", () => {
+    expect(isWorkingDay("2026-10-19")).toBe(true);
+    expect(isWorkingDay("2026-10-24")).toBe(false);
+    expect(isWorkingDay("2026-06-19")).toBe(false);
+    expect(isWorkingDay("2026-12-24")).toBe(false);
+    // A klämdag is still a working day
+    expect(isWorkingDay("2026-05-15")).toBe(true);
+  });
+});
+
+describe("getNextWorkingDay", () => {
+  it("skips weekends and holidays into the next week", () => {
+    expect(getNextWorkingDay("2026-04-03")).toEqual({
+      date: "2026-04-07",
+      weekday: "tisdag",
+      week: 15,
+      year: 2026,
+    });
+    expect(getNextWorkingDay("2026-12-24")).toMatchObject({
+      date: "2026-12-28",
+      weekday: "måndag",
+      week: 53,
+    });
+  });
+
+  it("returns the day itself on a working day", () => {
+    expect(getNextWorkingDay("2026-10-19").date).toBe("2026-10-19");
+  });
+});
+
+describe("getWeekHolidays", () => {
+  it("maps the holidays of an ISO week to their weekdays", () => {
+    expect(getWeekHolidays(20, 2026)).toEqual({
+      torsdag: {
+        date: "2026-05-14",
+        name: "Kristi himmelfärdsdag",
+        type: "holiday",
+      },
+      fredag: { date: "2026-05-15", name: "Klämdag", type: "bridge" },
+    });
+    expect(getWeekHolidays(43, 2026)).toEqual({});
+  });
+});
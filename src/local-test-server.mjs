@@ -9,33 +9,15 @@ import { readFileSync } from "fs";
 import { dirname, join } from "path";
 import { fileURLToPath } from "url";
 import { ParserFactory } from "./parsers/parser-factory.mjs";
+import {
+  findRestaurant,
+  getActiveRestaurants,
+} from "./lib/restaurant-registry.mjs";
+import { getISOWeekInfo, resolveDayParam } from "./lib/date-utils.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const RESTAURANT_CONFIGS = [
-  { id: "niagara", name: "Restaurang Niagara", parser: "niagara", url: "https://restaurangniagara.se/lunch/", active: true },
-  { id: "spill", name: "Spill", parser: "spill", url: "https://www.restaurangspill.se/", active: true },
-  { id: "kontrast", name: "Kontrast", parser: "kontrast", url: "https://www.kontrastrestaurang.se/vastra-hamnen/", active: true },
-  { id: "p2", name: "P2", parser: "p2", url: "https://restaurangp2.se/", active: true },
-  { id: "taste", name: "Taste", parser: "taste", url: "https://www.nordrest.se/restaurang/taste-by-nordrest-malmo/", active: true },
-  { id: "varv", name: "Varv", parser: "varv", url: "https://varvmalmo.com/menu", active: true },
-  { id: "fonderie", name: "La Fonderie", parser: "fonderie", url: "https://www.lafonderie.se/lelunch", active: true },
-  { id: "laziza", name: "Laziza", parser: "laziza", url: "https://www.laziza.se/lunch/", active: true },
-  { id: "holygreens", name: "Holy Greens", parser: "holygreens", url: "https://holygreens.se/meny/", active: true },
-  { id: "kockum", name: "Kockum Fritid", parser: "kockum", url: "https://www.freda49.se/lunch-malmo.html", active: true },
-];
-
-const ENGLISH_WEEKDAYS = {
-  monday: "måndag", tuesday: "tisdag", wednesday: "onsdag",
-  thursday: "torsdag", friday: "fredag", saturday: "lördag", sunday: "söndag",
-};
-
-const SWEDISH_WEEKDAYS = {
-  måndag: "monday", tisdag: "tuesday", onsdag: "wednesday",
-  torsdag: "thursday", fredag: "friday", lördag: "saturday", söndag: "sunday",
-};
-
 let cachedData = null;
 let cacheTime = 0;
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
@@ -51,8 +33,7 @@ async function fetchAllLunchData() {
     circuitBreaker: { enabled: true, failureThreshold: 3, timeout: 60000 },
   });
 
-  for (const config of RESTAURANT_CONFIGS) {
-    if (!config.active) continue;
+  for (const config of getActiveRestaurants()) {
     const validation = factory.validateParserConfig(config);
     if (validation.isValid) {
       factory.createParser(config);
@@ -65,22 +46,35 @@ async function fetchAllLunchData() {
     continueOnError: true,
   });
 
-  const findConfig = (key) => {
-    const k = String(key || "").toLowerCase();
-    return RESTAURANT_CONFIGS.find(c =>
-      c.id.toLowerCase() === k ||
-      c.name.toLowerCase() === k ||
-      c.parser.toLowerCase() === k);
-  };
   const allData = [];
+  const restaurantStatus = [];
+  const now = new Date().toISOString();
   for (const result of results) {
+    const cfg = findRestaurant(result.restaurant);
+    const lunchCount = result.success ? result.lunches.length : 0;
+    // Same shape as the API server's per-restaurant status, from live results
+    restaurantStatus.push({
+      id: cfg?.id || result.restaurant,
+      name: cfg?.name || result.restaurant,
+      url: cfg?.publicUrl || "",
+      status: lunchCount > 0 ? "ok" : "missing",
+      cachedAt: lunchCount > 0 ? now : null,
+      lunchCount,
+      lastCollection: {
+        status: !result.success ? "failed" : lunchCount > 0 ? "success" : "empty",
+        at: now,
+        lunchCount,
+        ...(result.error && { error: result.error.message }),
+      },
+    });
+
     if (result.success && result.lunches.length > 0) {
-      const cfg = findConfig(result.restaurant);
       const withMeta = result.lunches.map(l => ({
         ...l,
         place: cfg?.name || l.place,
-        placeUrl: cfg?.url || "",
-        restaurant: result.restaurant,
+        placeUrl: cfg?.publicUrl || "",
+        walkMinutes: cfg?.walkMinutes ?? null,
+        restaurant: cfg?.id || result.restaurant,
       }));
       allData.push(...withMeta);
       console.log(`  ${result.restaurant}: ${result.lunches.length} items`);
@@ -90,43 +84,20 @@ async function fetchAllLunchData() {
   }
 
   factory.destroy();
-  cachedData = allData;
+  cachedData = { lunchData: allData, restaurantStatus };
   cacheTime = Date.now();
   console.log(`  Total: ${allData.length} items`);
-  return allData;
+  return cachedData;
 }
 
 function getHtmlTemplate() {
   return readFileSync(join(__dirname, "lambdas", "index.html"), "utf-8");
 }
 
-function filterDataByDay(data, selectedDay) {
-  if (!selectedDay || selectedDay === "all") return data;
-  const normalized = selectedDay.toLowerCase();
-  return data.filter((lunch) => {
-    const day = (lunch.weekday || "").toLowerCase();
-    return day === normalized || SWEDISH_WEEKDAYS[day] === normalized || ENGLISH_WEEKDAYS[normalized] === day;
-  });
-}
-
-function getCurrentSwedishWeekday() {
-  const englishDay = new Date().toLocaleDateString("en-US", { weekday: "long" }).toLowerCase();
-  return ENGLISH_WEEKDAYS[englishDay] || "måndag";
-}
-
-function getCurrentWeek() {
-  const now = new Date();
-  const d = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
-  const dayNum = d.getUTCDay() || 7;
-  d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-  return Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
-}
-
 const PORT = 3000;
 
 console.log("Local Dev Server — get-lunch");
-console.log(`${RESTAURANT_CONFIGS.filter(r => r.active).length} restaurants configured`);
+console.log(`${getActiveRestaurants().length} restaurants configured`);
 
 const server = http.createServer(async (request, response) => {
   const url = new URL(request.url, `http://localhost:${PORT}`);
@@ -136,30 +107,43 @@ const server = http.createServer(async (request, response) => {
   const startTime = Date.now();
 
   try {
+    // Mirrors the API server: GET /lunch/{day} or ?day= picks the day the
+    // page opens on, while the page always receives the whole week.
     const queryParams = Object.fromEntries(url.searchParams);
-    const selectedDay = queryParams.day || getCurrentSwedishWeekday();
+    const pathDay = url.pathname.match(/^\/lunch\/([^/]+)\/?$/)?.[1];
+    const selectedDay = resolveDayParam(
+      pathDay ? decodeURIComponent(pathDay) : queryParams.day,
+    );
 
-    const lunchData = await fetchAllLunchData();
-    const filtered = filterDataByDay(lunchData, selectedDay);
+    const { lunchData, restaurantStatus } = await fetchAllLunchData();
 
+    const { week, year } = getISOWeekInfo();
     const html = getHtmlTemplate();
-    const lunchesJson = JSON.stringify(filtered, null, 2);
+    const lunchesJson = JSON.stringify(lunchData, null, 2);
     const metadata = JSON.stringify({
       lastUpdated: new Date().toISOString(),
-      cacheWeek: getCurrentWeek(),
-      totalItems: filtered.length,
-      restaurants: [...new Set(filtered.map(d => d.place))],
-      availableDays: [...new Set(filtered.map(d => d.weekday))],
-      dataFreshness: { veryFresh: filtered.length, fresh: 0, stale: 0, veryStale: 0 },
+      cacheWeek: week,
+      cacheYear: year,
+      totalItems: lunchData.length,
+      restaurants: [...new Set(lunchData.map(d => d.place))],
+      availableDays: [...new Set(lunchData.map(d => d.weekday))],
+      dataFreshness: { veryFresh: lunchData.length, fresh: 0, stale: 0, veryStale: 0 },
+      restaurantStatus,
     }, null, 2);
 
     const responseHtml = html.replace(
       /const lunches = \[\];/,
-      `const lunches = ${lunchesJson};\n    const cacheMetadata = ${metadata};\n    console.log("Cache metadata:", cacheMetadata);`,
+      () => `const lunches = ${lunchesJson};`,
+    ).replace(
+      /const cacheMetadata = null;/,
+      () => `const cacheMetadata = ${metadata};`,
+    ).replace(
+      /const initialDay = null;/,
+      () => `const initialDay = ${JSON.stringify(selectedDay)};`,
     );
 
     const duration = Date.now() - startTime;
-    console.log(`  ${filtered.length} items, ${duration}ms`);
+    console.log(`  ${lunchData.length} items, ${duration}ms`);
     response.writeHead(200, { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-cache" });
     response.end(responseHtml);
   } catch (error) {
@@ -3,8 +3,34 @@
  * Provides common functionality and defines interface for all restaurant parsers
  */
 
+import { createHash } from "node:crypto";
 import { createRestaurantLogger } from "../lib/enhanced-logger.mjs";
 import { validateLunches } from "../lib/data-validator.mjs";
+import { classifyLunches } from "../lib/menu-classifier.mjs";
+import {
+  createClosureNotice,
+  isClosureNotice,
+  validateClosureNotice,
+} from "../lib/closure-notice.mjs";
+import {
+  getCalendarDateISOWeekInfo,
+  getISOWeek,
+} from "../lib/date-utils.mjs";
+import { findRestaurant } from "../lib/restaurant-registry.mjs";
+import {
+  getFixtureConfigFromEnv,
+  recordFixture,
+  replayFile,
+  replayFixture,
+} from "../lib/parser-fixtures.mjs";
+import {
+  PARSER_ERROR_CODES,
+  classifyRequestError,
+  createHttpError,
+  createParserError,
+  getRetryDelay,
+  isRetryableError,
+} from "./parser-errors.mjs";
 
 let _JSDOM;
 async function loadJSDOM() {
@@ -14,6 +40,14 @@ async function loadJSDOM() {
   return _JSDOM;
 }
 
+/**
+ * Hash of a page body, to tell an unchanged page from servers that send no
+ * validators or ignore conditional requests
+ */
+function hashBody(body) {
+  return createHash("sha256").update(body).digest("hex");
+}
+
 /**
  * Abstract base class for restaurant parsers
  * All restaurant-specific parsers should extend this class
@@ -36,6 +70,9 @@ export class BaseParser {
       timeout: config.timeout || 30000,
       retries: config.retries || 3,
       retryDelay: config.retryDelay || 1000,
+      // Longest wait between attempts; a Retry-After beyond it is not waited
+      // for
+      maxRetryDelay: config.maxRetryDelay || 10000,
       headers: config.headers || {
         "User-Agent":
           "Enhanced-Lunch-Table/1.0 (https://github.com/enhanced-lunch-table)",
@@ -47,6 +84,12 @@ export class BaseParser {
         Connection: "keep-alive",
         "Upgrade-Insecure-Requests": "1",
       },
+      // Record or replay fetched pages; see src/lib/parser-fixtures.mjs
+      fixtures: getFixtureConfigFromEnv(),
+      // async (url) => { etag, lastModified, hash } | null: validators kept
+      // from the last run that used the page; when set, the page is fetched
+      // conditionally and parsing is skipped if it has not changed
+      loadValidators: null,
       ...config,
     };
 
@@ -65,6 +108,13 @@ export class BaseParser {
       totalRequests: 0,
       successfulRequests: 0,
     };
+
+    // Page fetched by checkPageUnchanged, and its validators
+    this.prefetchedPage = null;
+    this.pageValidators = null;
+
+    // Signal of the current execution; requests stop once it aborts
+    this.abortSignal = null;
   }
 
   /**
@@ -86,7 +136,8 @@ export class BaseParser {
   /**
    * Abstract method: Parse restaurant menu
    * Must be implemented by subclasses
-   * @returns {Promise<Array>} Array of lunch objects
+   * @returns {Promise<Array|Object>} Array of lunch objects, or a closure
+   *   notice (see createClosureNotice) when the restaurant is closed
    */
   async parseMenu() {
     throw new Error("parseMenu() method must be implemented by subclasses");
@@ -112,10 +163,15 @@ export class BaseParser {
 
   /**
    * Execute the menu parsing with full error handling and logging
+   * @param {Object} options - Execution options
+   * @param {AbortSignal} options.signal - Aborts requests in flight and
+   *   keeps new ones from starting; the execution fails with the signal's
+   *   reason
    * @returns {Promise<Object>} Standardized parser response
    */
-  async execute() {
+  async execute({ signal = null } = {}) {
     const startTime = Date.now();
+    this.abortSignal = signal;
     this.logger.startTimer("parseExecution");
 
     try {
@@ -127,14 +183,42 @@ export class BaseParser {
 
       this.state.totalRequests++;
 
+      // Nothing to parse if the page is what the last run already cached
+      this.prefetchedPage = null;
+      this.pageValidators = null;
+      if (await this.checkPageUnchanged()) {
+        return this.createUnchangedResult(startTime);
+      }
+
       // Execute the parsing
-      const lunches = await this.parseMenu();
+      const parsed = await this.parseMenu();
+
+      // A closed restaurant has no lunches, which is not a failure
+      const closure = isClosureNotice(parsed) ? parsed : null;
+      const lunches = closure ? [] : parsed;
+      if (closure) {
+        const check = validateClosureNotice(closure);
+        if (!check.isValid) {
+          throw createParserError(
+            PARSER_ERROR_CODES.VALIDATION,
+            `Invalid closure notice: ${check.errors.join("; ")}`,
+          );
+        }
+        await this.logger.info("Restaurant is closed", { closure });
+      }
 
       // Validate the results
-      const validation = validateLunches(lunches || []);
+      const validation = validateLunches(lunches || [], {
+        allowWeekend: this.config.weekendLunch === true,
+      });
 
       if (validation.validCount === 0 && lunches.length > 0) {
-        throw new Error(`All ${lunches.length} lunch items failed validation`);
+        // Keep the reasons for the run record
+        throw createParserError(
+          PARSER_ERROR_CODES.VALIDATION,
+          `All ${lunches.length} lunch items failed validation`,
+          { validation },
+        );
       }
 
       // Update success state
@@ -158,7 +242,10 @@ export class BaseParser {
         success: true,
         restaurant: this.getName(),
         url: this.getUrl(),
-        lunches: validation.validLunches,
+        // Dietary/allergen tags are derived here so every parser gets them
+        lunches: classifyLunches(validation.validLunches),
+        ...(closure && { closure }),
+        ...(this.pageValidators && { validators: this.pageValidators }),
         metadata: {
           totalExtracted: lunches.length,
           validCount: validation.validCount,
@@ -205,10 +292,10 @@ export class BaseParser {
           consecutiveFailures: this.state.consecutiveFailures,
         },
         metadata: {
-          totalExtracted: 0,
+          totalExtracted: error.validation?.totalCount ?? 0,
           validCount: 0,
-          invalidCount: 0,
-          validationErrors: [],
+          invalidCount: error.validation?.invalidCount ?? 0,
+          validationErrors: error.validation?.validationErrors ?? [],
           duration: duration,
           timestamp: new Date().toISOString(),
           parser: this.constructor.name,
@@ -218,6 +305,46 @@ export class BaseParser {
     }
   }
 
+  /**
+   * Build the result of a run that skipped parsing because the page has not
+   * changed since the last run: successful, with no lunches of its own, so
+   * the collector leaves the cached week as it is
+   * @param {number} startTime - When the run started (ms)
+   * @returns {Promise<Object>} Standardized parser response with
+   *   `unchanged: true`
+   */
+  async createUnchangedResult(startTime) {
+    this.state.lastSuccessful = new Date().toISOString();
+    this.state.consecutiveFailures = 0;
+    this.state.successfulRequests++;
+    this.state.isHealthy = true;
+
+    const duration = Date.now() - startTime;
+    this.logger.endTimer("parseExecution");
+    await this.logger.info("Page unchanged since last run, skipped parsing", {
+      url: this.getUrl(),
+      duration: `${duration}ms`,
+    });
+
+    return {
+      success: true,
+      unchanged: true,
+      restaurant: this.getName(),
+      url: this.getUrl(),
+      lunches: [],
+      metadata: {
+        totalExtracted: 0,
+        validCount: 0,
+        invalidCount: 0,
+        validationErrors: [],
+        duration: duration,
+        timestamp: new Date().toISOString(),
+        parser: this.constructor.name,
+        parserVersion: "1.0.0",
+      },
+    };
+  }
+
   /**
    * Get parser health status
    * @returns {Object} Health status information
@@ -252,7 +379,7 @@ export class BaseParser {
     return {
       name: lunchData.name || "",
       description: lunchData.description || "",
-      price: lunchData.price || 0,
+      price: lunchData.price ?? null,
       weekday: lunchData.weekday || "",
       week: lunchData.week || this._getCurrentWeek(),
       place: this.getName(),
@@ -260,16 +387,44 @@ export class BaseParser {
     };
   }
 
+  /**
+   * Create a closure notice to return from parseMenu instead of lunches
+   * @param {Object} data - { reason, from, to, reopens }, all optional
+   * @returns {Object} Closure notice
+   */
+  createClosureNotice(data = {}) {
+    return createClosureNotice(data);
+  }
+
+  /**
+   * Create the error to throw from parseMenu when the page no longer has the
+   * elements the parser looks for, which usually means its selectors are
+   * stale rather than the site being down
+   * @param {string} message - What was not found
+   * @returns {Error} LAYOUT_NOT_FOUND error
+   */
+  createLayoutError(message) {
+    return createParserError(PARSER_ERROR_CODES.LAYOUT_NOT_FOUND, message, {
+      url: this.getUrl(),
+    });
+  }
+
   /**
    * Get current ISO week number
    * @private
    * @returns {number} Current week number
    */
   _getCurrentWeek() {
-    const now = new Date();
-    const startOfYear = new Date(now.getFullYear(), 0, 1);
-    const days = Math.floor((now - startOfYear) / (24 * 60 * 60 * 1000));
-    return Math.ceil((days + startOfYear.getDay() + 1) / 7);
+    return getISOWeek();
+  }
+
+  /**
+   * Get ISO week number of a date parsed from menu text
+   * @param {Date} date - Date whose calendar day to use
+   * @returns {number} ISO week number (1-53)
+   */
+  getWeekNumber(date) {
+    return getCalendarDateISOWeekInfo(date).week;
   }
 
   /**
@@ -346,10 +501,14 @@ export class BaseParser {
   }
 
   /**
-   * Make HTTP request with retry logic and error handling
+   * Make HTTP request with retry logic and error handling. Network errors,
+   * timeouts, 5xx, 408 and 429 are retried with jittered exponential backoff
+   * (or the server's Retry-After); other failures are thrown at once.
    * @param {string} url - URL to fetch
    * @param {Object} options - Request options
    * @returns {Promise<Response>} HTTP response
+   * @throws {Error} Classified error (see parser-errors.mjs) from the last
+   *   attempt
    */
   async makeRequest(url, options = {}) {
     const requestOptions = {
@@ -359,9 +518,22 @@ export class BaseParser {
       ...options,
     };
 
+    if (this.config.fixtures?.mode === "replay") {
+      return this.replayRequest(url);
+    }
+
     let lastError = null;
+    let attempts = 0;
 
     for (let attempt = 1; attempt <= this.config.retries; attempt++) {
+      this.throwIfAborted();
+      attempts = attempt;
+      const controller = new AbortController();
+      const timeoutId = setTimeout(
+        () => controller.abort(),
+        requestOptions.timeout,
+      );
+
       try {
         await this.logger.debug(
           `HTTP request attempt ${attempt}/${this.config.retries}`,
@@ -372,21 +544,16 @@ export class BaseParser {
           },
         );
 
-        const controller = new AbortController();
-        const timeoutId = setTimeout(
-          () => controller.abort(),
-          requestOptions.timeout,
-        );
-
         const response = await fetch(url, {
           ...requestOptions,
-          signal: controller.signal,
+          signal: this.abortSignal
+            ? AbortSignal.any([controller.signal, this.abortSignal])
+            : controller.signal,
         });
 
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        // 304 only answers a conditional request (see checkPageUnchanged)
+        if (!response.ok && response.status !== 304) {
+          throw createHttpError(response, url);
         }
 
         await this.logger.info("HTTP request successful", {
@@ -396,8 +563,15 @@ export class BaseParser {
           contentType: response.headers.get("content-type"),
         });
 
+        if (this.config.fixtures?.mode === "record") {
+          return await this.recordResponse(url, response);
+        }
+
         return response;
-      } catch (error) {
+      } catch (caught) {
+        this.throwIfAborted();
+        const error = classifyRequestError(caught, requestOptions.timeout);
+        const retryable = isRetryableError(error);
         lastError = error;
 
         await this.logger.warn(
@@ -405,25 +579,168 @@ export class BaseParser {
           {
             url,
             error: error.message,
+            code: error.code,
             attempt,
+            retryable,
           },
         );
 
-        // Don't retry on the last attempt
-        if (attempt === this.config.retries) {
+        // A 404 or 403 won't go away, and a Retry-After longer than we can
+        // wait means the site is down for this run
+        if (
+          !retryable ||
+          attempt === this.config.retries ||
+          error.retryAfter > this.config.maxRetryDelay
+        ) {
           break;
         }
 
-        // Wait before retrying
-        await this.sleep(this.config.retryDelay * attempt);
+        await this.sleep(
+          getRetryDelay(attempt, {
+            baseDelay: this.config.retryDelay,
+            maxDelay: this.config.maxRetryDelay,
+            retryAfter: error.retryAfter ?? null,
+          }),
+        );
+      } finally {
+        clearTimeout(timeoutId);
       }
     }
 
-    throw new Error(
-      `HTTP request failed after ${this.config.retries} attempts: ${lastError.message}`,
+    throw createParserError(
+      lastError.code,
+      `HTTP request failed after ${attempts} attempt${attempts === 1 ? "" : "s"}: ${lastError.message}`,
+      { cause: lastError, status: lastError.status, url },
     );
   }
 
+  /**
+   * Directory name for this restaurant's fixtures: its registry id, or a
+   * slug of the name for parsers outside the registry
+   * @returns {string} Fixture key
+   */
+  getFixtureKey() {
+    return (
+      findRestaurant(this.getName())?.id ||
+      this.getName()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "")
+    );
+  }
+
+  /**
+   * Save a fetched response as a fixture. Failures are only logged, so
+   * recording never breaks a collection run.
+   * @param {string} url - Fetched URL
+   * @param {Response} response - Successful response, read here
+   * @returns {Promise<Response>} Unread copy of the response for the caller
+   */
+  async recordResponse(url, response) {
+    // Copies of the buffered body rather than response.clone(): undici can
+    // empty a response once a clone of it has been read and collected
+    const body = response.status === 304 ? null : await response.arrayBuffer();
+    const copy = () =>
+      new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+      });
+
+    try {
+      const file = await recordFixture({
+        dir: this.config.fixtures.dir,
+        restaurant: this.getFixtureKey(),
+        url,
+        response: copy(),
+      });
+      await this.logger.debug("Recorded fixture", { url, file });
+    } catch (error) {
+      await this.logger.warn("Failed to record fixture", {
+        url,
+        error: error.message,
+      });
+    }
+    return copy();
+  }
+
+  /**
+   * Serve a request from recorded fixtures instead of the network
+   * @param {string} url - Requested URL
+   * @returns {Promise<Response>} Recorded response
+   */
+  async replayRequest(url) {
+    const { dir, date, file } = this.config.fixtures;
+    if (file) {
+      await this.logger.debug("Serving request from file", { url, file });
+      return replayFile(file);
+    }
+
+    const response = await replayFixture({
+      dir,
+      restaurant: this.getFixtureKey(),
+      url,
+      date,
+    });
+
+    await this.logger.debug("Serving request from fixture", { url, date });
+    return response;
+  }
+
+  /**
+   * Whether the parser's page can be fetched conditionally. Parsers whose
+   * lunches don't come from the page at getUrl() through fetchDocument
+   * return false.
+   * @returns {boolean} True to check the page before parsing
+   */
+  supportsConditionalFetch() {
+    return true;
+  }
+
+  /**
+   * Fetch the page at getUrl() with the validators the last run kept for it
+   * (If-None-Match, If-Modified-Since), before parseMenu runs. A 304, or a
+   * body with the same hash as last time, means the page has not changed.
+   * Otherwise the body is kept for fetchDocument and its validators are set
+   * as `pageValidators`, to be returned with the result and stored once its
+   * lunches are cached. Skipped without a `loadValidators` config and when
+   * recording or replaying fixtures.
+   * @returns {Promise<boolean>} True when the page has not changed
+   */
+  async checkPageUnchanged() {
+    if (
+      typeof this.config.loadValidators !== "function" ||
+      this.config.fixtures?.mode ||
+      !this.supportsConditionalFetch()
+    ) {
+      return false;
+    }
+
+    const url = this.getUrl();
+    const previous = await this.config.loadValidators(url);
+    const headers = { ...this.config.headers };
+    if (previous?.etag) headers["If-None-Match"] = previous.etag;
+    if (previous?.lastModified) {
+      headers["If-Modified-Since"] = previous.lastModified;
+    }
+
+    const response = await this.makeRequest(url, { headers });
+    if (response.status === 304) return true;
+
+    const html = await response.text();
+    const hash = hashBody(html);
+    if (previous?.hash === hash) return true;
+
+    this.prefetchedPage = { url, html };
+    this.pageValidators = {
+      url,
+      etag: response.headers.get("etag"),
+      lastModified: response.headers.get("last-modified"),
+      hash,
+    };
+    return false;
+  }
+
   /**
    * Fetch and parse HTML document
    * @param {string} url - URL to fetch
@@ -433,11 +750,20 @@ export class BaseParser {
     const targetUrl = url || this.getUrl();
 
     try {
-      const response = await this.makeRequest(targetUrl);
-      const html = await response.text();
+      // The page checkPageUnchanged fetched is only parsed once
+      const prefetched =
+        this.prefetchedPage?.url === targetUrl ? this.prefetchedPage : null;
+      this.prefetchedPage = null;
+      const html = prefetched
+        ? prefetched.html
+        : await (await this.makeRequest(targetUrl)).text();
 
       if (!html || html.trim().length === 0) {
-        throw new Error("Received empty HTML response");
+        throw createParserError(
+          PARSER_ERROR_CODES.EMPTY_BODY,
+          "Received empty HTML response",
+          { url: targetUrl },
+        );
       }
 
       const JSDOM = await loadJSDOM();
@@ -465,12 +791,30 @@ export class BaseParser {
   }
 
   /**
-   * Sleep for specified milliseconds
+   * Sleep for specified milliseconds, or until the execution is aborted
    * @param {number} ms - Milliseconds to sleep
    * @returns {Promise<void>}
    */
   async sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+    return new Promise((resolve) => {
+      const timeoutId = setTimeout(resolve, ms);
+      this.abortSignal?.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timeoutId);
+          resolve();
+        },
+        { once: true },
+      );
+    });
+  }
+
+  /**
+   * Stop the current execution if its signal has aborted
+   * @throws {Error} The signal's reason
+   */
+  throwIfAborted() {
+    this.abortSignal?.throwIfAborted();
   }
 
   /**
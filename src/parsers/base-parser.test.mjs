@@ -2,7 +2,7 @@
  * Unit tests for BaseParser, ParserFactory, NiagaraParser, and parser interfaces
  */
 
-import { describe, it, expect, beforeAll, vi } from "vitest";
+import { describe, it, expect, afterEach, beforeAll, vi } from "vitest";
 import { BaseParser } from "./base-parser.mjs";
 import { NiagaraParser } from "./niagara-parser.mjs";
 import { ParserFactory } from "./parser-factory.mjs";
@@ -122,6 +122,370 @@ describe("BaseParser HTTP", () => {
 
 });
 
+describe("BaseParser retries", () => {
+  function respond(status, headers = {}) {
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      statusText: "Status",
+      headers: new Headers(headers),
+      text: async () => "<html></html>",
+    };
+  }
+
+  function parserFetching(...responses) {
+    const fetchMock = vi.fn();
+    for (const response of responses) {
+      if (response instanceof Error) fetchMock.mockRejectedValueOnce(response);
+      else fetchMock.mockResolvedValueOnce(response);
+    }
+    vi.stubGlobal("fetch", fetchMock);
+    const parser = new MockParser({ retryDelay: 100, maxRetryDelay: 1000 });
+    parser.sleep = vi.fn(async () => {});
+    return { parser, fetchMock };
+  }
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("does not retry a 404", async () => {
+    const { parser, fetchMock } = parserFetching(respond(404));
+
+    await expect(parser.makeRequest("https://test.se/")).rejects.toMatchObject({
+      code: "HTTP_4XX",
+      status: 404,
+      message: "HTTP request failed after 1 attempt: HTTP 404: Status",
+    });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(parser.sleep).not.toHaveBeenCalled();
+  });
+
+  it("retries server errors, waiting as long as Retry-After asks", async () => {
+    const { parser, fetchMock } = parserFetching(
+      respond(503, { "retry-after": "1" }),
+      new TypeError("fetch failed"),
+      respond(200),
+    );
+
+    const response = await parser.makeRequest("https://test.se/");
+
+    expect(response.status).toBe(200);
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(parser.sleep.mock.calls[0][0]).toBe(1000);
+    // Second wait is the backoff: 200 ms plus up to 20% jitter
+    expect(parser.sleep.mock.calls[1][0]).toBeGreaterThanOrEqual(200);
+    expect(parser.sleep.mock.calls[1][0]).toBeLessThanOrEqual(240);
+  });
+
+  it("gives up when Retry-After is longer than it can wait", async () => {
+    const { parser, fetchMock } = parserFetching(
+      respond(429, { "retry-after": "3600" }),
+    );
+
+    await expect(parser.makeRequest("https://test.se/")).rejects.toMatchObject({
+      code: "HTTP_4XX",
+      status: 429,
+    });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("reports the error code of the last attempt from execute", async () => {
+    class FetchingParser extends MockParser {
+      async parseMenu() {
+        await this.fetchDocument();
+        return [];
+      }
+    }
+    vi.stubGlobal("fetch", vi.fn(async () => respond(500)));
+    const parser = new FetchingParser({ retries: 2 });
+    parser.sleep = vi.fn(async () => {});
+
+    const result = await parser.execute();
+
+    expect(result.error).toMatchObject({
+      code: "HTTP_5XX",
+      message: "HTTP request failed after 2 attempts: HTTP 500: Status",
+    });
+  });
+
+  it("stops requesting when the execution is aborted", async () => {
+    class FetchingParser extends MockParser {
+      async parseMenu() {
+        await this.fetchDocument();
+        return [];
+      }
+    }
+    // A request that only ends when its signal aborts
+    const fetchMock = vi.fn(
+      (url, { signal }) =>
+        new Promise((_, reject) =>
+          signal.addEventListener("abort", () => reject(signal.reason)),
+        ),
+    );
+    vi.stubGlobal("fetch", fetchMock);
+    const parser = new FetchingParser({ retries: 3 });
+    const controller = new AbortController();
+    const timeout = Object.assign(new Error("Parser timed out after 50ms"), {
+      code: "TIMEOUT",
+    });
+
+    const execution = parser.execute({ signal: controller.signal });
+    await vi.waitFor(() => expect(fetchMock).toHaveBeenCalled());
+    controller.abort(timeout);
+    const result = await execution;
+
+    expect(result.error).toMatchObject({
+      code: "TIMEOUT",
+      message: "Parser timed out after 50ms",
+    });
+    // Neither retried nor left running
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("marks a page without the expected elements as a layout error", async () => {
+    class LayoutParser extends MockParser {
+      async parseMenu() {
+        throw this.createLayoutError("Could not find #dagens section");
+      }
+    }
+
+    const result = await new LayoutParser().execute();
+
+    expect(result.error.code).toBe("LAYOUT_NOT_FOUND");
+  });
+});
+
+describe("BaseParser conditional fetching", () => {
+  const PAGE = "<html><body><h1>Fiskgratäng</h1></body></html>";
+
+  class PageParser extends MockParser {
+    async parseMenu() {
+      const document = await this.fetchDocument();
+      return [
+        this.createLunchObject({
+          name: document.querySelector("h1").textContent,
+          price: 125,
+          weekday: "måndag",
+          week: 47,
+        }),
+      ];
+    }
+  }
+
+  function respond(status, body = "", headers = {}) {
+    return {
+      ok: status === 200,
+      status,
+      headers: new Headers(headers),
+      text: async () => body,
+    };
+  }
+
+  async function pageHash() {
+    const parser = new PageParser({ loadValidators: async () => null });
+    parser.makeRequest = async () => respond(200, PAGE);
+    return (await parser.execute()).validators.hash;
+  }
+
+  it("sends the stored validators and skips parsing on 304", async () => {
+    const parser = new PageParser({
+      loadValidators: async () => ({
+        etag: '"v1"',
+        lastModified: "Mon, 16 Nov 2026 06:00:00 GMT",
+        hash: "abc",
+      }),
+    });
+    parser.makeRequest = vi.fn(async () => respond(304));
+    const parseMenu = vi.spyOn(parser, "parseMenu");
+
+    const result = await parser.execute();
+
+    expect(parser.makeRequest).toHaveBeenCalledWith(
+      "https://mock-restaurant.se/lunch/",
+      {
+        headers: expect.objectContaining({
+          "If-None-Match": '"v1"',
+          "If-Modified-Since": "Mon, 16 Nov 2026 06:00:00 GMT",
+        }),
+      },
+    );
+    expect(parseMenu).not.toHaveBeenCalled();
+    expect(result).toMatchObject({
+      success: true,
+      unchanged: true,
+      lunches: [],
+    });
+  });
+
+  it("skips parsing when the body hash matches", async () => {
+    const hash = await pageHash();
+    const parser = new PageParser({ loadValidators: async () => ({ hash }) });
+    parser.makeRequest = async () => respond(200, PAGE);
+
+    expect((await parser.execute()).unchanged).toBe(true);
+  });
+
+  it("parses a changed page once and returns its validators", async () => {
+    const parser = new PageParser({
+      loadValidators: async () => ({ hash: "old" }),
+    });
+    parser.makeRequest = vi.fn(async () =>
+      respond(200, PAGE, { etag: '"v2"', "last-modified": "Tue" }),
+    );
+
+    const result = await parser.execute();
+
+    expect(parser.makeRequest).toHaveBeenCalledTimes(1);
+    expect(result.unchanged).toBeUndefined();
+    expect(result.lunches[0].name).toBe("Fiskgratäng");
+    expect(result.validators).toEqual({
+      url: "https://mock-restaurant.se/lunch/",
+      etag: '"v2"',
+      lastModified: "Tue",
+      hash: await pageHash(),
+    });
+  });
+
+  it("fetches unconditionally without a validator loader", async () => {
+    const parser = new PageParser();
+    parser.makeRequest = vi.fn(async () => respond(200, PAGE));
+
+    const result = await parser.execute();
+
+    expect(parser.makeRequest).toHaveBeenCalledWith(
+      "https://mock-restaurant.se/lunch/",
+    );
+    expect(result.lunches).toHaveLength(1);
+    expect(result.validators).toBeUndefined();
+  });
+});
+
+describe("BaseParser validation", () => {
+  function parserReturning(lunches, config) {
+    const parser = new MockParser(config);
+    parser.parseMenu = async () =>
+      lunches.map((lunch) => ({
+        name: "Mock Lunch",
+        description: "",
+        price: 125,
+        weekday: "måndag",
+        week: 47,
+        place: "Mock Restaurant",
+        ...lunch,
+      }));
+    return parser;
+  }
+
+  it("reports rejected lunches with the broken rules", async () => {
+    const result = await parserReturning([
+      {},
+      { name: "Brunch", weekday: "lördag" },
+    ]).execute();
+
+    expect(result.success).toBe(true);
+    expect(result.metadata).toMatchObject({ validCount: 1, invalidCount: 1 });
+    expect(result.metadata.validationErrors).toEqual([
+      {
+        index: 1,
+        lunch: expect.objectContaining({ name: "Brunch", weekday: "lördag" }),
+        errors: [expect.stringContaining("Weekday must be")],
+        rules: ["weekday"],
+      },
+    ]);
+  });
+
+  it("keeps the reasons when every lunch is rejected", async () => {
+    const result = await parserReturning([
+      { weekday: "lördag" },
+      { weekday: "söndag", price: "gratis" },
+    ]).execute();
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatchObject({
+      message: "All 2 lunch items failed validation",
+      code: "VALIDATION_ERROR",
+    });
+    expect(result.metadata).toMatchObject({
+      totalExtracted: 2,
+      invalidCount: 2,
+    });
+    expect(result.metadata.validationErrors.map((e) => e.rules)).toEqual([
+      ["weekday"],
+      ["price", "weekday"],
+    ]);
+  });
+
+  it("accepts weekend lunches from restaurants that serve them", async () => {
+    const result = await parserReturning(
+      [{ name: "Brunch", weekday: "Lördag" }, { weekday: "söndag" }, {}],
+      { weekendLunch: true },
+    ).execute();
+
+    expect(result.metadata).toMatchObject({ validCount: 3, invalidCount: 0 });
+    expect(result.lunches.map((l) => l.weekday)).toEqual([
+      "lördag",
+      "söndag",
+      "måndag",
+    ]);
+  });
+
+  it("returns a closure notice as a successful result without lunches", async () => {
+    const parser = new MockParser();
+    parser.parseMenu = async () =>
+      parser.createClosureNotice({ reason: "sommarpaus", from: "2026-07-13" });
+
+    const result = await parser.execute();
+
+    expect(result.success).toBe(true);
+    expect(result.lunches).toEqual([]);
+    expect(result.closure).toEqual({
+      closed: true,
+      reason: "sommarpaus",
+      from: "2026-07-13",
+      to: null,
+      reopens: null,
+    });
+  });
+
+  it("fails on a malformed closure notice", async () => {
+    const parser = new MockParser();
+    parser.parseMenu = async () =>
+      parser.createClosureNotice({ from: "13 juli" });
+
+    const result = await parser.execute();
+
+    expect(result.success).toBe(false);
+    expect(result.error.message).toBe(
+      "Invalid closure notice: from must be a YYYY-MM-DD date or null",
+    );
+  });
+
+  it("accepts unknown and tiered prices", async () => {
+    const result = await parserReturning([
+      { price: null },
+      {
+        price: 99,
+        priceMax: 129,
+        priceVariants: [
+          { label: "liten", price: 99 },
+          { label: "stor", price: 129 },
+        ],
+        priceText: "Liten 99 kr / Stor 129 kr",
+      },
+      { price: 129, priceMax: 99 },
+      { price: undefined },
+    ]).execute();
+
+    expect(result.lunches.map((l) => l.price)).toEqual([null, 99]);
+    expect(result.lunches[1].priceMax).toBe(129);
+    expect(result.metadata.validationErrors.map((e) => e.errors)).toEqual([
+      ["Price max must be a valid number >= price"],
+      ["Price must be a valid number >= 0, or null when unknown"],
+    ]);
+  });
+});
+
 describe("NiagaraParser", () => {
   it("can be instantiated", () => {
     const parser = new NiagaraParser();
@@ -289,7 +653,7 @@ describe("Parser Interfaces", () => {
   it("handles missing data", () => {
     const lunch = createLunchObject({ name: "Test Lunch" });
     expect(lunch.name).toBe("Test Lunch");
-    expect(lunch.price).toBe(0);
+    expect(lunch.price).toBeNull();
     expect(typeof lunch.week).toBe("number");
   });
 
@@ -319,6 +683,23 @@ describe("Integration", () => {
     expect(result.metadata.validCount).toBe(1);
   });
 
+  it("tags dishes with dietary and allergen info after parsing", async () => {
+    const parser = new MockParser();
+    parser.parseMenu = async () => [
+      parser.createLunchObject({
+        name: "Vegansk curry (VG)",
+        description: "Med jordnötter",
+        price: 125,
+        weekday: "måndag",
+        week: 47,
+      }),
+    ];
+
+    const result = await parser.execute();
+    expect(result.lunches[0].dietary).toEqual(["vegetarian", "vegan"]);
+    expect(result.lunches[0].allergens).toEqual(["peanuts"]);
+  });
+
   it("factory parser execution", async () => {
     const factory = new ParserFactory();
     factory.registerParserClass("mock", MockParser);
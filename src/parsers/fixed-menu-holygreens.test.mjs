@@ -1,8 +1,9 @@
 import { beforeAll, describe, expect, it, beforeEach, vi } from "vitest";
-import { HolyGreensParser } from "./holygreens-parser.mjs";
+import { FixedMenuParser } from "./fixed-menu-parser.mjs";
+import { getRestaurant } from "../lib/restaurant-registry.mjs";
 
 function createParser() {
-  const parser = new HolyGreensParser();
+  const parser = new FixedMenuParser(getRestaurant("holygreens"));
   parser.logger = {
     info: () => Promise.resolve(),
     warn: () => Promise.resolve(),
@@ -57,7 +58,7 @@ beforeAll(async () => {
   ({ JSDOM } = await import("jsdom"));
 });
 
-describe("HolyGreensParser", () => {
+describe("FixedMenuParser (holygreens)", () => {
   let parser;
 
   beforeEach(() => {
@@ -69,25 +70,6 @@ describe("HolyGreensParser", () => {
     expect(parser.getUrl()).toBe("https://holygreens.se/meny/");
   });
 
-  it("extracts item names from .item elements", () => {
-    const dom = new JSDOM(MOCK_HTML);
-    const names = parser.extractItemNames(dom.window.document);
-    expect(names).toEqual([
-      "sommarsallad",
-      "asiatisk räka",
-      "laxokado",
-      "holy caesar",
-      "holylulu",
-      "grönsakslandet vegansk",
-    ]);
-  });
-
-  it("returns empty array when no .item elements found", () => {
-    const dom = new JSDOM(`<html><body><p>Nothing here</p></body></html>`);
-    const names = parser.extractItemNames(dom.window.document);
-    expect(names).toEqual([]);
-  });
-
   it("creates one lunch per weekday with the first five item names as description", async () => {
     const dom = new JSDOM(MOCK_HTML);
 
@@ -98,15 +80,14 @@ describe("HolyGreensParser", () => {
     expect(lunches).toHaveLength(5);
     expect(lunches[0]).toMatchObject({
       name: "Sallader & Hot Bowls",
-      price: 0,
+      price: null,
       weekday: "måndag",
       place: "Holy Greens",
+      fixedMenu: true,
     });
-    // Description should contain the first 5 items...
-    expect(lunches[0].description).toContain("sommarsallad");
-    expect(lunches[0].description).toContain("holylulu");
-    // ...but not the 6th.
-    expect(lunches[0].description).not.toContain("grönsakslandet vegansk");
+    expect(lunches[0].description).toBe(
+      "sommarsallad, asiatisk räka, laxokado, holy caesar, holylulu",
+    );
 
     expect(lunches[4]).toMatchObject({
       weekday: "fredag",
@@ -116,7 +97,7 @@ describe("HolyGreensParser", () => {
     expect(weeks.size).toBe(1);
   });
 
-  it("handles empty menu page", async () => {
+  it("keeps the declared description on an empty menu page", async () => {
     const dom = new JSDOM(`<html><body><p>Coming soon</p></body></html>`);
 
     parser.fetchDocument = async () => dom.window.document;
@@ -124,6 +105,8 @@ describe("HolyGreensParser", () => {
     const lunches = await parser.parseMenu();
 
     expect(lunches).toHaveLength(5);
-    expect(lunches[0].description).toBe("");
+    expect(lunches[0].description).toBe(
+      "Sallader och varma bowls från den fasta menyn",
+    );
   });
 });
@@ -1,5 +1,6 @@
 import { beforeAll, describe, expect, it, beforeEach, vi } from "vitest";
-import { Kitchen961Parser } from "./kitchen961-parser.mjs";
+import { FixedMenuParser } from "./fixed-menu-parser.mjs";
+import { getRestaurant } from "../lib/restaurant-registry.mjs";
 
 // Real markup captured from https://kitchen961.se/lunchen/ (WordPress/Elementor).
 // Fixed Lebanese buffé: no per-day dishes, no week number on the page.
@@ -32,7 +33,7 @@ const MOCK_HTML = `
 `;
 
 function createParser() {
-  const parser = new Kitchen961Parser();
+  const parser = new FixedMenuParser(getRestaurant("kitchen961"));
   parser.logger = {
     info: () => Promise.resolve(),
     warn: () => Promise.resolve(),
@@ -51,51 +52,25 @@ beforeAll(async () => {
   ({ JSDOM } = await import("jsdom"));
 });
 
-describe("Kitchen961Parser", () => {
+describe("FixedMenuParser (kitchen961)", () => {
   let parser;
 
   beforeEach(() => {
     parser = createParser();
   });
 
+  function useHtml(html) {
+    const dom = new JSDOM(html);
+    parser.fetchDocument = async () => dom.window.document;
+  }
+
   it("returns correct name and url", () => {
     expect(parser.getName()).toBe("Kitchen961");
     expect(parser.getUrl()).toBe("https://kitchen961.se/lunchen/");
   });
 
-  it("extracts weekday and Friday prices from page text", () => {
-    const dom = new JSDOM(MOCK_HTML);
-    const { weekdayPrice, fridayPrice } = parser.extractPrices(dom.window.document);
-    expect(weekdayPrice).toBe(149);
-    expect(fridayPrice).toBe(169);
-  });
-
-  it("extracts the buffé description from page text", () => {
-    const dom = new JSDOM(MOCK_HTML);
-    const description = parser.extractDescription(dom.window.document);
-    expect(description).toContain("Meza");
-    expect(description).toContain("Libanesisk Salladsbuffe");
-    expect(description).toMatch(/fruktfat\.?$/);
-  });
-
-  it("falls back to weekday price for Friday when no Friday price is published", () => {
-    const dom = new JSDOM(
-      `<html><body><p>Dagens lunch 149 kr. Takeaway 120 kr</p></body></html>`,
-    );
-    const { weekdayPrice, fridayPrice } = parser.extractPrices(dom.window.document);
-    expect(weekdayPrice).toBe(149);
-    expect(fridayPrice).toBe(149);
-  });
-
-  it("falls back to default description when pattern not found", () => {
-    const dom = new JSDOM(`<html><body><p>Välkommen!</p></body></html>`);
-    const description = parser.extractDescription(dom.window.document);
-    expect(description).toBe("Måndag-Fredag 11.00 – 14.30");
-  });
-
   it("creates one buffé lunch per weekday with the higher Friday price", async () => {
-    const dom = new JSDOM(MOCK_HTML);
-    parser.fetchDocument = async () => dom.window.document;
+    useHtml(MOCK_HTML);
 
     const lunches = await parser.parseMenu();
 
@@ -105,6 +80,7 @@ describe("Kitchen961Parser", () => {
       price: 149,
       weekday: "måndag",
       place: "Kitchen961",
+      fixedMenu: true,
     });
     expect(lunches[4]).toMatchObject({
       weekday: "fredag",
@@ -116,10 +92,49 @@ describe("Kitchen961Parser", () => {
     expect(weeks.size).toBe(1);
   });
 
-  it("returns price 0 when no price found", () => {
-    const dom = new JSDOM(`<html><body><p>Ingen prisinfo här</p></body></html>`);
-    const { weekdayPrice, fridayPrice } = parser.extractPrices(dom.window.document);
-    expect(weekdayPrice).toBe(0);
-    expect(fridayPrice).toBe(0);
+  it("extracts the buffé description from page text", async () => {
+    useHtml(MOCK_HTML);
+
+    const [{ description }] = await parser.parseMenu();
+    expect(description).toContain("Meza");
+    expect(description).toContain("Libanesisk Salladsbuffe");
+    expect(description).toMatch(/fruktfat\.?$/);
+  });
+
+  it("picks up published price changes", async () => {
+    useHtml(
+      MOCK_HTML.replace("149 kr", "155 kr").replace("169 kr", "175 kr"),
+    );
+
+    const lunches = await parser.parseMenu();
+    expect(lunches[0]).toMatchObject({
+      price: 155,
+      priceText: "Dagens lunch 155 kr",
+    });
+    expect(lunches[4]).toMatchObject({
+      price: 175,
+      priceText: "Fredagar 175 kr",
+    });
+  });
+
+  it("keeps the declared Friday price when only the weekday price is published", async () => {
+    useHtml(
+      `<html><body><p>Dagens lunch 155 kr. Takeaway 120 kr</p></body></html>`,
+    );
+
+    const lunches = await parser.parseMenu();
+    expect(lunches[0].price).toBe(155);
+    expect(lunches[4].price).toBe(169);
+  });
+
+  it("falls back to the declared menu when the page has no prices", async () => {
+    useHtml(`<html><body><p>Välkommen!</p></body></html>`);
+
+    const lunches = await parser.parseMenu();
+    expect(lunches[0]).toMatchObject({
+      price: 149,
+      description: "Måndag-Fredag 11.00 – 14.30",
+    });
+    expect(lunches[4].price).toBe(169);
   });
 });
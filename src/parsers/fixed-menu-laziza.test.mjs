@@ -0,0 +1,100 @@
+import { beforeAll, describe, expect, it, beforeEach, vi } from "vitest";
+import { FixedMenuParser } from "./fixed-menu-parser.mjs";
+import { getRestaurant } from "../lib/restaurant-registry.mjs";
+
+function createParser() {
+  const parser = new FixedMenuParser(getRestaurant("laziza"));
+  parser.logger = {
+    info: () => Promise.resolve(),
+    warn: () => Promise.resolve(),
+    error: () => Promise.resolve(),
+    debug: () => Promise.resolve(),
+    startTimer: () => {},
+    endTimer: () => {},
+  };
+  return parser;
+}
+
+const MOCK_HTML = `
+  <html><body>
+    <h1>Lunch</h1>
+    <p>Libanesisk lunchbuffé, måndag till fredag 11:00 — 15:00</p>
+    <p>139 kr / 115 kr (take away)</p>
+  </body></html>
+`;
+
+let JSDOM;
+
+beforeAll(async () => {
+  vi.doUnmock("jsdom");
+  ({ JSDOM } = await import("jsdom"));
+});
+
+describe("FixedMenuParser (laziza)", () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = createParser();
+  });
+
+  function useHtml(html) {
+    const dom = new JSDOM(html);
+    parser.fetchDocument = async () => dom.window.document;
+  }
+
+  it("returns correct name and url", () => {
+    expect(parser.getName()).toBe("Laziza");
+    expect(parser.getUrl()).toBe("https://www.laziza.se/lunch/");
+  });
+
+  it("creates one buffé lunch per weekday", async () => {
+    useHtml(MOCK_HTML);
+
+    const lunches = await parser.parseMenu();
+
+    expect(lunches).toHaveLength(5);
+    expect(lunches[0]).toMatchObject({
+      name: "Libanesisk lunchbuffé",
+      price: 139,
+      weekday: "måndag",
+      place: "Laziza",
+      fixedMenu: true,
+    });
+    expect(lunches[4]).toMatchObject({
+      weekday: "fredag",
+    });
+
+    // All should have the same week
+    const weeks = new Set(lunches.map((l) => l.week));
+    expect(weeks.size).toBe(1);
+  });
+
+  it("reads price and hours from page text", async () => {
+    useHtml(MOCK_HTML.replace("139 kr", "145 kr"));
+
+    const [lunch] = await parser.parseMenu();
+    expect(lunch.price).toBe(145);
+    expect(lunch.description).toContain("måndag");
+    expect(lunch.description).toMatch(/11:00/);
+  });
+
+  it("keeps the declared menu when the page has no price or hours", async () => {
+    useHtml(`<html><body><p>Välkommen!</p></body></html>`);
+
+    const [lunch] = await parser.parseMenu();
+    expect(lunch).toMatchObject({
+      price: 139,
+      description: "Måndag till fredag 11:00-15:00",
+    });
+  });
+
+  it("keeps the declared menu when the page can't be fetched", async () => {
+    parser.fetchDocument = async () => {
+      throw new Error("HTTP 503: Service Unavailable");
+    };
+
+    const lunches = await parser.parseMenu();
+    expect(lunches).toHaveLength(5);
+    expect(lunches[0].price).toBe(139);
+  });
+});
@@ -0,0 +1,466 @@
+/**
+ * Fixed Menu Parser
+ *
+ * Some restaurants serve the same standing menu every day (a lunch buffé, a
+ * salad bar) and publish no weekly menu to scrape. Their registry entry sets
+ * `parser: "fixed-menu"` and a `fixedMenu` block, which this parser turns
+ * into one lunch per item and open day of the current ISO week. Every lunch
+ * carries `fixedMenu: true`, which the lunch page shows as a "fast meny"
+ * badge.
+ *
+ * `fixedMenu` fields:
+ *   - items:     standing menu (required), each { name, description, price,
+ *                prices, priceVariants }; `price` is null when the
+ *                restaurant publishes none, `prices` maps weekdays to a
+ *                price that differs from `price`, e.g. { fredag: 169 }, and
+ *                `priceVariants` lists other tiers, e.g. [{ label:
+ *                "takeaway", price: 120 }]
+ *   - openDays:  weekdays served (default: Monday to Friday); lördag and
+ *                söndag need `weekendLunch: true` on the registry entry
+ *   - closures:  [{ from, to, reason }] inclusive "YYYY-MM-DD" ranges, e.g. a
+ *                summer break, on which nothing is served; a week closed
+ *                throughout returns the closure as a closure notice
+ *   - scrape:    optional checks against the entry's `url` for changes to
+ *                the declared menu. Without it the page is never fetched;
+ *                with it, an unreachable page or a pattern that doesn't
+ *                match leaves the declared values in place.
+ *       - price:            regex source whose first group replaces every
+ *                           item's price; the whole match is kept as the
+ *                           lunch's priceText
+ *       - prices:           { weekday: regex source } whose first group
+ *                           replaces the price on that weekday
+ *       - description:      regex source whose first group (or whole match)
+ *                           replaces every item's description
+ *       - descriptionItems: selector for elements whose texts, joined with
+ *                           ", ", replace the description (e.g. the dishes
+ *                           on a salad bar's menu page)
+ *       - descriptionLimit: how many descriptionItems to use (default 5)
+ *       - closed:           regex source; when the page matches, nothing is
+ *                           served this week
+ *
+ * Patterns are case-insensitive and matched against the page text. See the
+ * "laziza", "kitchen961" and "holygreens" registry entries for examples.
+ */
+
+import { BaseParser } from "./base-parser.mjs";
+import {
+  SWEDISH_WEEKDAYS,
+  SWEDISH_WEEKEND_DAYS,
+} from "./parser-interfaces.mjs";
+import { detectClosure } from "../lib/closure-notice.mjs";
+import { getISOWeekDates, getISOWeekInfo } from "../lib/date-utils.mjs";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAYS = [...SWEDISH_WEEKDAYS, ...SWEDISH_WEEKEND_DAYS];
+const DEFAULT_DESCRIPTION_LIMIT = 5;
+
+/**
+ * Check that a value is a valid regex source
+ * @param {*} source - Value to check
+ * @returns {boolean} Whether the value compiles as a regular expression
+ */
+function isPattern(source) {
+  if (typeof source !== "string") return false;
+  try {
+    new RegExp(source, "i");
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate weekday -> value overrides
+ * @param {*} map - Overrides to check
+ * @param {string} label - Field name for error messages
+ * @param {Function} isValid - Value check
+ * @param {string} expected - Description of a valid value
+ * @param {string[]} errors - Error list to append to
+ */
+function validateWeekdayMap(map, label, isValid, expected, errors) {
+  if (!map || typeof map !== "object") {
+    errors.push(`${label} must map weekdays to values`);
+    return;
+  }
+  for (const [weekday, value] of Object.entries(map)) {
+    if (!DAYS.includes(weekday)) {
+      errors.push(`${label}: unknown weekday "${weekday}"`);
+    } else if (!isValid(value)) {
+      errors.push(`${label}: ${weekday} must be ${expected}`);
+    }
+  }
+}
+
+/**
+ * Check that a value is a usable price
+ * @param {*} price - Value to check
+ * @returns {boolean} Whether the value is a non-negative number
+ */
+function isPrice(price) {
+  return Number.isFinite(price) && price >= 0;
+}
+
+/**
+ * Validate a `fixedMenu` block
+ * @param {Object} fixedMenu - Fixed menu configuration
+ * @returns {Object} Validation result with isValid boolean and errors array
+ */
+export function validateFixedMenuConfig(fixedMenu) {
+  const errors = [];
+
+  if (!fixedMenu || typeof fixedMenu !== "object") {
+    return { isValid: false, errors: ["fixedMenu must be an object"] };
+  }
+
+  if (!Array.isArray(fixedMenu.items) || fixedMenu.items.length === 0) {
+    errors.push("items must be a non-empty array");
+  } else {
+    fixedMenu.items.forEach((item, i) => {
+      if (!item?.name || typeof item.name !== "string") {
+        errors.push(`items[${i}]: name is required`);
+      }
+      if (
+        item?.description !== undefined &&
+        typeof item.description !== "string"
+      ) {
+        errors.push(`items[${i}]: description must be a string`);
+      }
+      if (item?.price !== null && !isPrice(item?.price)) {
+        errors.push(
+          `items[${i}]: price must be a non-negative number, or null when unknown`,
+        );
+      }
+      if (
+        item?.priceVariants !== undefined &&
+        !(
+          Array.isArray(item.priceVariants) &&
+          item.priceVariants.every(
+            (variant) =>
+              typeof variant?.label === "string" && isPrice(variant.price),
+          )
+        )
+      ) {
+        errors.push(
+          `items[${i}]: priceVariants must be a list of { label, price }`,
+        );
+      }
+      if (item?.prices !== undefined) {
+        validateWeekdayMap(
+          item.prices,
+          `items[${i}].prices`,
+          isPrice,
+          "a non-negative number",
+          errors,
+        );
+      }
+    });
+  }
+
+  if (fixedMenu.openDays !== undefined) {
+    if (!Array.isArray(fixedMenu.openDays) || fixedMenu.openDays.length === 0) {
+      errors.push("openDays must be a non-empty array");
+    } else {
+      for (const weekday of fixedMenu.openDays) {
+        if (!DAYS.includes(weekday)) {
+          errors.push(`openDays: unknown weekday "${weekday}"`);
+        }
+      }
+    }
+  }
+
+  if (fixedMenu.closures !== undefined) {
+    if (!Array.isArray(fixedMenu.closures)) {
+      errors.push("closures must be an array");
+    } else {
+      fixedMenu.closures.forEach((closure, i) => {
+        if (
+          !DATE_PATTERN.test(closure?.from) ||
+          !DATE_PATTERN.test(closure?.to)
+        ) {
+          errors.push(`closures[${i}]: from and to must be YYYY-MM-DD dates`);
+        } else if (closure.from > closure.to) {
+          errors.push(`closures[${i}]: from must not be after to`);
+        }
+      });
+    }
+  }
+
+  const { scrape } = fixedMenu;
+  if (scrape !== undefined) {
+    if (!scrape || typeof scrape !== "object") {
+      errors.push("scrape must be an object");
+    } else {
+      for (const field of ["price", "description", "closed"]) {
+        if (scrape[field] !== undefined && !isPattern(scrape[field])) {
+          errors.push(`scrape.${field} must be a valid regular expression`);
+        }
+      }
+      if (scrape.prices !== undefined) {
+        validateWeekdayMap(
+          scrape.prices,
+          "scrape.prices",
+          isPattern,
+          "a valid regular expression",
+          errors,
+        );
+      }
+      if (
+        scrape.descriptionItems !== undefined &&
+        typeof scrape.descriptionItems !== "string"
+      ) {
+        errors.push("scrape.descriptionItems must be a string");
+      }
+      if (
+        scrape.descriptionLimit !== undefined &&
+        !(
+          Number.isInteger(scrape.descriptionLimit) &&
+          scrape.descriptionLimit > 0
+        )
+      ) {
+        errors.push("scrape.descriptionLimit must be a positive integer");
+      }
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+export class FixedMenuParser extends BaseParser {
+  constructor(config = {}) {
+    const validation = validateFixedMenuConfig(config.fixedMenu);
+    if (!validation.isValid) {
+      throw new Error(
+        `Invalid fixedMenu for ${config.name || "fixed menu parser"}: ${validation.errors.join("; ")}`,
+      );
+    }
+
+    super({
+      timeout: 30000,
+      retries: 3,
+      retryDelay: 1000,
+      ...config,
+    });
+
+    this.fixedMenu = config.fixedMenu;
+  }
+
+  getName() {
+    return this.config.name;
+  }
+
+  getUrl() {
+    return this.config.url;
+  }
+
+  /**
+   * Only menus with changes to scrape fetch their page. A page that can't be
+   * fetched is left to scrapeChanges, which serves the declared menu.
+   */
+  async checkPageUnchanged() {
+    if (!this.fixedMenu.scrape) return false;
+    try {
+      return await super.checkPageUnchanged();
+    } catch (error) {
+      await this.logger.warn("Could not check whether the page changed", {
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
+  async parseMenu() {
+    try {
+      await this.logger.info(`Starting ${this.getName()} menu parsing`);
+
+      const { week, year } = getISOWeekInfo();
+      const changes = await this.scrapeChanges();
+
+      if (changes.closed) {
+        await this.logger.info(`${this.getName()} is closed this week`, {
+          week,
+          reason: changes.closed,
+        });
+        return (
+          detectClosure(changes.closed) ||
+          this.createClosureNotice({ reason: changes.closed })
+        );
+      }
+
+      const weekdays = this.getServedWeekdays(week, year);
+      if (weekdays.length === 0) {
+        const closure = this.getWeekClosure(week, year);
+        if (closure) return this.createClosureNotice(closure);
+      }
+      const lunches = [];
+      for (const weekday of weekdays) {
+        for (const item of this.fixedMenu.items) {
+          lunches.push(
+            this.createLunchObject({
+              name: item.name,
+              description: changes.description ?? item.description ?? "",
+              ...this.getPrice(item, weekday, changes),
+              priceVariants: item.priceVariants,
+              weekday,
+              week,
+              place: this.getName(),
+              fixedMenu: true,
+            }),
+          );
+        }
+      }
+
+      await this.logger.info(`${this.getName()} parsing completed`, {
+        totalLunches: lunches.length,
+        weekdays,
+        week,
+        scraped: Object.keys(changes).filter(
+          (key) => key !== "prices" && changes[key] !== undefined,
+        ),
+      });
+
+      return lunches;
+    } catch (error) {
+      await this.logger.error(
+        `${this.getName()} menu parsing failed`,
+        {},
+        error,
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Price of an item on a weekday: a scraped weekday price, then a declared
+   * weekday price, then the scraped and declared price of every day
+   * @param {Object} item - Fixed menu item
+   * @param {string} weekday - Swedish weekday
+   * @param {Object} changes - Changes read by scrapeChanges
+   * @returns {Object} { price, priceText? }
+   */
+  getPrice(item, weekday, changes) {
+    if (changes.prices[weekday]) return changes.prices[weekday];
+    if (item.prices?.[weekday] !== undefined) {
+      return { price: item.prices[weekday] };
+    }
+    return changes.price ?? { price: item.price };
+  }
+
+  /**
+   * Open days of the given week that fall outside every closure
+   * @param {number} week - ISO week number
+   * @param {number} year - ISO week-year
+   * @returns {string[]} Swedish weekdays, Monday first
+   */
+  getServedWeekdays(week, year) {
+    const openDays = this.fixedMenu.openDays || SWEDISH_WEEKDAYS;
+    const dates = getISOWeekDates(week, year);
+    const closures = this.fixedMenu.closures || [];
+
+    return DAYS.filter(
+      (weekday) =>
+        openDays.includes(weekday) &&
+        !closures.some(
+          ({ from, to }) => dates[weekday] >= from && dates[weekday] <= to,
+        ),
+    );
+  }
+
+  /**
+   * Declared closure falling in the given week
+   * @param {number} week - ISO week number
+   * @param {number} year - ISO week-year
+   * @returns {Object|null} { from, to, reason }, or null
+   */
+  getWeekClosure(week, year) {
+    const dates = Object.values(getISOWeekDates(week, year));
+    return (
+      (this.fixedMenu.closures || []).find(
+        ({ from, to }) => from <= dates[dates.length - 1] && to >= dates[0],
+      ) || null
+    );
+  }
+
+  /**
+   * Read price, description and closure changes from the restaurant's page.
+   * Failures are logged and leave the declared menu in place, so a fixed
+   * menu never goes missing because its page is down.
+   * @returns {Promise<Object>} { price, prices, description, closed }, with
+   * unset fields for anything not found
+   */
+  async scrapeChanges() {
+    const changes = { prices: {} };
+    const { scrape } = this.fixedMenu;
+    if (!scrape) return changes;
+
+    let document;
+    try {
+      document = await this.fetchDocument();
+    } catch (error) {
+      await this.logger.warn("Could not fetch page, serving declared menu", {
+        error: error.message,
+      });
+      return changes;
+    }
+
+    const text = this.extractText(document.body || document);
+
+    if (scrape.closed) {
+      const match = text.match(new RegExp(scrape.closed, "i"));
+      if (match) return { ...changes, closed: match[0].trim() };
+    }
+
+    changes.price = this.matchPrice(text, scrape.price);
+    for (const [weekday, pattern] of Object.entries(scrape.prices || {})) {
+      const price = this.matchPrice(text, pattern);
+      if (price !== undefined) changes.prices[weekday] = price;
+    }
+
+    changes.description =
+      this.extractDescriptionItems(document) ??
+      this.matchDescription(text, scrape.description);
+
+    return changes;
+  }
+
+  /**
+   * @returns {Object|undefined} { price, priceText }: the first group of the
+   * pattern as a number and the whole match as published
+   */
+  matchPrice(text, pattern) {
+    if (!pattern) return undefined;
+    const match = text.match(new RegExp(pattern, "i"));
+    const price = match ? parseInt(match[1], 10) : NaN;
+    if (!Number.isFinite(price)) return undefined;
+    return { price, priceText: match[0].replace(/\s+/g, " ").trim() };
+  }
+
+  /**
+   * @returns {string|undefined} First group (or whole match) of the pattern,
+   * with whitespace collapsed
+   */
+  matchDescription(text, pattern) {
+    if (!pattern) return undefined;
+    const match = text.match(new RegExp(pattern, "i"));
+    const description = (match?.[1] ?? match?.[0])?.replace(/\s+/g, " ").trim();
+    return description || undefined;
+  }
+
+  /**
+   * @returns {string|undefined} Texts of the descriptionItems elements
+   * joined with ", ", or undefined when none are found
+   */
+  extractDescriptionItems(document) {
+    const { descriptionItems, descriptionLimit } = this.fixedMenu.scrape;
+    if (!descriptionItems) return undefined;
+
+    const names = Array.from(
+      this.safeQuery(document, descriptionItems, true) || [],
+    )
+      .map((element) => this.extractText(element).replace(/\s+/g, " ").trim())
+      .filter(Boolean)
+      .slice(0, descriptionLimit || DEFAULT_DESCRIPTION_LIMIT);
+    return names.length > 0 ? names.join(", ") : undefined;
+  }
+}
+
+export default FixedMenuParser;
@@ -0,0 +1,216 @@
+import { afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import {
+  FixedMenuParser,
+  validateFixedMenuConfig,
+} from "./fixed-menu-parser.mjs";
+import { ParserFactory } from "./parser-factory.mjs";
+import { RESTAURANTS } from "../lib/restaurant-registry.mjs";
+
+function createParser(fixedMenu) {
+  const parser = new FixedMenuParser({
+    name: "Testkrogen",
+    url: "https://testkrogen.se/lunch/",
+    fixedMenu,
+  });
+  parser.logger = {
+    info: () => Promise.resolve(),
+    warn: () => Promise.resolve(),
+    error: () => Promise.resolve(),
+    debug: () => Promise.resolve(),
+    startTimer: () => {},
+    endTimer: () => {},
+  };
+  return parser;
+}
+
+let JSDOM;
+
+beforeAll(async () => {
+  vi.doUnmock("jsdom");
+  ({ JSDOM } = await import("jsdom"));
+});
+
+const BUFFET = { name: "Lunchbuffé", description: "Varmrätter", price: 125 };
+
+// Tuesday 2026-11-17 in week 47; Monday is 2026-11-16
+const WEEK_47 = new Date("2026-11-17T11:00:00Z");
+
+describe("FixedMenuParser", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("serves every item on every weekday without fetching the page", async () => {
+    const parser = createParser({
+      items: [BUFFET, { name: "Soppa", price: 95 }],
+    });
+    parser.fetchDocument = vi.fn();
+
+    const lunches = await parser.parseMenu();
+
+    expect(parser.fetchDocument).not.toHaveBeenCalled();
+    expect(lunches).toHaveLength(10);
+    expect(lunches.slice(0, 2)).toEqual([
+      expect.objectContaining({
+        ...BUFFET,
+        weekday: "måndag",
+        week: parser._getCurrentWeek(),
+        place: "Testkrogen",
+        fixedMenu: true,
+      }),
+      expect.objectContaining({
+        name: "Soppa",
+        description: "",
+        price: 95,
+        weekday: "måndag",
+      }),
+    ]);
+  });
+
+  it("applies per-weekday prices and opening days", async () => {
+    const lunches = await createParser({
+      items: [{ ...BUFFET, prices: { fredag: 145 } }],
+      openDays: ["onsdag", "fredag"],
+    }).parseMenu();
+
+    expect(lunches.map((l) => [l.weekday, l.price])).toEqual([
+      ["onsdag", 125],
+      ["fredag", 145],
+    ]);
+  });
+
+  it("skips days inside a closure", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(WEEK_47);
+
+    const lunches = await createParser({
+      items: [BUFFET],
+      closures: [
+        { from: "2026-11-01", to: "2026-11-17", reason: "Renovering" },
+        { from: "2026-11-20", to: "2026-11-20", reason: "Personalfest" },
+      ],
+    }).parseMenu();
+
+    expect(lunches.map((l) => l.weekday)).toEqual(["onsdag", "torsdag"]);
+    expect(lunches[0].week).toBe(47);
+  });
+
+  it("returns the closure of a week closed throughout", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(WEEK_47);
+
+    const closure = await createParser({
+      items: [BUFFET],
+      closures: [
+        { from: "2026-11-14", to: "2026-11-24", reason: "Renovering" },
+      ],
+    }).parseMenu();
+
+    expect(closure).toEqual({
+      closed: true,
+      reason: "Renovering",
+      from: "2026-11-14",
+      to: "2026-11-24",
+      reopens: null,
+    });
+  });
+
+  it("reports a closure when the page announces one", async () => {
+    const parser = createParser({
+      items: [BUFFET],
+      scrape: { closed: "semesterstängt[^.]*", price: "(\\d+) kr" },
+    });
+    const dom = new JSDOM(
+      "<p>Buffé 125 kr.</p><p>Vi har semesterstängt vecka 29-31.</p>",
+    );
+    parser.fetchDocument = async () => dom.window.document;
+
+    expect(await parser.parseMenu()).toMatchObject({
+      closed: true,
+      reason: "semesterstängt",
+    });
+  });
+
+  it("prefers a scraped weekday price over declared prices", async () => {
+    const parser = createParser({
+      items: [{ ...BUFFET, prices: { fredag: 145 } }],
+      scrape: {
+        price: "Lunch (\\d+) kr",
+        prices: { torsdag: "Torsdag (\\d+) kr", fredag: "Fredag (\\d+) kr" },
+        description: "Dagens: ([^.]+)",
+      },
+    });
+    const dom = new JSDOM(
+      "<p>Lunch 130 kr. Torsdag 110 kr. Dagens: Kyckling   och ris.</p>",
+    );
+    parser.fetchDocument = async () => dom.window.document;
+
+    const lunches = await parser.parseMenu();
+
+    expect(lunches.map((l) => l.price)).toEqual([130, 130, 130, 110, 145]);
+    expect(lunches[0].description).toBe("Kyckling och ris");
+  });
+
+  it("rejects an invalid configuration", () => {
+    expect(() => createParser({ items: [] })).toThrow(
+      "Invalid fixedMenu for Testkrogen: items must be a non-empty array",
+    );
+  });
+
+  it("is created by the factory for every fixed-menu registry entry", () => {
+    const factory = new ParserFactory({ healthCheck: { enabled: false } });
+    const entries = RESTAURANTS.filter((r) => r.parser === "fixed-menu");
+
+    const parsers = entries.map((entry) => factory.createParser(entry));
+    factory.destroy();
+
+    expect(entries.length).toBeGreaterThan(1);
+    parsers.forEach((parser, i) => {
+      expect(parser).toBeInstanceOf(FixedMenuParser);
+      expect(parser.getName()).toBe(entries[i].name);
+    });
+  });
+});
+
+describe("validateFixedMenuConfig", () => {
+  it("accepts a minimal configuration", () => {
+    expect(validateFixedMenuConfig({ items: [BUFFET] })).toEqual({
+      isValid: true,
+      errors: [],
+    });
+  });
+
+  it("reports every problem", () => {
+    expect(
+      validateFixedMenuConfig({
+        items: [{ price: -1, prices: { saturday: 100, fredag: "150" } }],
+        openDays: ["måndag", "sunday"],
+        closures: [
+          { from: "2026-07-06" },
+          { from: "2026-08-02", to: "2026-07-06" },
+        ],
+        scrape: {
+          price: "(\\d+",
+          prices: { fredag: 12 },
+          descriptionItems: 3,
+          descriptionLimit: 0,
+        },
+      }).errors,
+    ).toEqual([
+      "items[0]: name is required",
+      "items[0]: price must be a non-negative number, or null when unknown",
+      'items[0].prices: unknown weekday "saturday"',
+      "items[0].prices: fredag must be a non-negative number",
+      'openDays: unknown weekday "sunday"',
+      "closures[0]: from and to must be YYYY-MM-DD dates",
+      "closures[1]: from must not be after to",
+      "scrape.price must be a valid regular expression",
+      "scrape.prices: fredag must be a valid regular expression",
+      "scrape.descriptionItems must be a string",
+      "scrape.descriptionLimit must be a positive integer",
+    ]);
+    expect(validateFixedMenuConfig(undefined).errors).toEqual([
+      "fixedMenu must be an object",
+    ]);
+  });
+});
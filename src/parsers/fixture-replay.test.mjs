@@ -0,0 +1,69 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { fileURLToPath } from "node:url";
+import { ParserFactory } from "./parser-factory.mjs";
+import {
+  getActiveRestaurants,
+  getRestaurant,
+} from "../lib/restaurant-registry.mjs";
+import {
+  formatGoldenLunches,
+  listFixtures,
+} from "../lib/parser-fixtures.mjs";
+
+// Pages recorded from the restaurants' sites with `yarn fixtures:record` (see
+// src/lib/parser-fixtures.mjs for the layout). The pages committed so far are
+// hand-built stand-ins, marked with a `source` in their manifest: they are
+// taken from the parser tests' captures and snippets, so they pin each
+// parser's output but cannot catch a change in a site's markup until they
+// are replaced by recordings. Every recording day is
+// replayed offline through the parser ParserFactory picks for the restaurant,
+// at the moment it was recorded so that parsers falling back to the current
+// week see the week of the recording. The lunches must match the committed
+// golden.json next to the recording, so a change to a parser or to code it
+// shares (BaseParser, the selector or Gastrogate parsers) that alters any
+// restaurant's output fails here with a diff.
+//
+// Accept intentional changes with `yarn test:golden -u`; a missing golden file
+// is written on the first local run (never in CI) and should be reviewed and
+// committed with its recording. Delete a day's directory to retire it.
+const FIXTURE_DIR = fileURLToPath(new URL("./fixtures", import.meta.url));
+const fixtures = await listFixtures(FIXTURE_DIR);
+
+describe("recorded fixtures", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("only holds recordings of registered restaurants", () => {
+    const unknown = fixtures.filter((f) => !getRestaurant(f.restaurant));
+    expect(unknown.map((f) => `${f.restaurant}/${f.date}`)).toEqual([]);
+  });
+
+  it.each(fixtures.map((f) => [f.restaurant, f.date, f]))(
+    "%s on %s matches its golden output",
+    async (id, date, fixture) => {
+      vi.useFakeTimers({ toFake: ["Date"] });
+      vi.setSystemTime(new Date(fixture.recordedAt));
+
+      const factory = new ParserFactory({
+        healthCheck: { enabled: false },
+        fixtures: { mode: "replay", dir: FIXTURE_DIR, date },
+      });
+      const result = await factory.createParser(getRestaurant(id)).execute();
+      factory.destroy();
+
+      expect(result.error?.message).toBeUndefined();
+      await expect(formatGoldenLunches(result.lunches)).toMatchFileSnapshot(
+        fixture.golden,
+      );
+    },
+  );
+
+  // Listed as todos so that the coverage gaps show up in every test run,
+  // until each restaurant has a recording
+  for (const { id } of getActiveRestaurants()) {
+    if (!fixtures.some((f) => f.restaurant === id)) {
+      it.todo(`${id} has no recorded pages`);
+    }
+  }
+});
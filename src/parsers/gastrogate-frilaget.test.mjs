@@ -1,8 +1,9 @@
 import { beforeAll, describe, expect, it, beforeEach, vi } from "vitest";
-import { FrilagetParser } from "./frilaget-parser.mjs";
+import { GastrogateParser } from "./gastrogate-parser.mjs";
+import { getRestaurant } from "../lib/restaurant-registry.mjs";
 
 function createParser() {
-  const parser = new FrilagetParser();
+  const parser = new GastrogateParser(getRestaurant("frilaget"));
   parser.logger = {
     info: () => Promise.resolve(),
     warn: () => Promise.resolve(),
@@ -85,7 +86,7 @@ beforeAll(async () => {
   ({ JSDOM } = await import("jsdom"));
 });
 
-describe("FrilagetParser", () => {
+describe("GastrogateParser (frilaget)", () => {
   let parser;
 
   beforeEach(() => {
@@ -157,11 +158,13 @@ describe("FrilagetParser", () => {
     ).toHaveLength(5);
   });
 
-  it("returns no lunches when the menu table is missing", async () => {
+  it("fails with a layout error when the menu table is missing", async () => {
     const dom = new JSDOM(`<html><body><p>Ingen meny</p></body></html>`);
     parser.fetchDocument = async () => dom.window.document;
 
-    const lunches = await parser.parseMenu();
-    expect(lunches).toEqual([]);
+    await expect(parser.parseMenu()).rejects.toMatchObject({
+      code: "LAYOUT_NOT_FOUND",
+      message: "No lunch_menu table found",
+    });
   });
 });
@@ -1,8 +1,9 @@
 import { beforeAll, describe, expect, it, beforeEach, vi } from "vitest";
-import { HamnOchPepparParser } from "./hamnochpeppar-parser.mjs";
+import { GastrogateParser } from "./gastrogate-parser.mjs";
+import { getRestaurant } from "../lib/restaurant-registry.mjs";
 
 function createParser() {
-  const parser = new HamnOchPepparParser();
+  const parser = new GastrogateParser(getRestaurant("hamnochpeppar"));
   parser.logger = {
     info: () => Promise.resolve(),
     warn: () => Promise.resolve(),
@@ -129,7 +130,7 @@ beforeAll(async () => {
   ({ JSDOM } = await import("jsdom"));
 });
 
-describe("HamnOchPepparParser", () => {
+describe("GastrogateParser (hamnochpeppar)", () => {
   let parser;
 
   beforeEach(() => {
@@ -206,11 +207,13 @@ describe("HamnOchPepparParser", () => {
     expect(lunches.some((l) => /Vilodag|A la carte/.test(l.name))).toBe(false);
   });
 
-  it("returns no lunches when the menu table is missing", async () => {
+  it("fails with a layout error when the menu table is missing", async () => {
     const dom = new JSDOM(`<html><body><p>Ingen meny</p></body></html>`);
     parser.fetchDocument = async () => dom.window.document;
 
-    const lunches = await parser.parseMenu();
-    expect(lunches).toEqual([]);
+    await expect(parser.parseMenu()).rejects.toMatchObject({
+      code: "LAYOUT_NOT_FOUND",
+      message: "No lunch_menu table found",
+    });
   });
 });
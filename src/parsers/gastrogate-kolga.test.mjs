@@ -1,8 +1,9 @@
 import { beforeAll, describe, expect, it, beforeEach, vi } from "vitest";
-import { KolgaParser } from "./kolga-parser.mjs";
+import { GastrogateParser } from "./gastrogate-parser.mjs";
+import { getRestaurant } from "../lib/restaurant-registry.mjs";
 
 function createParser() {
-  const parser = new KolgaParser();
+  const parser = new GastrogateParser(getRestaurant("kolga"));
   parser.logger = {
     info: () => Promise.resolve(),
     warn: () => Promise.resolve(),
@@ -71,7 +72,7 @@ beforeAll(async () => {
   ({ JSDOM } = await import("jsdom"));
 });
 
-describe("KolgaParser", () => {
+describe("GastrogateParser (kolga)", () => {
   let parser;
 
   beforeEach(() => {
@@ -133,11 +134,13 @@ describe("KolgaParser", () => {
     expect(burger.price).toBe(130);
   });
 
-  it("returns no lunches when the menu table is missing", async () => {
+  it("fails with a layout error when the menu table is missing", async () => {
     const dom = new JSDOM(`<html><body><p>Ingen meny</p></body></html>`);
     parser.fetchDocument = async () => dom.window.document;
 
-    const lunches = await parser.parseMenu();
-    expect(lunches).toEqual([]);
+    await expect(parser.parseMenu()).rejects.toMatchObject({
+      code: "LAYOUT_NOT_FOUND",
+      message: "No lunch_menu table found",
+    });
   });
 });
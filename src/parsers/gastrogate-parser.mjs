@@ -1,65 +1,85 @@
 /**
- * Friläget (Malmö, Agnesfridsvägen / Biliahuset) Parser
+ * Gastrogate Platform Parser
  *
- * Friläget's lunch page is hosted on the Gastrogate platform
- * (https://frilaget.gastrogate.com/lunch/), which renders the weekly menu
+ * Many Malmö restaurants host their lunch page on Gastrogate
+ * (https://<subdomain>.gastrogate.com/lunch/), which renders the weekly menu
  * server-side as a single `table.lunch_menu`. The table is a flat sequence of
  * day blocks: a `thead.lunch-day-header` whose `<h3>` holds the day label,
  * followed by a `tbody.lunch-day-content` with one `tr.lunch-menu-item` per
- * dish. Each dish row has the name/description in `td.td_title` and the price
- * in `td.td_price .price-tag` (e.g. "120 kr").
+ * dish. Each dish row has the name in `td.td_title` and the price in
+ * `td.td_price .price-tag` (e.g. "159 kr").
  *
- * A day header is either a weekday + date ("Torsdag 16 juli") or a whole-week
- * block. Friläget uses two whole-week labels: "Vardagsmeny" (dishes served
- * every weekday, e.g. the weekly pasta) and "Gäller hela vecka NN" (weekly
- * alternatives/vegetarian). Both are fanned out across Mon–Fri. A dish title
- * occasionally carries a `<br>`, which is collapsed to a single space.
+ * A day header is either a weekday + date ("Måndag 13 juli") or a whole-week
+ * block ("Gäller hela vecka 29", "Veckans", "Vardagsmeny"), which is fanned
+ * out across Mon–Fri. Any other header ("Lunch på SMAK") resolves to no
+ * weekday, so the included-items note below it is skipped. Rows without a
+ * price are skipped too, which drops closed days ("Vilodag") and "A la carte"
+ * pointers. A `<br>` inside a dish title is collapsed to a single space.
  *
  * The active ISO week is read from the week selector (`.menu-nav
  * a.dropdown-toggle`, e.g. "Vecka 29") with the current week as a fallback.
+ *
+ * One class serves every Gastrogate restaurant: the registry entry sets
+ * `parser: "gastrogate"`, the display `name` and the `subdomain`; the scrape
+ * URL defaults to the subdomain's /lunch/ page.
  */
 
 import { BaseParser } from "./base-parser.mjs";
 
 const WEEKDAYS = ["måndag", "tisdag", "onsdag", "torsdag", "fredag"];
-const SITE_URL = "https://frilaget.gastrogate.com/lunch/";
 
-export class FrilagetParser extends BaseParser {
+/**
+ * Build the lunch page URL for a Gastrogate subdomain
+ * @param {string} subdomain - Gastrogate subdomain, e.g. "smak"
+ * @returns {string} Lunch page URL
+ */
+export function gastrogateUrl(subdomain) {
+  return `https://${subdomain}.gastrogate.com/lunch/`;
+}
+
+export class GastrogateParser extends BaseParser {
   constructor(config = {}) {
+    if (!config.subdomain && !config.url) {
+      throw new Error("GastrogateParser requires a subdomain or url");
+    }
+
     super({
-      name: "Friläget",
-      url: SITE_URL,
       timeout: 30000,
       retries: 3,
       retryDelay: 1000,
       ...config,
+      url: config.url || gastrogateUrl(config.subdomain),
     });
   }
 
   getName() {
-    return "Friläget";
+    return this.config.name;
   }
 
   getUrl() {
-    return SITE_URL;
+    return this.config.url;
   }
 
   async parseMenu() {
     try {
-      await this.logger.info("Starting Friläget menu parsing");
+      await this.logger.info(`Starting ${this.getName()} menu parsing`);
 
       const document = await this.fetchDocument();
       const week = this.extractWeekNumber(document);
       const lunches = this.extractLunches(document, week);
 
-      await this.logger.info("Friläget parsing completed", {
+      await this.logger.info(`${this.getName()} parsing completed`, {
         totalLunches: lunches.length,
         week,
       });
 
       return lunches;
     } catch (error) {
-      await this.logger.error("Friläget menu parsing failed", {}, error);
+      await this.logger.error(
+        `${this.getName()} menu parsing failed`,
+        {},
+        error,
+      );
       throw error;
     }
   }
@@ -85,14 +105,13 @@ export class FrilagetParser extends BaseParser {
    * Walk the lunch table in document order, tracking the current day block's
    * weekday(s) from each `<h3>` header and attaching every following dish row
    * to it. Rows without a resolved weekday, without a title, or without a
-   * price are skipped.
+   * price are skipped. A page without the table fails with LAYOUT_NOT_FOUND.
    */
   extractLunches(document, week) {
     const lunches = [];
     const table = this.safeQuery(document, "table.lunch_menu");
     if (!table) {
-      this.logger.warn("No lunch_menu table found");
-      return lunches;
+      throw this.createLayoutError("No lunch_menu table found");
     }
 
     const nodes =
@@ -155,4 +174,4 @@ export class FrilagetParser extends BaseParser {
   }
 }
 
-export default FrilagetParser;
+export default GastrogateParser;
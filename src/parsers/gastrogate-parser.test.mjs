@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import { GastrogateParser, gastrogateUrl } from "./gastrogate-parser.mjs";
+import { ParserFactory } from "./parser-factory.mjs";
+import { RESTAURANTS } from "../lib/restaurant-registry.mjs";
+
+// Menu parsing is covered per restaurant by the gastrogate-<subdomain> suites,
+// each run against a page captured from that restaurant's site.
+describe("GastrogateParser", () => {
+  it("derives the lunch page URL from the subdomain", () => {
+    const parser = new GastrogateParser({
+      name: "Testkrogen",
+      subdomain: "test",
+    });
+
+    expect(parser.getName()).toBe("Testkrogen");
+    expect(parser.getUrl()).toBe("https://test.gastrogate.com/lunch/");
+    expect(gastrogateUrl("kolga")).toBe("https://kolga.gastrogate.com/lunch/");
+  });
+
+  it("prefers an explicit url", () => {
+    const parser = new GastrogateParser({
+      name: "Testkrogen",
+      subdomain: "test",
+      url: "https://test.gastrogate.com/lunch/1/",
+    });
+
+    expect(parser.getUrl()).toBe("https://test.gastrogate.com/lunch/1/");
+  });
+
+  it("requires a subdomain or url", () => {
+    expect(() => new GastrogateParser({ name: "Testkrogen" })).toThrow(
+      "GastrogateParser requires a subdomain or url",
+    );
+  });
+
+  it("is created by the factory for every gastrogate registry entry", () => {
+    const factory = new ParserFactory({ healthCheck: { enabled: false } });
+    const entries = RESTAURANTS.filter((r) => r.parser === "gastrogate");
+
+    const parsers = entries.map((entry) => factory.createParser(entry));
+    factory.destroy();
+
+    expect(entries.length).toBeGreaterThan(1);
+    parsers.forEach((parser, i) => {
+      expect(parser).toBeInstanceOf(GastrogateParser);
+      expect(parser.getName()).toBe(entries[i].name);
+      expect(parser.getUrl()).toBe(gastrogateUrl(entries[i].subdomain));
+    });
+  });
+});
@@ -1,8 +1,9 @@
 import { beforeAll, describe, expect, it, beforeEach, vi } from "vitest";
-import { SmakParser } from "./smak-parser.mjs";
+import { GastrogateParser } from "./gastrogate-parser.mjs";
+import { getRestaurant } from "../lib/restaurant-registry.mjs";
 
 function createParser() {
-  const parser = new SmakParser();
+  const parser = new GastrogateParser(getRestaurant("smak"));
   parser.logger = {
     info: () => Promise.resolve(),
     warn: () => Promise.resolve(),
@@ -168,7 +169,7 @@ beforeAll(async () => {
   ({ JSDOM } = await import("jsdom"));
 });
 
-describe("SmakParser", () => {
+describe("GastrogateParser (smak)", () => {
   let parser;
 
   beforeEach(() => {
@@ -246,11 +247,13 @@ describe("SmakParser", () => {
     expect(lunches.filter((l) => l.name === "Pasta med köttfärssås")).toHaveLength(5);
   });
 
-  it("returns no lunches when the menu table is missing", async () => {
+  it("fails with a layout error when the menu table is missing", async () => {
     const dom = new JSDOM(`<html><body><p>Ingen meny</p></body></html>`);
     parser.fetchDocument = async () => dom.window.document;
 
-    const lunches = await parser.parseMenu();
-    expect(lunches).toEqual([]);
+    await expect(parser.parseMenu()).rejects.toMatchObject({
+      code: "LAYOUT_NOT_FOUND",
+      message: "No lunch_menu table found",
+    });
   });
 });
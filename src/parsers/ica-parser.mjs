@@ -4,10 +4,12 @@
  *
  * Structure: page contains "Dagens lunch v.XX" heading,
  * then <strong> weekday headers followed by <p> dish descriptions.
- * One dish per day, no price listed on the page.
+ * One dish per day, usually without a price on the page; the lunches then
+ * have an unknown price rather than a made-up one.
  */
 
 import { BaseParser } from "./base-parser.mjs";
+import { parsePrice } from "../lib/price-utils.mjs";
 
 const WEEKDAYS = ["måndag", "tisdag", "onsdag", "torsdag", "fredag"];
 
@@ -56,7 +58,7 @@ export class IcaParser extends BaseParser {
 
     // Try to find a price on the page
     const priceMatch = bodyText.match(/(\d{2,3})\s*kr/i);
-    const price = priceMatch ? parseInt(priceMatch[1]) : 80;
+    const price = priceMatch ? parsePrice(priceMatch[0]) : { price: null };
 
     // Find all <strong> elements — weekday headers
     const strongElements = document.querySelectorAll("strong");
@@ -76,7 +78,7 @@ export class IcaParser extends BaseParser {
         this.createLunchObject({
           name: description,
           description: "",
-          price,
+          ...price,
           weekday,
           week,
           place: "ICA Maxi",
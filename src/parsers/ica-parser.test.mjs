@@ -57,6 +57,7 @@ describe("IcaParser", () => {
       weekday: "måndag",
       week: 25,
       price: 95,
+      priceText: "95 kr",
       place: "ICA Maxi",
     });
     expect(lunches[4]).toMatchObject({
@@ -111,7 +112,7 @@ describe("IcaParser", () => {
     expect(lunches[0].weekday).toBe("måndag");
   });
 
-  it("falls back to a default price when none is listed", () => {
+  it("leaves the price unknown when none is listed", () => {
     const html = `<html><body><div>
       <p><strong>Måndag</strong></p>
       <p>Pasta carbonara</p>
@@ -119,7 +120,7 @@ describe("IcaParser", () => {
 
     const lunches = parser.extractMenu(docFrom(html));
     expect(lunches).toHaveLength(1);
-    expect(lunches[0].price).toBe(80);
+    expect(lunches[0].price).toBeNull();
   });
 
   it("extracts the week number from the page", () => {
@@ -9,6 +9,7 @@
  */
 
 import { BaseParser } from "./base-parser.mjs";
+import { PARSER_ERROR_CODES, createParserError } from "./parser-errors.mjs";
 
 const API_BASE = "https://www.kontrastrestaurang.se";
 const LOCATION = "vastra-hamnen";
@@ -44,6 +45,11 @@ export class KontrastParser extends BaseParser {
     return `${API_BASE}/menu/vastra-hamnen?tab=lunch`;
   }
 
+  // The lunches come from the JSON API, not the page at getUrl()
+  supportsConditionalFetch() {
+    return false;
+  }
+
   async parseMenu() {
     try {
       await this.logger.info("Starting Kontrast menu parsing");
@@ -54,9 +60,27 @@ export class KontrastParser extends BaseParser {
         this.fetchJson("/api/lunch-categories"),
       ]);
 
-      if (!display || !Array.isArray(display.dishes) || display.dishes.length === 0) {
-        await this.logger.warn("No lunch menu available for Västra Hamnen");
-        return [];
+      if (!display) {
+        throw createParserError(
+          PARSER_ERROR_CODES.EMPTY_BODY,
+          "Received no lunch display from the Kontrast API",
+          { url: `${API_BASE}/api/lunch-display/${LOCATION}` },
+        );
+      }
+      if (!Array.isArray(display.dishes) || !display.resolvedDate) {
+        throw this.createLayoutError(
+          "Lunch display has no dishes list or resolved date",
+        );
+      }
+
+      if (display.dishes.length === 0) {
+        // The API resolves the day but lists no dishes on days without
+        // lunch: closed for the day
+        await this.logger.info("No lunch menu available for Västra Hamnen");
+        return this.createClosureNotice({
+          from: display.resolvedDate,
+          to: display.resolvedDate,
+        });
       }
 
       const weekday = WEEKDAY_MAP[display.weekday];
@@ -108,19 +132,6 @@ export class KontrastParser extends BaseParser {
     const response = await this.makeRequest(`${API_BASE}${path}`);
     return response.json();
   }
-
-  /**
-   * Get ISO week number from date
-   */
-  getWeekNumber(date) {
-    const d = new Date(
-      Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()),
-    );
-    const dayNum = d.getUTCDay() || 7;
-    d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-    return Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
-  }
 }
 
 export default KontrastParser;
@@ -101,12 +101,32 @@ describe("KontrastParser", () => {
     expect(lunches).toHaveLength(0);
   });
 
-  it("returns no items when there is no menu", async () => {
+  it("reports a closed day when there is no menu", async () => {
     mockRequests(parser, { resolvedDate: "2026-06-15", weekday: 1, price: 125, dishes: [] });
-    expect(await parser.parseMenu()).toHaveLength(0);
+    expect(await parser.parseMenu()).toEqual({
+      closed: true,
+      reason: null,
+      from: "2026-06-15",
+      to: "2026-06-15",
+      reopens: null,
+    });
+  });
 
+  it("fails instead of reporting a closure when the API gives no menu", async () => {
     mockRequests(parser, null);
-    expect(await parser.parseMenu()).toHaveLength(0);
+    await expect(parser.parseMenu()).rejects.toMatchObject({
+      code: "EMPTY_BODY",
+    });
+
+    mockRequests(parser, { resolvedDate: "2026-06-15", weekday: 1, price: 125 });
+    await expect(parser.parseMenu()).rejects.toMatchObject({
+      code: "LAYOUT_NOT_FOUND",
+    });
+
+    mockRequests(parser, { weekday: 1, price: 125, dishes: [] });
+    await expect(parser.parseMenu()).rejects.toMatchObject({
+      code: "LAYOUT_NOT_FOUND",
+    });
   });
 
   it("calculates correct week number", () => {
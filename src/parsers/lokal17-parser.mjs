@@ -48,13 +48,20 @@ export class Lokal17Parser extends BaseParser {
     return SITE_URL;
   }
 
+  // The menu is a PDF that can be replaced behind an unchanged link
+  supportsConditionalFetch() {
+    return false;
+  }
+
   async parseMenu() {
     await this.logger.info("Starting Lokal 17 menu parsing");
 
     // 1. Fetch homepage and find PDF link
     const pdfUrl = await this.findPdfUrl();
     if (!pdfUrl) {
-      throw new Error("Could not find Lunchmeny PDF link on lokal17.se");
+      throw this.createLayoutError(
+        "Could not find Lunchmeny PDF link on lokal17.se",
+      );
     }
 
     await this.logger.info("Found PDF URL", { pdfUrl });
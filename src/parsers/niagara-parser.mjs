@@ -5,6 +5,7 @@
 
 import { BaseParser } from "./base-parser.mjs";
 import { SWEDISH_WEEKDAYS } from "./parser-interfaces.mjs";
+import { detectClosure } from "../lib/closure-notice.mjs";
 
 export class NiagaraParser extends BaseParser {
   constructor(config = {}) {
@@ -85,12 +86,20 @@ export class NiagaraParser extends BaseParser {
       // Find the lunch container
       const container = await this.findLunchContainer(document);
       if (!container) {
-        throw new Error("Could not find lunch container with any selector");
+        throw this.createLayoutError(
+          "Could not find lunch container with any selector",
+        );
       }
 
       // Extract all lunch data
       const lunches = await this.extractAllLunchData(container);
 
+      // A page without lunches may be saying the restaurant is closed
+      if (lunches.length === 0) {
+        const closure = await this.extractClosure(container);
+        if (closure) return closure;
+      }
+
       await this.logger.info("Niagara parsing completed", {
         totalLunches: lunches.length,
         uniqueWeekdays: [...new Set(lunches.map((l) => l.weekday))].length,
@@ -186,17 +195,6 @@ export class NiagaraParser extends BaseParser {
         });
       }
 
-      // Check if restaurant is closed
-      if (lunches.length === 0) {
-        const isClosedInfo = this.checkIfRestaurantClosed(container);
-        if (isClosedInfo.isClosed) {
-          await this.logger.info("Restaurant is closed", {
-            reason: isClosedInfo.reason,
-            closureIndicators: isClosedInfo.indicators,
-          });
-        }
-      }
-
       return lunches;
     } catch (error) {
       await this.logger.error("Error extracting lunch data", {}, error);
@@ -721,19 +719,6 @@ export class NiagaraParser extends BaseParser {
     }
   }
 
-  /**
-   * Get ISO week number from date
-   */
-  getWeekNumber(date) {
-    const d = new Date(
-      Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()),
-    );
-    const dayNum = d.getUTCDay() || 7;
-    d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-    return Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
-  }
-
   /**
    * True when a menu-item title is actually a closure notice rather than a dish.
    *
@@ -747,6 +732,24 @@ export class NiagaraParser extends BaseParser {
     return /st[äa]ng[dt]|sommarlov/i.test(name);
   }
 
+  /**
+   * Build a closure notice ("Semesterstängt V.29-32") for a container whose
+   * text says the restaurant is closed
+   * @returns {Promise<Object|null>} Closure notice, or null if open
+   */
+  async extractClosure(container) {
+    const isClosedInfo = this.checkIfRestaurantClosed(container);
+    if (!isClosedInfo.isClosed) return null;
+
+    await this.logger.info("Restaurant is closed", {
+      reason: isClosedInfo.reason,
+      closureIndicators: isClosedInfo.indicators,
+    });
+    return (
+      detectClosure(this.extractText(container)) || this.createClosureNotice()
+    );
+  }
+
   /**
    * Check if restaurant is closed based on content
    */
@@ -170,5 +170,9 @@ Hälsningar från Personalen!
     expect(lunches).toHaveLength(0);
     expect(closure.isClosed).toBe(true);
     expect(closure.reason).toContain("semester");
+
+    const notice = await parser.extractClosure(container);
+    expect(notice).toMatchObject({ closed: true, reason: "semesterstängt" });
+    expect(notice.to > notice.from).toBe(true);
   });
 });
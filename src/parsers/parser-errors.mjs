@@ -0,0 +1,171 @@
+/**
+ * Parser Error Classification
+ * Every failure a parser reports carries one of these codes as `error.code`,
+ * from makeRequest through execute and executeParser into the run record, so
+ * a site that is down ("HTTP_5XX", "TIMEOUT") can be told from selectors
+ * that no longer match its page ("LAYOUT_NOT_FOUND"). Errors are plain
+ * Errors with `code` and, for HTTP failures, `status` and `retryAfter` (ms).
+ */
+
+export const PARSER_ERROR_CODES = {
+  NETWORK: "NETWORK_ERROR",
+  TIMEOUT: "TIMEOUT",
+  HTTP_CLIENT: "HTTP_4XX",
+  HTTP_SERVER: "HTTP_5XX",
+  EMPTY_BODY: "EMPTY_BODY",
+  LAYOUT_NOT_FOUND: "LAYOUT_NOT_FOUND",
+  VALIDATION: "VALIDATION_ERROR",
+  // Set by the parser factory when the parser was not run at all
+  CIRCUIT_OPEN: "CIRCUIT_OPEN",
+  DEADLINE_EXCEEDED: "DEADLINE_EXCEEDED",
+};
+
+// Failures on the restaurant's side rather than in the parser
+export const SITE_ERROR_CODES = [
+  PARSER_ERROR_CODES.NETWORK,
+  PARSER_ERROR_CODES.TIMEOUT,
+  PARSER_ERROR_CODES.HTTP_CLIENT,
+  PARSER_ERROR_CODES.HTTP_SERVER,
+  PARSER_ERROR_CODES.EMPTY_BODY,
+];
+
+const KNOWN_CODES = Object.values(PARSER_ERROR_CODES);
+
+// Client errors worth another try: request timeout and rate limiting
+const RETRYABLE_STATUSES = [408, 429];
+
+// Share of the backoff added at random, so parsers sharing a host don't
+// retry in lockstep
+const RETRY_JITTER = 0.2;
+
+/**
+ * Create a classified parser error
+ * @param {string} code - One of PARSER_ERROR_CODES
+ * @param {string} message - Error message
+ * @param {Object} details - Extra fields to set on the error (status,
+ *   retryAfter, url, ...); `cause` becomes the error's cause
+ * @returns {Error} Error with `code` and the details set
+ */
+export function createParserError(code, message, details = {}) {
+  const { cause, ...fields } = details;
+  const error = new Error(message, cause ? { cause } : undefined);
+  error.code = code;
+  Object.assign(error, fields);
+  return error;
+}
+
+/**
+ * Read a Retry-After header: delay in seconds or an HTTP date
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time (ms), for HTTP dates
+ * @returns {number|null} Delay in milliseconds, or null if missing or
+ *   unreadable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) * 1000;
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Create the error for an HTTP response that is not ok
+ * @param {Response} response - Fetch response
+ * @param {string} url - Requested URL
+ * @returns {Error} HTTP_4XX or HTTP_5XX error with `status` and
+ *   `retryAfter` (ms, or null)
+ */
+export function createHttpError(response, url) {
+  return createParserError(
+    response.status >= 500
+      ? PARSER_ERROR_CODES.HTTP_SERVER
+      : PARSER_ERROR_CODES.HTTP_CLIENT,
+    `HTTP ${response.status}: ${response.statusText}`,
+    {
+      status: response.status,
+      retryAfter: parseRetryAfter(response.headers?.get("retry-after")),
+      url,
+    },
+  );
+}
+
+/**
+ * Classify an error thrown while fetching: aborts become TIMEOUT, anything
+ * else without a known code NETWORK_ERROR
+ * @param {Error} error - Error thrown by fetch or makeRequest
+ * @param {number} timeout - Request timeout (ms), for the message
+ * @returns {Error} The error itself if already classified, otherwise a
+ *   classified error with the original as its cause
+ */
+export function classifyRequestError(error, timeout) {
+  if (KNOWN_CODES.includes(error?.code)) return error;
+
+  if (error?.name === "AbortError" || error?.name === "TimeoutError") {
+    return createParserError(
+      PARSER_ERROR_CODES.TIMEOUT,
+      `Request timed out after ${timeout}ms`,
+      { cause: error },
+    );
+  }
+
+  // fetch only says "fetch failed"; the reason (ENOTFOUND, ECONNRESET) is
+  // in its cause
+  const reason = error?.cause?.message;
+  const message = error?.message || "Request failed";
+  return createParserError(
+    PARSER_ERROR_CODES.NETWORK,
+    reason ? `${message}: ${reason}` : message,
+    { cause: error },
+  );
+}
+
+/**
+ * Whether a request that failed this way may succeed if tried again
+ * @param {Error} error - Classified error
+ * @returns {boolean} True for network errors, timeouts, 5xx, 408 and 429
+ */
+export function isRetryableError(error) {
+  switch (error?.code) {
+    case PARSER_ERROR_CODES.NETWORK:
+    case PARSER_ERROR_CODES.TIMEOUT:
+    case PARSER_ERROR_CODES.HTTP_SERVER:
+      return true;
+    case PARSER_ERROR_CODES.HTTP_CLIENT:
+      return RETRYABLE_STATUSES.includes(error.status);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Delay before retrying a request: exponential backoff from `baseDelay`
+ * with jitter, capped at `maxDelay`, or the server's Retry-After if longer
+ * @param {number} attempt - Attempt that failed (1-based)
+ * @param {Object} options - { baseDelay, maxDelay, retryAfter } in ms
+ * @param {Function} random - Random source (0-1)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(
+  attempt,
+  { baseDelay, maxDelay, retryAfter = null },
+  random = Math.random,
+) {
+  const backoff = baseDelay * Math.pow(2, attempt - 1);
+  const delay = Math.floor(
+    Math.min(backoff + backoff * RETRY_JITTER * random(), maxDelay),
+  );
+  return retryAfter === null ? delay : Math.max(delay, retryAfter);
+}
+
+export default {
+  PARSER_ERROR_CODES,
+  SITE_ERROR_CODES,
+  createParserError,
+  parseRetryAfter,
+  createHttpError,
+  classifyRequestError,
+  isRetryableError,
+  getRetryDelay,
+};
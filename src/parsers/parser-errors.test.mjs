@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import {
+  PARSER_ERROR_CODES,
+  classifyRequestError,
+  createHttpError,
+  createParserError,
+  getRetryDelay,
+  isRetryableError,
+  parseRetryAfter,
+} from "./parser-errors.mjs";
+
+function response(status, headers = {}) {
+  return { status, statusText: "Status", headers: new Headers(headers) };
+}
+
+describe("parser errors", () => {
+  it("classifies HTTP failures by status", () => {
+    const notFound = createHttpError(response(404), "https://test.se/");
+    expect(notFound).toMatchObject({
+      code: "HTTP_4XX",
+      status: 404,
+      retryAfter: null,
+      url: "https://test.se/",
+      message: "HTTP 404: Status",
+    });
+    expect(isRetryableError(notFound)).toBe(false);
+
+    const down = createHttpError(response(503, { "retry-after": "2" }));
+    expect(down).toMatchObject({ code: "HTTP_5XX", retryAfter: 2000 });
+    expect(isRetryableError(down)).toBe(true);
+
+    expect(isRetryableError(createHttpError(response(429)))).toBe(true);
+    expect(isRetryableError(createHttpError(response(403)))).toBe(false);
+  });
+
+  it("classifies aborted and failed fetches", () => {
+    const abort = new Error("This operation was aborted");
+    abort.name = "AbortError";
+    expect(classifyRequestError(abort, 30000)).toMatchObject({
+      code: "TIMEOUT",
+      message: "Request timed out after 30000ms",
+      cause: abort,
+    });
+
+    const failed = new TypeError("fetch failed", {
+      cause: new Error("getaddrinfo ENOTFOUND test.se"),
+    });
+    expect(classifyRequestError(failed)).toMatchObject({
+      code: "NETWORK_ERROR",
+      message: "fetch failed: getaddrinfo ENOTFOUND test.se",
+    });
+
+    // Already classified errors pass through
+    const layout = createParserError(
+      PARSER_ERROR_CODES.LAYOUT_NOT_FOUND,
+      "Could not find #dagens section",
+    );
+    expect(classifyRequestError(layout)).toBe(layout);
+    expect(isRetryableError(layout)).toBe(false);
+  });
+
+  it("reads Retry-After as seconds or an HTTP date", () => {
+    const now = Date.parse("2026-10-19T08:00:00Z");
+    expect(parseRetryAfter("120", now)).toBe(120000);
+    expect(parseRetryAfter("Mon, 19 Oct 2026 08:00:30 GMT", now)).toBe(30000);
+    expect(parseRetryAfter("Mon, 19 Oct 2026 07:00:00 GMT", now)).toBe(0);
+    expect(parseRetryAfter("soon", now)).toBeNull();
+    expect(parseRetryAfter(null, now)).toBeNull();
+  });
+
+  it("backs off exponentially with jitter, up to the cap", () => {
+    const options = { baseDelay: 1000, maxDelay: 10000 };
+    expect(getRetryDelay(1, options, () => 0)).toBe(1000);
+    expect(getRetryDelay(2, options, () => 0)).toBe(2000);
+    expect(getRetryDelay(3, options, () => 1)).toBe(4800);
+    expect(getRetryDelay(6, options, () => 1)).toBe(10000);
+    // A longer Retry-After wins over the backoff
+    expect(getRetryDelay(1, { ...options, retryAfter: 5000 }, () => 0)).toBe(
+      5000,
+    );
+  });
+});
@@ -4,14 +4,13 @@
  */
 
 import { createRestaurantLogger } from "../lib/enhanced-logger.mjs";
+import { assertParserCoverage } from "../lib/restaurant-registry.mjs";
 import { NiagaraParser } from "./niagara-parser.mjs";
 import { SpillParser } from "./spill-parser.mjs";
 import { KontrastParser } from "./kontrast-parser.mjs";
-import { P2Parser } from "./p2-parser.mjs";
 import { TasteParser } from "./taste-parser.mjs";
 import { VarvParser } from "./varv-parser.mjs";
 import { FonderieParser } from "./fonderie-parser.mjs";
-import { LazizaParser } from "./laziza-parser.mjs";
 import { KockumParser } from "./kockum-parser.mjs";
 import { UbatshallenParser } from "./ubatshallen-parser.mjs";
 import { MiaMariasParser } from "./miamarias-parser.mjs";
@@ -19,13 +18,37 @@ import { IcaParser } from "./ica-parser.mjs";
 import { Lokal17Parser } from "./lokal17-parser.mjs";
 import { ComoParser } from "./como-parser.mjs";
 import { PapiParser } from "./papi-parser.mjs";
-import { HolyGreensParser } from "./holygreens-parser.mjs";
-import { SmakParser } from "./smak-parser.mjs";
-import { KolgaParser } from "./kolga-parser.mjs";
-import { Kitchen961Parser } from "./kitchen961-parser.mjs";
-import { FrilagetParser } from "./frilaget-parser.mjs";
-import { HamnOchPepparParser } from "./hamnochpeppar-parser.mjs";
+import { GastrogateParser } from "./gastrogate-parser.mjs";
+import { SelectorParser } from "./selector-parser.mjs";
+import { FixedMenuParser } from "./fixed-menu-parser.mjs";
 import { DEFAULT_PARSER_CONFIG } from "./parser-interfaces.mjs";
+import { PARSER_ERROR_CODES, createParserError } from "./parser-errors.mjs";
+
+/**
+ * Settle with a promise, or reject with a parser error after `ms` and abort
+ * `controller` with that error, so the work behind the promise stops too
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Time limit in milliseconds (Infinity for none)
+ * @param {string} code - Code of the error (TIMEOUT or DEADLINE_EXCEEDED)
+ * @param {string} message - Message of the error
+ * @param {AbortController} controller - Aborted when the time is up
+ * @returns {Promise} The promise's outcome
+ */
+function withTimeout(promise, ms, code, message, controller) {
+  if (!Number.isFinite(ms)) return promise;
+
+  let timeoutId;
+  const timeout = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      const error = createParserError(code, message);
+      controller.abort(error);
+      reject(error);
+    }, Math.max(0, ms));
+  });
+  return Promise.race([promise, timeout]).finally(() =>
+    clearTimeout(timeoutId),
+  );
+}
 
 /**
  * Circuit breaker states
@@ -36,6 +59,17 @@ const CIRCUIT_BREAKER_STATES = {
   HALF_OPEN: "half-open",
 };
 
+// Breaker fields kept between runs (see getCircuitBreakerState)
+const PERSISTED_BREAKER_FIELDS = [
+  "state",
+  "failureCount",
+  "lastFailureTime",
+  "openedAt",
+  "nextAttemptTime",
+  "openCount",
+  "probeCount",
+];
+
 /**
  * Parser Factory class for managing restaurant parsers
  */
@@ -48,6 +82,7 @@ export class ParserFactory {
         enabled: true,
         failureThreshold: 5,
         timeout: 60000,
+        maxTimeout: 480000,
         monitoringPeriod: 300000,
       },
       healthCheck: {
@@ -76,11 +111,9 @@ export class ParserFactory {
     this.registerParserClass("niagara", NiagaraParser);
     this.registerParserClass("spill", SpillParser);
     this.registerParserClass("kontrast", KontrastParser);
-    this.registerParserClass("p2", P2Parser);
     this.registerParserClass("taste", TasteParser);
     this.registerParserClass("varv", VarvParser);
     this.registerParserClass("fonderie", FonderieParser);
-    this.registerParserClass("laziza", LazizaParser);
     this.registerParserClass("kockum", KockumParser);
     this.registerParserClass("ubatshallen", UbatshallenParser);
     this.registerParserClass("miamarias", MiaMariasParser);
@@ -88,12 +121,12 @@ export class ParserFactory {
     this.registerParserClass("lokal17", Lokal17Parser);
     this.registerParserClass("como", ComoParser);
     this.registerParserClass("papi", PapiParser);
-    this.registerParserClass("holygreens", HolyGreensParser);
-    this.registerParserClass("smak", SmakParser);
-    this.registerParserClass("kolga", KolgaParser);
-    this.registerParserClass("kitchen961", Kitchen961Parser);
-    this.registerParserClass("frilaget", FrilagetParser);
-    this.registerParserClass("hamnochpeppar", HamnOchPepparParser);
+    this.registerParserClass("gastrogate", GastrogateParser);
+    this.registerParserClass("selector", SelectorParser);
+    this.registerParserClass("fixed-menu", FixedMenuParser);
+
+    // Built-in parsers and the restaurant registry must match one-to-one
+    assertParserCoverage(this.parserClasses.keys());
 
     // Initialize circuit breakers
     this.initializeCircuitBreakers();
@@ -232,10 +265,22 @@ export class ParserFactory {
   /**
    * Execute parser with circuit breaker protection
    * @param {string} restaurantId - Restaurant identifier
+   * @param {Object} options - Execution options
+   * @param {number} options.timeout - Time limit in milliseconds; a parser
+   *   still running then is aborted and fails with a TIMEOUT error (default:
+   *   none)
+   * @param {number} options.deadline - Time (ms since epoch) the collection
+   *   run ends; a parser still running then is aborted and fails with a
+   *   DEADLINE_EXCEEDED error, which its circuit breaker does not count
+   *   (default: none)
    * @returns {Promise<Object>} Parser result
    */
-  async executeParser(restaurantId) {
+  async executeParser(
+    restaurantId,
+    { timeout = Infinity, deadline = null } = {},
+  ) {
     const startTime = Date.now();
+    const remaining = deadline === null ? Infinity : deadline - startTime;
 
     try {
       const parser = this.getParser(restaurantId);
@@ -243,15 +288,37 @@ export class ParserFactory {
         throw new Error(`Parser not found: ${restaurantId}`);
       }
 
-      // Check circuit breaker
+      // Check circuit breaker (an open breaker is not a new failure)
       if (!this.canExecute(restaurantId)) {
-        throw new Error(`Circuit breaker is open for ${restaurantId}`);
+        throw createParserError(
+          PARSER_ERROR_CODES.CIRCUIT_OPEN,
+          `Circuit breaker is open for ${restaurantId}`,
+        );
       }
 
       this.logger.info(`Executing parser: ${restaurantId}`);
 
-      // Execute parser
-      const result = await parser.execute();
+      // Execute parser. A timed-out execution may take a moment to wind
+      // down; waitForParser waits for it.
+      const controller = new AbortController();
+      const execution = parser.execute({ signal: controller.signal });
+      this.parsers.get(restaurantId).execution = execution;
+      const result =
+        remaining < timeout
+          ? await withTimeout(
+              execution,
+              remaining,
+              PARSER_ERROR_CODES.DEADLINE_EXCEEDED,
+              "Stopped at the collection run's deadline",
+              controller,
+            )
+          : await withTimeout(
+              execution,
+              timeout,
+              PARSER_ERROR_CODES.TIMEOUT,
+              `Parser timed out after ${Math.round(timeout)}ms`,
+              controller,
+            );
 
       // Update statistics based on result
       this.updateStats(restaurantId, result.success, Date.now() - startTime);
@@ -274,8 +341,14 @@ export class ParserFactory {
       // Update statistics
       this.updateStats(restaurantId, false, Date.now() - startTime);
 
-      // Record failure in circuit breaker
-      this.recordFailure(restaurantId);
+      // Record failure in circuit breaker, unless the parser was not run or
+      // the run, not the restaurant, ran out of time
+      if (
+        error.code !== PARSER_ERROR_CODES.CIRCUIT_OPEN &&
+        error.code !== PARSER_ERROR_CODES.DEADLINE_EXCEEDED
+      ) {
+        this.recordFailure(restaurantId);
+      }
 
       this.logger.error(`Parser execution failed: ${restaurantId}`, {}, error);
 
@@ -287,7 +360,7 @@ export class ParserFactory {
         lunches: [],
         error: {
           message: error.message,
-          code: "EXECUTION_ERROR",
+          code: error.code || "EXECUTION_ERROR",
           timestamp: new Date().toISOString(),
         },
         metadata: {
@@ -305,81 +378,185 @@ export class ParserFactory {
   }
 
   /**
-   * Execute all registered parsers
+   * Execute all registered parsers from a work queue: up to
+   * `maxConcurrency` run at once, a new one starting as soon as a slot
+   * frees up, and at most `maxPerHost` at a time against the same host. A
+   * slot is held until its parser has stopped, timed out or not, but no
+   * longer than the deadline.
    * @param {Object} options - Execution options
-   * @returns {Promise<Array>} Array of parser results
+   * @param {boolean} options.parallel - Run several parsers at once (default
+   *   true); false runs them one by one
+   * @param {number} options.maxConcurrency - Parsers running at once
+   *   (default 5)
+   * @param {number} options.maxPerHost - Parsers running at once against
+   *   the same host (default 1)
+   * @param {number} options.parserTimeout - Time limit per parser in
+   *   milliseconds (default: none)
+   * @param {number} options.deadline - Time (ms since epoch) by which every
+   *   parser must be done: running parsers are stopped then and parsers not
+   *   started are skipped, both with a DEADLINE_EXCEEDED error that circuit
+   *   breakers do not count (default: none)
+   * @param {Function} options.onResult - async (result) => void, called as
+   *   each parser finishes, before its slot is freed
+   * @param {boolean} options.continueOnError - Keep going when onResult
+   *   throws (default true); false rejects with its error
+   * @returns {Promise<Array>} Parser results, in registration order
    */
   async executeAllParsers(options = {}) {
     const {
       parallel = true,
       maxConcurrency = 5,
+      maxPerHost = 1,
+      parserTimeout = Infinity,
+      deadline = null,
+      onResult = null,
       continueOnError = true,
     } = options;
 
     const restaurantIds = Array.from(this.parsers.keys());
+    const concurrency = parallel ? Math.max(1, maxConcurrency) : 1;
+    const hostLimit = Math.max(1, maxPerHost);
 
     this.logger.info(`Executing all parsers`, {
       totalParsers: restaurantIds.length,
       parallel,
-      maxConcurrency,
+      maxConcurrency: concurrency,
+      maxPerHost: hostLimit,
+      parserTimeout,
+      deadline: deadline ? new Date(deadline).toISOString() : null,
     });
 
-    if (parallel) {
-      // Execute in parallel with concurrency limit
-      const results = [];
-      const chunks = [];
-
-      // Split into chunks based on maxConcurrency
-      for (let i = 0; i < restaurantIds.length; i += maxConcurrency) {
-        chunks.push(restaurantIds.slice(i, i + maxConcurrency));
+    const results = new Array(restaurantIds.length);
+    const queue = restaurantIds.map((id, index) => ({
+      id,
+      index,
+      host: this.getParserHost(id),
+    }));
+    const running = new Set();
+    const hostLoad = new Map();
+
+    const runTask = async ({ id, index }) => {
+      const remaining = deadline === null ? Infinity : deadline - Date.now();
+      const result =
+        remaining > 0
+          ? await this.executeParser(id, { timeout: parserTimeout, deadline })
+          : this.createSkippedResult(id);
+      results[index] = result;
+
+      if (!onResult) return;
+      try {
+        await onResult(result);
+      } catch (error) {
+        if (!continueOnError) throw error;
+        this.logger.error(`Processing result failed: ${id}`, {}, error);
       }
+    };
 
-      for (const chunk of chunks) {
-        const chunkPromises = chunk.map((id) => this.executeParser(id));
-
-        if (continueOnError) {
-          const chunkResults = await Promise.allSettled(chunkPromises);
-          results.push(
-            ...chunkResults.map((result) =>
-              result.status === "fulfilled"
-                ? result.value
-                : {
-                    success: false,
-                    error: { message: result.reason.message },
-                  },
-            ),
-          );
-        } else {
-          const chunkResults = await Promise.all(chunkPromises);
-          results.push(...chunkResults);
-        }
+    while (queue.length > 0 || running.size > 0) {
+      // Fill free slots with the first queued parsers whose host has room
+      while (running.size < concurrency) {
+        const next = queue.findIndex(
+          ({ host }) => (hostLoad.get(host) || 0) < hostLimit,
+        );
+        if (next === -1) break;
+
+        const [task] = queue.splice(next, 1);
+        hostLoad.set(task.host, (hostLoad.get(task.host) || 0) + 1);
+        const promise = runTask(task)
+          .finally(() => this.waitForParser(task.id, { until: deadline }))
+          .finally(() => {
+            running.delete(promise);
+            hostLoad.set(task.host, hostLoad.get(task.host) - 1);
+          });
+        running.add(promise);
       }
 
-      return results;
-    } else {
-      // Execute sequentially
-      const results = [];
-
-      for (const restaurantId of restaurantIds) {
-        try {
-          const result = await this.executeParser(restaurantId);
-          results.push(result);
-        } catch (error) {
-          if (!continueOnError) {
-            throw error;
-          }
-          results.push({
-            success: false,
-            restaurant: restaurantId,
-            error: { message: error.message },
-          });
-        }
+      await Promise.race(running);
+    }
+
+    return results;
+  }
+
+  /**
+   * Wait until a parser's last execution has settled, including one that
+   * timed out and is still winding down
+   * @param {string} restaurantId - Restaurant identifier
+   * @param {Object} options - Wait options
+   * @param {number} options.until - Time (ms since epoch) to stop waiting
+   *   at, leaving an execution that ignores its abort signal to finish on
+   *   its own (default: none)
+   * @returns {Promise<void>}
+   */
+  async waitForParser(restaurantId, { until = null } = {}) {
+    const execution = this.parsers.get(restaurantId)?.execution;
+    if (!execution) return;
+
+    let timeoutId;
+    const settled = Promise.allSettled([execution]).then(() => true);
+    const gaveUp = new Promise((resolve) => {
+      if (until !== null) {
+        timeoutId = setTimeout(
+          () => resolve(false),
+          Math.max(0, until - Date.now()),
+        );
       }
+    });
+    const stopped = await Promise.race([settled, gaveUp]);
+    clearTimeout(timeoutId);
 
-      return results;
+    if (!stopped) {
+      this.logger.warn(
+        `Parser still running after the deadline: ${restaurantId}`,
+      );
     }
   }
 
+  /**
+   * Host a parser fetches from, for per-host limits
+   * @param {string} restaurantId - Restaurant identifier
+   * @returns {string} Host name, or the restaurant id if the parser has no
+   *   valid URL
+   */
+  getParserHost(restaurantId) {
+    const parserData = this.parsers.get(restaurantId);
+    try {
+      return new URL(parserData.parser.getUrl()).hostname;
+    } catch {
+      return restaurantId;
+    }
+  }
+
+  /**
+   * Result for a parser that was not started because the run's deadline had
+   * passed. Neither its stats nor its circuit breaker are touched.
+   * @param {string} restaurantId - Restaurant identifier
+   * @returns {Object} Standardized parser response
+   */
+  createSkippedResult(restaurantId) {
+    this.logger.warn(`Skipped parser after deadline: ${restaurantId}`);
+    return {
+      success: false,
+      restaurant: restaurantId,
+      url: "",
+      lunches: [],
+      error: {
+        message: "Not run: the collection run's deadline had passed",
+        code: PARSER_ERROR_CODES.DEADLINE_EXCEEDED,
+        timestamp: new Date().toISOString(),
+      },
+      metadata: {
+        totalExtracted: 0,
+        validCount: 0,
+        invalidCount: 0,
+        validationErrors: [],
+        duration: 0,
+        timestamp: new Date().toISOString(),
+        parser: "unknown",
+        parserVersion: "1.0.0",
+      },
+    };
+  }
+
   /**
    * Get all available parsers
    * @returns {Array} Array of parser information
@@ -523,8 +700,15 @@ export class ParserFactory {
       failureCount: 0,
       failureThreshold: this.config.circuitBreaker.failureThreshold,
       timeout: this.config.circuitBreaker.timeout,
+      maxTimeout:
+        this.config.circuitBreaker.maxTimeout ??
+        this.config.circuitBreaker.timeout,
       lastFailureTime: null,
+      openedAt: null,
       nextAttemptTime: null,
+      // Times opened since it was last closed, and probes let through
+      openCount: 0,
+      probeCount: 0,
       totalRequests: 0,
       successfulRequests: 0,
     });
@@ -554,6 +738,7 @@ export class ParserFactory {
       case CIRCUIT_BREAKER_STATES.OPEN:
         if (now >= breaker.nextAttemptTime) {
           breaker.state = CIRCUIT_BREAKER_STATES.HALF_OPEN;
+          breaker.probeCount++;
           this.logger.info(
             `Circuit breaker transitioning to half-open: ${restaurantId}`,
           );
@@ -585,10 +770,15 @@ export class ParserFactory {
 
     breaker.successfulRequests++;
     breaker.totalRequests++;
+    // Only consecutive failures open the breaker
+    breaker.failureCount = 0;
 
     if (breaker.state === CIRCUIT_BREAKER_STATES.HALF_OPEN) {
       breaker.state = CIRCUIT_BREAKER_STATES.CLOSED;
-      breaker.failureCount = 0;
+      breaker.openedAt = null;
+      breaker.nextAttemptTime = null;
+      breaker.openCount = 0;
+      breaker.probeCount = 0;
       this.logger.info(`Circuit breaker closed: ${restaurantId}`);
     }
   }
@@ -611,16 +801,89 @@ export class ParserFactory {
     breaker.totalRequests++;
     breaker.lastFailureTime = Date.now();
 
-    if (breaker.failureCount >= breaker.failureThreshold) {
-      breaker.state = CIRCUIT_BREAKER_STATES.OPEN;
-      breaker.nextAttemptTime = Date.now() + breaker.timeout;
+    // A failed probe reopens the breaker at once
+    if (
+      breaker.state === CIRCUIT_BREAKER_STATES.HALF_OPEN ||
+      (breaker.state === CIRCUIT_BREAKER_STATES.CLOSED &&
+        breaker.failureCount >= breaker.failureThreshold)
+    ) {
+      this.openCircuitBreaker(restaurantId, breaker);
+    }
+  }
 
-      this.logger.warn(`Circuit breaker opened: ${restaurantId}`, {
-        failureCount: breaker.failureCount,
-        threshold: breaker.failureThreshold,
-        nextAttempt: new Date(breaker.nextAttemptTime).toISOString(),
-      });
+  /**
+   * Open a circuit breaker. Each failed probe doubles the wait before the
+   * next one, up to `maxTimeout`, so a restaurant that keeps failing is
+   * probed less and less often.
+   * @param {string} restaurantId - Restaurant identifier
+   * @param {Object} breaker - Circuit breaker
+   */
+  openCircuitBreaker(restaurantId, breaker) {
+    const now = Date.now();
+    if (breaker.state === CIRCUIT_BREAKER_STATES.CLOSED) {
+      breaker.openedAt = now;
+      breaker.openCount = 0;
+      breaker.probeCount = 0;
+    }
+
+    breaker.state = CIRCUIT_BREAKER_STATES.OPEN;
+    breaker.openCount++;
+    breaker.nextAttemptTime =
+      now +
+      Math.min(
+        breaker.timeout * Math.pow(2, breaker.openCount - 1),
+        Math.max(breaker.timeout, breaker.maxTimeout),
+      );
+
+    this.logger.warn(`Circuit breaker opened: ${restaurantId}`, {
+      failureCount: breaker.failureCount,
+      threshold: breaker.failureThreshold,
+      openCount: breaker.openCount,
+      nextAttempt: new Date(breaker.nextAttemptTime).toISOString(),
+    });
+  }
+
+  /**
+   * Circuit breaker state to keep between runs
+   * @param {string} restaurantId - Restaurant identifier
+   * @returns {Object|null} { state, failureCount, lastFailureTime, openedAt,
+   *   nextAttemptTime, openCount, probeCount } (times in ms since epoch), or
+   *   null without a breaker
+   */
+  getCircuitBreakerState(restaurantId) {
+    const breaker = this.circuitBreakers.get(restaurantId);
+    if (!this.config.circuitBreaker.enabled || !breaker) {
+      return null;
+    }
+
+    return Object.fromEntries(
+      PERSISTED_BREAKER_FIELDS.map((field) => [field, breaker[field]]),
+    );
+  }
+
+  /**
+   * Restore circuit breaker state saved by an earlier run
+   * @param {string} restaurantId - Restaurant identifier
+   * @param {Object} saved - State from getCircuitBreakerState
+   * @returns {boolean} True if restored; false without a breaker or for an
+   *   unknown state
+   */
+  restoreCircuitBreaker(restaurantId, saved) {
+    const breaker = this.circuitBreakers.get(restaurantId);
+    if (
+      !this.config.circuitBreaker.enabled ||
+      !breaker ||
+      !Object.values(CIRCUIT_BREAKER_STATES).includes(saved?.state)
+    ) {
+      return false;
+    }
+
+    for (const field of PERSISTED_BREAKER_FIELDS) {
+      if (saved[field] !== undefined) {
+        breaker[field] = saved[field];
+      }
     }
+    return true;
   }
 
   /**
@@ -767,6 +1030,7 @@ export class ParserFactory {
         restaurantId: id,
         state: breaker.state,
         failureCount: breaker.failureCount,
+        nextAttemptTime: breaker.nextAttemptTime,
         totalRequests: breaker.totalRequests,
         successfulRequests: breaker.successfulRequests,
       }),
@@ -2,7 +2,7 @@
  * Unit Tests for Parser Factory
  */
 
-import { describe, it, expect } from "vitest";
+import { describe, it, expect, vi } from "vitest";
 import { ParserFactory } from "./parser-factory.mjs";
 import { BaseParser } from "./base-parser.mjs";
 
@@ -37,6 +37,25 @@ class MockParser extends BaseParser {
   }
 }
 
+// Takes `delay` ms and records when it starts and finishes in `events`
+class SlowParser extends MockParser {
+  async parseMenu() {
+    this.config.events?.push(`start ${this.config.name}`);
+    await new Promise((resolve) => setTimeout(resolve, this.config.delay));
+    this.config.events?.push(`end ${this.config.name}`);
+    return super.parseMenu();
+  }
+}
+
+function createPoolFactory(parsers) {
+  const factory = new ParserFactory({ healthCheck: { enabled: false } });
+  factory.registerParserClass("slow", SlowParser);
+  for (const config of parsers) {
+    factory.createParser({ name: config.id, parser: "slow", ...config });
+  }
+  return factory;
+}
+
 describe("Parser Registration", () => {
   it("registers parser class successfully", () => {
     const factory = new ParserFactory({ healthCheck: { enabled: false } });
@@ -214,6 +233,127 @@ describe("Circuit Breaker", () => {
   });
 });
 
+describe("Circuit breaker across runs", () => {
+  function createBreakerFactory(shouldFail = true) {
+    const factory = new ParserFactory({
+      healthCheck: { enabled: false },
+      circuitBreaker: {
+        enabled: true,
+        failureThreshold: 2,
+        timeout: 1000,
+        maxTimeout: 3000,
+      },
+    });
+    factory.registerParserClass("mock", MockParser);
+    factory.createParser({
+      id: "flaky",
+      name: "Flaky",
+      parser: "mock",
+      url: "https://flaky.se",
+      shouldFail,
+    });
+    return factory;
+  }
+
+  it("only opens after consecutive failures", async () => {
+    const factory = createBreakerFactory();
+    const breaker = factory.circuitBreakers.get("flaky");
+
+    await factory.executeParser("flaky");
+    factory.recordSuccess("flaky");
+    await factory.executeParser("flaky");
+
+    expect(breaker).toMatchObject({ state: "closed", failureCount: 1 });
+    factory.destroy();
+  });
+
+  it("waits longer after each failed probe, up to maxTimeout", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const factory = createBreakerFactory();
+    const breaker = factory.circuitBreakers.get("flaky");
+    const waits = [];
+
+    try {
+      await factory.executeParser("flaky");
+      for (let i = 0; i < 4; i++) {
+        await factory.executeParser("flaky");
+        waits.push(breaker.nextAttemptTime - Date.now());
+        vi.setSystemTime(breaker.nextAttemptTime);
+      }
+    } finally {
+      vi.useRealTimers();
+    }
+
+    expect(waits).toEqual([1000, 2000, 3000, 3000]);
+    expect(breaker).toMatchObject({
+      state: "open",
+      openCount: 4,
+      probeCount: 3,
+    });
+    factory.destroy();
+  });
+
+  it("does not push the next probe back while open", async () => {
+    const factory = createBreakerFactory();
+    await factory.executeParser("flaky");
+    await factory.executeParser("flaky");
+    const breaker = factory.circuitBreakers.get("flaky");
+    const nextAttemptTime = breaker.nextAttemptTime;
+
+    const result = await factory.executeParser("flaky");
+
+    expect(result.error.code).toBe("CIRCUIT_OPEN");
+    expect(breaker).toMatchObject({ failureCount: 2, nextAttemptTime });
+    factory.destroy();
+  });
+
+  it("carries its state over to the next run's factory", async () => {
+    const first = createBreakerFactory();
+    await first.executeParser("flaky");
+    await first.executeParser("flaky");
+    const saved = first.getCircuitBreakerState("flaky");
+    first.destroy();
+
+    expect(saved).toMatchObject({
+      state: "open",
+      failureCount: 2,
+      openCount: 1,
+      probeCount: 0,
+    });
+    expect(saved).not.toHaveProperty("timeout");
+
+    const next = createBreakerFactory(false);
+    expect(next.restoreCircuitBreaker("flaky", saved)).toBe(true);
+    expect((await next.executeParser("flaky")).error.code).toBe("CIRCUIT_OPEN");
+
+    // A successful probe closes it again
+    next.circuitBreakers.get("flaky").nextAttemptTime = Date.now() - 1;
+    expect((await next.executeParser("flaky")).success).toBe(true);
+    expect(next.getCircuitBreakerState("flaky")).toEqual({
+      state: "closed",
+      failureCount: 0,
+      lastFailureTime: saved.lastFailureTime,
+      openedAt: null,
+      nextAttemptTime: null,
+      openCount: 0,
+      probeCount: 0,
+    });
+    next.destroy();
+  });
+
+  it("ignores saved state it does not recognize", () => {
+    const factory = createBreakerFactory();
+    expect(factory.restoreCircuitBreaker("flaky", { state: "broken" })).toBe(
+      false,
+    );
+    expect(factory.restoreCircuitBreaker("other", { state: "open" })).toBe(
+      false,
+    );
+    expect(factory.circuitBreakers.get("flaky").state).toBe("closed");
+    factory.destroy();
+  });
+});
+
 describe("Multiple Parser Execution", () => {
   it("executes all parsers in parallel", async () => {
     const factory = new ParserFactory({ healthCheck: { enabled: false } });
@@ -246,6 +386,170 @@ describe("Multiple Parser Execution", () => {
   });
 });
 
+describe("Parser work queue", () => {
+  it("starts the next parser as soon as a slot frees up", async () => {
+    const events = [];
+    const factory = createPoolFactory([
+      { id: "slow", url: "https://slow.se", delay: 200, events },
+      { id: "quick", url: "https://quick.se", delay: 10, events },
+      { id: "next", url: "https://next.se", delay: 10, events },
+    ]);
+
+    const results = await factory.executeAllParsers({ maxConcurrency: 2 });
+
+    // The slow parser no longer holds back the third one
+    expect(events.indexOf("start next")).toBeLessThan(events.indexOf("end slow"));
+    expect(results.map((r) => r.restaurant)).toEqual(["slow", "quick", "next"]);
+    factory.destroy();
+  });
+
+  it("runs one parser at a time against the same host", async () => {
+    const events = [];
+    const factory = createPoolFactory([
+      { id: "a", url: "https://shared.se/a", delay: 20, events },
+      { id: "b", url: "https://shared.se/b", delay: 20, events },
+      { id: "c", url: "https://other.se", delay: 20, events },
+    ]);
+
+    await factory.executeAllParsers({ maxConcurrency: 3 });
+
+    expect(events.slice(0, 2)).toEqual(["start a", "start c"]);
+    expect(events.indexOf("start b")).toBeGreaterThan(events.indexOf("end a"));
+    factory.destroy();
+  });
+
+  it("hands each result over as soon as its parser finishes", async () => {
+    const events = [];
+    const factory = createPoolFactory([
+      { id: "slow", url: "https://slow.se", delay: 100, events },
+      { id: "quick", url: "https://quick.se", delay: 10, events },
+    ]);
+
+    await factory.executeAllParsers({
+      onResult: async (result) => events.push(`result ${result.restaurant}`),
+    });
+
+    expect(events.indexOf("result quick")).toBeLessThan(
+      events.indexOf("end slow"),
+    );
+    expect(events).toContain("result slow");
+    factory.destroy();
+  });
+
+  it("fails a parser that runs past its timeout", async () => {
+    const factory = createPoolFactory([
+      { id: "stuck", url: "https://stuck.se", delay: 200 },
+      { id: "quick", url: "https://quick.se", delay: 10 },
+    ]);
+
+    const [stuck, quick] = await factory.executeAllParsers({
+      parserTimeout: 50,
+    });
+
+    expect(stuck.success).toBe(false);
+    expect(stuck.error).toMatchObject({
+      code: "TIMEOUT",
+      message: "Parser timed out after 50ms",
+    });
+    expect(quick.success).toBe(true);
+    factory.destroy();
+  });
+
+  it("keeps a timed-out parser's host busy until it has stopped", async () => {
+    const events = [];
+    const factory = createPoolFactory([
+      { id: "stuck", url: "https://shared.se/a", delay: 150, events },
+      { id: "next", url: "https://shared.se/b", delay: 10, events },
+    ]);
+
+    const [stuck] = await factory.executeAllParsers({ parserTimeout: 30 });
+
+    expect(stuck.error.code).toBe("TIMEOUT");
+    expect(events.indexOf("start next")).toBeGreaterThan(
+      events.indexOf("end stuck"),
+    );
+    factory.destroy();
+  });
+
+  it("stops parsers at the deadline without counting it against them", async () => {
+    const factory = createPoolFactory([
+      { id: "slow", url: "https://slow.se", delay: 200 },
+    ]);
+
+    const [slow] = await factory.executeAllParsers({
+      parserTimeout: 1000,
+      deadline: Date.now() + 50,
+    });
+
+    expect(slow.error).toMatchObject({
+      code: "DEADLINE_EXCEEDED",
+      message: "Stopped at the collection run's deadline",
+    });
+    expect(factory.circuitBreakers.get("slow").failureCount).toBe(0);
+    factory.destroy();
+  });
+
+  it("frees the slot of a parser that ignores the deadline", async () => {
+    // SlowParser never checks its abort signal
+    const factory = createPoolFactory([
+      { id: "stuck", url: "https://shared.se/a", delay: 500 },
+      { id: "next", url: "https://shared.se/b", delay: 10 },
+    ]);
+    const started = Date.now();
+
+    const [stuck, next] = await factory.executeAllParsers({
+      deadline: started + 50,
+    });
+
+    expect(Date.now() - started).toBeLessThan(300);
+    expect(stuck.error.code).toBe("DEADLINE_EXCEEDED");
+    expect(next.error.code).toBe("DEADLINE_EXCEEDED");
+    await factory.waitForParser("stuck");
+    factory.destroy();
+  });
+
+  it("skips parsers not started by the deadline", async () => {
+    const factory = createPoolFactory([
+      { id: "first", url: "https://first.se", delay: 100 },
+      { id: "second", url: "https://second.se", delay: 10 },
+    ]);
+
+    const [first, second] = await factory.executeAllParsers({
+      parallel: false,
+      deadline: Date.now() + 50,
+    });
+
+    expect(first.error.code).toBe("DEADLINE_EXCEEDED");
+    expect(second).toMatchObject({
+      success: false,
+      restaurant: "second",
+      error: { code: "DEADLINE_EXCEEDED" },
+    });
+    // A skipped parser counts against neither its stats nor its breaker
+    expect(factory.parsers.get("second").stats.totalRequests).toBe(0);
+    expect(factory.circuitBreakers.get("second").failureCount).toBe(0);
+    factory.destroy();
+  });
+
+  it("keeps going when handling a result fails, unless told otherwise", async () => {
+    const factory = createPoolFactory([
+      { id: "a", url: "https://a.se", delay: 10 },
+      { id: "b", url: "https://b.se", delay: 10 },
+    ]);
+    const onResult = async () => {
+      throw new Error("Throttled");
+    };
+
+    const results = await factory.executeAllParsers({ onResult });
+    expect(results.every((r) => r.success)).toBe(true);
+
+    await expect(
+      factory.executeAllParsers({ onResult, continueOnError: false }),
+    ).rejects.toThrow("Throttled");
+    factory.destroy();
+  });
+});
+
 describe("Parser Management", () => {
   it("gets parser by ID", () => {
     const factory = new ParserFactory({ healthCheck: { enabled: false } });
@@ -3,6 +3,9 @@
  * Defines the contracts and data structures for restaurant parsers
  */
 
+import { getISOWeek } from "../lib/date-utils.mjs";
+import { hasPrice } from "../lib/price-utils.mjs";
+
 /**
  * Create a standardized lunch object
  * @param {Object} data - Raw lunch data
@@ -12,9 +15,16 @@ export function createLunchObject(data = {}) {
   return {
     name: String(data.name || "").trim(),
     description: String(data.description || "").trim(),
-    price: Number(data.price) || 0,
+    price: hasPrice(data) ? Number(data.price) : null,
+    priceMax: hasPrice({ price: data.priceMax })
+      ? Number(data.priceMax)
+      : undefined,
+    priceVariants: Array.isArray(data.priceVariants)
+      ? data.priceVariants
+      : undefined,
+    priceText: data.priceText ? String(data.priceText).trim() : undefined,
     weekday: String(data.weekday || "").toLowerCase().trim(),
-    week: Number(data.week) || getCurrentWeek(),
+    week: Number(data.week) || getISOWeek(),
     place: String(data.place || "").trim(),
     allergens: Array.isArray(data.allergens) ? data.allergens : [],
     dietary: Array.isArray(data.dietary) ? data.dietary : [],
@@ -24,20 +34,15 @@ export function createLunchObject(data = {}) {
 }
 
 /**
- * Get current ISO week number
- * @returns {number} Current week number (1-53)
+ * Swedish weekdays for validation
  */
-function getCurrentWeek() {
-  const now = new Date();
-  const startOfYear = new Date(now.getFullYear(), 0, 1);
-  const days = Math.floor((now - startOfYear) / (24 * 60 * 60 * 1000));
-  return Math.ceil((days + startOfYear.getDay() + 1) / 7);
-}
+export const SWEDISH_WEEKDAYS = ["måndag", "tisdag", "onsdag", "torsdag", "fredag"];
 
 /**
- * Swedish weekdays for validation
+ * Weekend days, for restaurants that serve weekend lunch or brunch
+ * (`weekendLunch: true` in the registry)
  */
-export const SWEDISH_WEEKDAYS = ["måndag", "tisdag", "onsdag", "torsdag", "fredag"];
+export const SWEDISH_WEEKEND_DAYS = ["lördag", "söndag"];
 
 /**
  * Default parser configuration
@@ -60,5 +65,6 @@ export const DEFAULT_PARSER_CONFIG = {
 export default {
   createLunchObject,
   SWEDISH_WEEKDAYS,
+  SWEDISH_WEEKEND_DAYS,
   DEFAULT_PARSER_CONFIG
 };
@@ -1,8 +1,9 @@
 import { beforeAll, describe, expect, it, beforeEach, vi } from "vitest";
-import { P2Parser } from "./p2-parser.mjs";
+import { SelectorParser } from "./selector-parser.mjs";
+import { getRestaurant } from "../lib/restaurant-registry.mjs";
 
 function createParser() {
-  const parser = new P2Parser();
+  const parser = new SelectorParser(getRestaurant("p2"));
   parser.logger = {
     info: () => Promise.resolve(),
     warn: () => Promise.resolve(),
@@ -21,15 +22,20 @@ beforeAll(async () => {
   ({ JSDOM } = await import("jsdom"));
 });
 
-describe("P2Parser", () => {
+describe("SelectorParser (p2)", () => {
   let parser;
 
   beforeEach(() => {
     parser = createParser();
   });
 
+  function useHtml(html) {
+    const dom = new JSDOM(html);
+    parser.fetchDocument = async () => dom.window.document;
+  }
+
   it("extracts lunch items from all weekdays", async () => {
-    const dom = new JSDOM(`
+    useHtml(`
       <div id="menu">
         <h3>Vecka 14</h3>
         <div class="monday">
@@ -54,39 +60,7 @@ describe("P2Parser", () => {
       </div>
     `);
 
-    const container = dom.window.document.querySelector("#menu");
-    const weekNumber = parser.extractWeekNumber(container);
-    expect(weekNumber).toBe(14);
-
-    const lunches = [];
-    const cssToWeekday = {
-      monday: "måndag",
-      tuesday: "tisdag",
-    };
-
-    for (const [cssClass, weekday] of Object.entries(cssToWeekday)) {
-      const daySection = container.querySelector(`.${cssClass}`);
-      if (!daySection) continue;
-
-      const containers = daySection.querySelectorAll(".lunchmeny_container");
-      for (const item of containers) {
-        const title = item.querySelector(".lunch_title")?.textContent?.trim();
-        const desc = item.querySelector(".lunch_desc")?.textContent?.trim();
-        const priceText = item.querySelector(".lunch_price")?.textContent?.trim();
-        const price = parser.extractNumber(priceText) || 128;
-
-        lunches.push(
-          parser.createLunchObject({
-            name: title,
-            description: desc,
-            price,
-            weekday,
-            week: weekNumber,
-            place: "P2",
-          }),
-        );
-      }
-    }
+    const lunches = await parser.parseMenu();
 
     expect(lunches).toHaveLength(3);
     expect(lunches[0]).toMatchObject({
@@ -132,7 +106,7 @@ describe("P2Parser", () => {
   });
 
   it("skips items marked as stängt", async () => {
-    const dom = new JSDOM(`
+    useHtml(`
       <div id="menu">
         <h3>Vecka 14</h3>
         <div class="monday">
@@ -145,28 +119,39 @@ describe("P2Parser", () => {
       </div>
     `);
 
-    const container = dom.window.document.querySelector("#menu");
-    const daySection = container.querySelector(".monday");
-    const items = daySection.querySelectorAll(".lunchmeny_container");
-    const lunches = [];
+    expect(await parser.parseMenu()).toHaveLength(0);
+  });
 
-    for (const item of items) {
-      const title = item.querySelector(".lunch_title")?.textContent?.trim();
-      if (title && title.toLowerCase().includes("stängt")) continue;
-      lunches.push({ name: title });
-    }
+  it("extracts price from lunch_price element", async () => {
+    useHtml(`
+      <div class="friday">
+        <div class="lunchmeny_container">
+          <div class="lunch_title">FISH</div>
+          <div class="lunch_price">145:-</div>
+        </div>
+      </div>
+    `);
 
-    expect(lunches).toHaveLength(0);
+    const [lunch] = await parser.parseMenu();
+    expect(lunch).toMatchObject({
+      name: "FISH",
+      price: 145,
+      weekday: "fredag",
+    });
   });
 
-  it("extracts price from lunch_price element", () => {
-    expect(parser.extractNumber("128:-")).toBe(128);
-    expect(parser.extractNumber("145:-")).toBe(145);
-  });
+  it("uses fallback price when no price found", async () => {
+    useHtml(`
+      <div class="wednesday">
+        <div class="lunchmeny_container">
+          <div class="lunch_title">GREEN</div>
+          <div class="lunch_price"></div>
+        </div>
+      </div>
+    `);
 
-  it("uses fallback price when no price found", () => {
-    const price = parser.extractNumber("") || 128;
-    expect(price).toBe(128);
+    const [lunch] = await parser.parseMenu();
+    expect(lunch.price).toBe(128);
   });
 
   it("returns correct name and url", () => {
@@ -0,0 +1,382 @@
+/**
+ * Declarative Selector Parser
+ *
+ * Interprets a CSS-selector description of a menu page, so a restaurant
+ * whose page is a plain list of dishes needs only a registry entry with
+ * `parser: "selector"` and a `selectors` block, and selector drift is fixed
+ * by editing that block instead of a class.
+ *
+ * `selectors` fields:
+ *   - container:        element holding the menu (default: document body)
+ *   - item:             one element per dish (required)
+ *   - name:             dish name, within the item (required)
+ *   - description:      dish description, within the item
+ *   - price:            price element, within the item; without it the price
+ *                       is read from the item text ("125 kr", "125:-").
+ *                       Ranges and variants ("Liten 99 kr / Stor 129 kr")
+ *                       are kept, see parsePrice
+ *   - pricePattern:     regex source whose first group is the price, for
+ *                       price texts parsePrice doesn't read
+ *   - defaultPrice:     price for dishes without one; otherwise their price
+ *                       is null
+ *   - daySections:      { weekday: selector } for pages with one element per
+ *                       day; items are looked up inside each section
+ *                       (lördag and söndag need `weekendLunch: true`)
+ *   - dayHeader:        selector for day headings on pages that list days in
+ *                       sequence; an item belongs to the last heading before
+ *                       it in document order
+ *   - dayPattern:       regex source matched against heading text; its first
+ *                       group must be a Swedish or English weekday name
+ *   - wholeWeekPattern: regex source for headings that apply to the whole
+ *                       week ("Hela veckan", "Veckans"); their dishes are
+ *                       served Monday to Friday
+ *   - wholeWeek:        true to serve dishes that have no weekday (no day
+ *                       sections or headings, or before the first heading)
+ *                       every weekday; otherwise they are skipped
+ *   - week:             selector for the element holding the week number,
+ *                       looked up in the whole page (default: the container)
+ *   - weekPattern:      regex source whose first group is the week number;
+ *                       the current week is the fallback
+ *   - skipPattern:      regex source for dish names to skip ("Stängt")
+ *
+ * Patterns are case-insensitive. See the "p2" registry entry for an example.
+ */
+
+import { BaseParser } from "./base-parser.mjs";
+import {
+  SWEDISH_WEEKDAYS,
+  SWEDISH_WEEKEND_DAYS,
+} from "./parser-interfaces.mjs";
+import { SWEDISH_TO_ENGLISH, ENGLISH_TO_SWEDISH } from "../lib/date-utils.mjs";
+import { parsePrice } from "../lib/price-utils.mjs";
+
+const DEFAULTS = {
+  dayPattern:
+    "(måndag|tisdag|onsdag|torsdag|fredag|monday|tuesday|wednesday|thursday|friday)",
+  wholeWeekPattern: "hela\\s+veck|veckans|alla\\s+dagar|varje\\s+dag",
+  weekPattern: "vecka\\s*(\\d{1,2})",
+  // A bare number in a price element; a number followed by "kr"/":-" when
+  // the price is read from the whole item text
+  pricePattern: "(\\d{2,4})",
+  itemPricePattern: "(\\d{2,4})(?:\\s*[-–]\\s*\\d{2,4})?\\s*(?:kr|:-|sek)",
+};
+
+const STRING_FIELDS = [
+  "container",
+  "item",
+  "name",
+  "description",
+  "price",
+  "dayHeader",
+  "week",
+];
+
+const PATTERN_FIELDS = [
+  "pricePattern",
+  "dayPattern",
+  "wholeWeekPattern",
+  "weekPattern",
+  "skipPattern",
+];
+
+/**
+ * Validate a `selectors` block
+ * @param {Object} selectors - Selector configuration
+ * @returns {Object} Validation result with isValid boolean and errors array
+ */
+export function validateSelectorConfig(selectors) {
+  const errors = [];
+
+  if (!selectors || typeof selectors !== "object") {
+    return { isValid: false, errors: ["selectors must be an object"] };
+  }
+
+  for (const field of ["item", "name"]) {
+    if (!selectors[field]) errors.push(`${field} selector is required`);
+  }
+
+  for (const field of STRING_FIELDS) {
+    if (
+      selectors[field] !== undefined &&
+      typeof selectors[field] !== "string"
+    ) {
+      errors.push(`${field} must be a string`);
+    }
+  }
+
+  for (const field of PATTERN_FIELDS) {
+    if (selectors[field] === undefined) continue;
+    try {
+      new RegExp(selectors[field], "i");
+    } catch {
+      errors.push(`${field} must be a valid regular expression`);
+    }
+  }
+
+  if (
+    selectors.defaultPrice !== undefined &&
+    !(Number.isFinite(selectors.defaultPrice) && selectors.defaultPrice > 0)
+  ) {
+    errors.push("defaultPrice must be a positive number");
+  }
+
+  if (selectors.daySections !== undefined) {
+    const sections = Object.entries(selectors.daySections || {});
+    if (sections.length === 0) {
+      errors.push("daySections must map weekdays to selectors");
+    }
+    for (const [weekday, selector] of sections) {
+      if (![...SWEDISH_WEEKDAYS, ...SWEDISH_WEEKEND_DAYS].includes(weekday)) {
+        errors.push(`daySections: unknown weekday "${weekday}"`);
+      }
+      if (!selector || typeof selector !== "string") {
+        errors.push(`daySections: selector for ${weekday} must be a string`);
+      }
+    }
+  }
+
+  if (selectors.daySections && selectors.dayHeader) {
+    errors.push("use either daySections or dayHeader, not both");
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+export class SelectorParser extends BaseParser {
+  constructor(config = {}) {
+    const validation = validateSelectorConfig(config.selectors);
+    if (!validation.isValid) {
+      throw new Error(
+        `Invalid selectors for ${config.name || "selector parser"}: ${validation.errors.join("; ")}`,
+      );
+    }
+
+    super({
+      timeout: 30000,
+      retries: 3,
+      retryDelay: 1000,
+      ...config,
+    });
+
+    this.selectors = { ...DEFAULTS, ...config.selectors };
+  }
+
+  getName() {
+    return this.config.name;
+  }
+
+  getUrl() {
+    return this.config.url;
+  }
+
+  async parseMenu() {
+    try {
+      await this.logger.info(`Starting ${this.getName()} menu parsing`);
+
+      const document = await this.fetchDocument();
+      const root = this.selectors.container
+        ? this.safeQuery(document, this.selectors.container)
+        : document.body || document;
+
+      if (!root) {
+        throw this.createLayoutError(
+          `Menu container not found: ${this.selectors.container}`,
+        );
+      }
+
+      const week = this.extractWeekNumber(root);
+      const lunches = this.extractLunches(root, week);
+
+      await this.logger.info(`${this.getName()} parsing completed`, {
+        totalLunches: lunches.length,
+        uniqueWeekdays: [...new Set(lunches.map((l) => l.weekday))].length,
+        week,
+      });
+
+      return lunches;
+    } catch (error) {
+      await this.logger.error(
+        `${this.getName()} menu parsing failed`,
+        {},
+        error,
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Read the week number from the `week` element (or the container) with
+   * `weekPattern`. The week element may sit outside the container, e.g. a
+   * page heading. Falls back to the current ISO week.
+   */
+  extractWeekNumber(root) {
+    const source = this.selectors.week
+      ? this.safeQuery(root.ownerDocument || root, this.selectors.week)
+      : root;
+    const match = this.extractText(source).match(
+      new RegExp(this.selectors.weekPattern, "i"),
+    );
+    if (match) {
+      const week = parseInt(match[1], 10);
+      if (week >= 1 && week <= 53) return week;
+    }
+    return this._getCurrentWeek();
+  }
+
+  /**
+   * Collect dishes with the weekday(s) each one is served on
+   */
+  extractLunches(root, week) {
+    const entries = this.selectors.daySections
+      ? this.collectBySection(root)
+      : this.collectByHeader(root);
+
+    const lunches = [];
+    for (const { item, weekdays } of entries) {
+      const days =
+        weekdays.length === 0 && this.selectors.wholeWeek
+          ? SWEDISH_WEEKDAYS
+          : weekdays;
+      if (days.length === 0) continue;
+
+      const dish = this.extractDish(item);
+      if (!dish) continue;
+
+      for (const weekday of days) {
+        lunches.push(
+          this.createLunchObject({
+            ...dish,
+            weekday,
+            week,
+            place: this.getName(),
+          }),
+        );
+      }
+    }
+
+    return lunches;
+  }
+
+  /**
+   * Items inside each configured day section
+   */
+  collectBySection(root) {
+    const entries = [];
+    for (const [weekday, selector] of Object.entries(
+      this.selectors.daySections,
+    )) {
+      const section = this.safeQuery(root, selector);
+      const items = this.safeQuery(section, this.selectors.item, true) || [];
+      for (const item of items) {
+        entries.push({ item, weekdays: [weekday] });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Items in document order, each taking the weekday(s) of the last day
+   * heading before it. Without `dayHeader`, items have no weekday.
+   */
+  collectByHeader(root) {
+    const { dayHeader, item: itemSelector } = this.selectors;
+    const selector = dayHeader ? `${dayHeader}, ${itemSelector}` : itemSelector;
+    const nodes = this.safeQuery(root, selector, true) || [];
+
+    const entries = [];
+    let weekdays = [];
+    for (const node of nodes) {
+      // An element matching both selectors counts as a dish
+      if (dayHeader && node.matches(dayHeader) && !node.matches(itemSelector)) {
+        weekdays = this.headerToWeekdays(this.extractText(node));
+        continue;
+      }
+      entries.push({ item: node, weekdays });
+    }
+    return entries;
+  }
+
+  /**
+   * Map a day heading to the weekday(s) it applies to
+   */
+  headerToWeekdays(headerText) {
+    const text = headerText.toLowerCase();
+    if (new RegExp(this.selectors.wholeWeekPattern, "i").test(text)) {
+      return [...SWEDISH_WEEKDAYS];
+    }
+
+    const match = text.match(new RegExp(this.selectors.dayPattern, "i"));
+    const day = match?.[1]?.toLowerCase();
+    if (!day) return [];
+    if (day in SWEDISH_TO_ENGLISH) return [day];
+    return ENGLISH_TO_SWEDISH[day] ? [ENGLISH_TO_SWEDISH[day]] : [];
+  }
+
+  /**
+   * Read name, description and price fields from a dish element
+   * @returns {Object|null} Dish fields, or null if the item is not a dish
+   */
+  extractDish(item) {
+    const { name: nameSelector, description, skipPattern } = this.selectors;
+
+    const name = this.extractText(this.safeQuery(item, nameSelector))
+      .replace(/\s+/g, " ")
+      .trim();
+    if (!name) return null;
+    if (skipPattern && new RegExp(skipPattern, "i").test(name)) return null;
+
+    const { price: dishPrice, ...priceFields } = this.extractPrice(item);
+
+    return {
+      name,
+      description: description
+        ? this.extractText(this.safeQuery(item, description))
+            .replace(/\s+/g, " ")
+            .trim()
+        : "",
+      price: dishPrice ?? this.selectors.defaultPrice ?? null,
+      ...priceFields,
+    };
+  }
+
+  /**
+   * Read the price fields of a dish element (see parsePrice)
+   * @returns {Object} { price, priceMax?, priceVariants?, priceText? }; price
+   *   is null when the dish has none
+   */
+  extractPrice(item) {
+    const { price: priceSelector } = this.selectors;
+    const customPattern = this.config.selectors.pricePattern;
+
+    if (!priceSelector) {
+      // Without a price element, the default pattern needs a "kr"/":-"
+      // suffix so that numbers in the dish text are not taken for the price
+      const pattern = customPattern
+        ? this.selectors.pricePattern
+        : this.selectors.itemPricePattern;
+      const match = this.extractText(item).match(new RegExp(pattern, "i"));
+      if (!match) return { price: null };
+      return customPattern
+        ? { price: parseInt(match[1], 10), priceText: match[0].trim() }
+        : parsePrice(match[0]);
+    }
+
+    const priceText = this.extractText(this.safeQuery(item, priceSelector))
+      .replace(/\s+/g, " ")
+      .trim();
+    if (!priceText) return { price: null };
+
+    const parsed = customPattern ? { price: null } : parsePrice(priceText);
+    if (parsed.price !== null) return parsed;
+
+    // A number without a currency, or a price only the configured pattern
+    // finds
+    const match = priceText.match(new RegExp(this.selectors.pricePattern, "i"));
+    return {
+      price: match ? parseInt(match[1], 10) : null,
+      priceText,
+    };
+  }
+}
+
+export default SelectorParser;
@@ -0,0 +1,224 @@
+import { beforeAll, describe, expect, it, vi } from "vitest";
+import {
+  SelectorParser,
+  validateSelectorConfig,
+} from "./selector-parser.mjs";
+
+function createParser(selectors) {
+  const parser = new SelectorParser({
+    name: "Testkrogen",
+    url: "https://testkrogen.se/lunch/",
+    selectors,
+  });
+  parser.logger = {
+    info: () => Promise.resolve(),
+    warn: () => Promise.resolve(),
+    error: () => Promise.resolve(),
+    debug: () => Promise.resolve(),
+    startTimer: () => {},
+    endTimer: () => {},
+  };
+  return parser;
+}
+
+let JSDOM;
+
+beforeAll(async () => {
+  vi.doUnmock("jsdom");
+  ({ JSDOM } = await import("jsdom"));
+});
+
+async function parse(selectors, html) {
+  const parser = createParser(selectors);
+  const dom = new JSDOM(html);
+  parser.fetchDocument = async () => dom.window.document;
+  return parser.parseMenu();
+}
+
+// A page that lists days in sequence, as many WordPress lunch pages do
+const HEADED_MENU = `
+  <main>
+    <h1>Lunchmeny vecka 12</h1>
+    <section class="menu">
+      <p class="dish"><b>Dagens soppa</b> <span>119 kr</span></p>
+      <h2>Måndag</h2>
+      <p class="dish"><b>Pannbiff</b> <i>med lök</i> <span>129 kr</span></p>
+      <h2>Tuesday</h2>
+      <p class="dish"><b>Fiskgratäng</b> <span>135:-</span></p>
+      <p class="dish"><b>Stängt för konferens</b> <span>135 kr</span></p>
+      <h2>Hela veckan</h2>
+      <p class="dish"><b>Caesarsallad</b> <span>125 kr</span></p>
+    </section>
+  </main>
+`;
+
+const HEADED_SELECTORS = {
+  container: ".menu",
+  item: "p.dish",
+  name: "b",
+  description: "i",
+  price: "span",
+  dayHeader: "h2",
+  week: "h1",
+  skipPattern: "^stängt",
+};
+
+describe("SelectorParser", () => {
+  it("assigns dishes to the last day heading before them", async () => {
+    const lunches = await parse(
+      { ...HEADED_SELECTORS, container: undefined },
+      HEADED_MENU,
+    );
+
+    const byDay = (weekday) =>
+      lunches.filter((l) => l.weekday === weekday).map((l) => l.name);
+    expect(byDay("måndag")).toEqual(["Pannbiff", "Caesarsallad"]);
+    expect(byDay("tisdag")).toEqual(["Fiskgratäng", "Caesarsallad"]);
+    expect(byDay("fredag")).toEqual(["Caesarsallad"]);
+    expect(lunches.find((l) => l.name === "Pannbiff")).toMatchObject({
+      description: "med lök",
+      price: 129,
+      week: 12,
+      place: "Testkrogen",
+    });
+    expect(lunches.find((l) => l.name === "Fiskgratäng").price).toBe(135);
+  });
+
+  it("skips dishes before the first heading without wholeWeek", async () => {
+    const withoutFallback = await parse(HEADED_SELECTORS, HEADED_MENU);
+    expect(withoutFallback.some((l) => l.name === "Dagens soppa")).toBe(false);
+    // The week heading sits outside the container
+    expect(withoutFallback[0].week).toBe(12);
+    expect(withoutFallback.some((l) => /stängt/i.test(l.name))).toBe(false);
+
+    const withFallback = await parse(
+      { ...HEADED_SELECTORS, wholeWeek: true },
+      HEADED_MENU,
+    );
+    expect(
+      withFallback.filter((l) => l.name === "Dagens soppa"),
+    ).toHaveLength(5);
+  });
+
+  it("reads the week from the configured element only", async () => {
+    const lunches = await parse(
+      { ...HEADED_SELECTORS, week: "h2" },
+      HEADED_MENU,
+    );
+    const parser = createParser(HEADED_SELECTORS);
+    expect(lunches[0].week).toBe(parser._getCurrentWeek());
+  });
+
+  it("serves a weekly menu without headings every weekday", async () => {
+    const lunches = await parse(
+      { item: "li", name: "h4", wholeWeek: true },
+      `<ul>
+        <li><h4>Carbonara</h4> Guanciale, pecorino 145kr</li>
+        <li><h4>Pesto</h4> Basilika</li>
+      </ul>`,
+    );
+
+    // Without a price element the price is read from the item text; the
+    // dish without one has no price, as there is no defaultPrice
+    expect(lunches).toHaveLength(10);
+    expect(lunches.find((l) => l.name === "Carbonara")).toMatchObject({
+      price: 145,
+      priceText: "145kr",
+    });
+    expect(lunches.find((l) => l.name === "Pesto").price).toBeNull();
+  });
+
+  it("keeps price ranges, variants and the published price text", async () => {
+    const lunches = await parse(
+      { item: "li", name: "h4", price: "span", wholeWeek: true },
+      `<ul>
+        <li><h4>Pannbiff</h4> <span>129–149 kr</span></li>
+        <li><h4>Soppa</h4> <span>Liten 99 kr / Stor 129 kr</span></li>
+        <li><h4>Pytt i panna</h4> <span>Fråga personalen</span></li>
+        <li><h4>Sallad</h4> <span>115</span></li>
+      </ul>`,
+    );
+    const dish = (name) => lunches.find((l) => l.name === name);
+
+    expect(dish("Pannbiff")).toMatchObject({
+      price: 129,
+      priceMax: 149,
+      priceText: "129–149 kr",
+    });
+    expect(dish("Soppa")).toMatchObject({
+      price: 99,
+      priceMax: 129,
+      priceVariants: [
+        { label: "Liten", price: 99 },
+        { label: "Stor", price: 129 },
+      ],
+    });
+    expect(dish("Pytt i panna")).toMatchObject({
+      price: null,
+      priceText: "Fråga personalen",
+    });
+    expect(dish("Sallad").price).toBe(115);
+
+    const [withDefault] = await parse(
+      {
+        item: "li",
+        name: "h4",
+        price: "span",
+        defaultPrice: 125,
+        wholeWeek: true,
+      },
+      `<ul><li><h4>Pytt i panna</h4> <span>Fråga personalen</span></li></ul>`,
+    );
+    expect(withDefault).toMatchObject({
+      price: 125,
+      priceText: "Fråga personalen",
+    });
+  });
+
+  it("fails with a layout error when the container is missing", async () => {
+    await expect(
+      parse({ ...HEADED_SELECTORS, container: "#nope" }, "<p>Ingen meny</p>"),
+    ).rejects.toMatchObject({
+      code: "LAYOUT_NOT_FOUND",
+      message: "Menu container not found: #nope",
+    });
+  });
+
+  it("rejects an invalid configuration", () => {
+    expect(() => createParser({ item: ".dish" })).toThrow(
+      "Invalid selectors for Testkrogen: name selector is required",
+    );
+  });
+});
+
+describe("validateSelectorConfig", () => {
+  it("accepts a minimal configuration", () => {
+    expect(validateSelectorConfig({ item: ".dish", name: "h3" })).toEqual({
+      isValid: true,
+      errors: [],
+    });
+  });
+
+  it("reports every problem", () => {
+    expect(
+      validateSelectorConfig({
+        item: ".dish",
+        price: 12,
+        weekPattern: "vecka (",
+        defaultPrice: -1,
+        daySections: { saturday: ".saturday" },
+        dayHeader: "h2",
+      }).errors,
+    ).toEqual([
+      "name selector is required",
+      "price must be a string",
+      "weekPattern must be a valid regular expression",
+      "defaultPrice must be a positive number",
+      'daySections: unknown weekday "saturday"',
+      "use either daySections or dayHeader, not both",
+    ]);
+    expect(validateSelectorConfig(null).errors).toEqual([
+      "selectors must be an object",
+    ]);
+  });
+});
@@ -34,7 +34,7 @@ export class SpillParser extends BaseParser {
 
       const dagensSection = this.safeQuery(document, "#dagens");
       if (!dagensSection) {
-        throw new Error("Could not find #dagens section");
+        throw this.createLayoutError("Could not find #dagens section");
       }
 
       const lunches = await this.extractGangtappenMenu(dagensSection);
@@ -192,18 +192,6 @@ export class SpillParser extends BaseParser {
     return result;
   }
 
-  /**
-   * Get ISO week number from date
-   */
-  getWeekNumber(date) {
-    const d = new Date(
-      Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()),
-    );
-    const dayNum = d.getUTCDay() || 7;
-    d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-    return Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
-  }
 
   /**
    * Extract the menu description text from the section
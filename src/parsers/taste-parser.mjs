@@ -67,7 +67,7 @@ export class TasteParser extends BaseParser {
           );
           return [];
         }
-        throw new Error("Could not find castit week panel");
+        throw this.createLayoutError("Could not find castit week panel");
       }
 
       const weekNumber = this.extractWeekNumber(panel);
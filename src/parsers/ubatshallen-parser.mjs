@@ -8,6 +8,8 @@
  * serves a standalone "Sommarpaus" landing page with no menu at all, so the
  * root can no longer be relied on. The Veckans Meny page is the canonical
  * location and keeps working regardless of what the front page is set to.
+ * When it shows such a pause instead of a menu, the parser returns a closure
+ * notice with the dates it gives.
  *
  * Structure: .entry-content contains <p> elements, but the weekday headers
  * are NOT reliably in their own paragraphs. In practice the source bleeds
@@ -26,6 +28,7 @@
  */
 
 import { BaseParser } from "./base-parser.mjs";
+import { detectClosure } from "../lib/closure-notice.mjs";
 
 const WEEKDAYS = ["måndag", "tisdag", "onsdag", "torsdag", "fredag"];
 
@@ -56,6 +59,11 @@ export class UbatshallenParser extends BaseParser {
       const document = await this.fetchDocument();
       const lunches = this.extractMenu(document);
 
+      if (lunches.length === 0) {
+        const closure = this.extractClosure(document);
+        if (closure) return closure;
+      }
+
       await this.logger.info("Ubåtshallen parsing completed", {
         totalLunches: lunches.length,
       });
@@ -126,6 +134,17 @@ export class UbatshallenParser extends BaseParser {
     return lunches;
   }
 
+  /**
+   * Read a closure notice ("Sommarpaus ... Från 13 juli till 2 augusti")
+   * from a page without a menu
+   * @param {Document} document - Parsed page
+   * @returns {Object|null} Closure notice, or null if the page has none
+   */
+  extractClosure(document) {
+    const content = this.safeQuery(document, ".entry-content");
+    return detectClosure(content?.textContent || "");
+  }
+
   /**
    * Split a text blob into per-weekday segments. A weekday label may appear
    * at the start of a line or inline anywhere in the text. Each returned
@@ -51,6 +51,21 @@ describe("UbatshallenParser", () => {
       </div>
     `);
     expect(parser.extractMenu(dom.window.document)).toEqual([]);
+    expect(parser.extractClosure(dom.window.document)).toMatchObject({
+      closed: true,
+      reason: "sommarpaus",
+    });
+  });
+
+  it("does not read opening hours on a page without a menu as a closure", () => {
+    const dom = new JSDOM(`
+      <div class="entry-content">
+        <h2 class="wp-block-heading">Veckans Meny</h2>
+        <p>Lunch serveras mån–fre 11.00–14.00. Lördag och söndag stängt.</p>
+      </div>
+    `);
+    expect(parser.extractMenu(dom.window.document)).toEqual([]);
+    expect(parser.extractClosure(dom.window.document)).toBeNull();
   });
 
   it("extracts dishes from concatenated category format", () => {
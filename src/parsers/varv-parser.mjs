@@ -8,8 +8,8 @@
  * The lunch price is only read from a heading that explicitly names it
  * ("Lunch for 145" / "Lunch 145 kr"). The page's Breakfast and Coffee sections
  * carry prices of their own, and those must never be mistaken for the lunch
- * price. When no lunch price is published at all, no lunches are emitted
- * rather than emitting rows with a fabricated 0 kr.
+ * price. When no lunch price is published at all, the lunches are emitted
+ * with an unknown price rather than a fabricated one.
  */
 
 import { BaseParser } from "./base-parser.mjs";
@@ -56,12 +56,8 @@ export class VarvParser extends BaseParser {
 
       const { week, price, dayDishes } = this.extractMenuData(document);
 
-      if (price === null) {
-        await this.logger.warn(
-          "Varv publishes no lunch price - skipping menu",
-          { week },
-        );
-        return [];
+      if (price.price === null) {
+        await this.logger.warn("Varv publishes no lunch price", { week });
       }
 
       const lunches = [];
@@ -71,7 +67,7 @@ export class VarvParser extends BaseParser {
             this.createLunchObject({
               name: dish,
               description: "",
-              price,
+              ...price,
               weekday,
               week,
               place: this.getName(),
@@ -121,23 +117,24 @@ export class VarvParser extends BaseParser {
 
   /**
    * Extract the lunch price from a H1/H2 that explicitly names it
-   * @returns {number|null} Price, or null when no lunch price is published
+   * @returns {Object} { price, priceText }, with a null price when no lunch
+   *   price is published
    */
   extractPrice(document) {
     const headings = this.safeQuery(document, "h1, h2", true);
-    if (!headings) return null;
+    if (!headings) return { price: null };
 
     for (const heading of headings) {
       const text = this.extractText(heading);
       for (const pattern of PRICE_PATTERNS) {
         const match = text.match(pattern);
         if (match) {
-          return parseInt(match[1]);
+          return { price: parseInt(match[1]), priceText: match[0] };
         }
       }
     }
 
-    return null;
+    return { price: null };
   }
 
   /**
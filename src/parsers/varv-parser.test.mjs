@@ -55,10 +55,13 @@ describe("VarvParser", () => {
       </body></html>
     `);
     const document = dom.window.document;
-    expect(parser.extractPrice(document)).toBe(145);
+    expect(parser.extractPrice(document)).toEqual({
+      price: 145,
+      priceText: "Lunch for 145",
+    });
   });
 
-  it("returns null when no lunch price is published", () => {
+  it("returns an unknown price when no lunch price is published", () => {
     const dom = new JSDOM(`
       <html><body>
         <h2>Lunch menu week 32, 11:30 — 14:00</h2>
@@ -69,7 +72,7 @@ describe("VarvParser", () => {
       </body></html>
     `);
     const document = dom.window.document;
-    expect(parser.extractPrice(document)).toBeNull();
+    expect(parser.extractPrice(document)).toEqual({ price: null });
   });
 
   it("extracts dishes grouped by day with Swedish weekday names", () => {
@@ -150,7 +153,7 @@ describe("VarvParser", () => {
     const { week, price, dayDishes } = parser.extractMenuData(document);
 
     expect(week).toBe(32);
-    expect(price).toBeNull();
+    expect(price.price).toBeNull();
     expect(dayDishes).toHaveLength(5);
     expect(dayDishes[4].weekday).toBe("fredag");
     expect(dayDishes[4].dishes).toHaveLength(2);
@@ -174,7 +177,7 @@ describe("VarvParser", () => {
     const { week, price, dayDishes } = parser.extractMenuData(document);
 
     expect(week).toBe(14);
-    expect(price).toBe(145);
+    expect(price.price).toBe(145);
     expect(dayDishes).toHaveLength(2);
   });
 
@@ -210,7 +213,7 @@ describe("VarvParser", () => {
     expect(dayDishes[1].weekday).toBe("tisdag");
   });
 
-  it("emits no lunches when no lunch price is published", async () => {
+  it("emits lunches with an unknown price when no lunch price is published", async () => {
     const dom = new JSDOM(`
       <html><body>
         <h2>Lunch menu week 32, 11:30 — 14:00</h2>
@@ -223,7 +226,10 @@ describe("VarvParser", () => {
     `);
     parser.fetchDocument = () => Promise.resolve(dom.window.document);
 
-    await expect(parser.parseMenu()).resolves.toEqual([]);
+    const lunches = await parser.parseMenu();
+
+    expect(lunches).toHaveLength(2);
+    expect(lunches[0]).toMatchObject({ price: null, weekday: "måndag" });
   });
 
   it("emits priced lunches when a lunch price is published", async () => {